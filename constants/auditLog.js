@@ -0,0 +1,40 @@
+// constants/auditLog.js
+
+import { collection, doc, getDocs, limit, orderBy, query, serverTimestamp } from "firebase/firestore";
+import { getCurrentUserProfile } from "./currentUser.js";
+
+/**
+ * Adds an audit record to a write batch so it is committed together with the change it describes.
+ * @param {object} db - Firestore database instance
+ * @param {object} batch - The write batch holding the change
+ * @param {object} event - { action, targetType, targetId, before, after }
+ * @returns {Promise<void>}
+ */
+export async function addAuditEvent(db, batch, { action, targetType, targetId, before = null, after = null }) {
+    const profile = await getCurrentUserProfile(db);
+    batch.set(doc(collection(db, "auditLog")), {
+        action,
+        targetType,
+        targetId,
+        before,
+        after,
+        performedBy: profile?.uid || null,
+        performedByName: profile?.displayName || 'Unknown user',
+        createdAt: serverTimestamp()
+    });
+}
+
+/**
+ * Loads the most recent audit records, newest first.
+ * @param {object} db - Firestore database instance
+ * @param {number} count - Maximum number of records to load
+ * @returns {Promise<object[]>}
+ */
+export async function loadRecentAuditEvents(db, count = 25) {
+    const snapshot = await getDocs(query(collection(db, "auditLog"), orderBy("createdAt", "desc"), limit(count)));
+    const events = [];
+    snapshot.forEach((eventDoc) => {
+        events.push({ id: eventDoc.id, ...eventDoc.data() });
+    });
+    return events;
+}
@@ -0,0 +1,43 @@
+// constants/authErrors.js
+
+/**
+ * User-facing messages for Firebase Auth error codes.
+ */
+const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/missing-email': 'Please enter your email address.',
+    'auth/missing-password': 'Please enter your password.',
+    'auth/invalid-credential': 'Incorrect email or password.',
+    'auth/invalid-login-credentials': 'Incorrect email or password.',
+    'auth/wrong-password': 'Incorrect email or password.',
+    'auth/user-not-found': 'Incorrect email or password.',
+    'auth/user-disabled': 'This account has been disabled. Please contact an admin.',
+    'auth/email-already-in-use': 'An account with this email already exists. Try logging in or resetting your password.',
+    'auth/weak-password': 'Please choose a password with at least 6 characters.',
+    'auth/too-many-requests': 'Too many attempts. Please wait a few minutes and try again.',
+    'auth/network-request-failed': 'Network error. Please check your connection and try again.',
+    'auth/operation-not-allowed': 'This sign-in method is not enabled. Please contact an admin.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before finishing.',
+    'auth/cancelled-popup-request': 'The sign-in window was closed before finishing.',
+    'auth/popup-blocked': 'The sign-in window was blocked by the browser. Please allow pop-ups and try again.',
+    'auth/unauthorized-domain': 'Sign-in is not allowed from this domain. Please contact an admin.',
+    'auth/account-exists-with-different-credential': 'An account with this email already exists. Log in with your password instead.',
+    'auth/expired-action-code': 'This link has expired. Please request a new one.',
+    'auth/invalid-action-code': 'This link is invalid or has already been used.',
+    'auth/requires-recent-login': 'Please log in again to continue.'
+};
+
+/**
+ * Maps a Firebase Auth error to a message that can be shown to the user.
+ * @param {Error} error - The error thrown by Firebase Auth
+ * @returns {string}
+ */
+export function getAuthErrorMessage(error) {
+    const message = AUTH_ERROR_MESSAGES[error?.code];
+    if (message) {
+        return message;
+    }
+
+    console.error("Unexpected auth error:", error);
+    return 'Something went wrong. Please try again.';
+}
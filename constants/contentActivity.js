@@ -0,0 +1,231 @@
+// constants/contentActivity.js
+
+import {
+    collection,
+    deleteDoc,
+    doc,
+    getDocs,
+    increment,
+    query,
+    serverTimestamp,
+    setDoc,
+    updateDoc,
+    where
+} from "firebase/firestore";
+import { getCurrentUserProfile } from "./currentUser.js";
+import { loadPartnerAudience } from "./sharing.js";
+
+/**
+ * Kinds of items whose use is tracked, with their display labels.
+ */
+export const ACTIVITY_ITEM_TYPES = {
+    template: 'Template',
+    document: 'Document'
+};
+
+/**
+ * ID of a user's activity entry for an item. Each user has one entry per item, holding
+ * counts and the last time they viewed and downloaded it.
+ * @param {string} itemType - A key of ACTIVITY_ITEM_TYPES
+ * @param {string} itemId - ID of the template or document
+ * @param {string} uid - The user's UID
+ * @returns {string}
+ */
+export function getActivityId(itemType, itemId, uid) {
+    return `${itemType}_${itemId}_${uid}`;
+}
+
+/**
+ * ID of an acknowledgment requirement. Each item needs acknowledging once per partner.
+ * @param {string} itemType - A key of ACTIVITY_ITEM_TYPES
+ * @param {string} itemId - ID of the template or document
+ * @param {string} partnerId - The partner's partner ID
+ * @returns {string}
+ */
+export function getAcknowledgmentId(itemType, itemId, partnerId) {
+    return `${itemType}_${itemId}_${partnerId}`;
+}
+
+/**
+ * Records that the signed-in user viewed or downloaded a template or document. Tracking
+ * never gets in the way of opening the file, so errors are only logged.
+ * @param {object} db - Firestore database instance
+ * @param {string} itemType - A key of ACTIVITY_ITEM_TYPES
+ * @param {object} item - The template or document (`id` and `title`, `displayName` or `name`)
+ * @param {'view'|'download'} action - What the user did
+ * @returns {Promise<void>}
+ */
+export async function recordContentActivity(db, itemType, item, action) {
+    try {
+        const profile = await getCurrentUserProfile(db);
+        if (!profile) return;
+
+        const counts = action === 'download'
+            ? { downloadCount: increment(1), lastDownloadedAt: serverTimestamp() }
+            : { viewCount: increment(1), lastViewedAt: serverTimestamp() };
+        await setDoc(doc(db, "contentActivity", getActivityId(itemType, item.id, profile.uid)), {
+            itemType,
+            itemId: item.id,
+            itemTitle: item.title || item.displayName || item.name || 'Untitled',
+            uid: profile.uid,
+            userName: profile.displayName,
+            partnerId: profile.partnerId,
+            ...counts
+        }, { merge: true });
+    } catch (error) {
+        console.warn(`Could not record ${action} of ${itemType} ${item.id}:`, error);
+    }
+}
+
+/**
+ * Loads the activity of a partner's users, for staff.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerId - The partner's partner ID
+ * @returns {Promise<object[]>}
+ */
+export async function loadPartnerActivity(db, partnerId) {
+    const snapshot = await getDocs(query(collection(db, "contentActivity"), where("partnerId", "==", partnerId)));
+    const activity = [];
+    snapshot.forEach((activityDoc) => activity.push({ id: activityDoc.id, ...activityDoc.data() }));
+    return activity;
+}
+
+/**
+ * Combines a partner's per-user activity and acknowledgment requirements into one row per item.
+ * @param {object[]} activity - Entries from loadPartnerActivity
+ * @param {object[]} acknowledgments - Requirements from loadPartnerAcknowledgments
+ * @returns {object[]} - `{itemType, itemId, itemTitle, viewCount, downloadCount, lastViewedAt,
+ *   lastDownloadedAt, viewers, downloaders, acknowledgment}`, items awaiting acknowledgment first
+ */
+export function summarizePartnerActivity(activity, acknowledgments) {
+    const items = new Map();
+    const getItem = (itemType, itemId, itemTitle) => {
+        const key = `${itemType}_${itemId}`;
+        if (!items.has(key)) {
+            items.set(key, {
+                itemType,
+                itemId,
+                itemTitle,
+                viewCount: 0,
+                downloadCount: 0,
+                lastViewedAt: null,
+                lastDownloadedAt: null,
+                viewers: [],
+                downloaders: [],
+                acknowledgment: null
+            });
+        }
+        return items.get(key);
+    };
+
+    activity.forEach((entry) => {
+        const item = getItem(entry.itemType, entry.itemId, entry.itemTitle);
+        if (entry.viewCount) {
+            item.viewCount += entry.viewCount;
+            item.viewers.push(entry.userName);
+            if (getMillis(entry.lastViewedAt) > getMillis(item.lastViewedAt)) item.lastViewedAt = entry.lastViewedAt;
+        }
+        if (entry.downloadCount) {
+            item.downloadCount += entry.downloadCount;
+            item.downloaders.push(entry.userName);
+            if (getMillis(entry.lastDownloadedAt) > getMillis(item.lastDownloadedAt)) item.lastDownloadedAt = entry.lastDownloadedAt;
+        }
+    });
+    acknowledgments.forEach((acknowledgment) => {
+        getItem(acknowledgment.itemType, acknowledgment.itemId, acknowledgment.itemTitle).acknowledgment = acknowledgment;
+    });
+
+    const pendingFirst = (item) => (item.acknowledgment ? (item.acknowledgment.acknowledgedAt ? 1 : 0) : 2);
+    return [...items.values()].sort((a, b) => pendingFirst(a) - pendingFirst(b)
+        || Math.max(getMillis(b.lastViewedAt), getMillis(b.lastDownloadedAt)) - Math.max(getMillis(a.lastViewedAt), getMillis(a.lastDownloadedAt)));
+}
+
+/**
+ * Asks a partner to confirm they have read a template or document.
+ * @param {object} db - Firestore database instance
+ * @param {string} itemType - A key of ACTIVITY_ITEM_TYPES
+ * @param {object} item - The template or document (`id` and `title`, `displayName` or `name`)
+ * @param {string} partnerId - The partner's partner ID
+ * @returns {Promise<void>}
+ */
+export async function requireAcknowledgment(db, itemType, item, partnerId) {
+    const profile = await getCurrentUserProfile(db);
+    await setDoc(doc(db, "acknowledgments", getAcknowledgmentId(itemType, item.id, partnerId)), {
+        itemType,
+        itemId: item.id,
+        itemTitle: item.title || item.displayName || item.name || 'Untitled',
+        partnerId,
+        requiredBy: profile?.uid || null,
+        requiredByName: profile?.displayName || 'Unknown user',
+        requiredAt: serverTimestamp(),
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        acknowledgedByName: null
+    });
+}
+
+/**
+ * Loads the acknowledgments asked of a partner.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerId - The partner's partner ID
+ * @returns {Promise<object[]>}
+ */
+export async function loadPartnerAcknowledgments(db, partnerId) {
+    const snapshot = await getDocs(query(collection(db, "acknowledgments"), where("partnerId", "==", partnerId)));
+    const acknowledgments = [];
+    snapshot.forEach((acknowledgmentDoc) => acknowledgments.push({ id: acknowledgmentDoc.id, ...acknowledgmentDoc.data() }));
+    return acknowledgments.sort((a, b) => getMillis(b.requiredAt) - getMillis(a.requiredAt));
+}
+
+/**
+ * Records that the signed-in partner user confirmed an item.
+ * @param {object} db - Firestore database instance
+ * @param {string} acknowledgmentId - ID of the `acknowledgments` doc
+ * @returns {Promise<void>}
+ */
+export async function acknowledgeItem(db, acknowledgmentId) {
+    const profile = await getCurrentUserProfile(db);
+    await updateDoc(doc(db, "acknowledgments", acknowledgmentId), {
+        acknowledgedAt: serverTimestamp(),
+        acknowledgedBy: profile?.uid || null,
+        acknowledgedByName: profile?.displayName || 'Unknown user'
+    });
+}
+
+/**
+ * Drops an acknowledgment requirement.
+ * @param {object} db - Firestore database instance
+ * @param {string} acknowledgmentId - ID of the `acknowledgments` doc
+ * @returns {Promise<void>}
+ */
+export async function removeAcknowledgment(db, acknowledgmentId) {
+    await deleteDoc(doc(db, "acknowledgments", acknowledgmentId));
+}
+
+/**
+ * Loads the documents a partner's users can see: their own uploads and those shared with them.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerId - The partner's partner ID
+ * @returns {Promise<object[]>} - Sorted by name
+ */
+export async function loadPartnerDocuments(db, partnerId) {
+    const documentsCol = collection(db, "documents");
+    const audience = await loadPartnerAudience(db, partnerId);
+    const snapshots = await Promise.all([
+        getDocs(query(documentsCol, where("partnerId", "==", partnerId))),
+        getDocs(query(documentsCol, where("audience", "array-contains-any", audience)))
+    ]);
+
+    const documentsById = new Map();
+    snapshots.forEach((snapshot) => {
+        snapshot.forEach((documentDoc) => documentsById.set(documentDoc.id, { id: documentDoc.id, ...documentDoc.data() }));
+    });
+    return [...documentsById.values()].sort((a, b) => (a.displayName || a.name || '').localeCompare(b.displayName || b.name || ''));
+}
+
+function getMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    if (value.seconds) return value.seconds * 1000;
+    return new Date(value).getTime() || 0;
+}
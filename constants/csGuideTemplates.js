@@ -0,0 +1,224 @@
+// constants/csGuideTemplates.js
+
+import { collection, doc, getDoc, getDocs, setDoc, serverTimestamp, writeBatch } from "firebase/firestore";
+
+/**
+ * Default CS guide checklist (fallback if Firestore doesn't have templates configured).
+ * A template with no integration type and no stage applies to every partner.
+ */
+const DEFAULT_TEMPLATES = [
+    {
+        id: 'default',
+        name: 'Default checklist',
+        integrationType: null,
+        stage: null,
+        items: [
+            'Form sent',
+            'Form answered by partner',
+            'Awaiting PSM',
+            'Ready for draft',
+            'Created'
+        ]
+    }
+];
+
+// Cache for templates to avoid repeated Firestore reads
+let cachedTemplates = null;
+let templatesPromise = null;
+
+/**
+ * Loads CS guide checklist templates from Firestore or returns the default template.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<object[]>} - Array of templates ({ id, name, integrationType, stage, items })
+ */
+export async function loadCsGuideTemplates(db) {
+    if (cachedTemplates) {
+        return cachedTemplates;
+    }
+
+    if (templatesPromise) {
+        return templatesPromise;
+    }
+
+    templatesPromise = (async () => {
+        try {
+            const settingsDocRef = doc(db, "settings", "csGuideTemplates");
+            const settingsDocSnap = await getDoc(settingsDocRef);
+
+            if (settingsDocSnap.exists()) {
+                const templates = settingsDocSnap.data().templates;
+                if (Array.isArray(templates) && templates.length > 0) {
+                    cachedTemplates = templates;
+                    return templates;
+                }
+            }
+
+            cachedTemplates = DEFAULT_TEMPLATES;
+            return DEFAULT_TEMPLATES;
+        } catch (error) {
+            console.error("Error loading CS guide templates:", error);
+            cachedTemplates = DEFAULT_TEMPLATES;
+            return DEFAULT_TEMPLATES;
+        } finally {
+            templatesPromise = null;
+        }
+    })();
+
+    return templatesPromise;
+}
+
+/**
+ * Saves CS guide checklist templates to Firestore.
+ * @param {object} db - Firestore database instance
+ * @param {object[]} templates - Array of templates
+ * @returns {Promise<void>}
+ */
+export async function saveCsGuideTemplates(db, templates) {
+    if (!Array.isArray(templates) || templates.length === 0) {
+        throw new Error("Templates must be a non-empty array");
+    }
+
+    try {
+        await setDoc(doc(db, "settings", "csGuideTemplates"), {
+            templates,
+            updatedAt: serverTimestamp()
+        });
+        cachedTemplates = templates;
+    } catch (error) {
+        console.error("Error saving CS guide templates:", error);
+        throw error;
+    }
+}
+
+/**
+ * Clears the cached templates (useful after updating templates).
+ */
+export function clearCsGuideTemplatesCache() {
+    cachedTemplates = null;
+    templatesPromise = null;
+}
+
+/**
+ * Gets the default templates.
+ * @returns {object[]}
+ */
+export function getDefaultCsGuideTemplates() {
+    return DEFAULT_TEMPLATES.map((template) => ({ ...template, items: [...template.items] }));
+}
+
+/**
+ * Finds the most specific template for a partner. A template matching both the integration type
+ * and the stage wins over one matching only the integration type, then only the stage, then a generic one.
+ * @param {object[]} templates - Array of templates
+ * @param {string|null} integrationType - The partner's integration type
+ * @param {string|null} stage - The partner's onboarding stage
+ * @returns {object|null}
+ */
+export function getMatchingCsGuideTemplate(templates, integrationType, stage) {
+    const normalizedType = (integrationType || '').toLowerCase();
+    let bestTemplate = null;
+    let bestScore = -1;
+
+    templates.forEach((template) => {
+        const templateType = (template.integrationType || '').toLowerCase();
+        if (templateType && templateType !== normalizedType) return;
+        if (template.stage && template.stage !== stage) return;
+
+        const score = (templateType ? 2 : 0) + (template.stage ? 1 : 0);
+        if (score > bestScore) {
+            bestScore = score;
+            bestTemplate = template;
+        }
+    });
+
+    return bestTemplate;
+}
+
+/**
+ * Builds a partner's CS guide status from a template, keeping items already checked.
+ * Checked items that are no longer part of the template are kept at the end so no progress is lost.
+ * @param {object|null} template - The template to apply
+ * @param {object[]} existingStatus - The partner's current csGuideStatus ({ label, completed })
+ * @returns {object[]}
+ */
+export function buildCsGuideStatus(template, existingStatus = []) {
+    const existing = Array.isArray(existingStatus) ? existingStatus : [];
+    const completedLabels = new Set(existing.filter((item) => item.completed).map((item) => item.label));
+    const templateItems = template ? template.items : [];
+
+    const status = templateItems.map((label) => ({ label, completed: completedLabels.has(label) }));
+    existing
+        .filter((item) => item.completed && !templateItems.includes(item.label))
+        .forEach((item) => status.push({ label: item.label, completed: true }));
+
+    return status;
+}
+
+/**
+ * Counts the stored CS guide templates limited to each stage, for previewing a stage migration.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<Map<string, number>>} - Stage name to number of templates
+ */
+export async function countCsGuideTemplatesByStage(db) {
+    const templates = await loadCsGuideTemplates(db);
+    const counts = new Map();
+    templates.forEach((template) => {
+        if (template.stage) counts.set(template.stage, (counts.get(template.stage) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Points the templates of renamed and deleted stages at the new name or the replacement stage.
+ * @param {object} db - Firestore database instance
+ * @param {object} renames - Old stage name to new stage name
+ * @param {object} replacements - Deleted stage name to the stage that replaces it
+ * @returns {Promise<number>} - Number of templates updated
+ */
+export async function migrateCsGuideTemplateStages(db, renames, replacements) {
+    clearCsGuideTemplatesCache();
+    const templates = await loadCsGuideTemplates(db);
+    let updated = 0;
+    const migrated = templates.map((template) => {
+        const stage = renames[template.stage] || replacements[template.stage];
+        if (!template.stage || !stage) return template;
+        updated++;
+        return { ...template, stage };
+    });
+
+    if (updated) {
+        await saveCsGuideTemplates(db, migrated);
+    }
+    return updated;
+}
+
+/**
+ * Applies the matching template to every existing partner, keeping items already checked.
+ * @param {object} db - Firestore database instance
+ * @param {object[]} templates - Array of templates
+ * @returns {Promise<number>} - Number of partners updated
+ */
+export async function migratePartnersCsGuide(db, templates) {
+    const snapshot = await getDocs(collection(db, "partners"));
+    const updates = [];
+
+    snapshot.forEach((partnerDoc) => {
+        const partner = partnerDoc.data();
+        const template = getMatchingCsGuideTemplate(templates, partner.integrationType, partner.onboardingStatus);
+        const csGuideStatus = buildCsGuideStatus(template, partner.csGuideStatus);
+        if (JSON.stringify(csGuideStatus) !== JSON.stringify(partner.csGuideStatus || [])) {
+            updates.push({ ref: partnerDoc.ref, csGuideStatus });
+        }
+    });
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < updates.length; i += 500) {
+        const batch = writeBatch(db);
+        updates.slice(i, i + 500).forEach(({ ref, csGuideStatus }) => {
+            batch.update(ref, { csGuideStatus, lastUpdated: serverTimestamp() });
+        });
+        await batch.commit();
+    }
+
+    return updates.length;
+}
@@ -0,0 +1,98 @@
+// constants/csv.js
+
+/**
+ * Cells starting with one of these are run as formulas by Excel and Google Sheets.
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells, escaped quotes, line breaks
+ * inside quotes, and files exported with ";" as the delimiter (e.g. by Excel in some locales).
+ * The "'" that toCsv puts before formula-like text is removed again.
+ * @param {string} text - The CSV content
+ * @returns {string[][]} - Rows of cells, with fully empty rows removed
+ */
+export function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0] || '';
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows
+        .filter((cells) => cells.some((value) => value.trim() !== ''))
+        .map((cells) => cells.map((value) => (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value)));
+}
+
+/**
+ * Serializes rows of values to CSV text, quoting cells when needed. Text that a spreadsheet
+ * would run as a formula (starting with "=", "+", "-" or "@") gets a leading "'".
+ * @param {Array<Array<*>>} rows - Rows of cells
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    return rows
+        .map((cells) => cells
+            .map((value) => {
+                let text = value === null || value === undefined ? '' : String(value);
+                if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+                    text = `'${text}`;
+                }
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            })
+            .join(','))
+        .join('\r\n');
+}
+
+/**
+ * Triggers a browser download of CSV text. A BOM is prepended so Excel detects UTF-8.
+ * @param {string} filename - The name of the downloaded file
+ * @param {string} csvText - The CSV content
+ */
+export function downloadCsv(filename, csvText) {
+    const blob = new Blob(['\uFEFF' + csvText], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
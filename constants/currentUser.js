@@ -0,0 +1,53 @@
+// constants/currentUser.js
+
+import { doc, getDoc } from "firebase/firestore";
+import { auth } from "../firebase-init.js";
+
+// Cache for the signed-in user's profile to avoid repeated Firestore reads
+let cachedProfile = null;
+
+/**
+ * Loads the profile of the signed-in user, merging Firebase Auth data with the `users` doc.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<{uid: string, email: string|null, displayName: string, role: string, partnerId: string|null}|null>}
+ */
+export async function getCurrentUserProfile(db) {
+    const user = auth.currentUser;
+    if (!user) {
+        return null;
+    }
+
+    if (cachedProfile && cachedProfile.uid === user.uid) {
+        return cachedProfile;
+    }
+
+    const profile = {
+        uid: user.uid,
+        email: user.email || null,
+        displayName: user.displayName || user.email || 'Unknown user',
+        role: 'default',
+        partnerId: null
+    };
+
+    try {
+        const userDocSnap = await getDoc(doc(db, "users", user.uid));
+        if (userDocSnap.exists()) {
+            const userData = userDocSnap.data();
+            profile.displayName = userData.displayName || profile.displayName;
+            profile.role = userData.role || profile.role;
+            profile.partnerId = userData.partnerId || null;
+        }
+    } catch (error) {
+        console.warn("Could not load user profile:", error);
+    }
+
+    cachedProfile = profile;
+    return profile;
+}
+
+/**
+ * Clears the cached profile (useful after the user updates their display name).
+ */
+export function clearCurrentUserProfileCache() {
+    cachedProfile = null;
+}
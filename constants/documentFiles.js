@@ -0,0 +1,83 @@
+// constants/documentFiles.js
+
+import { collection, getDocs } from "firebase/firestore";
+import { ref, getBlob, getMetadata, updateMetadata } from "firebase/storage";
+import { loadDocumentVersions } from "./documentVersions.js";
+import { getStoragePathFromUrl } from "./storageAudit.js";
+
+/**
+ * Storage path of a document or version entry. Entries stored before `storagePath` was
+ * recorded only have their download URL.
+ * @param {object} entry - The document or version entry
+ * @returns {string|null}
+ */
+export function getDocumentFilePath(entry) {
+    return entry?.storagePath || getStoragePathFromUrl(entry?.url) || null;
+}
+
+/**
+ * Downloads the file of a document or version through the Storage SDK, so storage.rules
+ * decide who may read it. The token in a download URL would bypass the rules.
+ * @param {object} storage - Firebase Storage instance
+ * @param {object} entry - The document or version entry
+ * @returns {Promise<Blob>}
+ */
+export async function loadDocumentFile(storage, entry) {
+    const path = getDocumentFilePath(entry);
+    if (!path) {
+        throw new Error('This document has no file.');
+    }
+    return getBlob(ref(storage, path));
+}
+
+/**
+ * Saves the file of a document or version to the user's computer.
+ * @param {object} storage - Firebase Storage instance
+ * @param {object} entry - The document or version entry
+ * @returns {Promise<void>}
+ */
+export async function downloadDocumentFile(storage, entry) {
+    const blob = await loadDocumentFile(storage, entry);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = entry.name || 'download';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // Give the browser time to start the download before the data is released
+    setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+}
+
+/**
+ * Adds the `documentId` metadata that storage.rules check for partner reads to the files of
+ * every document and version uploaded before it was recorded. Files that already have it are skipped.
+ * @param {object} db - Firestore database instance
+ * @param {object} storage - Firebase Storage instance
+ * @returns {Promise<{tagged: number, failed: number}>}
+ */
+export async function tagDocumentFiles(db, storage) {
+    const snapshot = await getDocs(collection(db, "documents"));
+    const result = { tagged: 0, failed: 0 };
+
+    for (const documentSnapshot of snapshot.docs) {
+        const documentItem = documentSnapshot.data();
+        const versions = await loadDocumentVersions(db, documentSnapshot.id);
+        const paths = new Set([documentItem, ...versions].map(getDocumentFilePath).filter(Boolean));
+
+        for (const path of paths) {
+            try {
+                const fileRef = ref(storage, path);
+                const { customMetadata } = await getMetadata(fileRef);
+                if (customMetadata?.documentId) continue;
+                await updateMetadata(fileRef, { customMetadata: { ...customMetadata, documentId: documentSnapshot.id } });
+                result.tagged++;
+            } catch (error) {
+                if (error.code === 'storage/object-not-found') continue;
+                console.error(`Error tagging ${path}:`, error);
+                result.failed++;
+            }
+        }
+    }
+
+    return result;
+}
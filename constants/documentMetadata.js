@@ -0,0 +1,169 @@
+// constants/documentMetadata.js
+
+import { collection, doc, getDocs, serverTimestamp, updateDoc, writeBatch } from "firebase/firestore";
+import { can } from "./permissions.js";
+
+/**
+ * Most tags a document can have, and the longest tag.
+ */
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+
+/**
+ * Name shown for a document: the display name set in its details, or the uploaded file name.
+ * @param {object} document - The document
+ * @returns {string}
+ */
+export function getDocumentTitle(document) {
+    return document?.displayName || document?.name || 'Untitled Document';
+}
+
+/**
+ * Cleans up a list of tags: trims them, collapses spaces and drops empty and duplicate tags
+ * (ignoring case, keeping the first spelling).
+ * @param {string[]} tags - The tags as entered
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+    const seen = new Set();
+    const normalized = [];
+    (tags || []).forEach((tag) => {
+        const cleaned = String(tag || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+        const key = cleaned.toLowerCase();
+        if (cleaned && !seen.has(key)) {
+            seen.add(key);
+            normalized.push(cleaned);
+        }
+    });
+    return normalized.slice(0, MAX_TAGS);
+}
+
+/**
+ * Collects the tags used on any of the documents, for autocomplete and the tag filter.
+ * @param {object[]} documents - The documents
+ * @returns {string[]} - Distinct tags sorted alphabetically
+ */
+export function collectDocumentTags(documents) {
+    return normalizeTags(documents.flatMap((d) => d.tags || []))
+        .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Loads the users that can own documents (those allowed to manage them), sorted by name.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<{uid: string, displayName: string}[]>}
+ */
+export async function loadDocumentOwners(db) {
+    const snapshot = await getDocs(collection(db, "users"));
+    const owners = [];
+    snapshot.forEach((userDoc) => {
+        const userData = userDoc.data();
+        if (userData.active !== false && can(userData.role, 'documents:manage')) {
+            owners.push({ uid: userDoc.id, displayName: userData.displayName || userData.email || 'Unknown user' });
+        }
+    });
+    return owners.sort((a, b) => a.displayName.localeCompare(b.displayName));
+}
+
+/**
+ * Saves the editable details of a document. They are kept when a new version is uploaded.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {object} details - `displayName`, `description`, `tags`, `targetStage` and `owner` ({uid, displayName} or null)
+ * @returns {Promise<void>}
+ */
+export async function updateDocumentDetails(db, documentId, { displayName, description, tags, targetStage, owner }) {
+    await updateDoc(doc(db, "documents", documentId), {
+        displayName: (displayName || '').trim() || null,
+        description: (description || '').trim() || null,
+        tags: normalizeTags(tags),
+        targetStage: targetStage || null,
+        ownerId: owner?.uid || null,
+        ownerName: owner?.displayName || null,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Adds and removes tags on several documents at once. Other tags are kept;
+ * tags are compared ignoring case.
+ * @param {object} db - Firestore database instance
+ * @param {object[]} documents - The documents to change (with `id` and their current `tags`)
+ * @param {{add: string[], remove: string[]}} changes - Tags to add and to remove
+ * @returns {Promise<number>} - Number of documents whose tags changed
+ */
+export async function updateDocumentsTags(db, documents, { add = [], remove = [] }) {
+    const removedKeys = new Set(normalizeTags(remove).map((tag) => tag.toLowerCase()));
+    const writes = [];
+
+    documents.forEach((documentItem) => {
+        const currentTags = normalizeTags(documentItem.tags);
+        const tags = normalizeTags([...currentTags, ...add]).filter((tag) => !removedKeys.has(tag.toLowerCase()));
+        if (tags.join('\n') === currentTags.join('\n')) return;
+
+        writes.push((batch) => {
+            batch.update(doc(db, "documents", documentItem.id), {
+                tags,
+                updatedAt: serverTimestamp()
+            });
+        });
+    });
+
+    await commitInBatches(db, writes);
+    return writes.length;
+}
+
+/**
+ * Counts the documents to read before each stage, for previewing a stage migration.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<Map<string, number>>} - Stage name to number of documents
+ */
+export async function countDocumentsByTargetStage(db) {
+    const snapshot = await getDocs(collection(db, "documents"));
+    const counts = new Map();
+    snapshot.forEach((documentDoc) => {
+        const stage = documentDoc.data().targetStage;
+        if (stage) counts.set(stage, (counts.get(stage) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Moves the target stage of documents from renamed and deleted stages to the new name or the
+ * replacement stage.
+ * @param {object} db - Firestore database instance
+ * @param {object} renames - Old stage name to new stage name
+ * @param {object} replacements - Deleted stage name to the stage that replaces it
+ * @returns {Promise<number>} - Number of documents updated
+ */
+export async function migrateDocumentTargetStages(db, renames, replacements) {
+    const snapshot = await getDocs(collection(db, "documents"));
+    const writes = [];
+
+    snapshot.forEach((documentDoc) => {
+        const currentStage = documentDoc.data().targetStage;
+        const targetStage = currentStage ? renames[currentStage] || replacements[currentStage] : null;
+        if (!targetStage) return;
+
+        writes.push((batch) => {
+            batch.update(documentDoc.ref, { targetStage, updatedAt: serverTimestamp() });
+        });
+    });
+
+    await commitInBatches(db, writes);
+    return writes.length;
+}
+
+/**
+ * Runs queued batch writes, 500 at a time (the Firestore batch limit).
+ * @param {object} db - Firestore database instance
+ * @param {Function[]} writes - Functions that add one write to a batch
+ * @returns {Promise<void>}
+ */
+async function commitInBatches(db, writes) {
+    for (let i = 0; i < writes.length; i += 500) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 500).forEach((write) => write(batch));
+        await batch.commit();
+    }
+}
@@ -0,0 +1,305 @@
+// constants/documentText.js
+
+import { collection, doc, getDoc, getDocs, serverTimestamp, setDoc } from "firebase/firestore";
+import { loadPdfJs } from "./pdfjs.js";
+import { readZipEntry } from "./zip.js";
+
+/**
+ * Longest text stored per document version, so an entry stays well under Firestore's 1 MiB doc limit.
+ */
+const MAX_INDEXED_TEXT_LENGTH = 200000;
+
+/**
+ * Most documents whose text a search loads; the most recently uploaded ones are searched.
+ */
+export const MAX_SEARCHED_DOCUMENTS = 500;
+
+/**
+ * ID of the `documentText` entry for one version of a document. Each version keeps its own
+ * entry, so restoring an older version makes its text searchable again without re-extracting.
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {number} version - The version number
+ * @returns {string}
+ */
+export function getDocumentTextId(documentId, version) {
+    return `${documentId}_v${version}`;
+}
+
+/**
+ * Whether text can be extracted from a file with this name.
+ * @param {string} name - The file name
+ * @returns {boolean}
+ */
+export function isTextExtractable(name) {
+    return /\.(pdf|docx|txt|md|markdown|csv|log|json)$/i.test(name || '');
+}
+
+/**
+ * Extracts the plain text of a PDF, DOCX or text file.
+ * @param {Blob} file - The file contents
+ * @param {string} name - The file name, used to pick the format
+ * @returns {Promise<string>} - The text, or an empty string for other formats
+ */
+export async function extractDocumentText(file, name) {
+    const lowerName = (name || '').toLowerCase();
+    let text = '';
+
+    if (lowerName.endsWith('.pdf')) {
+        text = await extractPdfText(file);
+    } else if (lowerName.endsWith('.docx')) {
+        text = await extractDocxText(file);
+    } else if (isTextExtractable(lowerName)) {
+        text = await file.text();
+    }
+
+    return text.replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim().slice(0, MAX_INDEXED_TEXT_LENGTH);
+}
+
+async function extractPdfText(file) {
+    const pdfjsLib = await loadPdfJs();
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    const pages = [];
+    let length = 0;
+
+    try {
+        for (let pageNumber = 1; pageNumber <= pdf.numPages && length < MAX_INDEXED_TEXT_LENGTH; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            const pageText = content.items.map(item => `${item.str || ''}${item.hasEOL ? '\n' : ''}`).join('');
+            pages.push(pageText);
+            length += pageText.length;
+        }
+    } finally {
+        await pdf.destroy();
+    }
+
+    return pages.join('\n\n');
+}
+
+async function extractDocxText(file) {
+    const xml = await readZipEntry(await file.arrayBuffer(), 'word/document.xml');
+    if (!xml) return '';
+
+    return xml
+        .replace(/<\/w:p>/g, '\n')
+        .replace(/<w:(tab|br)\/>/g, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Lowercases text and strips accents character by character, so positions in the
+ * folded text match positions in the original (used to place highlights).
+ * @param {string} text - The text to fold
+ * @returns {string}
+ */
+function foldText(text) {
+    let folded = '';
+    for (const char of text) {
+        const foldedChar = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+        // Keep the length of each character, e.g. for "İ" that lowercases to two characters
+        folded += foldedChar.length === char.length ? foldedChar : char;
+    }
+    return folded;
+}
+
+/**
+ * Splits a search query or a document's text into folded words.
+ * @param {string} text - The text to split
+ * @returns {string[]} - Distinct words of at least two characters
+ */
+export function getSearchTerms(text) {
+    const words = foldText(text || '').split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 2);
+    return [...new Set(words)];
+}
+
+/**
+ * Whether a text contains every search term (terms may match part of a word).
+ * @param {string} text - The text to check
+ * @param {string[]} searchTerms - Terms from getSearchTerms
+ * @returns {boolean}
+ */
+export function textMatchesTerms(text, searchTerms) {
+    const folded = foldText(text || '');
+    return searchTerms.every(term => folded.includes(term));
+}
+
+/**
+ * Stores the text of a document version in the `documentText` index.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {number} version - The version the text was extracted from
+ * @param {string} text - The extracted text
+ * @returns {Promise<void>}
+ */
+export async function saveDocumentText(db, documentId, version, text) {
+    await setDoc(doc(db, "documentText", getDocumentTextId(documentId, version)), {
+        documentId,
+        version,
+        text,
+        indexedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Extracts an uploaded file's text and adds it to the index. Files without extractable
+ * text are skipped. Indexing never fails the upload itself, so errors are only logged.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {number} version - The version the file was uploaded as
+ * @param {File} file - The uploaded file
+ * @returns {Promise<boolean>} - Whether text was indexed
+ */
+export async function indexDocumentFile(db, documentId, version, file) {
+    if (!isTextExtractable(file.name)) return false;
+
+    try {
+        const text = await extractDocumentText(file, file.name);
+        if (!text) return false;
+        await saveDocumentText(db, documentId, version, text);
+        return true;
+    } catch (error) {
+        console.error(`Error indexing text of ${file.name}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Loads the indexed text of each document's current version one by one, so every role searches
+ * the same documents and older versions are never matched. Partners can't query the whole index,
+ * since their access is checked per document. At most MAX_SEARCHED_DOCUMENTS are loaded.
+ * @param {object} db - Firestore database instance
+ * @param {object[]} documents - The documents the user can see
+ * @returns {Promise<{texts: Map<string, string>, truncated: boolean}>} - Document ID to its text,
+ *   for documents that have one; `truncated` when some documents were not loaded
+ */
+export async function loadDocumentTexts(db, documents) {
+    const texts = new Map();
+    const extractable = documents
+        .filter(d => isTextExtractable(d.name))
+        .sort((a, b) => getMillis(b.createdAt) - getMillis(a.createdAt));
+    const results = await Promise.allSettled(extractable
+        .slice(0, MAX_SEARCHED_DOCUMENTS)
+        .map(async (documentItem) => {
+            const entry = await getDoc(doc(db, "documentText", getDocumentTextId(documentItem.id, documentItem.version || 1)));
+            if (entry.exists()) {
+                texts.set(documentItem.id, entry.data().text);
+            }
+        }));
+
+    // Missing entries are refused by the rules like any unreadable doc; those are expected
+    results
+        .filter(result => result.status === 'rejected' && result.reason?.code !== 'permission-denied')
+        .forEach(result => console.error('Error loading document text:', result.reason));
+    return { texts, truncated: extractable.length > MAX_SEARCHED_DOCUMENTS };
+}
+
+/**
+ * Builds an HTML snippet around the first match in a text, with every term highlighted.
+ * @param {string} text - The document text
+ * @param {string[]} searchTerms - Terms from getSearchTerms
+ * @returns {string} - Escaped HTML with `<mark>` around matches, or '' when nothing matches
+ */
+export function buildSearchSnippet(text, searchTerms) {
+    if (!text || !searchTerms.length) return '';
+    const folded = foldText(text);
+
+    const firstMatch = Math.min(...searchTerms.map(term => folded.indexOf(term)).filter(index => index >= 0));
+    if (!Number.isFinite(firstMatch)) return '';
+
+    let start = Math.max(0, firstMatch - 60);
+    let end = Math.min(text.length, firstMatch + 160);
+    // Don't cut words in half at the edges of the snippet
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (end < text.length && lastSpace > firstMatch) end = lastSpace;
+
+    const ranges = [];
+    searchTerms.forEach(term => {
+        let index = folded.indexOf(term, start);
+        while (index >= 0 && index < end) {
+            ranges.push([index, Math.min(index + term.length, end)]);
+            index = folded.indexOf(term, index + term.length);
+        }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    let html = start > 0 ? '… ' : '';
+    let position = start;
+    ranges.forEach(([rangeStart, rangeEnd]) => {
+        if (rangeEnd <= position) return;
+        const markStart = Math.max(rangeStart, position);
+        html += escapeHtml(text.slice(position, markStart));
+        html += `<mark>${escapeHtml(text.slice(markStart, rangeEnd))}</mark>`;
+        position = rangeEnd;
+    });
+    html += escapeHtml(text.slice(position, end));
+    if (end < text.length) html += ' …';
+
+    return html.replace(/\s+/g, ' ');
+}
+
+/**
+ * Indexes the current version of every document that has no indexed text yet,
+ * e.g. files uploaded before search existed. Files are downloaded through their URL,
+ * which needs the bucket's CORS config (cors.json).
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<{indexed: number, skipped: number, failed: number}>}
+ */
+export async function indexExistingDocuments(db) {
+    const snapshot = await getDocs(collection(db, "documents"));
+    const result = { indexed: 0, skipped: 0, failed: 0 };
+
+    for (const documentSnapshot of snapshot.docs) {
+        const documentItem = { id: documentSnapshot.id, ...documentSnapshot.data() };
+        const version = documentItem.version || 1;
+        if (!documentItem.url || !isTextExtractable(documentItem.name)) {
+            result.skipped++;
+            continue;
+        }
+
+        try {
+            const existing = await getDoc(doc(db, "documentText", getDocumentTextId(documentItem.id, version)));
+            if (existing.exists()) {
+                result.skipped++;
+                continue;
+            }
+
+            const response = await fetch(documentItem.url);
+            if (!response.ok) throw new Error(`Download failed with status ${response.status}`);
+            const text = await extractDocumentText(await response.blob(), documentItem.name);
+            if (text) {
+                await saveDocumentText(db, documentItem.id, version, text);
+                result.indexed++;
+            } else {
+                result.skipped++;
+            }
+        } catch (error) {
+            console.error(`Error indexing ${documentItem.name}:`, error);
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+function getMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    if (value.seconds) return value.seconds * 1000;
+    return new Date(value).getTime() || 0;
+}
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,187 @@
+// constants/documentVersions.js
+
+import { collection, doc, getDocs, orderBy, query, serverTimestamp, updateDoc, writeBatch } from "firebase/firestore";
+import { getCurrentUserProfile } from "./currentUser.js";
+import { getDocumentTextId } from "./documentText.js";
+
+/**
+ * Builds a versions entry for a file uploaded by the signed-in user.
+ * @param {object} db - Firestore database instance
+ * @param {number} version - The version number (1 for the first upload)
+ * @param {object} file - The uploaded file's `name`, `type`, `url`, `storagePath`, `size` and `contentType`
+ * @returns {Promise<object>}
+ */
+async function buildVersionEntry(db, version, file) {
+    const profile = await getCurrentUserProfile(db);
+    return {
+        version,
+        name: file.name,
+        type: file.type,
+        url: file.url,
+        storagePath: file.storagePath,
+        size: file.size || null,
+        contentType: file.contentType || null,
+        uploadedBy: profile?.uid || null,
+        uploadedByName: profile?.displayName || 'Unknown user',
+        uploadedAt: serverTimestamp()
+    };
+}
+
+/**
+ * Reference to a version entry. The version number is the doc ID so each number exists once.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {number} version - The version number
+ * @returns {object}
+ */
+function versionRef(db, documentId, version) {
+    return doc(db, "documents", documentId, "versions", String(version));
+}
+
+/**
+ * Creates a document and records its first upload as version 1.
+ * @param {object} db - Firestore database instance
+ * @param {object} documentData - The document fields to store (folderId, partnerId, audience, ...)
+ * @param {object} file - The uploaded file (see buildVersionEntry)
+ * @param {string|null} documentId - ID reserved before the upload (see createDocumentId), or null for a new one
+ * @returns {Promise<string>} - The ID of the new document
+ */
+export async function addDocumentWithVersion(db, documentData, file, documentId = null) {
+    const documentRef = documentId ? doc(db, "documents", documentId) : doc(collection(db, "documents"));
+    const entry = await buildVersionEntry(db, 1, file);
+    const batch = writeBatch(db);
+
+    batch.set(documentRef, {
+        ...documentData,
+        name: file.name,
+        type: file.type,
+        url: file.url,
+        storagePath: file.storagePath,
+        version: 1,
+        versionCount: 1,
+        uploadedBy: entry.uploadedBy,
+        uploadedByName: entry.uploadedByName,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    batch.set(versionRef(db, documentRef.id, 1), entry);
+
+    await batch.commit();
+    return documentRef.id;
+}
+
+/**
+ * Reserves a document ID, so the Storage upload can be tagged with it before the doc exists.
+ * @param {object} db - Firestore database instance
+ * @returns {string}
+ */
+export function createDocumentId(db) {
+    return doc(collection(db, "documents")).id;
+}
+
+/**
+ * Makes a newly uploaded file the current version of an existing document.
+ * Earlier Storage objects are kept and stay listed in the version history.
+ * @param {object} db - Firestore database instance
+ * @param {object} documentItem - The current document (with `id`)
+ * @param {object} file - The uploaded file (see buildVersionEntry)
+ * @returns {Promise<number>} - The new version number
+ */
+export async function addDocumentVersion(db, documentItem, file) {
+    const batch = writeBatch(db);
+    const previousCount = documentItem.versionCount || 1;
+    const version = previousCount + 1;
+    const entry = await buildVersionEntry(db, version, file);
+
+    // Documents uploaded before versioning have no history yet; record their file as version 1
+    if (!documentItem.versionCount) {
+        batch.set(versionRef(db, documentItem.id, 1), {
+            version: 1,
+            name: documentItem.name || 'Untitled Document',
+            type: documentItem.type || 'document',
+            url: documentItem.url || null,
+            storagePath: documentItem.storagePath || null,
+            size: null,
+            contentType: null,
+            uploadedBy: documentItem.uploadedBy || null,
+            uploadedByName: documentItem.uploadedByName || 'Unknown user',
+            uploadedAt: documentItem.createdAt || serverTimestamp()
+        });
+    }
+
+    batch.update(doc(db, "documents", documentItem.id), {
+        name: file.name,
+        type: file.type,
+        url: file.url,
+        storagePath: file.storagePath,
+        version,
+        versionCount: version,
+        uploadedBy: entry.uploadedBy,
+        uploadedByName: entry.uploadedByName,
+        updatedAt: serverTimestamp()
+    });
+    batch.set(versionRef(db, documentItem.id, version), entry);
+
+    await batch.commit();
+    return version;
+}
+
+/**
+ * Loads a document's versions, newest first.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @returns {Promise<object[]>}
+ */
+export async function loadDocumentVersions(db, documentId) {
+    const versionsQuery = query(
+        collection(db, "documents", documentId, "versions"),
+        orderBy("version", "desc")
+    );
+    const snapshot = await getDocs(versionsQuery);
+    const versions = [];
+    snapshot.forEach((entry) => {
+        versions.push({ id: entry.id, ...entry.data() });
+    });
+    return versions;
+}
+
+/**
+ * Points a document back at an earlier version. The history itself is not changed,
+ * so a later version can be restored again.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {object} versionEntry - The version to make current
+ * @returns {Promise<void>}
+ */
+export async function restoreDocumentVersion(db, documentId, versionEntry) {
+    await updateDoc(doc(db, "documents", documentId), {
+        name: versionEntry.name,
+        type: versionEntry.type,
+        url: versionEntry.url,
+        storagePath: versionEntry.storagePath,
+        version: versionEntry.version,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Deletes a document together with its version entries and their indexed text.
+ * Storage objects are removed by the caller, since it holds the Storage instance.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {object[]} versions - The document's versions (from loadDocumentVersions)
+ * @returns {Promise<void>}
+ */
+export async function deleteDocumentWithVersions(db, documentId, versions) {
+    const batch = writeBatch(db);
+    versions.forEach((entry) => {
+        batch.delete(versionRef(db, documentId, entry.version));
+        batch.delete(doc(db, "documentText", getDocumentTextId(documentId, entry.version)));
+    });
+    // Documents uploaded before versioning have no entries, but may have indexed text
+    if (!versions.length) {
+        batch.delete(doc(db, "documentText", getDocumentTextId(documentId, 1)));
+    }
+    batch.delete(doc(db, "documents", documentId));
+    await batch.commit();
+}
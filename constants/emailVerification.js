@@ -0,0 +1,12 @@
+// constants/emailVerification.js
+
+/**
+ * Whether a signed-in user must verify their email before using the hub. Only email/password
+ * accounts are held back; Google Workspace accounts come with a verified email.
+ * @param {object} user - The Firebase Auth user
+ * @returns {boolean}
+ */
+export function needsEmailVerification(user) {
+    const usesPassword = user.providerData.some((provider) => provider.providerId === 'password');
+    return usesPassword && !user.emailVerified;
+}
@@ -0,0 +1,91 @@
+// constants/favorites.js
+
+import {
+    collection,
+    doc,
+    getDocs,
+    setDoc,
+    deleteDoc,
+    deleteField,
+    query,
+    where,
+    serverTimestamp,
+    writeBatch
+} from "firebase/firestore";
+import { can } from "./permissions.js";
+
+/**
+ * Loads the IDs of the documents the given user has starred.
+ * Favorites live in `users/{uid}/favorites/{documentId}` so each user has their own list.
+ * @param {object} db - Firestore database instance
+ * @param {string} uid - User ID
+ * @returns {Promise<Set<string>>}
+ */
+export async function loadFavoriteDocumentIds(db, uid) {
+    if (!uid) {
+        return new Set();
+    }
+
+    const snapshot = await getDocs(collection(db, "users", uid, "favorites"));
+    return new Set(snapshot.docs.map((favoriteDoc) => favoriteDoc.id));
+}
+
+/**
+ * Stars or unstars a document for the given user.
+ * @param {object} db - Firestore database instance
+ * @param {string} uid - User ID
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {boolean} isFavorite - Whether the document should be a favorite
+ * @returns {Promise<void>}
+ */
+export async function setDocumentFavorite(db, uid, documentId, isFavorite) {
+    const favoriteRef = doc(db, "users", uid, "favorites", documentId);
+    if (isFavorite) {
+        await setDoc(favoriteRef, { documentId, createdAt: serverTimestamp() });
+    } else {
+        await deleteDoc(favoriteRef);
+    }
+}
+
+/**
+ * Moves the legacy shared `isFavorite` flags on `documents` into per-user favorites.
+ * A flagged document becomes a favorite of every active user who can see it, so nobody
+ * loses a star they had, and the flag is removed from the document afterwards.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<number>} Number of flagged documents that were migrated
+ */
+export async function migrateDocumentFavorites(db) {
+    const [flaggedSnapshot, usersSnapshot] = await Promise.all([
+        getDocs(query(collection(db, "documents"), where("isFavorite", "==", true))),
+        getDocs(collection(db, "users"))
+    ]);
+
+    const writes = [];
+    const users = usersSnapshot.docs
+        .map((userDoc) => ({ uid: userDoc.id, ...userDoc.data() }))
+        .filter((user) => user.active !== false);
+
+    flaggedSnapshot.forEach((documentSnap) => {
+        const document = documentSnap.data();
+        users.forEach((user) => {
+            const canSee = can(user.role, 'partners:view-all')
+                || (can(user.role, 'documents:view') && user.partnerId && user.partnerId === document.partnerId);
+            if (canSee) {
+                writes.push((batch) => batch.set(doc(db, "users", user.uid, "favorites", documentSnap.id), {
+                    documentId: documentSnap.id,
+                    createdAt: serverTimestamp()
+                }));
+            }
+        });
+        writes.push((batch) => batch.update(documentSnap.ref, { isFavorite: deleteField() }));
+    });
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < writes.length; i += 500) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 500).forEach((write) => write(batch));
+        await batch.commit();
+    }
+
+    return flaggedSnapshot.size;
+}
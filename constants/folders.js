@@ -0,0 +1,316 @@
+// constants/folders.js
+
+import {
+    collection,
+    doc,
+    getDocs,
+    addDoc,
+    updateDoc,
+    deleteField,
+    query,
+    where,
+    serverTimestamp,
+    writeBatch
+} from "firebase/firestore";
+
+/**
+ * Folders that existed as hardcoded defaults before folders were stored by ID.
+ * The migration creates them so their documents keep their place.
+ */
+const LEGACY_DEFAULT_FOLDERS = ['Presentations', 'Videos'];
+
+/**
+ * Loads folders. Folders are keyed by ID and point at their parent with `parentId` (null = root).
+ * @param {object} db - Firestore database instance
+ * @param {string[]|null} audience - Partner audience tokens (see sharing.js); null loads every folder (staff)
+ * @returns {Promise<object[]>} Folders sorted by name
+ */
+export async function loadFolders(db, audience = null) {
+    const foldersCol = collection(db, "folders");
+    const snapshot = await getDocs(audience
+        ? query(foldersCol, where("audience", "array-contains-any", audience))
+        : foldersCol);
+    const folders = [];
+    snapshot.forEach((folderDoc) => {
+        const data = folderDoc.data();
+        folders.push({ id: folderDoc.id, ...data, parentId: data.parentId || null });
+    });
+    return folders.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Returns the chain of folders from the root down to the given folder, for breadcrumbs.
+ * @param {object[]} folders - All folders
+ * @param {string|null} folderId - The folder to resolve
+ * @returns {object[]}
+ */
+export function getFolderPath(folders, folderId) {
+    const path = [];
+    const seen = new Set();
+    let folder = folders.find((f) => f.id === folderId);
+    while (folder && !seen.has(folder.id)) {
+        seen.add(folder.id);
+        path.unshift(folder);
+        folder = folders.find((f) => f.id === folder.parentId);
+    }
+    return path;
+}
+
+/**
+ * Returns the IDs of a folder and everything nested below it.
+ * @param {object[]} folders - All folders
+ * @param {string} folderId - The top folder
+ * @returns {Set<string>}
+ */
+export function getFolderSubtreeIds(folders, folderId) {
+    const ids = new Set([folderId]);
+    let added = true;
+    while (added) {
+        added = false;
+        folders.forEach((folder) => {
+            if (folder.parentId && ids.has(folder.parentId) && !ids.has(folder.id)) {
+                ids.add(folder.id);
+                added = true;
+            }
+        });
+    }
+    return ids;
+}
+
+/**
+ * Flattens the folder tree depth-first, with each folder's nesting depth, for selects.
+ * @param {object[]} folders - All folders
+ * @param {Set<string>} excludedIds - Folders (and their subtrees) to leave out
+ * @returns {{folder: object, depth: number}[]}
+ */
+export function getFolderTreeOptions(folders, excludedIds = new Set()) {
+    const options = [];
+    const addChildren = (parentId, depth) => {
+        folders
+            .filter((folder) => folder.parentId === parentId && !excludedIds.has(folder.id))
+            .forEach((folder) => {
+                options.push({ folder, depth });
+                addChildren(folder.id, depth + 1);
+            });
+    };
+    addChildren(null, 0);
+    return options;
+}
+
+/**
+ * Checks whether a sibling folder already uses a name (case-insensitive).
+ * @param {object[]} folders - All folders
+ * @param {string} name - The proposed name
+ * @param {string|null} parentId - The parent the folder lives in
+ * @param {string|null} ignoreId - The folder being renamed, if any
+ * @returns {boolean}
+ */
+export function isFolderNameTaken(folders, name, parentId, ignoreId = null) {
+    const normalized = name.trim().toLowerCase();
+    return folders.some((folder) =>
+        folder.id !== ignoreId
+        && folder.parentId === (parentId || null)
+        && (folder.name || '').trim().toLowerCase() === normalized
+    );
+}
+
+/**
+ * Creates a folder.
+ * @param {object} db - Firestore database instance
+ * @param {string} name - Folder name
+ * @param {string|null} parentId - Parent folder ID (null = root)
+ * @param {string[]} audience - Who the folder is shared with (usually the parent's audience)
+ * @returns {Promise<string>} The new folder's ID
+ */
+export async function createFolder(db, name, parentId = null, audience = []) {
+    const folderRef = await addDoc(collection(db, "folders"), {
+        name,
+        parentId: parentId || null,
+        audience,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+    return folderRef.id;
+}
+
+/**
+ * Renames a folder and/or moves it under another parent.
+ * @param {object} db - Firestore database instance
+ * @param {object[]} folders - All folders (used to refuse moving a folder into itself)
+ * @param {string} folderId - The folder to update
+ * @param {{name: string, parentId: string|null}} changes - The new name and parent
+ * @returns {Promise<void>}
+ */
+export async function updateFolder(db, folders, folderId, { name, parentId }) {
+    if (parentId && getFolderSubtreeIds(folders, folderId).has(parentId)) {
+        throw new Error('A folder cannot be moved into itself or one of its subfolders.');
+    }
+
+    await updateDoc(doc(db, "folders", folderId), {
+        name,
+        parentId: parentId || null,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Deletes a folder and hands its direct documents and subfolders to the folder's parent.
+ * @param {object} db - Firestore database instance
+ * @param {object[]} folders - All folders
+ * @param {object[]} documents - The documents to re-home (those directly inside the folder)
+ * @param {string} folderId - The folder to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteFolderKeepingContents(db, folders, documents, folderId) {
+    const folder = folders.find((f) => f.id === folderId);
+    const parentId = folder?.parentId || null;
+    const writes = [];
+
+    folders
+        .filter((f) => f.parentId === folderId)
+        .forEach((child) => writes.push((batch) => batch.update(doc(db, "folders", child.id), {
+            parentId,
+            updatedAt: serverTimestamp()
+        })));
+    documents.forEach((document) => writes.push((batch) => batch.update(doc(db, "documents", document.id), {
+        folderId: parentId,
+        updatedAt: serverTimestamp()
+    })));
+    writes.push((batch) => batch.delete(doc(db, "folders", folderId)));
+
+    await commitInBatches(db, writes);
+}
+
+/**
+ * Deletes folder docs. Documents inside them must already be deleted by the caller,
+ * which also removes their Storage files.
+ * @param {object} db - Firestore database instance
+ * @param {Iterable<string>} folderIds - The folders to delete
+ * @returns {Promise<void>}
+ */
+export async function deleteFolders(db, folderIds) {
+    const writes = [...folderIds].map((folderId) => (batch) => batch.delete(doc(db, "folders", folderId)));
+    await commitInBatches(db, writes);
+}
+
+/**
+ * Moves a document into a folder.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {string|null} folderId - Target folder (null = root)
+ * @returns {Promise<void>}
+ */
+export async function moveDocumentToFolder(db, documentId, folderId) {
+    await updateDoc(doc(db, "documents", documentId), {
+        folderId: folderId || null,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Moves several documents into the same folder.
+ * @param {object} db - Firestore database instance
+ * @param {string[]} documentIds - IDs of the `documents` docs
+ * @param {string|null} folderId - Target folder (null = root)
+ * @returns {Promise<void>}
+ */
+export async function moveDocumentsToFolder(db, documentIds, folderId) {
+    await commitInBatches(db, documentIds.map((documentId) => (batch) => {
+        batch.update(doc(db, "documents", documentId), {
+            folderId: folderId || null,
+            updatedAt: serverTimestamp()
+        });
+    }));
+}
+
+/**
+ * Resolves the folder a document lives in. Documents that haven't been migrated yet
+ * still carry the legacy folder name, which maps to the root folder with that name.
+ * @param {object} document - The document
+ * @param {object[]} folders - All folders
+ * @returns {string|null}
+ */
+export function getDocumentFolderId(document, folders) {
+    if (document.folderId !== undefined) {
+        return document.folderId || null;
+    }
+    if (!document.folder) {
+        return null;
+    }
+    return folders.find((folder) => !folder.parentId && folder.name === document.folder)?.id || null;
+}
+
+/**
+ * Migrates name-keyed folders to ID-keyed folders: every legacy folder name (including the old
+ * hardcoded defaults) gets a root folder, and each document's `folder` name becomes a `folderId`.
+ * Safe to run more than once.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<number>} Number of documents that were updated
+ */
+export async function migrateLegacyFolders(db) {
+    const [foldersSnapshot, documentsSnapshot] = await Promise.all([
+        getDocs(collection(db, "folders")),
+        getDocs(query(collection(db, "documents"), where("folder", "!=", null)))
+    ]);
+    const writes = [];
+    const folderIdsByName = new Map();
+    let alreadyMigrated = false;
+
+    // Existing folder docs were created without a parent
+    foldersSnapshot.forEach((folderDoc) => {
+        const data = folderDoc.data();
+        if ('parentId' in data) {
+            alreadyMigrated = true;
+        } else {
+            writes.push((batch) => batch.update(folderDoc.ref, { parentId: null }));
+        }
+        if (!data.parentId) {
+            folderIdsByName.set(data.name, folderDoc.id);
+        }
+    });
+
+    const ensureFolder = (name) => {
+        if (!folderIdsByName.has(name)) {
+            const folderRef = doc(collection(db, "folders"));
+            folderIdsByName.set(name, folderRef.id);
+            writes.push((batch) => batch.set(folderRef, {
+                name,
+                parentId: null,
+                createdAt: serverTimestamp(),
+                updatedAt: serverTimestamp()
+            }));
+        }
+        return folderIdsByName.get(name);
+    };
+
+    // The defaults are only created once, so renaming or deleting them later sticks
+    if (!alreadyMigrated) {
+        LEGACY_DEFAULT_FOLDERS.forEach(ensureFolder);
+    }
+
+    documentsSnapshot.forEach((documentSnap) => {
+        const folderName = documentSnap.data().folder;
+        const folderId = folderName ? ensureFolder(folderName) : null;
+        writes.push((batch) => batch.update(documentSnap.ref, {
+            folderId,
+            folder: deleteField()
+        }));
+    });
+
+    await commitInBatches(db, writes);
+    return documentsSnapshot.size;
+}
+
+/**
+ * Runs queued batch writes, 500 at a time (the Firestore batch limit).
+ * @param {object} db - Firestore database instance
+ * @param {Function[]} writes - Functions that add one write to a batch
+ * @returns {Promise<void>}
+ */
+async function commitInBatches(db, writes) {
+    for (let i = 0; i < writes.length; i += 500) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 500).forEach((write) => write(batch));
+        await batch.commit();
+    }
+}
@@ -0,0 +1,426 @@
+// constants/intakeForms.js
+
+import {
+    addDoc,
+    collection,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    serverTimestamp,
+    updateDoc,
+    where,
+    writeBatch
+} from "firebase/firestore";
+import { getCurrentUserProfile } from "./currentUser.js";
+import { loadCsGuideTemplates, getMatchingCsGuideTemplate, buildCsGuideStatus } from "./csGuideTemplates.js";
+
+/**
+ * Field types the form builder offers. `hasOptions` types take a list of choices.
+ */
+export const FORM_FIELD_TYPES = [
+    { value: 'text', label: 'Short text' },
+    { value: 'textarea', label: 'Long text' },
+    { value: 'number', label: 'Number' },
+    { value: 'email', label: 'Email' },
+    { value: 'date', label: 'Date' },
+    { value: 'select', label: 'Dropdown', hasOptions: true },
+    { value: 'multiselect', label: 'Checkboxes', hasOptions: true },
+    { value: 'checkbox', label: 'Yes / No' }
+];
+
+/**
+ * CS guide items ticked when a form is assigned and when the partner submits it,
+ * matching the steps in the default checklist (constants/csGuideTemplates.js).
+ */
+export const DEFAULT_ASSIGN_CS_GUIDE_ITEMS = ['Form sent'];
+export const DEFAULT_SUBMIT_CS_GUIDE_ITEMS = ['Form answered by partner'];
+
+/**
+ * Longest checklist a partner can tick items on. firestore.rules compares the checklist
+ * item by item and has no loops, so it stops at this many items.
+ */
+export const PARTNER_CS_GUIDE_ITEM_LIMIT = 50;
+
+/**
+ * Statuses of a form assigned to a partner, with their display labels.
+ */
+export const ASSIGNMENT_STATUS_LABELS = {
+    assigned: 'Not started',
+    draft: 'Draft saved',
+    submitted: 'Submitted'
+};
+
+/**
+ * Creates an ID for a new section or field, unique within its form.
+ * @param {string} prefix - 'section' or 'field'
+ * @returns {string}
+ */
+export function createFormItemId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Checks whether a field type takes a list of choices.
+ * @param {string} type - A FORM_FIELD_TYPES value
+ * @returns {boolean}
+ */
+export function fieldHasOptions(type) {
+    return Boolean(FORM_FIELD_TYPES.find((fieldType) => fieldType.value === type)?.hasOptions);
+}
+
+/**
+ * Loads every form definition, sorted by title.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<object[]>}
+ */
+export async function loadIntakeForms(db) {
+    const snapshot = await getDocs(collection(db, "intakeForms"));
+    const forms = [];
+    snapshot.forEach((formDoc) => forms.push({ id: formDoc.id, ...formDoc.data() }));
+    return forms.sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+}
+
+/**
+ * Creates or updates a form definition. Forms already assigned keep the sections they were
+ * assigned with, so editing a form never changes what a partner is filling in.
+ * @param {object} db - Firestore database instance
+ * @param {string|null} formId - ID of the form being edited, or null for a new one
+ * @param {object} form - `title`, `description`, `sections`, `assignCsGuideItems` and `submitCsGuideItems`
+ * @returns {Promise<string>} - The form's ID
+ */
+export async function saveIntakeForm(db, formId, form) {
+    const profile = await getCurrentUserProfile(db);
+    const data = {
+        title: form.title.trim(),
+        description: (form.description || '').trim() || null,
+        sections: form.sections,
+        assignCsGuideItems: form.assignCsGuideItems || [],
+        submitCsGuideItems: form.submitCsGuideItems || [],
+        updatedBy: profile?.uid || null,
+        updatedByName: profile?.displayName || 'Unknown user',
+        updatedAt: serverTimestamp()
+    };
+
+    if (formId) {
+        await updateDoc(doc(db, "intakeForms", formId), data);
+        return formId;
+    }
+    const formRef = await addDoc(collection(db, "intakeForms"), {
+        ...data,
+        createdBy: profile?.uid || null,
+        createdAt: serverTimestamp()
+    });
+    return formRef.id;
+}
+
+/**
+ * Deletes a form definition. Forms already assigned to partners are kept.
+ * @param {object} db - Firestore database instance
+ * @param {string} formId - ID of the `intakeForms` doc
+ * @returns {Promise<void>}
+ */
+export async function deleteIntakeForm(db, formId) {
+    await deleteDoc(doc(db, "intakeForms", formId));
+}
+
+/**
+ * Checks a form definition before it is saved.
+ * @param {object} form - The form being built
+ * @returns {string|null} - What is wrong with the form, or null when it can be saved
+ */
+export function getIntakeFormError(form) {
+    if (!form.title || !form.title.trim()) return 'Please enter a form title.';
+    if (!form.sections.length) return 'Add at least one section.';
+
+    const fieldIds = [];
+    for (const section of form.sections) {
+        if (!section.title.trim()) return 'Please give every section a title.';
+        if (!section.fields.length) return `Add at least one field to "${section.title}".`;
+        if (section.condition && !fieldIds.includes(section.condition.fieldId)) {
+            return `"${section.title}" can only depend on a field in an earlier section.`;
+        }
+        for (const field of section.fields) {
+            if (!field.label.trim()) return `Please give every field in "${section.title}" a label.`;
+            if (fieldHasOptions(field.type) && !field.options.length) {
+                return `"${field.label}" needs at least one choice.`;
+            }
+            fieldIds.push(field.id);
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a section applies given the answers so far. A conditional section is shown
+ * when its field has the expected answer; for checkboxes fields, when that choice is ticked.
+ * @param {object} section - The section (`condition`: `{fieldId, value}` or null)
+ * @param {object} answers - Field ID to answer
+ * @returns {boolean}
+ */
+export function isSectionVisible(section, answers) {
+    if (!section.condition) return true;
+    const answer = answers[section.condition.fieldId];
+    const expected = section.condition.value;
+    if (Array.isArray(answer)) return answer.includes(expected);
+    if (typeof answer === 'boolean') return (answer ? 'yes' : 'no') === expected;
+    return String(answer ?? '').trim().toLowerCase() === String(expected ?? '').trim().toLowerCase();
+}
+
+/**
+ * Drops the answers to sections that no longer apply, e.g. after an earlier answer changed.
+ * @param {object} form - The form (`sections`)
+ * @param {object} answers - Field ID to answer
+ * @returns {object} - The answers to visible sections
+ */
+export function getVisibleAnswers(form, answers) {
+    const visibleAnswers = {};
+    form.sections.forEach((section) => {
+        if (!isSectionVisible(section, visibleAnswers)) return;
+        section.fields.forEach((field) => {
+            if (answers[field.id] !== undefined) visibleAnswers[field.id] = answers[field.id];
+        });
+    });
+    return visibleAnswers;
+}
+
+/**
+ * Finds the required fields in visible sections that have no answer, before submitting.
+ * @param {object} form - The form (`sections`)
+ * @param {object} answers - Field ID to answer
+ * @returns {object[]} - The unanswered required fields
+ */
+export function getMissingRequiredFields(form, answers) {
+    const visibleAnswers = getVisibleAnswers(form, answers);
+    const missing = [];
+    form.sections.forEach((section) => {
+        if (!isSectionVisible(section, visibleAnswers)) return;
+        section.fields.forEach((field) => {
+            const answer = visibleAnswers[field.id];
+            const isEmpty = answer === undefined || answer === null
+                || (Array.isArray(answer) ? !answer.length : String(answer).trim() === '');
+            if (field.required && isEmpty) missing.push(field);
+        });
+    });
+    return missing;
+}
+
+/**
+ * Formats an answer for display.
+ * @param {object} field - The field the answer belongs to
+ * @param {*} answer - The stored answer
+ * @returns {string}
+ */
+export function formatAnswer(field, answer) {
+    if (answer === undefined || answer === null || answer === '') return '';
+    if (field.type === 'checkbox') return answer ? 'Yes' : 'No';
+    if (Array.isArray(answer)) return answer.join(', ');
+    if (field.type === 'date') {
+        const date = new Date(`${answer}T00:00:00`);
+        return Number.isNaN(date.getTime()) ? String(answer) : date.toLocaleDateString();
+    }
+    return String(answer);
+}
+
+/**
+ * Ticks the CS guide items whose labels match exactly, as firestore.rules does. Items that
+ * aren't part of the partner's checklist are ignored.
+ * @param {object[]} csGuideStatus - The partner's checklist ({ label, completed })
+ * @param {string[]} labels - Labels of the items to tick
+ * @returns {{csGuideStatus: object[], changed: boolean}}
+ */
+export function completeCsGuideItems(csGuideStatus, labels) {
+    const wanted = new Set(labels || []);
+    let changed = false;
+    const status = (csGuideStatus || []).map((item) => {
+        if (!item.completed && wanted.has(item.label)) {
+            changed = true;
+            return { ...item, completed: true };
+        }
+        return item;
+    });
+    return { csGuideStatus: status, changed };
+}
+
+/**
+ * The partner's checklist; partners without a stored one get the matching template,
+ * as on the partner detail page.
+ * @param {object} db - Firestore database instance
+ * @param {object} partner - The partner record
+ * @returns {Promise<object[]>}
+ */
+async function getPartnerCsGuideStatus(db, partner) {
+    if (Array.isArray(partner.csGuideStatus) && partner.csGuideStatus.length) {
+        return partner.csGuideStatus;
+    }
+    const templates = await loadCsGuideTemplates(db);
+    return buildCsGuideStatus(getMatchingCsGuideTemplate(templates, partner.integrationType, partner.onboardingStatus || null));
+}
+
+/**
+ * Assigns a form to a partner. The assignment keeps a copy of the form's sections, and the
+ * form's "on assign" CS guide items are ticked in the same write. Partners without a stored
+ * checklist get the matching template stored, since the partner can only tick items on submit.
+ * @param {object} db - Firestore database instance
+ * @param {object} form - The form definition (with `id`)
+ * @param {object} partner - The partner record (with `id`)
+ * @returns {Promise<string>} - The ID of the new assignment
+ */
+export async function assignIntakeForm(db, form, partner) {
+    const profile = await getCurrentUserProfile(db);
+    const assignmentRef = doc(collection(db, "intakeAssignments"));
+    const batch = writeBatch(db);
+
+    batch.set(assignmentRef, {
+        formId: form.id,
+        title: form.title,
+        description: form.description || null,
+        sections: form.sections,
+        submitCsGuideItems: form.submitCsGuideItems || [],
+        partnerId: partner.partnerId,
+        partnerDocId: partner.id,
+        partnerName: partner.name || partner.partnerId,
+        status: 'assigned',
+        answers: {},
+        assignedBy: profile?.uid || null,
+        assignedByName: profile?.displayName || 'Unknown user',
+        assignedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    });
+
+    const hasStoredStatus = Array.isArray(partner.csGuideStatus) && partner.csGuideStatus.length > 0;
+    const { csGuideStatus, changed } = completeCsGuideItems(await getPartnerCsGuideStatus(db, partner), form.assignCsGuideItems);
+    if (changed || !hasStoredStatus) {
+        batch.update(doc(db, "partners", partner.id), { csGuideStatus, lastUpdated: serverTimestamp() });
+    }
+
+    await batch.commit();
+    return assignmentRef.id;
+}
+
+/**
+ * Loads the forms assigned to a partner, most recently updated first.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerId - The partner's partner ID
+ * @returns {Promise<object[]>}
+ */
+export async function loadPartnerAssignments(db, partnerId) {
+    const snapshot = await getDocs(query(collection(db, "intakeAssignments"), where("partnerId", "==", partnerId)));
+    return sortAssignments(snapshot);
+}
+
+/**
+ * Loads every assigned form, for staff, most recently updated first.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<object[]>}
+ */
+export async function loadAllAssignments(db) {
+    return sortAssignments(await getDocs(collection(db, "intakeAssignments")));
+}
+
+function sortAssignments(snapshot) {
+    const assignments = [];
+    snapshot.forEach((assignmentDoc) => assignments.push({ id: assignmentDoc.id, ...assignmentDoc.data() }));
+    return assignments.sort((a, b) => getMillis(b.updatedAt) - getMillis(a.updatedAt));
+}
+
+/**
+ * Loads one assigned form.
+ * @param {object} db - Firestore database instance
+ * @param {string} assignmentId - ID of the `intakeAssignments` doc
+ * @returns {Promise<object|null>}
+ */
+export async function loadAssignment(db, assignmentId) {
+    const snapshot = await getDoc(doc(db, "intakeAssignments", assignmentId));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+/**
+ * Saves the partner's answers without submitting them.
+ * @param {object} db - Firestore database instance
+ * @param {string} assignmentId - ID of the `intakeAssignments` doc
+ * @param {object} answers - Field ID to answer
+ * @returns {Promise<void>}
+ */
+export async function saveAssignmentDraft(db, assignmentId, answers) {
+    const profile = await getCurrentUserProfile(db);
+    await updateDoc(doc(db, "intakeAssignments", assignmentId), {
+        answers,
+        status: 'draft',
+        updatedBy: profile?.uid || null,
+        updatedByName: profile?.displayName || 'Unknown user',
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Submits the partner's answers and ticks the form's "on submit" CS guide items in the same
+ * write. firestore.rules only lets partners tick those items on their stored checklist,
+ * together with a submission; otherwise only the answers are submitted.
+ * @param {object} db - Firestore database instance
+ * @param {object} assignment - The assigned form (with `id`, `partnerDocId` and `sections`)
+ * @param {object} answers - Field ID to answer
+ * @returns {Promise<void>}
+ */
+export async function submitAssignment(db, assignment, answers) {
+    const profile = await getCurrentUserProfile(db);
+    const partnerRef = doc(db, "partners", assignment.partnerDocId);
+    const partnerSnap = await getDoc(partnerRef);
+    const batch = writeBatch(db);
+
+    batch.update(doc(db, "intakeAssignments", assignment.id), {
+        answers: getVisibleAnswers(assignment, answers),
+        status: 'submitted',
+        updatedBy: profile?.uid || null,
+        updatedByName: profile?.displayName || 'Unknown user',
+        updatedAt: serverTimestamp(),
+        submittedBy: profile?.uid || null,
+        submittedByName: profile?.displayName || 'Unknown user',
+        submittedAt: serverTimestamp()
+    });
+
+    const storedStatus = partnerSnap.exists() ? partnerSnap.data().csGuideStatus : null;
+    if (Array.isArray(storedStatus) && storedStatus.length <= PARTNER_CS_GUIDE_ITEM_LIMIT) {
+        const { csGuideStatus, changed } = completeCsGuideItems(storedStatus, assignment.submitCsGuideItems);
+        if (changed) {
+            batch.update(partnerRef, {
+                csGuideStatus,
+                lastIntakeAssignmentId: assignment.id,
+                lastUpdated: serverTimestamp()
+            });
+        }
+    }
+
+    await batch.commit();
+}
+
+/**
+ * Lets the partner change a submitted form again. CS guide items stay ticked.
+ * @param {object} db - Firestore database instance
+ * @param {string} assignmentId - ID of the `intakeAssignments` doc
+ * @returns {Promise<void>}
+ */
+export async function reopenAssignment(db, assignmentId) {
+    await updateDoc(doc(db, "intakeAssignments", assignmentId), {
+        status: 'draft',
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Withdraws a form from a partner, deleting their answers.
+ * @param {object} db - Firestore database instance
+ * @param {string} assignmentId - ID of the `intakeAssignments` doc
+ * @returns {Promise<void>}
+ */
+export async function deleteAssignment(db, assignmentId) {
+    await deleteDoc(doc(db, "intakeAssignments", assignmentId));
+}
+
+function getMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    if (value.seconds) return value.seconds * 1000;
+    return new Date(value).getTime() || 0;
+}
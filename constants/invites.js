@@ -0,0 +1,204 @@
+// constants/invites.js
+
+import {
+    Timestamp,
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    serverTimestamp,
+    setDoc,
+    updateDoc,
+    where,
+    writeBatch
+} from "firebase/firestore";
+import { getCurrentUserProfile } from "./currentUser.js";
+
+/**
+ * How long an invite link stays valid.
+ */
+const INVITE_VALIDITY_DAYS = 7;
+
+/**
+ * sessionStorage key holding the invite token between the invite link and the first sign-in.
+ */
+export const PENDING_INVITE_KEY = 'pendingInviteToken';
+
+function generateToken() {
+    const bytes = new Uint8Array(24);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function getExpiryTimestamp() {
+    return Timestamp.fromDate(new Date(Date.now() + INVITE_VALIDITY_DAYS * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Builds the sign-up link for an invite.
+ * @param {string} token - The invite token
+ * @returns {string}
+ */
+export function getInviteLink(token) {
+    return `${window.location.origin}/invite/${token}`;
+}
+
+/**
+ * Gets the display status of an invite, taking the expiry into account.
+ * @param {object} invite - The invite record
+ * @returns {'pending'|'expired'|'accepted'|'revoked'}
+ */
+export function getInviteStatus(invite) {
+    if (invite.status === 'pending' && invite.expiresAt?.toDate && invite.expiresAt.toDate() < new Date()) {
+        return 'expired';
+    }
+    return invite.status;
+}
+
+/**
+ * Creates an invite that binds the new account to a partner with the 'partner' role.
+ * The invite's document ID is the token used in the sign-up link.
+ * @param {object} db - Firestore database instance
+ * @param {object} partner - The partner record ({ id, partnerId, name })
+ * @param {string} email - The partner contact's email address
+ * @returns {Promise<string>} - The invite token
+ */
+export async function createInvite(db, partner, email) {
+    const profile = await getCurrentUserProfile(db);
+    const token = generateToken();
+
+    await setDoc(doc(db, "invites", token), {
+        email: email.trim().toLowerCase(),
+        role: 'partner',
+        partnerId: partner.partnerId,
+        partnerDocId: partner.id,
+        partnerName: partner.name || partner.partnerId,
+        status: 'pending',
+        createdBy: profile?.uid || null,
+        createdByName: profile?.displayName || 'Unknown user',
+        createdAt: serverTimestamp(),
+        lastSentAt: serverTimestamp(),
+        expiresAt: getExpiryTimestamp()
+    });
+
+    return token;
+}
+
+/**
+ * Renews an invite's expiry so its link can be sent again. Expired invites become pending again.
+ * @param {object} db - Firestore database instance
+ * @param {string} token - The invite token
+ * @returns {Promise<void>}
+ */
+export async function resendInvite(db, token) {
+    await updateDoc(doc(db, "invites", token), {
+        status: 'pending',
+        lastSentAt: serverTimestamp(),
+        expiresAt: getExpiryTimestamp()
+    });
+}
+
+/**
+ * Revokes an invite so its link can no longer be used.
+ * @param {object} db - Firestore database instance
+ * @param {string} token - The invite token
+ * @returns {Promise<void>}
+ */
+export async function revokeInvite(db, token) {
+    await updateDoc(doc(db, "invites", token), { status: 'revoked' });
+}
+
+/**
+ * Loads the invites sent for a partner, newest first.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerId - The partner's partnerId
+ * @returns {Promise<object[]>}
+ */
+export async function loadPartnerInvites(db, partnerId) {
+    const snapshot = await getDocs(query(collection(db, "invites"), where("partnerId", "==", partnerId)));
+    const invites = [];
+    snapshot.forEach((inviteDoc) => {
+        invites.push({ token: inviteDoc.id, ...inviteDoc.data() });
+    });
+    return invites.sort((a, b) => (b.createdAt?.seconds || 0) - (a.createdAt?.seconds || 0));
+}
+
+/**
+ * Loads an invite by token (used on the sign-up page, before the user is signed in).
+ * @param {object} db - Firestore database instance
+ * @param {string} token - The invite token
+ * @returns {Promise<object|null>}
+ */
+export async function loadInvite(db, token) {
+    const inviteSnap = await getDoc(doc(db, "invites", token));
+    return inviteSnap.exists() ? { token, ...inviteSnap.data() } : null;
+}
+
+/**
+ * Creates the signed-in user's `users` doc from an invite and marks the invite as accepted.
+ * firestore.rules require a verified email on the ID token, so the token is refreshed first: the
+ * cached one still says unverified when the user verified their email after signing in.
+ * @param {object} db - Firestore database instance
+ * @param {object} user - The Firebase Auth user
+ * @param {string} token - The invite token
+ * @returns {Promise<{role: string, partnerId: string}>}
+ */
+export async function redeemInvite(db, user, token) {
+    const invite = await loadInvite(db, token);
+    if (!invite || getInviteStatus(invite) !== 'pending') {
+        throw new Error("This invite is no longer valid");
+    }
+    if ((user.email || '').toLowerCase() !== invite.email) {
+        throw new Error("This invite was sent to a different email address");
+    }
+
+    await user.getIdToken(true);
+    const batch = writeBatch(db);
+    batch.set(doc(db, "users", user.uid), {
+        email: user.email,
+        displayName: user.displayName || user.email,
+        role: invite.role,
+        partnerId: invite.partnerId,
+        inviteToken: token,
+        active: true,
+        createdAt: serverTimestamp()
+    });
+    batch.update(doc(db, "invites", token), {
+        status: 'accepted',
+        acceptedBy: user.uid,
+        acceptedAt: serverTimestamp()
+    });
+    await batch.commit();
+
+    return { role: invite.role, partnerId: invite.partnerId };
+}
+
+/**
+ * Checks whether anyone may create an account from the login page without an invite.
+ * Defaults to true when the setting has never been saved.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<boolean>}
+ */
+export async function isOpenSignUpEnabled(db) {
+    try {
+        const settingsDocSnap = await getDoc(doc(db, "settings", "auth"));
+        return settingsDocSnap.exists() ? settingsDocSnap.data().openSignUp !== false : true;
+    } catch (error) {
+        console.warn("Could not load sign-up settings:", error);
+        return true;
+    }
+}
+
+/**
+ * Enables or disables open sign-up on the login page.
+ * @param {object} db - Firestore database instance
+ * @param {boolean} enabled - Whether open sign-up is allowed
+ * @returns {Promise<void>}
+ */
+export async function setOpenSignUpEnabled(db, enabled) {
+    await setDoc(doc(db, "settings", "auth"), {
+        openSignUp: enabled,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+}
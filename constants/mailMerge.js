@@ -0,0 +1,424 @@
+// constants/mailMerge.js
+
+import { ref, uploadBytes, getDownloadURL, deleteObject } from "firebase/storage";
+import { addDocumentWithVersion, createDocumentId } from "./documentVersions.js";
+import { saveDocumentText } from "./documentText.js";
+import { renderMarkdown } from "./markdown.js";
+import { createZip } from "./zip.js";
+
+/**
+ * Placeholders a template's merge content can use, filled from the partner record.
+ * `{{today}}` is the date the copy is generated.
+ */
+export const MERGE_PLACEHOLDERS = [
+    { key: 'partner.name', label: 'Partner name' },
+    { key: 'partner.partnerId', label: 'Partner ID' },
+    { key: 'partner.psm', label: 'PSM' },
+    { key: 'partner.integrationType', label: 'Integration type' },
+    { key: 'partner.onboardingStatus', label: 'Onboarding stage' },
+    { key: 'partner.contactEmail', label: 'Contact email' },
+    { key: 'today', label: "Today's date" }
+];
+
+/**
+ * Formats a personalized copy can be produced in. Each is a type the Documents page accepts.
+ */
+export const MERGE_OUTPUT_FORMATS = {
+    markdown: { label: 'Text (.md)', extension: 'md', contentType: 'text/markdown' },
+    docx: { label: 'Word (.docx)', extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+    pdf: { label: 'PDF (.pdf)', extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Looks up the value for each placeholder in a partner record.
+ * @param {object} partner - The partner record
+ * @returns {Object<string, string>} - Placeholder key to value; empty fields are ''
+ */
+function getMergeValues(partner) {
+    const values = { today: new Date().toLocaleDateString() };
+    MERGE_PLACEHOLDERS.forEach(({ key }) => {
+        if (key.startsWith('partner.')) {
+            const value = partner[key.slice('partner.'.length)];
+            values[key] = value === null || value === undefined ? '' : String(value);
+        }
+    });
+    return values;
+}
+
+/**
+ * Fills a template's placeholders from a partner record. Unknown placeholders are left in
+ * the text as they are, so a typo shows up in the preview instead of disappearing.
+ * @param {string} content - The template's merge content (markdown)
+ * @param {object} partner - The partner record
+ * @returns {{text: string, unknown: string[], empty: string[]}} - The filled text, plus the
+ *   placeholders that aren't known and the known ones the partner has no value for
+ */
+export function fillPlaceholders(content, partner) {
+    const values = getMergeValues(partner);
+    const unknown = new Set();
+    const empty = new Set();
+
+    const text = String(content || '').replace(PLACEHOLDER_PATTERN, (match, key) => {
+        if (!(key in values)) {
+            unknown.add(key);
+            return match;
+        }
+        if (!values[key]) empty.add(key);
+        return values[key];
+    });
+
+    return { text, unknown: [...unknown], empty: [...empty] };
+}
+
+/**
+ * Splits markdown into the blocks the DOCX and PDF writers lay out. Inline formatting is
+ * reduced to plain text; links keep their address in brackets.
+ * @param {string} markdown
+ * @returns {{type: string, text: string, level?: number, marker?: string}[]}
+ */
+function parseBlocks(markdown) {
+    const blocks = [];
+    let paragraph = [];
+    let inCodeBlock = false;
+    let orderedIndex = 0;
+
+    const plain = (text) => text
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '$1 ($2)')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/\*\*([^*]+)\*\*/g, '$1')
+        .replace(/(^|[^*])\*([^*]+)\*/g, '$1$2');
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            blocks.push({ type: 'paragraph', text: plain(paragraph.join(' ')) });
+            paragraph = [];
+        }
+    };
+
+    String(markdown || '').replace(/\r\n?/g, '\n').split('\n').forEach((line) => {
+        if (line.trim().startsWith('```')) {
+            flushParagraph();
+            inCodeBlock = !inCodeBlock;
+            return;
+        }
+        if (inCodeBlock) {
+            blocks.push({ type: 'code', text: line });
+            return;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const unorderedItem = line.match(/^\s*[-*+]\s+(.*)$/);
+        const orderedItem = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const quote = line.match(/^>\s?(.*)$/);
+        if (!orderedItem) orderedIndex = 0;
+
+        if (!line.trim()) {
+            flushParagraph();
+        } else if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, text: plain(heading[2]) });
+        } else if (unorderedItem) {
+            flushParagraph();
+            blocks.push({ type: 'listItem', marker: '•', text: plain(unorderedItem[1]) });
+        } else if (orderedItem) {
+            flushParagraph();
+            orderedIndex += 1;
+            blocks.push({ type: 'listItem', marker: `${orderedIndex}.`, text: plain(orderedItem[1]) });
+        } else if (quote) {
+            flushParagraph();
+            blocks.push({ type: 'quote', text: plain(quote[1]) });
+        } else if (/^(-{3,}|\*{3,})$/.test(line.trim())) {
+            flushParagraph();
+        } else {
+            paragraph.push(line.trim());
+        }
+    });
+    flushParagraph();
+
+    return blocks;
+}
+
+/**
+ * Reduces merged markdown to plain text, e.g. for the search index.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export function markdownToPlainText(markdown) {
+    return parseBlocks(markdown)
+        .map((block) => (block.marker ? `${block.marker} ${block.text}` : block.text))
+        .join('\n');
+}
+
+/**
+ * Renders merged markdown as a standalone HTML page, e.g. to paste into an email.
+ * @param {string} title - The page title
+ * @param {string} markdown - The merged text
+ * @returns {string}
+ */
+export function buildMergedHtml(title, markdown) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${escapeXml(title)}</title>
+</head>
+<body>
+${renderMarkdown(markdown)}
+</body>
+</html>`;
+}
+
+/**
+ * Writes merged markdown as a minimal Word document: headings, paragraphs, lists,
+ * quotes and code lines, without styles or images.
+ * @param {string} markdown - The merged text
+ * @returns {Blob}
+ */
+export function createDocx(markdown) {
+    const HEADING_SIZES = [36, 30, 26, 24, 22, 22]; // Half-points, by heading level
+
+    const paragraphs = parseBlocks(markdown).map((block) => {
+        let properties = '';
+        let runProperties = '';
+        let text = block.text;
+
+        if (block.type === 'heading') {
+            properties = '<w:spacing w:before="240" w:after="120"/>';
+            runProperties = `<w:b/><w:sz w:val="${HEADING_SIZES[block.level - 1]}"/>`;
+        } else if (block.type === 'listItem') {
+            properties = '<w:ind w:left="720" w:hanging="360"/>';
+            text = `${block.marker}\t${block.text}`;
+        } else if (block.type === 'quote') {
+            properties = '<w:ind w:left="720"/>';
+            runProperties = '<w:i/>';
+        } else if (block.type === 'code') {
+            properties = '<w:spacing w:after="0"/>';
+            runProperties = '<w:rFonts w:ascii="Courier New" w:hAnsi="Courier New"/>';
+        }
+
+        const runs = text.split('\t').map((part, index) => `${index ? '<w:r><w:tab/></w:r>' : ''}<w:r>${runProperties ? `<w:rPr>${runProperties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(part)}</w:t></w:r>`);
+        return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs.join('')}</w:p>`;
+    });
+
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${paragraphs.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+    const contentTypesXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>`;
+    const relsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>`;
+
+    const encoder = new TextEncoder();
+    const zip = createZip([
+        { name: '[Content_Types].xml', data: encoder.encode(contentTypesXml) },
+        { name: '_rels/.rels', data: encoder.encode(relsXml) },
+        { name: 'word/document.xml', data: encoder.encode(documentXml) }
+    ]);
+    return new Blob([zip], { type: MERGE_OUTPUT_FORMATS.docx.contentType });
+}
+
+// Windows-1252 codes for the characters outside Latin-1 that PDF's standard fonts can show
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+// Encodes text for a PDF string literal in the standard fonts' encoding; other characters become '?'
+function toPdfString(text) {
+    let result = '';
+    for (const char of text) {
+        const code = WIN_ANSI_EXTRAS[char] || char.charCodeAt(0);
+        const byte = code < 256 && (code >= 0xa0 || (code >= 0x20 && code < 0x7f) || WIN_ANSI_EXTRAS[char]) ? code : 63;
+        const encoded = String.fromCharCode(byte);
+        result += encoded === '(' || encoded === ')' || encoded === '\\' ? `\\${encoded}` : encoded;
+    }
+    return `(${result})`;
+}
+
+/**
+ * Writes merged markdown as a simple A4 PDF in the standard Helvetica and Courier fonts.
+ * Lines are wrapped on an average character width, which is close enough for body text.
+ * @param {string} markdown - The merged text
+ * @returns {Blob}
+ */
+export function createPdf(markdown) {
+    const PAGE_WIDTH = 595;
+    const PAGE_HEIGHT = 842;
+    const MARGIN = 56;
+    const HEADING_SIZES = [20, 16, 14, 12, 11, 11];
+    // Average glyph width as a fraction of the font size
+    const CHAR_WIDTHS = { F1: 0.5, F2: 0.55, F3: 0.6 };
+
+    const pages = [[]];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    const addLine = (text, font, size, indent, spaceBefore) => {
+        const lineHeight = size * 1.4;
+        if (y - spaceBefore - lineHeight < MARGIN) {
+            pages.push([]);
+            y = PAGE_HEIGHT - MARGIN;
+        } else {
+            y -= spaceBefore;
+        }
+        y -= lineHeight;
+        pages[pages.length - 1].push(`BT /${font} ${size} Tf ${MARGIN + indent} ${y.toFixed(1)} Td ${toPdfString(text)} Tj ET`);
+    };
+
+    const wrap = (text, font, size, width) => {
+        const maxChars = Math.max(10, Math.floor(width / (size * CHAR_WIDTHS[font])));
+        const lines = [];
+        let line = '';
+        text.split(/\s+/).filter(Boolean).forEach((word) => {
+            while (word.length > maxChars) {
+                if (line) lines.push(line);
+                lines.push(word.slice(0, maxChars));
+                word = word.slice(maxChars);
+                line = '';
+            }
+            if (line && line.length + 1 + word.length > maxChars) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        if (line) lines.push(line);
+        return lines;
+    };
+
+    parseBlocks(markdown).forEach((block) => {
+        const contentWidth = PAGE_WIDTH - MARGIN * 2;
+        if (block.type === 'code') {
+            addLine(block.text.replace(/\t/g, '    ') || ' ', 'F3', 9, 0, 0);
+            return;
+        }
+
+        const font = block.type === 'heading' ? 'F2' : 'F1';
+        const size = block.type === 'heading' ? HEADING_SIZES[block.level - 1] : 11;
+        const indent = block.type === 'listItem' || block.type === 'quote' ? 24 : 0;
+        const lines = wrap(block.text, font, size, contentWidth - indent);
+        lines.forEach((line, index) => {
+            const spaceBefore = index ? 0 : block.type === 'heading' ? 12 : block.type === 'listItem' ? 2 : 6;
+            addLine(line, font, size, indent, spaceBefore);
+            if (index === 0 && block.marker) {
+                pages[pages.length - 1].push(`BT /F1 ${size} Tf ${MARGIN + 8} ${y.toFixed(1)} Td ${toPdfString(block.marker)} Tj ET`);
+            }
+        });
+    });
+
+    // Objects 1-5 are the catalog, page tree and fonts; each page adds a page and a content stream
+    const objects = [];
+    const pageIds = pages.map((_, index) => 6 + index * 2);
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push(`<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>');
+    pages.forEach((commands, index) => {
+        const stream = commands.join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+
+    // Every character is a single byte, so string lengths are byte offsets
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(pdf.length);
+    for (let i = 0; i < pdf.length; i++) {
+        bytes[i] = pdf.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: MERGE_OUTPUT_FORMATS.pdf.contentType });
+}
+
+/**
+ * Produces a template's personalized copy for a partner as a file.
+ * @param {object} template - The template (`title`, `content`)
+ * @param {object} partner - The partner record
+ * @param {string} format - A key of MERGE_OUTPUT_FORMATS
+ * @returns {{file: File, text: string}} - The file and the merged text it was made from
+ */
+export function buildMergedFile(template, partner, format) {
+    const { text } = fillPlaceholders(template.content, partner);
+    const output = MERGE_OUTPUT_FORMATS[format];
+    const blob = format === 'docx'
+        ? createDocx(text)
+        : format === 'pdf'
+            ? createPdf(text)
+            : new Blob([text], { type: output.contentType });
+    const baseName = `${template.title || 'Template'} - ${partner.name || partner.partnerId}`
+        .replace(/[\\/:*?"<>|]+/g, '-')
+        .trim();
+
+    return {
+        file: new File([blob], `${baseName}.${output.extension}`, { type: output.contentType }),
+        text
+    };
+}
+
+/**
+ * Stores a personalized copy in the partner's documents, at the root of the Documents page.
+ * The text is indexed directly, since it is already known.
+ * @param {object} db - Firestore database instance
+ * @param {object} storage - Firebase Storage instance
+ * @param {object} partner - The partner record
+ * @param {object} template - The template the copy was made from
+ * @param {{file: File, text: string}} merged - Result of buildMergedFile
+ * @returns {Promise<string>} - The ID of the new document
+ */
+export async function saveMergedDocument(db, storage, partner, template, merged) {
+    const documentId = createDocumentId(db);
+    const fileRef = ref(storage, `documents/${Date.now()}_${merged.file.name}`);
+    await uploadBytes(fileRef, merged.file, {
+        contentType: merged.file.type,
+        customMetadata: { documentId }
+    });
+
+    try {
+        await addDocumentWithVersion(db, {
+            folderId: null,
+            partnerId: partner.partnerId,
+            audience: [],
+            description: `Generated from the template "${template.title || 'Untitled Template'}"`,
+            templateId: template.id
+        }, {
+            name: merged.file.name,
+            type: 'document',
+            url: await getDownloadURL(fileRef),
+            storagePath: fileRef.fullPath,
+            size: merged.file.size,
+            contentType: merged.file.type
+        }, documentId);
+    } catch (error) {
+        // Don't leave the file in Storage without a document
+        await deleteObject(fileRef).catch((deleteError) => {
+            console.warn('Error removing uploaded file:', deleteError);
+        });
+        throw error;
+    }
+
+    try {
+        await saveDocumentText(db, documentId, 1, markdownToPlainText(merged.text));
+    } catch (error) {
+        console.error(`Error indexing text of ${merged.file.name}:`, error);
+    }
+    return documentId;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,121 @@
+// constants/markdown.js
+
+/**
+ * Escapes text for safe insertion into HTML.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Renders inline markdown (code, bold, italic, links) in a line that is already escaped.
+ * @param {string} text
+ * @returns {string}
+ */
+function renderInline(text) {
+    return text
+        .replace(/`([^`]+)`/g, '<code>$1</code>')
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+        .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^)\s]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
+}
+
+/**
+ * Converts a small, safe subset of markdown to HTML: headings, paragraphs, lists, block quotes,
+ * code blocks and inline code, bold, italic and http(s)/mailto links. Raw HTML is escaped.
+ * @param {string} markdown - The markdown source
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let listType = null;
+    let inCodeBlock = false;
+    let codeLines = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length) {
+            html.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const closeList = () => {
+        if (listType) {
+            html.push(`</${listType}>`);
+            listType = null;
+        }
+    };
+
+    lines.forEach((rawLine) => {
+        if (rawLine.trim().startsWith('```')) {
+            if (inCodeBlock) {
+                html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
+                codeLines = [];
+                inCodeBlock = false;
+            } else {
+                flushParagraph();
+                closeList();
+                inCodeBlock = true;
+            }
+            return;
+        }
+
+        const line = escapeHtml(rawLine);
+        if (inCodeBlock) {
+            codeLines.push(line);
+            return;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*)$/);
+        const unorderedItem = line.match(/^\s*[-*+]\s+(.*)$/);
+        const orderedItem = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        const quote = line.match(/^&gt;\s?(.*)$/);
+
+        if (!line.trim()) {
+            flushParagraph();
+            closeList();
+        } else if (heading) {
+            flushParagraph();
+            closeList();
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+        } else if (unorderedItem || orderedItem) {
+            flushParagraph();
+            const type = unorderedItem ? 'ul' : 'ol';
+            if (listType !== type) {
+                closeList();
+                html.push(`<${type}>`);
+                listType = type;
+            }
+            html.push(`<li>${renderInline((unorderedItem || orderedItem)[1])}</li>`);
+        } else if (quote) {
+            flushParagraph();
+            closeList();
+            html.push(`<blockquote>${renderInline(quote[1])}</blockquote>`);
+        } else if (/^(-{3,}|\*{3,})$/.test(line.trim())) {
+            flushParagraph();
+            closeList();
+            html.push('<hr />');
+        } else {
+            closeList();
+            paragraph.push(line.trim());
+        }
+    });
+
+    if (inCodeBlock) {
+        html.push(`<pre><code>${codeLines.join('\n')}</code></pre>`);
+    }
+    flushParagraph();
+    closeList();
+
+    return html.join('\n');
+}
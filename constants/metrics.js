@@ -0,0 +1,189 @@
+// constants/metrics.js
+
+import { collection, collectionGroup, doc, getCountFromServer, getDoc, getDocs, query, serverTimestamp, setDoc, where } from "firebase/firestore";
+
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Converts a Firestore Timestamp, Date, ISO string or epoch value to a Date.
+ * @param {*} value - The value to convert
+ * @returns {Date|null}
+ */
+export function toDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+    if (typeof value === 'string' || typeof value === 'number') {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : date;
+    }
+    if (value.toDate) return value.toDate();
+    if (value.seconds) return new Date(value.seconds * 1000);
+    return null;
+}
+
+/**
+ * Number of whole days between two dates (defaults to now for the end).
+ * @param {*} start - Start date (any value accepted by toDate)
+ * @param {*} end - End date (any value accepted by toDate)
+ * @returns {number|null}
+ */
+export function daysBetween(start, end = null) {
+    const startDate = toDate(start);
+    if (!startDate) return null;
+    const endDate = toDate(end) || new Date();
+    return Math.max(0, Math.floor((endDate.getTime() - startDate.getTime()) / DAY_IN_MS));
+}
+
+/**
+ * Number of whole days since a date.
+ * @param {*} value - The date (any value accepted by toDate)
+ * @returns {number|null}
+ */
+export function daysSince(value) {
+    return daysBetween(value);
+}
+
+/**
+ * Computes the average number of days partners spent in each stage from all stageHistory entries.
+ * A stage's duration is the time between entering it and the next recorded transition.
+ * This reads the whole stageHistory collection group, so only the dashboard calls it and stores
+ * the result with saveAverageStageDurations for the other pages.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<Object<string, number>>} - Average days keyed by stage name
+ */
+export async function computeAverageStageDurations(db) {
+    const snapshot = await getDocs(collectionGroup(db, "stageHistory"));
+    const entriesByPartner = new Map();
+
+    snapshot.forEach((entryDoc) => {
+        const partnerDocId = entryDoc.ref.parent.parent?.id;
+        if (!partnerDocId) return;
+        if (!entriesByPartner.has(partnerDocId)) {
+            entriesByPartner.set(partnerDocId, []);
+        }
+        entriesByPartner.get(partnerDocId).push(entryDoc.data());
+    });
+
+    const durations = {};
+    entriesByPartner.forEach((entries) => {
+        const sorted = entries
+            .filter((entry) => toDate(entry.changedAt))
+            .sort((a, b) => toDate(a.changedAt) - toDate(b.changedAt));
+
+        for (let i = 0; i < sorted.length - 1; i++) {
+            const stage = sorted[i].toStage;
+            if (!stage) continue;
+            if (!durations[stage]) durations[stage] = [];
+            durations[stage].push(daysBetween(sorted[i].changedAt, sorted[i + 1].changedAt));
+        }
+    });
+
+    const averages = {};
+    Object.entries(durations).forEach(([stage, values]) => {
+        averages[stage] = values.reduce((sum, days) => sum + days, 0) / values.length;
+    });
+    return averages;
+}
+
+/**
+ * Stores the average stage durations computed by the dashboard.
+ * @param {object} db - Firestore database instance
+ * @param {Object<string, number>} averages - Average days keyed by stage name
+ * @returns {Promise<void>}
+ */
+export async function saveAverageStageDurations(db, averages) {
+    await setDoc(doc(db, "metrics", "stageDurations"), { averages, computedAt: serverTimestamp() });
+}
+
+/**
+ * Loads the average stage durations last stored by the dashboard.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<Object<string, number>>} - Average days keyed by stage name, empty until the dashboard was opened
+ */
+export async function loadAverageStageDurations(db) {
+    const snapshot = await getDoc(doc(db, "metrics", "stageDurations"));
+    return snapshot.exists() ? snapshot.data().averages || {} : {};
+}
+
+/**
+ * Moves the stored average stage durations of renamed stages to their new names, until the
+ * dashboard computes them again.
+ * @param {object} db - Firestore database instance
+ * @param {object} renames - Old stage name to new stage name
+ * @returns {Promise<void>}
+ */
+export async function renameStagesInAverageDurations(db, renames) {
+    const averages = await loadAverageStageDurations(db);
+    if (!Object.keys(renames).some((stage) => stage in averages)) return;
+
+    const renamed = Object.fromEntries(Object.entries(averages).map(([stage, days]) => [renames[stage] || stage, days]));
+    await saveAverageStageDurations(db, renamed);
+}
+
+/**
+ * Finds the stage that marks a partner as live: the one named "Go Live", or the last stage.
+ * @param {string[]} stages - Array of onboarding stages in order
+ * @returns {string|null}
+ */
+export function getGoLiveStage(stages) {
+    return stages.find((stage) => /go[\s-]?live/i.test(stage)) || stages[stages.length - 1] || null;
+}
+
+/**
+ * Projects when a partner will reach the go-live stage, based on the average stage durations.
+ * @param {object} partner - The partner record
+ * @param {string[]} stages - Array of onboarding stages in order
+ * @param {Object<string, number>} averageDurations - Average days keyed by stage name
+ * @returns {{date: Date|null, isLive: boolean}} - date is null when there isn't enough history
+ */
+export function projectGoLiveDate(partner, stages, averageDurations) {
+    const goLiveIndex = stages.indexOf(getGoLiveStage(stages));
+    const currentIndex = stages.indexOf(partner.onboardingStatus);
+
+    if (currentIndex === -1 || goLiveIndex === -1) {
+        return { date: null, isLive: false };
+    }
+    if (currentIndex >= goLiveIndex) {
+        return { date: null, isLive: true };
+    }
+
+    const daysInCurrentStage = daysSince(partner.stageSince || partner.createdAt) || 0;
+    let remainingDays = 0;
+
+    for (let i = currentIndex; i < goLiveIndex; i++) {
+        const average = averageDurations[stages[i]];
+        if (average === undefined) {
+            return { date: null, isLive: false };
+        }
+        remainingDays += i === currentIndex ? Math.max(0, average - daysInCurrentStage) : average;
+    }
+
+    return { date: new Date(Date.now() + Math.round(remainingDays) * DAY_IN_MS), isLive: false };
+}
+
+/**
+ * Counts the documents and templates assigned to a partner.
+ * @param {object} db - Firestore database instance
+ * @param {string|null} partnerId - The partner's partnerId
+ * @returns {Promise<{documents: number|null, templates: number|null}>} - null when a count could not be loaded
+ */
+export async function loadPartnerContentCounts(db, partnerId) {
+    if (!partnerId) {
+        return { documents: 0, templates: 0 };
+    }
+
+    const countFor = async (collectionName) => {
+        try {
+            const snapshot = await getCountFromServer(
+                query(collection(db, collectionName), where("partnerId", "==", partnerId))
+            );
+            return snapshot.data().count;
+        } catch (error) {
+            console.warn(`Could not count ${collectionName}:`, error);
+            return null;
+        }
+    };
+
+    const [documents, templates] = await Promise.all([countFor("documents"), countFor("templates")]);
+    return { documents, templates };
+}
@@ -1,31 +1,76 @@
 // constants/onboardingStages.js
 
-import { doc, getDoc, setDoc, serverTimestamp } from "firebase/firestore";
+import { collection, doc, getDoc, getDocs, setDoc, serverTimestamp } from "firebase/firestore";
+
+/**
+ * Color given to stages that don't have one.
+ */
+export const DEFAULT_STAGE_COLOR = '#004d40';
 
 /**
  * Default onboarding stages in order (fallback if Firestore doesn't have stages configured).
+ * Partners (`onboardingStatus`), CS guide templates (`stage`) and documents (`targetStage`) store the
+ * stage name. The ID stays the same when a stage is renamed, so Settings can tell a rename from a
+ * deletion and migrate those names.
  */
 const DEFAULT_STAGES = [
-    'Intake',
-    'Testing',
-    'Integration',
-    'Go Live',
-    'Complete'
+    { id: 'intake', name: 'Intake', description: '', color: '#00796b', targetDays: null, isTerminal: false },
+    { id: 'testing', name: 'Testing', description: '', color: '#1976d2', targetDays: null, isTerminal: false },
+    { id: 'integration', name: 'Integration', description: '', color: '#7b1fa2', targetDays: null, isTerminal: false },
+    { id: 'go-live', name: 'Go Live', description: '', color: '#f57c00', targetDays: null, isTerminal: false },
+    { id: 'complete', name: 'Complete', description: '', color: '#388e3c', targetDays: null, isTerminal: true }
 ];
 
 // Cache for stages to avoid repeated Firestore reads
+let cachedDefinitions = null;
 let cachedStages = null;
 let stagesPromise = null;
 
 /**
- * Loads onboarding stages from Firestore or returns default stages.
+ * Returns a copy of the default stage definitions.
+ * @returns {object[]}
+ */
+export function getDefaultStageDefinitions() {
+    return DEFAULT_STAGES.map((stage) => ({ ...stage }));
+}
+
+/**
+ * Creates an ID for a new stage.
+ * @returns {string}
+ */
+export function createStageId() {
+    return `stage_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Fills in missing fields of stage definitions. Stages saved before definitions existed are bare
+ * names; they get an ID derived from the name so it stays the same until they are saved again.
+ * @param {Array<string|object>} stages - Stored stages in order
+ * @returns {object[]} - `{id, name, description, color, targetDays, isTerminal}` in order
+ */
+export function normalizeStageDefinitions(stages) {
+    return stages
+        .map((stage) => (typeof stage === 'string' ? { name: stage } : stage))
+        .filter((stage) => stage && stage.name)
+        .map((stage) => ({
+            id: stage.id || stage.name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-'),
+            name: stage.name,
+            description: stage.description || '',
+            color: stage.color || DEFAULT_STAGE_COLOR,
+            targetDays: Number(stage.targetDays) > 0 ? Number(stage.targetDays) : null,
+            isTerminal: Boolean(stage.isTerminal)
+        }));
+}
+
+/**
+ * Loads onboarding stage definitions from Firestore or returns the default stages.
  * @param {object} db - Firestore database instance
- * @returns {Promise<string[]>} - Array of onboarding stages in order
+ * @returns {Promise<object[]>} - Stage definitions in order (see normalizeStageDefinitions)
  */
-export async function loadOnboardingStages(db) {
+export async function loadStageDefinitions(db) {
     // Return cached stages if available
-    if (cachedStages) {
-        return cachedStages;
+    if (cachedDefinitions) {
+        return cachedDefinitions;
     }
 
     // If a load is already in progress, return that promise
@@ -42,8 +87,7 @@ export async function loadOnboardingStages(db) {
             if (settingsDocSnap.exists() && settingsDocSnap.data().stages) {
                 const stages = settingsDocSnap.data().stages;
                 if (Array.isArray(stages) && stages.length > 0) {
-                    cachedStages = stages;
-                    return stages;
+                    return cacheDefinitions(normalizeStageDefinitions(stages));
                 }
             }
 
@@ -53,13 +97,11 @@ export async function loadOnboardingStages(db) {
                 updatedAt: serverTimestamp()
             }, { merge: true });
 
-            cachedStages = DEFAULT_STAGES;
-            return DEFAULT_STAGES;
+            return cacheDefinitions(getDefaultStageDefinitions());
         } catch (error) {
             console.error("Error loading onboarding stages:", error);
             // Return defaults on error
-            cachedStages = DEFAULT_STAGES;
-            return DEFAULT_STAGES;
+            return cacheDefinitions(getDefaultStageDefinitions());
         } finally {
             stagesPromise = null;
         }
@@ -69,9 +111,19 @@ export async function loadOnboardingStages(db) {
 }
 
 /**
- * Saves onboarding stages to Firestore.
+ * Loads the names of the onboarding stages from Firestore or returns the default stages.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<string[]>} - Array of onboarding stages in order
+ */
+export async function loadOnboardingStages(db) {
+    await loadStageDefinitions(db);
+    return cachedStages;
+}
+
+/**
+ * Saves onboarding stage definitions to Firestore.
  * @param {object} db - Firestore database instance
- * @param {string[]} stages - Array of onboarding stages in order
+ * @param {object[]} stages - Stage definitions in order
  * @returns {Promise<void>}
  */
 export async function saveOnboardingStages(db, stages) {
@@ -80,14 +132,15 @@ export async function saveOnboardingStages(db, stages) {
     }
 
     try {
+        const definitions = normalizeStageDefinitions(stages);
         const settingsDocRef = doc(db, "settings", "onboardingStages");
         await setDoc(settingsDocRef, {
-            stages: stages,
+            stages: definitions,
             updatedAt: serverTimestamp()
         });
 
         // Update cache
-        cachedStages = stages;
+        cacheDefinitions(definitions);
     } catch (error) {
         console.error("Error saving onboarding stages:", error);
         throw error;
@@ -98,18 +151,82 @@ export async function saveOnboardingStages(db, stages) {
  * Clears the cached stages (useful after updating stages).
  */
 export function clearStagesCache() {
+    cachedDefinitions = null;
     cachedStages = null;
     stagesPromise = null;
 }
 
+/**
+ * Works out which stages were renamed or deleted between two versions of the stage definitions,
+ * matching stages by ID. A deleted stage whose name is still used by another stage is not listed,
+ * since its partners still match a stage.
+ * @param {object[]} previousStages - Stage definitions as saved
+ * @param {object[]} nextStages - Stage definitions about to be saved
+ * @returns {{renamed: {id: string, from: string, to: string}[], deleted: {id: string, name: string}[]}}
+ */
+export function getStageChanges(previousStages, nextStages) {
+    const nextById = new Map(nextStages.map((stage) => [stage.id, stage]));
+    const nextNames = new Set(nextStages.map((stage) => stage.name));
+    const renamed = [];
+    const deleted = [];
+
+    previousStages.forEach((stage) => {
+        const next = nextById.get(stage.id);
+        if (!next) {
+            if (!nextNames.has(stage.name)) deleted.push({ id: stage.id, name: stage.name });
+        } else if (next.name !== stage.name) {
+            renamed.push({ id: stage.id, from: stage.name, to: next.name });
+        }
+    });
+
+    return { renamed, deleted };
+}
+
+/**
+ * Counts the partners in each onboarding stage, for previewing a stage migration.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<Map<string, number>>} - Stage name to number of partners
+ */
+export async function countPartnersByStage(db) {
+    const snapshot = await getDocs(collection(db, "partners"));
+    const counts = new Map();
+    snapshot.forEach((partnerDoc) => {
+        const stage = partnerDoc.data().onboardingStatus;
+        if (stage) counts.set(stage, (counts.get(stage) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Whether partners in a stage have finished onboarding, so there is no next stage to move to.
+ * @param {string} stageName - The stage name
+ * @param {object[]} definitions - Stage definitions (optional, will use cached if not provided)
+ * @returns {boolean}
+ */
+export function isTerminalStage(stageName, definitions = null) {
+    const definitionsToUse = definitions || cachedDefinitions || DEFAULT_STAGES;
+    return Boolean(definitionsToUse.find((stage) => stage.name === stageName)?.isTerminal);
+}
+
+/**
+ * Gets the definition of a stage by name.
+ * @param {string} stageName - The stage name
+ * @param {object[]} definitions - Stage definitions (optional, will use cached if not provided)
+ * @returns {object|null}
+ */
+export function getStageDefinition(stageName, definitions = null) {
+    const definitionsToUse = definitions || cachedDefinitions || DEFAULT_STAGES;
+    return definitionsToUse.find((stage) => stage.name === stageName) || null;
+}
+
 /**
  * Gets the next stage in the onboarding process based on the current stage.
  * @param {string} currentStage - The current onboarding stage
  * @param {string[]} stages - Array of onboarding stages (optional, will use cached if not provided)
- * @returns {string|null} - The next stage, or null if there is no next stage (already at final stage)
+ * @returns {string|null} - The next stage, or null if there is no next stage (already at the final or a terminal stage)
  */
 export function getNextStage(currentStage, stages = null) {
-    const stagesToUse = stages || cachedStages || DEFAULT_STAGES;
+    const stagesToUse = stages || getStages();
 
     if (!currentStage) {
         return stagesToUse[0] || null;
@@ -122,7 +239,7 @@ export function getNextStage(currentStage, stages = null) {
         return stagesToUse[0] || null;
     }
 
-    if (currentIndex >= stagesToUse.length - 1) {
+    if (currentIndex >= stagesToUse.length - 1 || isTerminalStage(currentStage)) {
         // Already at the last stage
         return null;
     }
@@ -136,7 +253,7 @@ export function getNextStage(currentStage, stages = null) {
  * @returns {string} - The first onboarding stage
  */
 export function getFirstStage(stages = null) {
-    const stagesToUse = stages || cachedStages || DEFAULT_STAGES;
+    const stagesToUse = stages || getStages();
     return stagesToUse[0] || 'Intake';
 }
 
@@ -145,6 +262,12 @@ export function getFirstStage(stages = null) {
  * @returns {string[]} - Array of onboarding stages
  */
 export function getStages() {
-    return cachedStages || DEFAULT_STAGES;
+    return cachedStages || DEFAULT_STAGES.map((stage) => stage.name);
+}
+
+function cacheDefinitions(definitions) {
+    cachedDefinitions = definitions;
+    cachedStages = definitions.map((stage) => stage.name);
+    return definitions;
 }
 
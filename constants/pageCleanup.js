@@ -0,0 +1,28 @@
+// constants/pageCleanup.js
+
+// Cleanups registered by the page on screen, such as Firestore listeners to unsubscribe
+let cleanups = [];
+
+/**
+ * Registers a function to run when the current page is replaced.
+ * @param {Function} cleanup - Called once, with no arguments
+ */
+export function onPageCleanup(cleanup) {
+    cleanups.push(cleanup);
+}
+
+/**
+ * Runs and forgets the cleanups of the page being replaced. Called by the router before rendering
+ * the next page, and by pages that re-render themselves in place.
+ */
+export function runPageCleanup() {
+    const pending = cleanups;
+    cleanups = [];
+    pending.forEach((cleanup) => {
+        try {
+            cleanup();
+        } catch (error) {
+            console.error('Error cleaning up page:', error);
+        }
+    });
+}
@@ -0,0 +1,18 @@
+// constants/pdfjs.js
+
+// pdf.js is only downloaded the first time a PDF is previewed or indexed
+let pdfjsLibPromise = null;
+
+/**
+ * Loads pdf.js and points it at its bundled worker.
+ * @returns {Promise<object>}
+ */
+export function loadPdfJs() {
+    if (!pdfjsLibPromise) {
+        pdfjsLibPromise = import('pdfjs-dist').then((pdfjsLib) => {
+            pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('npm:pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
+            return pdfjsLib;
+        });
+    }
+    return pdfjsLibPromise;
+}
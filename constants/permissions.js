@@ -0,0 +1,99 @@
+// constants/permissions.js
+
+/**
+ * Roles a hub user can have (stored in `users/{uid}.role`).
+ */
+export const ROLES = ['admin', 'transferz', 'partner', 'default'];
+
+/**
+ * Capabilities granted to each role. Pages check capabilities instead of comparing role names,
+ * and `firestore.rules` / `storage.rules` enforce the same matrix on the backend.
+ */
+const ROLE_CAPABILITIES = {
+    admin: [
+        'partners:view-all',
+        'partners:view-own',
+        'partners:edit',
+        'comments:write',
+        'comments:moderate',
+        'dashboard:view',
+        'documents:view',
+        'documents:upload',
+        'documents:manage',
+        'documents:share',
+        'documents:restore-version',
+        'templates:view',
+        'templates:manage',
+        'forms:view',
+        'forms:manage',
+        'settings:manage',
+        'account:edit',
+        'users:manage'
+    ],
+    transferz: [
+        'partners:view-all',
+        'partners:view-own',
+        'partners:edit',
+        'comments:write',
+        'dashboard:view',
+        'documents:view',
+        'documents:upload',
+        'documents:manage',
+        'documents:share',
+        'templates:view',
+        'templates:manage',
+        'forms:view',
+        'forms:manage',
+        'account:edit'
+    ],
+    partner: [
+        'partners:view-own',
+        'comments:write',
+        'documents:view',
+        'documents:upload',
+        'templates:view',
+        'forms:view',
+        'forms:fill',
+        'account:edit'
+    ],
+    default: [
+        'account:edit'
+    ]
+};
+
+/**
+ * Capability required to open each top-level route.
+ */
+const ROUTE_CAPABILITIES = {
+    '/dashboard': 'dashboard:view',
+    '/partners': 'partners:view-own',
+    '/documents': 'documents:view',
+    '/templates': 'templates:view',
+    '/forms': 'forms:view',
+    '/settings': 'account:edit',
+    '/users': 'users:manage'
+};
+
+/**
+ * Checks whether a role has a capability.
+ * @param {string} role - The user's role
+ * @param {string} capability - The capability to check, e.g. 'partners:edit'
+ * @returns {boolean}
+ */
+export function can(role, capability) {
+    const capabilities = ROLE_CAPABILITIES[role] || ROLE_CAPABILITIES.default;
+    return capabilities.includes(capability);
+}
+
+/**
+ * Checks whether a role may open a route. Nested routes (e.g. /partners/:id) use their top-level route.
+ * Routes without a configured capability are open to every signed-in user.
+ * @param {string} role - The user's role
+ * @param {string} path - The normalized route path
+ * @returns {boolean}
+ */
+export function canAccessRoute(role, path) {
+    const topLevelRoute = `/${(path || '').split('/')[1] || ''}`;
+    const capability = ROUTE_CAPABILITIES[topLevelRoute];
+    return capability ? can(role, capability) : true;
+}
@@ -0,0 +1,203 @@
+// constants/sharing.js
+
+import {
+    collection,
+    doc,
+    getDoc,
+    getDocs,
+    deleteDoc,
+    setDoc,
+    updateDoc,
+    serverTimestamp,
+    writeBatch
+} from "firebase/firestore";
+import { getFolderSubtreeIds, getDocumentFolderId } from "./folders.js";
+
+/**
+ * Documents and folders list who they are shared with in an `audience` array of tokens:
+ * 'all' (every partner), 'partner:<partnerId>' or 'integration:<integrationType>'.
+ * Staff always see everything; a partner uploading a document owns it through `partnerId`.
+ * The same tokens are checked in firestore.rules and storage.rules.
+ */
+export const AUDIENCE_ALL = 'all';
+
+/**
+ * Builds an audience array from a sharing selection.
+ * @param {{everyone: boolean, partnerIds: string[], integrationTypes: string[]}} sharing
+ * @returns {string[]}
+ */
+export function buildAudience({ everyone = false, partnerIds = [], integrationTypes = [] } = {}) {
+    if (everyone) {
+        return [AUDIENCE_ALL];
+    }
+    return [
+        ...new Set([
+            ...partnerIds.filter(Boolean).map((partnerId) => `partner:${partnerId}`),
+            ...integrationTypes.filter(Boolean).map((integrationType) => `integration:${integrationType}`)
+        ])
+    ];
+}
+
+/**
+ * Splits an audience array back into a sharing selection.
+ * @param {string[]} audience
+ * @returns {{everyone: boolean, partnerIds: string[], integrationTypes: string[]}}
+ */
+export function parseAudience(audience = []) {
+    return {
+        everyone: audience.includes(AUDIENCE_ALL),
+        partnerIds: audience.filter((token) => token.startsWith('partner:')).map((token) => token.slice('partner:'.length)),
+        integrationTypes: audience.filter((token) => token.startsWith('integration:')).map((token) => token.slice('integration:'.length))
+    };
+}
+
+/**
+ * Loads the audience tokens that match a partner user: everyone, their partner and their integration type.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerId - The user's partner ID
+ * @returns {Promise<string[]>}
+ */
+export async function loadPartnerAudience(db, partnerId) {
+    const audience = [AUDIENCE_ALL, `partner:${partnerId}`];
+    const directorySnap = await getDoc(doc(db, "partnerDirectory", partnerId));
+    const integrationType = directorySnap.exists() ? directorySnap.data().integrationType : null;
+    if (integrationType) {
+        audience.push(`integration:${integrationType}`);
+    }
+    return audience;
+}
+
+/**
+ * Loads the partners and integration types staff can share with.
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<{partners: {partnerId: string, name: string}[], integrationTypes: string[]}>}
+ */
+export async function loadSharingOptions(db) {
+    const snapshot = await getDocs(collection(db, "partners"));
+    const partners = [];
+    const integrationTypes = new Set();
+    snapshot.forEach((partnerDoc) => {
+        const partner = partnerDoc.data();
+        if (partner.partnerId) {
+            partners.push({ partnerId: partner.partnerId, name: partner.name || partner.partnerId });
+        }
+        if (partner.integrationType) {
+            integrationTypes.add(partner.integrationType);
+        }
+    });
+    partners.sort((a, b) => a.name.localeCompare(b.name));
+    return { partners, integrationTypes: [...integrationTypes].sort() };
+}
+
+/**
+ * Describes an audience for display as a list of labels, e.g. ["Acme", "All API partners"].
+ * @param {string[]} audience
+ * @param {{partnerId: string, name: string}[]} partners - Known partners, used for names
+ * @returns {string[]} One label per audience entry (empty = transferz staff only)
+ */
+export function describeAudience(audience = [], partners = []) {
+    const { everyone, partnerIds, integrationTypes } = parseAudience(audience);
+    if (everyone) {
+        return ['All partners'];
+    }
+    return [
+        ...partnerIds.map((partnerId) => partners.find((p) => p.partnerId === partnerId)?.name || partnerId),
+        ...integrationTypes.map((integrationType) => `All ${integrationType} partners`)
+    ];
+}
+
+/**
+ * Shares a single document.
+ * @param {object} db - Firestore database instance
+ * @param {string} documentId - ID of the `documents` doc
+ * @param {string[]} audience - The new audience
+ * @returns {Promise<void>}
+ */
+export async function shareDocument(db, documentId, audience) {
+    await updateDoc(doc(db, "documents", documentId), {
+        audience,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Shares a folder, its subfolders and every document inside them. Files uploaded
+ * into the folder later take over the folder's audience.
+ * @param {object} db - Firestore database instance
+ * @param {object[]} folders - All folders
+ * @param {object[]} documents - All documents
+ * @param {string} folderId - The folder to share
+ * @param {string[]} audience - The new audience
+ * @returns {Promise<number>} Number of documents updated
+ */
+export async function shareFolder(db, folders, documents, folderId, audience) {
+    const subtreeIds = getFolderSubtreeIds(folders, folderId);
+    const folderDocuments = documents.filter((document) => subtreeIds.has(getDocumentFolderId(document, folders)));
+    const writes = [
+        ...[...subtreeIds].map((id) => (batch) => batch.update(doc(db, "folders", id), { audience, updatedAt: serverTimestamp() })),
+        ...folderDocuments.map((document) => (batch) => batch.update(doc(db, "documents", document.id), { audience, updatedAt: serverTimestamp() }))
+    ];
+
+    // Firestore batches are limited to 500 writes
+    for (let i = 0; i < writes.length; i += 500) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + 500).forEach((write) => write(batch));
+        await batch.commit();
+    }
+
+    return folderDocuments.length;
+}
+
+/**
+ * Builds the `partnerDirectory/{partnerId}` entry for a partner. Security rules read it to
+ * find a partner user's integration type, since partner docs are not keyed by partner ID.
+ * @param {string} partnerDocId - The Firestore document ID of the partner
+ * @param {object} partner - The partner fields
+ * @returns {object}
+ */
+export function buildPartnerDirectoryEntry(partnerDocId, partner) {
+    return {
+        partnerDocId,
+        name: partner.name || partner.partnerId,
+        integrationType: partner.integrationType || null,
+        updatedAt: serverTimestamp()
+    };
+}
+
+/**
+ * Updates a partner's directory entry after an edit, moving it when the partner ID changed.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerDocId - The Firestore document ID of the partner
+ * @param {object} partner - The saved partner fields
+ * @param {string|null} previousPartnerId - The partner ID before the edit
+ * @returns {Promise<void>}
+ */
+export async function syncPartnerDirectory(db, partnerDocId, partner, previousPartnerId = null) {
+    if (previousPartnerId && previousPartnerId !== partner.partnerId) {
+        await deleteDoc(doc(db, "partnerDirectory", previousPartnerId));
+    }
+    if (partner.partnerId) {
+        await setDoc(doc(db, "partnerDirectory", partner.partnerId), buildPartnerDirectoryEntry(partnerDocId, partner));
+    }
+}
+
+/**
+ * Recreates the directory entry of every partner (for partners created before sharing existed).
+ * @param {object} db - Firestore database instance
+ * @returns {Promise<number>} Number of entries written
+ */
+export async function rebuildPartnerDirectory(db) {
+    const snapshot = await getDocs(collection(db, "partners"));
+    const entries = snapshot.docs.filter((partnerDoc) => partnerDoc.data().partnerId);
+
+    for (let i = 0; i < entries.length; i += 500) {
+        const batch = writeBatch(db);
+        entries.slice(i, i + 500).forEach((partnerDoc) => {
+            const partner = partnerDoc.data();
+            batch.set(doc(db, "partnerDirectory", partner.partnerId), buildPartnerDirectoryEntry(partnerDoc.id, partner));
+        });
+        await batch.commit();
+    }
+
+    return entries.length;
+}
@@ -0,0 +1,196 @@
+// constants/stageHistory.js
+
+import { collection, collectionGroup, doc, getDoc, getDocs, orderBy, query, serverTimestamp, writeBatch } from "firebase/firestore";
+import { getCurrentUserProfile } from "./currentUser.js";
+import { loadCsGuideTemplates, getMatchingCsGuideTemplate, buildCsGuideStatus } from "./csGuideTemplates.js";
+import { buildPartnerDirectoryEntry } from "./sharing.js";
+
+/**
+ * Builds a stageHistory entry for the signed-in user.
+ * @param {object} db - Firestore database instance
+ * @param {string|null} fromStage - The stage the partner is leaving (null when the partner is created)
+ * @param {string} toStage - The stage the partner is entering
+ * @param {string} note - Optional note explaining the change
+ * @returns {Promise<object>}
+ */
+async function buildStageHistoryEntry(db, fromStage, toStage, note) {
+    const profile = await getCurrentUserProfile(db);
+    return {
+        fromStage: fromStage || null,
+        toStage,
+        note: note || '',
+        changedBy: profile?.uid || null,
+        changedByName: profile?.displayName || 'Unknown user',
+        changedAt: serverTimestamp()
+    };
+}
+
+/**
+ * Creates a partner and records its starting stage in the stageHistory subcollection.
+ * @param {object} db - Firestore database instance
+ * @param {object} partnerData - The partner fields to store
+ * @returns {Promise<string>} - The Firestore document ID of the new partner
+ */
+export async function addPartnerWithStageHistory(db, partnerData) {
+    const partnerDocRef = doc(collection(db, "partners"));
+    const batch = writeBatch(db);
+
+    batch.set(partnerDocRef, partnerData);
+    batch.set(
+        doc(collection(partnerDocRef, "stageHistory")),
+        await buildStageHistoryEntry(db, null, partnerData.onboardingStatus, '')
+    );
+    if (partnerData.partnerId) {
+        batch.set(doc(db, "partnerDirectory", partnerData.partnerId), buildPartnerDirectoryEntry(partnerDocRef.id, partnerData));
+    }
+
+    await batch.commit();
+    return partnerDocRef.id;
+}
+
+/**
+ * Moves a partner to another onboarding stage and records the transition in the stageHistory subcollection.
+ * The CS guide template matching the new stage is applied, keeping the items already checked.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerDocId - The Firestore document ID of the partner
+ * @param {string|null} fromStage - The partner's current stage
+ * @param {string} toStage - The stage to move the partner to
+ * @param {object} options - Optional `note` for the history entry and extra partner `updates` to write in the same batch
+ * @returns {Promise<void>}
+ */
+export async function updatePartnerStage(db, partnerDocId, fromStage, toStage, { note = '', updates = {} } = {}) {
+    const partnerDocRef = doc(db, "partners", partnerDocId);
+    const [partnerSnap, templates] = await Promise.all([getDoc(partnerDocRef), loadCsGuideTemplates(db)]);
+    const partner = partnerSnap.exists() ? partnerSnap.data() : {};
+    const integrationType = 'integrationType' in updates ? updates.integrationType : partner.integrationType;
+    const template = getMatchingCsGuideTemplate(templates, integrationType, toStage);
+    const csGuideUpdate = template ? { csGuideStatus: buildCsGuideStatus(template, partner.csGuideStatus) } : {};
+    const batch = writeBatch(db);
+
+    batch.update(partnerDocRef, {
+        ...updates,
+        ...csGuideUpdate,
+        onboardingStatus: toStage,
+        stageSince: serverTimestamp(),
+        lastUpdated: serverTimestamp()
+    });
+    batch.set(
+        doc(collection(partnerDocRef, "stageHistory")),
+        await buildStageHistoryEntry(db, fromStage, toStage, note)
+    );
+
+    await batch.commit();
+}
+
+/**
+ * Moves the partners of renamed and deleted stages in batched writes. Partners of a renamed stage
+ * keep their place and only get the new name; partners of a deleted stage move to its replacement,
+ * recorded in their stageHistory.
+ * @param {object} db - Firestore database instance
+ * @param {object} renames - Old stage name to new stage name
+ * @param {object} replacements - Deleted stage name to the stage its partners move to
+ * @returns {Promise<number>} - Number of partners updated
+ */
+export async function migratePartnerStages(db, renames, replacements) {
+    const snapshot = await getDocs(collection(db, "partners"));
+    const updates = [];
+    snapshot.forEach((partnerDoc) => {
+        const stage = partnerDoc.data().onboardingStatus;
+        if (renames[stage]) {
+            updates.push({ ref: partnerDoc.ref, fromStage: stage, toStage: renames[stage], moved: false });
+        } else if (replacements[stage]) {
+            updates.push({ ref: partnerDoc.ref, fromStage: stage, toStage: replacements[stage], moved: true });
+        }
+    });
+
+    // Firestore batches are limited to 500 writes, and a moved partner takes two
+    for (let i = 0; i < updates.length; i += 250) {
+        const batch = writeBatch(db);
+        for (const { ref, fromStage, toStage, moved } of updates.slice(i, i + 250)) {
+            if (moved) {
+                batch.update(ref, { onboardingStatus: toStage, stageSince: serverTimestamp(), lastUpdated: serverTimestamp() });
+                batch.set(
+                    doc(collection(ref, "stageHistory")),
+                    await buildStageHistoryEntry(db, fromStage, toStage, `The "${fromStage}" stage was removed`)
+                );
+            } else {
+                batch.update(ref, { onboardingStatus: toStage, lastUpdated: serverTimestamp() });
+            }
+        }
+        await batch.commit();
+    }
+
+    return updates.length;
+}
+
+/**
+ * Counts the stageHistory entries of all partners that moved into each of the given stages,
+ * for previewing a stage rename.
+ * @param {object} db - Firestore database instance
+ * @param {string[]} stageNames - Stage names to count
+ * @returns {Promise<Map<string, number>>} - Stage name to number of entries
+ */
+export async function countStageHistoryEntries(db, stageNames) {
+    const counts = new Map();
+    if (!stageNames.length) return counts;
+
+    const snapshot = await getDocs(collectionGroup(db, "stageHistory"));
+    snapshot.forEach((entry) => {
+        const { toStage } = entry.data();
+        if (stageNames.includes(toStage)) {
+            counts.set(toStage, (counts.get(toStage) || 0) + 1);
+        }
+    });
+    return counts;
+}
+
+/**
+ * Gives the stageHistory entries of all partners the new names of renamed stages, so the
+ * timelines and the average stage durations carry over. Entries of deleted stages keep their
+ * name, as that is where the partner was at the time.
+ * @param {object} db - Firestore database instance
+ * @param {object} renames - Old stage name to new stage name
+ * @returns {Promise<number>} - Number of entries updated
+ */
+export async function renameStagesInHistory(db, renames) {
+    if (!Object.keys(renames).length) return 0;
+
+    // Every entry is read before any is written, so swapping two names works too
+    const snapshot = await getDocs(collectionGroup(db, "stageHistory"));
+    const entries = [];
+    snapshot.forEach((entry) => {
+        const data = {};
+        for (const field of ['fromStage', 'toStage']) {
+            const stageName = entry.data()[field];
+            if (Object.hasOwn(renames, stageName)) data[field] = renames[stageName];
+        }
+        if (Object.keys(data).length) entries.push({ ref: entry.ref, data });
+    });
+
+    for (let i = 0; i < entries.length; i += 500) {
+        const batch = writeBatch(db);
+        entries.slice(i, i + 500).forEach(({ ref, data }) => batch.update(ref, data));
+        await batch.commit();
+    }
+
+    return entries.length;
+}
+
+/**
+ * Loads a partner's stage transitions, oldest first.
+ * @param {object} db - Firestore database instance
+ * @param {string} partnerDocId - The Firestore document ID of the partner
+ * @returns {Promise<object[]>}
+ */
+export async function loadStageHistory(db, partnerDocId) {
+    const historyQuery = query(
+        collection(db, "partners", partnerDocId, "stageHistory"),
+        orderBy("changedAt", "asc")
+    );
+    const snapshot = await getDocs(historyQuery);
+    const history = [];
+    snapshot.forEach((entry) => {
+        history.push({ id: entry.id, ...entry.data() });
+    });
+    return history;
+}
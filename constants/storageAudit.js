@@ -0,0 +1,192 @@
+// constants/storageAudit.js
+
+import { collection, getDocs } from "firebase/firestore";
+import { ref, listAll, getMetadata, deleteObject } from "firebase/storage";
+import { loadDocumentVersions, deleteDocumentWithVersions } from "./documentVersions.js";
+import { loadFolders, getFolderPath, getDocumentFolderId } from "./folders.js";
+
+/**
+ * Storage prefix the Documents page uploads to.
+ */
+const DOCUMENTS_PREFIX = 'documents';
+
+/**
+ * How many Storage metadata requests run at the same time.
+ */
+const METADATA_CONCURRENCY = 10;
+
+/**
+ * Uploads write the file before the document, so an unreferenced file younger than this may
+ * belong to an upload still in progress. Those files are not offered for deletion.
+ */
+const ORPHAN_GRACE_PERIOD_MS = 60 * 60 * 1000;
+
+/**
+ * Resolves the Storage path of a Firebase download URL, for documents stored before
+ * `storagePath` was recorded. Works for both production and emulator URLs.
+ * @param {string} url - The download URL
+ * @returns {string|null}
+ */
+export function getStoragePathFromUrl(url) {
+    const match = /\/o\/([^?]+)/.exec(url || '');
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Reconciles the objects under `documents/` in Storage with the `documents` collection
+ * and its version history.
+ *
+ * - Orphaned objects: files no document or version points at (e.g. left behind when
+ *   saving the document failed after the upload), uploaded more than ORPHAN_GRACE_PERIOD_MS ago.
+ * - Recent unreferenced objects: the same, but younger, so possibly still being uploaded.
+ * - Dangling documents: documents whose current file is missing from Storage.
+ * - Missing version files: older versions whose file is gone; the document itself still works.
+ *
+ * Usage counts every version's file and is grouped by the document's folder and by the
+ * partner that uploaded it (transferz uploads have no partner).
+ * @param {object} db - Firestore database instance
+ * @param {object} storage - Firebase Storage instance
+ * @param {Function} onProgress - Optional callback receiving a short status text
+ * @returns {Promise<object>}
+ */
+export async function auditDocumentStorage(db, storage, onProgress = () => {}) {
+    onProgress('Listing files...');
+    const listing = await listAll(ref(storage, DOCUMENTS_PREFIX));
+    const objects = new Map();
+    for (let i = 0; i < listing.items.length; i += METADATA_CONCURRENCY) {
+        onProgress(`Reading file details (${i} of ${listing.items.length})...`);
+        const metadataList = await Promise.all(listing.items.slice(i, i + METADATA_CONCURRENCY).map(item => getMetadata(item)));
+        metadataList.forEach((metadata) => {
+            objects.set(metadata.fullPath, {
+                path: metadata.fullPath,
+                size: metadata.size || 0,
+                timeCreated: metadata.timeCreated || null,
+                documentId: metadata.customMetadata?.documentId || null
+            });
+        });
+    }
+
+    onProgress('Loading documents...');
+    const [documentsSnapshot, folders] = await Promise.all([
+        getDocs(collection(db, "documents")),
+        loadFolders(db)
+    ]);
+    const documents = documentsSnapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+
+    const referencedPaths = new Set();
+    const danglingDocuments = [];
+    const missingVersionFiles = [];
+    const usageByFolder = new Map();
+    const usageByPartner = new Map();
+
+    const addUsage = (usage, key, label, size) => {
+        const entry = usage.get(key) || { key, label, size: 0, fileCount: 0 };
+        entry.size += size;
+        entry.fileCount++;
+        usage.set(key, entry);
+    };
+
+    for (const [index, documentItem] of documents.entries()) {
+        onProgress(`Checking versions (${index + 1} of ${documents.length})...`);
+        const versions = await loadDocumentVersions(db, documentItem.id);
+        const currentPath = documentItem.storagePath || getStoragePathFromUrl(documentItem.url);
+        const versionPaths = versions.map(v => ({ version: v.version, path: v.storagePath || getStoragePathFromUrl(v.url) }));
+
+        if (!currentPath || !objects.has(currentPath)) {
+            danglingDocuments.push({
+                id: documentItem.id,
+                name: documentItem.displayName || documentItem.name || 'Untitled Document',
+                storagePath: currentPath,
+                versions
+            });
+        }
+        versionPaths
+            .filter(({ path }) => path !== currentPath && (!path || !objects.has(path)))
+            .forEach(({ version, path }) => missingVersionFiles.push({
+                documentId: documentItem.id,
+                name: documentItem.displayName || documentItem.name || 'Untitled Document',
+                version,
+                storagePath: path
+            }));
+
+        const folderId = getDocumentFolderId(documentItem, folders);
+        const folderLabel = folderId
+            ? getFolderPath(folders, folderId).map(f => f.name).join(' / ') || 'Deleted folder'
+            : 'No folder';
+        // Each file is counted once, even when the current version also has a version entry
+        new Set([currentPath, ...versionPaths.map(v => v.path)].filter(Boolean)).forEach((path) => {
+            referencedPaths.add(path);
+            const object = objects.get(path);
+            if (!object) return;
+            addUsage(usageByFolder, folderId || '', folderLabel, object.size);
+            addUsage(usageByPartner, documentItem.partnerId || '', documentItem.partnerId || 'transferz', object.size);
+        });
+    }
+
+    const unreferencedObjects = [...objects.values()].filter(object => !referencedPaths.has(object.path));
+    const isRecent = (object) => object.timeCreated && Date.now() - new Date(object.timeCreated).getTime() < ORPHAN_GRACE_PERIOD_MS;
+    const orphanedObjects = unreferencedObjects.filter(object => !isRecent(object));
+    const recentUnreferencedObjects = unreferencedObjects.filter(isRecent);
+    const sortBySize = (a, b) => b.size - a.size;
+
+    return {
+        objectCount: objects.size,
+        totalSize: [...objects.values()].reduce((total, object) => total + object.size, 0),
+        orphanedObjects: orphanedObjects.sort(sortBySize),
+        orphanedSize: orphanedObjects.reduce((total, object) => total + object.size, 0),
+        recentUnreferencedObjects,
+        danglingDocuments,
+        missingVersionFiles,
+        usageByFolder: [...usageByFolder.values()].sort(sortBySize),
+        usageByPartner: [...usageByPartner.values()].sort(sortBySize)
+    };
+}
+
+/**
+ * Deletes Storage objects that no document points at.
+ * @param {object} storage - Firebase Storage instance
+ * @param {string[]} paths - Full paths of the objects
+ * @returns {Promise<{deleted: number, failed: number}>}
+ */
+export async function deleteOrphanedObjects(storage, paths) {
+    const result = { deleted: 0, failed: 0 };
+    for (const path of paths) {
+        try {
+            await deleteObject(ref(storage, path));
+            result.deleted++;
+        } catch (error) {
+            console.error(`Error deleting ${path}:`, error);
+            result.failed++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Deletes documents whose current file is missing, with their version entries and indexed text.
+ * Files of older versions that still exist are deleted too, so they don't become orphans.
+ * @param {object} db - Firestore database instance
+ * @param {object} storage - Firebase Storage instance
+ * @param {object[]} danglingDocuments - Entries from auditDocumentStorage
+ * @returns {Promise<{deleted: number, failed: number}>}
+ */
+export async function deleteDanglingDocuments(db, storage, danglingDocuments) {
+    const result = { deleted: 0, failed: 0 };
+    for (const documentItem of danglingDocuments) {
+        try {
+            for (const version of documentItem.versions) {
+                const path = version.storagePath || getStoragePathFromUrl(version.url);
+                if (!path) continue;
+                await deleteObject(ref(storage, path)).catch((error) => {
+                    if (error.code !== 'storage/object-not-found') throw error;
+                });
+            }
+            await deleteDocumentWithVersions(db, documentItem.id, documentItem.versions);
+            result.deleted++;
+        } catch (error) {
+            console.error(`Error deleting document ${documentItem.id}:`, error);
+            result.failed++;
+        }
+    }
+    return result;
+}
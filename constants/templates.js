@@ -0,0 +1,137 @@
+// constants/templates.js
+
+import { collection, deleteDoc, doc, getDocs, query, serverTimestamp, setDoc, updateDoc, where } from "firebase/firestore";
+import { getCurrentUserProfile } from "./currentUser.js";
+
+/**
+ * Categories offered when creating a template. Any other category can be typed in as well.
+ */
+export const DEFAULT_TEMPLATE_CATEGORIES = ['General', 'Contracts', 'Technical', 'Marketing', 'Training'];
+
+/**
+ * Loads the templates a user can see, most recently updated first.
+ * Staff see every template, including archived ones; partner users see the active templates
+ * targeted at their partner or at all partners (`partnerId` null).
+ * @param {object} db - Firestore database instance
+ * @param {string|null} partnerId - The partner user's partner ID, or null for staff
+ * @returns {Promise<object[]>}
+ */
+export async function loadTemplates(db, partnerId = null) {
+    const templatesCol = collection(db, "templates");
+    // Mirrors the templates read rule, which partners' queries have to match
+    const templatesQueries = partnerId
+        ? [query(templatesCol, where("partnerId", "==", partnerId)), query(templatesCol, where("partnerId", "==", null))]
+        : [templatesCol];
+
+    const snapshots = await Promise.all(templatesQueries.map((templatesQuery) => getDocs(templatesQuery)));
+    const templates = [];
+    snapshots.forEach((snapshot) => {
+        snapshot.forEach((templateDoc) => {
+            templates.push({ id: templateDoc.id, ...templateDoc.data() });
+        });
+    });
+
+    return templates
+        .filter((template) => !partnerId || !template.archived)
+        .sort((a, b) => getMillis(b.updatedAt) - getMillis(a.updatedAt));
+}
+
+/**
+ * Collects the categories in use plus the defaults, for the category field and filter.
+ * @param {object[]} templates - The templates
+ * @returns {string[]} - Distinct categories sorted alphabetically
+ */
+export function collectTemplateCategories(templates) {
+    const categories = new Set(DEFAULT_TEMPLATE_CATEGORIES);
+    templates.forEach((template) => categories.add(template.category || 'General'));
+    return [...categories].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Reserves a template ID, so its file can be tagged with it before the doc exists.
+ * @param {object} db - Firestore database instance
+ * @returns {string}
+ */
+export function createTemplateId(db) {
+    return doc(collection(db, "templates")).id;
+}
+
+/**
+ * Creates a template, or updates an existing one.
+ * @param {object} db - Firestore database instance
+ * @param {string} templateId - ID from createTemplateId, or of the template being edited
+ * @param {object} templateData - `title`, `description`, `category`, `partnerId` (null = all partners),
+ *   `content` (markdown with placeholders for personalized copies, see mailMerge.js) and, when a file was uploaded, `url`, `storagePath`, `fileName`, `contentType` and `size`
+ * @param {boolean} isNew - Whether the template is being created
+ * @returns {Promise<void>}
+ */
+export async function saveTemplate(db, templateId, templateData, isNew) {
+    const profile = await getCurrentUserProfile(db);
+    const templateRef = doc(db, "templates", templateId);
+    const changes = {
+        ...templateData,
+        title: templateData.title.trim(),
+        description: (templateData.description || '').trim() || null,
+        category: (templateData.category || '').trim() || 'General',
+        partnerId: templateData.partnerId || null,
+        content: (templateData.content || '').trim() || null,
+        updatedBy: profile?.uid || null,
+        updatedByName: profile?.displayName || 'Unknown user',
+        updatedAt: serverTimestamp()
+    };
+
+    if (isNew) {
+        await setDoc(templateRef, {
+            ...changes,
+            archived: false,
+            createdBy: profile?.uid || null,
+            createdAt: serverTimestamp()
+        });
+    } else {
+        await updateDoc(templateRef, changes);
+    }
+}
+
+/**
+ * Archives a template (partners stop seeing it) or brings it back.
+ * @param {object} db - Firestore database instance
+ * @param {string} templateId - ID of the `templates` doc
+ * @param {boolean} archived - Whether the template is archived
+ * @returns {Promise<void>}
+ */
+export async function setTemplateArchived(db, templateId, archived) {
+    await updateDoc(doc(db, "templates", templateId), {
+        archived,
+        updatedAt: serverTimestamp()
+    });
+}
+
+/**
+ * Templates a personalized copy can be made from for a partner: active templates with
+ * merge content that target the partner or all partners.
+ * @param {object[]} templates - Templates from loadTemplates
+ * @param {string} partnerId - The partner's partner ID
+ * @returns {object[]}
+ */
+export function getMergeTemplates(templates, partnerId) {
+    return templates.filter((template) => template.content
+        && !template.archived
+        && (!template.partnerId || template.partnerId === partnerId));
+}
+
+/**
+ * Deletes a template doc. Its file is removed by the caller, since it holds the Storage instance.
+ * @param {object} db - Firestore database instance
+ * @param {string} templateId - ID of the `templates` doc
+ * @returns {Promise<void>}
+ */
+export async function deleteTemplate(db, templateId) {
+    await deleteDoc(doc(db, "templates", templateId));
+}
+
+function getMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    if (value.seconds) return value.seconds * 1000;
+    return new Date(value).getTime() || 0;
+}
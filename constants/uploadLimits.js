@@ -0,0 +1,93 @@
+// constants/uploadLimits.js
+
+/**
+ * Largest file the Documents page accepts. storage.rules enforces the same limit.
+ */
+export const MAX_UPLOAD_SIZE_MB = 500;
+
+/**
+ * MIME types the Documents page accepts. storage.rules enforces the same list.
+ */
+const ALLOWED_CONTENT_TYPES = [
+    'application/pdf',
+    'application/json',
+    'application/zip',
+    'application/msword',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'image/svg+xml',
+    'text/plain',
+    'text/markdown',
+    'text/csv'
+];
+
+/**
+ * Content types for extensions that browsers often report without a MIME type.
+ */
+const CONTENT_TYPES_BY_EXTENSION = {
+    md: 'text/markdown',
+    markdown: 'text/markdown',
+    csv: 'text/csv',
+    txt: 'text/plain',
+    json: 'application/json',
+    pdf: 'application/pdf',
+    mp4: 'video/mp4',
+    mov: 'video/quicktime',
+    webm: 'video/webm',
+    avi: 'video/x-msvideo',
+    wmv: 'video/x-ms-wmv',
+    flv: 'video/x-flv'
+};
+
+/**
+ * Works out the content type to store a file with.
+ * @param {File} file
+ * @returns {string}
+ */
+export function getUploadContentType(file) {
+    if (file.type) {
+        return file.type;
+    }
+    const extension = (file.name || '').split('.').pop().toLowerCase();
+    return CONTENT_TYPES_BY_EXTENSION[extension] || 'application/octet-stream';
+}
+
+/**
+ * Checks a file against the upload limits.
+ * @param {File} file
+ * @returns {string|null} A message explaining why the file can't be uploaded, or null when it can
+ */
+export function getUploadError(file) {
+    if (file.size > MAX_UPLOAD_SIZE_MB * 1024 * 1024) {
+        return `${file.name} is ${formatFileSize(file.size)}. Files can be at most ${MAX_UPLOAD_SIZE_MB} MB.`;
+    }
+    if (file.size === 0) {
+        return `${file.name} is empty.`;
+    }
+
+    const contentType = getUploadContentType(file);
+    if (!contentType.startsWith('video/') && !ALLOWED_CONTENT_TYPES.includes(contentType)) {
+        return `${file.name} is not a supported file type. Upload PDFs, Office files, images, videos, text or markdown.`;
+    }
+    return null;
+}
+
+/**
+ * Formats a byte count for display, e.g. "12.3 MB".
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+    const value = bytes / 1024 ** exponent;
+    return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+}
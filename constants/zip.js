@@ -0,0 +1,152 @@
+// constants/zip.js
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+
+/**
+ * Reads one file out of a ZIP archive (DOCX, PPTX and XLSX files are ZIP archives).
+ * Only stored and deflated entries are supported, which covers what Office writes.
+ * @param {ArrayBuffer} buffer - The archive contents
+ * @param {string} entryName - Path of the file inside the archive, e.g. `word/document.xml`
+ * @returns {Promise<string|null>} - The file decoded as UTF-8, or null when it isn't in the archive
+ */
+export async function readZipEntry(buffer, entryName) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // The central directory is found through the record at the end of the archive,
+    // which is followed by a comment of at most 64 KB
+    let endOffset = -1;
+    for (let i = view.byteLength - 22; i >= Math.max(0, view.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset < 0) return null;
+
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) return null;
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localHeaderOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        if (name === entryName) {
+            // The local header repeats the name and may carry a different extra field
+            const localNameLength = view.getUint16(localHeaderOffset + 26, true);
+            const localExtraLength = view.getUint16(localHeaderOffset + 28, true);
+            const dataOffset = localHeaderOffset + 30 + localNameLength + localExtraLength;
+            const data = new Uint8Array(buffer, dataOffset, compressedSize);
+
+            if (method === 0) return decoder.decode(data);
+            if (method === 8) {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Response(stream).text();
+            }
+            return null;
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return null;
+}
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+// Bit 11 marks file names as UTF-8
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date, as stored in ZIP headers
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Builds a ZIP archive in memory. Files are stored without compression, since most uploads
+ * (PDFs, Office files, images, videos) are compressed already. The archive must stay under 4 GB.
+ * @param {{name: string, data: Uint8Array, lastModified?: Date}[]} files - Files to add; names must be unique
+ * @returns {Blob} - The archive as `application/zip`
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach((file) => {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const { time, date } = toDosDateTime(file.lastModified || new Date());
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, LOCAL_FILE_HEADER, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, UTF8_FLAG, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, file.data.length, true);
+        header.setUint32(22, file.data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, CENTRAL_DIRECTORY_ENTRY, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, UTF8_FLAG, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+
+        parts.push(header, name, file.data);
+        centralDirectory.push(entry, name);
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralDirectorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralDirectorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
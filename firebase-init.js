@@ -2,9 +2,9 @@
 
 // Import the function you need from the core 'firebase/app' module
 import { initializeApp } from "firebase/app";
-import { getAuth } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
-import { getStorage } from "firebase/storage";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { getStorage, connectStorageEmulator } from "firebase/storage";
 
 // Your web app's Firebase configuration (copy from the Firebase Console)
 const firebaseConfig = {
@@ -24,6 +24,14 @@ const auth = getAuth(app);
 const db = getFirestore(app);
 const storage = getStorage(app);
 
+// Point the app at the local emulators (ports from firebase.json) when started with `npm run start:emulators`
+if (process.env.USE_FIREBASE_EMULATORS === 'true') {
+    connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+    connectFirestoreEmulator(db, "127.0.0.1", 8080);
+    connectStorageEmulator(storage, "127.0.0.1", 9199);
+    console.log("Connected to Firebase Emulators!");
+}
+
 console.log("Firebase App Initialized!");
 console.log("Auth Service Initialized!");
 console.log("Firestore Service Initialized!");
@@ -3,14 +3,21 @@
 // --- 1. Imports ---
 import { app, auth, db, storage } from './firebase-init.js'; 
 import { onAuthStateChanged, signOut } from "firebase/auth";
-import { doc, getDoc } from "firebase/firestore"; 
+import { doc, getDoc, setDoc, serverTimestamp } from "firebase/firestore"; 
+import { canAccessRoute } from './constants/permissions.js';
+import { runPageCleanup } from './constants/pageCleanup.js';
+import { PENDING_INVITE_KEY, redeemInvite } from './constants/invites.js';
+import { needsEmailVerification } from './constants/emailVerification.js';
 
 // --- Import Page Components (Will be created next) ---
-import { renderLoginPage } from './pages/Login.js';
+import { renderLoginPage, renderVerifyEmailPage, renderInviteErrorPage } from './pages/Login.js';
 import { renderPartnersPage, renderPartnerDetailPage } from './pages/Partners.js'; 
 import { renderDocumentsPage } from './pages/Documents.js';
 import { renderTemplatesPage } from './pages/Templates.js';
+import { renderFormsPage, renderIntakeFormPage } from './pages/Forms.js';
 import { renderSettingsPage } from './pages/Settings.js';
+import { renderDashboardPage } from './pages/Dashboard.js';
+import { renderUsersPage } from './pages/Users.js';
 
 
 // --- 2. Layout Structure ---
@@ -34,9 +41,12 @@ function createLayout() {
         </div>
         
         <nav id="main-nav">
+            <a href="/dashboard" data-route="/dashboard">Dashboard</a>
             <a href="/partners" data-route="/partners">Partners</a>
             <a href="/documents" data-route="/documents">Documents</a>
             <a href="/templates" data-route="/templates">Templates</a>
+            <a href="/forms" data-route="/forms">Forms</a>
+            <a href="/users" data-route="/users">Users</a>
         </nav>
 
         <div id="user-footer">
@@ -74,14 +84,33 @@ async function renderRoute(path, contentRoot, userRole, partnerId) {
     const normalizedPath = normalizePath(path);
     highlightActiveNav(normalizedPath);
 
-    // Clear previous content
+    // Stop the previous page's listeners, then clear its content
+    runPageCleanup();
     contentRoot.innerHTML = ''; 
+
+    // Route guard: roles without the route's capability get an access denied page
+    if (!canAccessRoute(userRole, normalizedPath)) {
+        contentRoot.innerHTML = `
+            <div class="content-card">
+                <h2>Access denied</h2>
+                <p>Your account does not have access to this page. Contact an admin if you think this is a mistake.</p>
+            </div>
+        `;
+        return;
+    }
     
     // Check for partner detail route: /partners/:partnerId
     const partnerDetailMatch = path.match(/^\/partners\/([^/]+)$/);
     if (partnerDetailMatch) {
         const partnerDocId = partnerDetailMatch[1];
-        await renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole);
+        await renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole, partnerId);
+        return;
+    }
+
+    // Assigned intake form: /forms/:assignmentId
+    const intakeFormMatch = path.match(/^\/forms\/([^/]+)$/);
+    if (intakeFormMatch) {
+        await renderIntakeFormPage(contentRoot, db, intakeFormMatch[1], userRole, partnerId);
         return;
     }
     
@@ -91,11 +120,20 @@ async function renderRoute(path, contentRoot, userRole, partnerId) {
             // Pass the Firestore instance and user info to the page component
             await renderPartnersPage(contentRoot, db, userRole, partnerId); 
             break;
+        case '/dashboard':
+            await renderDashboardPage(contentRoot, db, userRole);
+            break;
         case '/documents':
             await renderDocumentsPage(contentRoot, db, storage, userRole, partnerId);
             break;
         case '/templates':
-            await renderTemplatesPage(contentRoot, db, userRole, partnerId);
+            await renderTemplatesPage(contentRoot, db, storage, userRole, partnerId);
+            break;
+        case '/forms':
+            await renderFormsPage(contentRoot, db, userRole, partnerId);
+            break;
+        case '/users':
+            await renderUsersPage(contentRoot, db, userRole);
             break;
         case '/settings':
             await renderSettingsPage(contentRoot, db, userRole);
@@ -137,6 +175,12 @@ document.addEventListener('DOMContentLoaded', () => {
     // Start listening for authentication state changes immediately
     onAuthStateChanged(auth, async (user) => {
         if (user) {
+
+            // Password accounts must confirm their email before using the hub
+            if (needsEmailVerification(user)) {
+                renderVerifyEmailPage(document.getElementById('root'), auth, user);
+                return;
+            }
             
             // 1. Fetch user role from Firestore
             const userDocRef = doc(db, "users", user.uid);
@@ -148,9 +192,44 @@ document.addEventListener('DOMContentLoaded', () => {
 
             if (userDocSnap.exists()) {
                 const userData = userDocSnap.data();
+
+                // Deactivated accounts are signed out straight away
+                if (userData.active === false) {
+                    alert('This account has been deactivated. Please contact an admin.');
+                    await signOut(auth);
+                    return;
+                }
+
                 userRole = userData.role || 'default';
                 partnerId = userData.partnerId || null;
                 displayName = userData.displayName || displayName;
+            } else {
+                // First sign-in: redeem a pending invite, or create the users doc without a role
+                // so admins can assign one on the Users page
+                const inviteToken = sessionStorage.getItem(PENDING_INVITE_KEY);
+                if (inviteToken) {
+                    try {
+                        ({ role: userRole, partnerId } = await redeemInvite(db, user, inviteToken));
+                    } catch (error) {
+                        // Keep the token and skip the role-less profile, so the invite can still be redeemed
+                        console.error("Error redeeming invite:", error);
+                        renderInviteErrorPage(document.getElementById('root'), auth, error.message);
+                        return;
+                    }
+                } else {
+                    await setDoc(userDocRef, {
+                        email: user.email || null,
+                        displayName,
+                        active: true,
+                        createdAt: serverTimestamp()
+                    }).catch((error) => console.error("Error creating user profile:", error));
+                }
+            }
+            sessionStorage.removeItem(PENDING_INVITE_KEY);
+
+            // Invite links are only meaningful while signed out
+            if (window.location.pathname.startsWith('/invite/')) {
+                window.history.replaceState({}, '', '/');
             }
             
             console.log(`Authenticated User. Role: ${userRole}, Partner ID: ${partnerId}`);
@@ -162,10 +241,13 @@ document.addEventListener('DOMContentLoaded', () => {
             document.querySelector('.username').textContent = displayName;
             document.getElementById('greeting').textContent = `Hello, ${displayName.split(' ')[0].toUpperCase()}`;
 
-            // 4. Start Routing
+            // 4. Hide navigation the user's role can't access
+            applyNavPermissions(userRole);
+
+            // 5. Start Routing
             handleNavigation(contentRoot, userRole, partnerId);
 
-            // 5. Attach Logout Listener
+            // 6. Attach Logout Listener
             document.getElementById('logout-btn').addEventListener('click', () => {
                 signOut(auth).then(() => window.location.reload()).catch(console.error);
             });
@@ -176,7 +258,8 @@ document.addEventListener('DOMContentLoaded', () => {
             
             // 🚨 RENDER THE LOGIN PAGE INSTEAD OF A SIMPLE MESSAGE 🚨
             document.getElementById('root').innerHTML = ''; // Clear existing content
-            renderLoginPage(document.getElementById('root'), auth); // Render the login form
+            const inviteMatch = window.location.pathname.match(/^\/invite\/([^/]+)$/);
+            renderLoginPage(document.getElementById('root'), auth, db, inviteMatch ? inviteMatch[1] : null); // Render the login form
         }
     });
 });
@@ -191,6 +274,12 @@ function normalizePath(pathname) {
     return pathname;
 }
 
+function applyNavPermissions(userRole) {
+    document.querySelectorAll('#main-nav a').forEach((link) => {
+        link.hidden = !canAccessRoute(userRole, normalizePath(link.getAttribute('data-route')));
+    });
+}
+
 function highlightActiveNav(currentPath) {
     document.querySelectorAll('#main-nav a').forEach((link) => {
         const linkRoute = normalizePath(link.getAttribute('data-route'));
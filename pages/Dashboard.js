@@ -0,0 +1,203 @@
+// pages/Dashboard.js
+
+import { collection, getDocs } from "firebase/firestore";
+import { loadOnboardingStages } from "../constants/onboardingStages.js";
+import { computeAverageStageDurations, daysSince, getGoLiveStage, saveAverageStageDurations } from "../constants/metrics.js";
+import { can } from "../constants/permissions.js";
+
+/**
+ * Renders the portfolio metrics dashboard: funnel conversion by stage and a breakdown per PSM.
+ * @param {HTMLElement} contentRoot The element where the page content will be injected.
+ * @param {object} db The Firestore database instance.
+ * @param {string} userRole The role of the current user.
+ */
+export async function renderDashboardPage(contentRoot, db, userRole) {
+    contentRoot.innerHTML = `
+        <div class="content-card">
+            <p>Loading dashboard...</p>
+        </div>
+    `;
+
+    const greetingElement = document.getElementById('greeting');
+    if (greetingElement) {
+        greetingElement.style.display = 'none';
+    }
+
+    if (!can(userRole, 'dashboard:view')) {
+        contentRoot.innerHTML = `
+            <div class="content-card">
+                <p>Access denied. The dashboard is only available to transferz staff.</p>
+            </div>
+        `;
+        return;
+    }
+
+    try {
+        const snapshot = await getDocs(collection(db, "partners"));
+        const partners = [];
+        snapshot.forEach((doc) => {
+            partners.push({ id: doc.id, ...doc.data() });
+        });
+
+        const stages = await loadOnboardingStages(db);
+        const goLiveIndex = stages.indexOf(getGoLiveStage(stages));
+        const stageIndexOf = (partner) => stages.indexOf(partner.onboardingStatus);
+
+        // Funnel: a partner has reached every stage up to and including its current one
+        const funnel = stages.map((stage, index) => {
+            const reached = partners.filter((partner) => stageIndexOf(partner) >= index).length;
+            const current = partners.filter((partner) => stageIndexOf(partner) === index).length;
+            return { stage, reached, current };
+        });
+        const funnelTop = funnel[0]?.reached || 0;
+
+        // Breakdown per PSM
+        const psmGroups = new Map();
+        partners.forEach((partner) => {
+            const psm = partner.psm || 'Unassigned';
+            if (!psmGroups.has(psm)) psmGroups.set(psm, []);
+            psmGroups.get(psm).push(partner);
+        });
+        const psmRows = Array.from(psmGroups.entries())
+            .map(([psm, psmPartners]) => ({
+                psm,
+                total: psmPartners.length,
+                live: psmPartners.filter((partner) => goLiveIndex !== -1 && stageIndexOf(partner) >= goLiveIndex).length,
+                averageDaysInStage: average(psmPartners.map((partner) => daysSince(partner.stageSince || partner.createdAt))),
+                averageCompletion: average(psmPartners.map(getCompletion)),
+                byStage: stages.map((stage) => psmPartners.filter((partner) => partner.onboardingStatus === stage).length),
+            }))
+            .sort((a, b) => b.total - a.total);
+
+        // Go-live projections on the partner pages use the averages stored here
+        let averageStageDurations = {};
+        try {
+            averageStageDurations = await computeAverageStageDurations(db);
+            await saveAverageStageDurations(db, averageStageDurations);
+        } catch (durationsError) {
+            console.warn("Could not update stage durations:", durationsError);
+        }
+
+        const liveCount = goLiveIndex === -1 ? 0 : partners.filter((partner) => stageIndexOf(partner) >= goLiveIndex).length;
+
+        contentRoot.innerHTML = `
+            <section class="dashboard-page">
+                <header class="settings-header">
+                    <h1>Dashboard</h1>
+                    <p class="settings-subtitle">Onboarding metrics across all partners</p>
+                </header>
+
+                <div class="metrics-grid dashboard-summary">
+                    <div class="detail-card metric-item">
+                        <span class="metric-value">${partners.length}</span>
+                        <span class="detail-label">Partners</span>
+                    </div>
+                    <div class="detail-card metric-item">
+                        <span class="metric-value">${liveCount}</span>
+                        <span class="detail-label">Live</span>
+                    </div>
+                    <div class="detail-card metric-item">
+                        <span class="metric-value">${formatNumber(average(partners.map((partner) => daysSince(partner.createdAt))))}</span>
+                        <span class="detail-label">Avg. days since added</span>
+                    </div>
+                    <div class="detail-card metric-item">
+                        <span class="metric-value">${formatNumber(average(partners.map(getCompletion)))}%</span>
+                        <span class="detail-label">Avg. CS guide completion</span>
+                    </div>
+                </div>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">FUNNEL BY STAGE</h3>
+                    <div class="funnel-list">
+                        ${funnel.map((step, index) => `
+                            <div class="funnel-row">
+                                <span class="funnel-stage">${step.stage}</span>
+                                <div class="funnel-bar-track">
+                                    <div class="funnel-bar" style="width: ${funnelTop ? (step.reached / funnelTop) * 100 : 0}%;"></div>
+                                </div>
+                                <span class="funnel-count">${step.reached} reached · ${step.current} now</span>
+                                <span class="funnel-conversion">${index === 0
+                                    ? ''
+                                    : `${funnel[index - 1].reached ? Math.round((step.reached / funnel[index - 1].reached) * 100) : 0}% from ${funnel[index - 1].stage}`
+                                }</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">AVERAGE DAYS PER STAGE</h3>
+                    <div class="dashboard-table-wrapper">
+                        <table class="dashboard-table">
+                            <thead>
+                                <tr>
+                                    ${stages.map((stage) => `<th>${stage}</th>`).join('')}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <tr>
+                                    ${stages.map((stage) => `<td>${formatNumber(averageStageDurations[stage] ?? null)}</td>`).join('')}
+                                </tr>
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">BY PSM</h3>
+                    ${psmRows.length > 0 ? `
+                        <div class="dashboard-table-wrapper">
+                            <table class="dashboard-table">
+                                <thead>
+                                    <tr>
+                                        <th>PSM</th>
+                                        <th>Partners</th>
+                                        <th>Live</th>
+                                        <th>Avg. days in stage</th>
+                                        <th>Avg. CS guide</th>
+                                        ${stages.map((stage) => `<th>${stage}</th>`).join('')}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${psmRows.map((row) => `
+                                        <tr>
+                                            <td>${row.psm}</td>
+                                            <td>${row.total}</td>
+                                            <td>${row.live}</td>
+                                            <td>${formatNumber(row.averageDaysInStage)}</td>
+                                            <td>${formatNumber(row.averageCompletion)}%</td>
+                                            ${row.byStage.map((count) => `<td>${count}</td>`).join('')}
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : '<p class="empty-state">No partners yet.</p>'}
+                </div>
+            </section>
+        `;
+    } catch (error) {
+        console.error("Error loading dashboard:", error);
+        contentRoot.innerHTML = `
+            <div class="content-card">
+                <p>Error loading dashboard. Check console and Firebase Security Rules.</p>
+            </div>
+        `;
+    }
+}
+
+function getCompletion(partner) {
+    const items = Array.isArray(partner.csGuideStatus) ? partner.csGuideStatus : [];
+    if (!items.length) return null;
+    return (items.filter((item) => item.completed).length / items.length) * 100;
+}
+
+function average(values) {
+    const numbers = values.filter((value) => value !== null && value !== undefined);
+    if (!numbers.length) return null;
+    return numbers.reduce((sum, value) => sum + value, 0) / numbers.length;
+}
+
+function formatNumber(value) {
+    return value === null ? 'N/A' : Math.round(value);
+}
@@ -5,19 +5,108 @@ import {
     query, 
     where, 
     getDocs, 
-    addDoc, 
-    updateDoc, 
-    doc, 
-    deleteDoc,
-    serverTimestamp,
     orderBy 
 } from "firebase/firestore";
 import { 
     ref, 
-    uploadBytes, 
+    uploadBytesResumable, 
     getDownloadURL, 
     deleteObject 
 } from "firebase/storage";
+import { can } from "../constants/permissions.js";
+import { getCurrentUserProfile } from "../constants/currentUser.js";
+import { loadFavoriteDocumentIds, setDocumentFavorite } from "../constants/favorites.js";
+import {
+    addDocumentWithVersion,
+    addDocumentVersion,
+    createDocumentId,
+    loadDocumentVersions,
+    restoreDocumentVersion,
+    deleteDocumentWithVersions
+} from "../constants/documentVersions.js";
+import { downloadDocumentFile, getDocumentFilePath, loadDocumentFile } from "../constants/documentFiles.js";
+import { renderMarkdown } from "../constants/markdown.js";
+import { MAX_UPLOAD_SIZE_MB, getUploadContentType, getUploadError, formatFileSize } from "../constants/uploadLimits.js";
+import {
+    loadFolders,
+    getFolderPath,
+    getFolderSubtreeIds,
+    getFolderTreeOptions,
+    isFolderNameTaken,
+    createFolder,
+    updateFolder,
+    deleteFolderKeepingContents,
+    deleteFolders,
+    moveDocumentToFolder,
+    moveDocumentsToFolder,
+    getDocumentFolderId
+} from "../constants/folders.js";
+import {
+    buildAudience,
+    parseAudience,
+    describeAudience,
+    loadPartnerAudience,
+    loadSharingOptions,
+    shareDocument,
+    shareFolder
+} from "../constants/sharing.js";
+import { loadPdfJs } from "../constants/pdfjs.js";
+import { loadOnboardingStages } from "../constants/onboardingStages.js";
+import {
+    getDocumentTitle,
+    normalizeTags,
+    collectDocumentTags,
+    loadDocumentOwners,
+    updateDocumentDetails,
+    updateDocumentsTags
+} from "../constants/documentMetadata.js";
+import { createZip } from "../constants/zip.js";
+import {
+    isTextExtractable,
+    indexDocumentFile,
+    getSearchTerms,
+    textMatchesTerms,
+    loadDocumentTexts,
+    buildSearchSnippet,
+    MAX_SEARCHED_DOCUMENTS
+} from "../constants/documentText.js";
+import {
+    recordContentActivity,
+    loadPartnerAcknowledgments,
+    acknowledgeItem,
+    getAcknowledgmentId
+} from "../constants/contentActivity.js";
+
+/**
+ * Type filter options on the search bar; values match getDocumentKind.
+ */
+const DOCUMENT_KIND_OPTIONS = [
+    { value: 'pdf', label: 'PDF' },
+    { value: 'word', label: 'Word' },
+    { value: 'spreadsheet', label: 'Spreadsheet' },
+    { value: 'presentation', label: 'Presentation' },
+    { value: 'text', label: 'Text' },
+    { value: 'image', label: 'Image' },
+    { value: 'video', label: 'Video' },
+    { value: 'other', label: 'Other' }
+];
+
+/**
+ * Largest ZIP the bulk download builds. The archive is assembled in the browser's memory.
+ */
+const MAX_ZIP_SIZE_MB = 1024;
+
+/**
+ * Sort options for the document lists; values match sortDocuments.
+ */
+const DOCUMENT_SORT_OPTIONS = [
+    { value: 'newest', label: 'Newest first' },
+    { value: 'oldest', label: 'Oldest first' },
+    { value: 'updated', label: 'Recently updated' },
+    { value: 'name', label: 'Name' },
+    { value: 'stage', label: 'Target stage' },
+    { value: 'owner', label: 'Owner' }
+];
 
 /**
  * Renders the Documents page content with folders, search, upload, download, and favorites.
@@ -40,96 +129,355 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
         greetingElement.style.display = 'none';
     }
 
-    let currentFolder = null; // null = root view, folder name = inside folder
+    let currentFolder = null; // null = root view, folder ID = inside folder
+    let favoriteIds = new Set(); // IDs of the documents the signed-in user has starred
+    let versionsDocument = null; // Document whose version history is open
+    let previewPdf = null; // pdf.js document shown in the preview modal
+    let previewObjectUrl = null; // Object URL of the image or video shown in the preview modal
+    let activeFolderId = null; // Folder being edited or deleted in a folder modal
+    let shareTarget = null; // { type: 'document'|'folder', item } being shared in the share modal
+    let sharingOptions = null; // Partners and integration types staff can share with (loaded on demand)
+    let pageFolders = []; // Folders of the current render, for the share modal
+    let pageDocuments = []; // Documents of the current render, for the share modal
+    let documentTexts = null; // Indexed text of the visible documents, loaded on the first search
+    let latestSearchId = 0; // Lets a slow search notice that a newer one has started
+    let detailsDocument = null; // Document whose details are open in the details modal
+    let detailsTags = []; // Tags being edited in the details modal
+    let documentOwners = null; // Users that can own documents (loaded on demand)
+    let pageStages = []; // Onboarding stages, for the target stage field and sorting
+    let sortOrder = 'newest'; // Survives re-renders of the page
+    let acknowledgments = new Map(); // Document ID to the partner's acknowledgment request (partner users only)
+    const selectedIds = new Set(); // Documents ticked for bulk actions, across folders
+    const uploadQueue = []; // Uploads shown in the upload panel; survives re-renders of the page
+    let nextUploadId = 1;
+    const canManageDocuments = can(userRole, 'documents:manage');
+    const canShareDocuments = can(userRole, 'documents:share');
+    const seesAllDocuments = can(userRole, 'partners:view-all');
+
+    const currentUser = await getCurrentUserProfile(db);
+    // Partner users see their own uploads plus whatever is shared with their audience
+    const partnerAudience = !seesAllDocuments && partnerId ? await loadPartnerAudience(db, partnerId) : null;
 
     const documentsCol = collection(db, "documents");
-    const foldersCol = collection(db, "folders");
-
-    // Load documents and folders
-    const loadDocuments = async (folderName = null) => {
-        let documentsQuery;
-        if (userRole === 'admin' || userRole === 'transferz') {
-            if (folderName) {
-                documentsQuery = query(
-                    documentsCol,
-                    where("folder", "==", folderName),
-                    orderBy("createdAt", "desc")
-                );
-            } else {
-                documentsQuery = query(documentsCol, orderBy("createdAt", "desc"));
-            }
-        } else if (userRole === 'partner' && partnerId) {
-            if (folderName) {
-                documentsQuery = query(
-                    documentsCol,
-                    where("partnerId", "==", partnerId),
-                    where("folder", "==", folderName),
-                    orderBy("createdAt", "desc")
-                );
-            } else {
-                documentsQuery = query(
-                    documentsCol,
-                    where("partnerId", "==", partnerId),
-                    orderBy("createdAt", "desc")
-                );
-            }
+
+    // Load every document the user can see; folders are resolved client-side
+    const loadDocuments = async () => {
+        let documentsQueries;
+        if (seesAllDocuments) {
+            documentsQueries = [query(documentsCol, orderBy("createdAt", "desc"))];
+        } else if (can(userRole, 'documents:view') && partnerId) {
+            // Mirrors the documents read rule: own uploads, or shared with this partner's audience
+            documentsQueries = [
+                query(documentsCol, where("partnerId", "==", partnerId)),
+                query(documentsCol, where("audience", "array-contains-any", partnerAudience))
+            ];
         } else {
             return [];
         }
 
-        const snapshot = await getDocs(documentsQuery);
-        const documents = [];
-        snapshot.forEach(doc => {
-            documents.push({ id: doc.id, ...doc.data() });
+        const snapshots = await Promise.all(documentsQueries.map(documentsQuery => getDocs(documentsQuery)));
+        const documentsById = new Map();
+        snapshots.forEach(snapshot => {
+            snapshot.forEach(doc => {
+                documentsById.set(doc.id, { id: doc.id, ...doc.data() });
+            });
+        });
+        return [...documentsById.values()].sort((a, b) => getMillis(b.createdAt) - getMillis(a.createdAt));
+    };
+
+    // Upload a file to Storage with a resumable upload and describe it for the documents collection.
+    // The document ID is stored on the object so storage.rules can apply the document's sharing.
+    // `onTask` receives the upload task (for pause/resume/cancel) and `onProgress` a 0-1 fraction.
+    const uploadFile = async (file, documentId, { onTask = null, onProgress = null } = {}) => {
+        const fileRef = ref(storage, `documents/${Date.now()}_${file.name}`);
+        const task = uploadBytesResumable(fileRef, file, {
+            contentType: getUploadContentType(file),
+            customMetadata: { documentId }
+        });
+        onTask?.(task);
+        if (onProgress) {
+            task.on('state_changed', (snapshot) => {
+                onProgress(snapshot.totalBytes ? snapshot.bytesTransferred / snapshot.totalBytes : 0);
+            });
+        }
+        await task;
+        const downloadURL = await getDownloadURL(fileRef);
+
+        // Determine file type
+        const isVideo = file.type.startsWith('video/') || 
+                       file.name.toLowerCase().match(/\.(mp4|avi|mov|wmv|flv|webm)$/i);
+
+        return {
+            name: file.name,
+            type: isVideo ? 'video' : 'document',
+            url: downloadURL,
+            storagePath: fileRef.fullPath,
+            size: file.size,
+            contentType: getUploadContentType(file)
+        };
+    };
+
+    // Waits for the Firestore write that records an uploaded file. If it fails, the file is
+    // deleted again so it isn't left in Storage without a document.
+    const removeFileOnFailure = async (uploadedFile, recordPromise) => {
+        try {
+            return await recordPromise;
+        } catch (error) {
+            await deleteObject(ref(storage, uploadedFile.storagePath)).catch(err => {
+                console.warn('Error removing uploaded file:', err);
+            });
+            throw error;
+        }
+    };
+
+    // Queue files for upload into a folder; files over the limits are listed with their error
+    const enqueueUploads = (files, folderId) => {
+        [...files].forEach(file => {
+            const uploadError = getUploadError(file);
+            const item = {
+                id: nextUploadId++,
+                file,
+                folderId,
+                documentId: null,
+                task: null,
+                progress: 0,
+                status: uploadError ? 'error' : 'queued',
+                error: uploadError,
+                retryable: !uploadError
+            };
+            uploadQueue.push(item);
+            if (!uploadError) {
+                runUpload(item);
+            }
         });
-        return documents;
+        renderUploadQueue();
+    };
+
+    const runUpload = async (item) => {
+        item.status = 'uploading';
+        item.progress = 0;
+        item.error = null;
+        // Each attempt gets its own document ID, so a canceled attempt never leaves a half-made doc
+        item.documentId = createDocumentId(db);
+        renderUploadQueue();
+
+        try {
+            const uploadedFile = await uploadFile(item.file, item.documentId, {
+                onTask: (task) => { item.task = task; },
+                onProgress: (progress) => {
+                    item.progress = progress;
+                    updateUploadProgress(item);
+                }
+            });
+
+            // Staff uploads take over the folder's sharing; partner uploads stay with their own partner
+            const targetFolder = pageFolders.find(f => f.id === item.folderId);
+            await removeFileOnFailure(uploadedFile, addDocumentWithVersion(db, {
+                folderId: item.folderId,
+                partnerId: seesAllDocuments ? null : partnerId,
+                audience: seesAllDocuments ? targetFolder?.audience || [] : []
+            }, uploadedFile, item.documentId));
+
+            // Text is extracted from the local file, so it doesn't have to be downloaded again
+            if (isTextExtractable(item.file.name)) {
+                item.status = 'indexing';
+                item.task = null;
+                renderUploadQueue();
+                await indexDocumentFile(db, item.documentId, 1, item.file);
+            }
+
+            item.status = 'done';
+            item.progress = 1;
+        } catch (error) {
+            if (error.code === 'storage/canceled') {
+                item.status = 'canceled';
+            } else {
+                console.error('Error uploading file:', error);
+                item.status = 'error';
+                item.error = error.code === 'storage/unauthorized'
+                    ? `${item.file.name} was rejected by the server. Check the file type and size.`
+                    : `${item.file.name} could not be uploaded. Please try again.`;
+            }
+        } finally {
+            item.task = null;
+        }
+
+        renderUploadQueue();
+        // Refresh the lists once the last running upload has finished
+        if (item.status === 'done' && !uploadQueue.some(i => ['uploading', 'paused', 'indexing'].includes(i.status))) {
+            await renderPage(currentFolder);
+        }
+    };
+
+    const renderUploadQueue = () => {
+        const panel = contentRoot.querySelector('#upload-queue');
+        if (!panel) return;
+
+        panel.style.display = uploadQueue.length ? 'block' : 'none';
+        const activeCount = uploadQueue.filter(i => ['uploading', 'paused', 'indexing'].includes(i.status)).length;
+        panel.innerHTML = `
+            <div class="upload-queue-header">
+                <h4>${activeCount ? `Uploading ${activeCount} ${activeCount === 1 ? 'file' : 'files'}` : 'Uploads'}</h4>
+                <button type="button" class="secondary-btn" data-upload-action="clear">Clear finished</button>
+            </div>
+            ${uploadQueue.map(item => `
+                <div class="upload-item ${item.status}" data-upload-id="${item.id}">
+                    <div class="upload-item-row">
+                        <span class="upload-item-name">${escapeHtml(item.file.name)}</span>
+                        <span class="upload-item-size">${formatFileSize(item.file.size)}</span>
+                    </div>
+                    <div class="upload-progress-track">
+                        <div class="upload-progress-bar" style="width: ${Math.round(item.progress * 100)}%;"></div>
+                    </div>
+                    <div class="upload-item-row">
+                        <span class="upload-item-status">${escapeHtml(describeUploadStatus(item))}</span>
+                        <span class="upload-item-actions">
+                            ${item.status === 'uploading' ? '<button type="button" class="link-btn" data-upload-action="pause">Pause</button>' : ''}
+                            ${item.status === 'paused' ? '<button type="button" class="link-btn" data-upload-action="resume">Resume</button>' : ''}
+                            ${item.status === 'uploading' || item.status === 'paused' ? '<button type="button" class="link-btn" data-upload-action="cancel">Cancel</button>' : ''}
+                            ${(item.status === 'error' && item.retryable) || item.status === 'canceled' ? '<button type="button" class="link-btn" data-upload-action="retry">Retry</button>' : ''}
+                        </span>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+    };
+
+    const updateUploadProgress = (item) => {
+        const element = contentRoot.querySelector(`[data-upload-id="${item.id}"]`);
+        if (!element) return;
+        element.querySelector('.upload-progress-bar').style.width = `${Math.round(item.progress * 100)}%`;
+        element.querySelector('.upload-item-status').textContent = describeUploadStatus(item);
+    };
+
+    // Pause/resume/cancel/retry buttons in the upload panel
+    const handleUploadAction = (e) => {
+        const action = e.target.getAttribute('data-upload-action');
+        if (!action) return;
+
+        if (action === 'clear') {
+            for (let i = uploadQueue.length - 1; i >= 0; i--) {
+                if (['done', 'canceled', 'error'].includes(uploadQueue[i].status)) {
+                    uploadQueue.splice(i, 1);
+                }
+            }
+            renderUploadQueue();
+            return;
+        }
+
+        const itemId = Number(e.target.closest('[data-upload-id]')?.getAttribute('data-upload-id'));
+        const item = uploadQueue.find(i => i.id === itemId);
+        if (!item) return;
+
+        if (action === 'pause' && item.task?.pause()) {
+            item.status = 'paused';
+        } else if (action === 'resume' && item.task?.resume()) {
+            item.status = 'uploading';
+        } else if (action === 'cancel') {
+            item.task?.cancel();
+            return; // runUpload updates the status when the task rejects
+        } else if (action === 'retry') {
+            runUpload(item);
+            return;
+        }
+        renderUploadQueue();
     };
 
-    const loadFolders = async () => {
-        const snapshot = await getDocs(foldersCol);
-        const folders = [];
-        snapshot.forEach(doc => {
-            folders.push({ id: doc.id, ...doc.data() });
+    // Filter documents by name or indexed text, then by folder (including subfolders), type, uploader and date
+    const filterDocuments = (docs, searchText, filters, contentMatches) => {
+        const searchTerms = getSearchTerms(searchText);
+        const folderIds = filters.folderId ? getFolderSubtreeIds(pageFolders, filters.folderId) : null;
+        const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+        const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : null;
+
+        return docs.filter(doc => {
+            if (searchText) {
+                // Terms shorter than two characters aren't indexed; match those against the details only
+                const details = [doc.displayName, doc.name, doc.description, ...(doc.tags || [])].filter(Boolean).join(' ');
+                const detailsMatch = searchTerms.length
+                    ? textMatchesTerms(details, searchTerms)
+                    : details.toLowerCase().includes(searchText.toLowerCase());
+                if (!detailsMatch && !contentMatches.has(doc.id)) return false;
+            }
+            if (filters.tag && !(doc.tags || []).some(tag => tag.toLowerCase() === filters.tag.toLowerCase())) return false;
+            if (filters.stage && doc.targetStage !== filters.stage) return false;
+            if (filters.owner && doc.ownerId !== filters.owner) return false;
+            if (folderIds && !folderIds.has(doc.folderId)) return false;
+            if (filters.type && getDocumentKind(doc) !== filters.type) return false;
+            if (filters.uploader && doc.uploadedBy !== filters.uploader) return false;
+            const createdAt = getMillis(doc.createdAt);
+            if (from && createdAt < from) return false;
+            if (to && createdAt > to) return false;
+            return true;
         });
-        return folders;
     };
 
-    // Filter documents by search term
-    const filterDocuments = (docs, searchTerm) => {
-        if (!searchTerm) return docs;
-        const term = searchTerm.toLowerCase();
-        return docs.filter(doc => 
-            doc.name?.toLowerCase().includes(term) ||
-            doc.folder?.toLowerCase().includes(term)
-        );
+    // Find documents whose indexed text contains every term. The text is loaded once and
+    // searched locally, the same way for every role.
+    const findContentMatches = async (docs, searchTerms) => {
+        if (!searchTerms.length) return { matches: new Map(), truncated: false };
+
+        documentTexts = documentTexts || await loadDocumentTexts(db, docs);
+        return {
+            matches: new Map([...documentTexts.texts].filter(([, text]) => textMatchesTerms(text, searchTerms))),
+            truncated: documentTexts.truncated
+        };
     };
 
-    // Render document items
-    const renderDocuments = (docsToRender) => {
+    // Render document items, with an optional highlighted snippet of matching text per document ID
+    const renderDocuments = (docsToRender, snippets = {}) => {
         if (!docsToRender.length) {
             return '<p class="empty-state">No documents found.</p>';
         }
 
         return docsToRender.map(document => {
+            const isFavorite = favoriteIds.has(document.id);
             const isVideo = document.type === 'video' || 
                            document.name?.toLowerCase().match(/\.(mp4|avi|mov|wmv|flv|webm)$/i);
             const icon = isVideo ? '▶️' : '📄';
             return `
-                <div class="document-item" data-doc-id="${document.id}">
+                <div class="document-item" data-doc-id="${document.id}" title="Preview" ${canManageDocuments ? 'draggable="true"' : ''}>
+                    <input type="checkbox" 
+                           class="document-select" 
+                           data-doc-id="${document.id}" 
+                           aria-label="Select ${escapeHtml(getDocumentTitle(document))}" 
+                           ${selectedIds.has(document.id) ? 'checked' : ''} />
                     <div class="document-icon">${icon}</div>
                     <div class="document-info">
-                        <p class="document-name">${document.name || 'Untitled Document'}</p>
+                        <p class="document-name" ${document.displayName ? `title="${escapeHtml(document.name)}"` : ''}>${escapeHtml(getDocumentTitle(document))}</p>
+                        ${document.description ? `<p class="document-description">${escapeHtml(document.description)}</p>` : ''}
+                        ${snippets[document.id] ? `<p class="document-snippet">${snippets[document.id]}</p>` : ''}
+                        ${document.versionCount > 1
+                            ? `<p class="document-meta">Version ${document.version || document.versionCount} of ${document.versionCount}</p>`
+                            : ''
+                        }
+                        ${renderDocumentBadges(document, acknowledgments.get(document.id))}
                     </div>
                     <div class="document-actions">
-                        <button class="favorite-btn ${document.isFavorite ? 'active' : ''}" 
+                        ${acknowledgments.has(document.id) && !acknowledgments.get(document.id).acknowledgedAt
+                            ? `<button class="acknowledge-btn" data-doc-id="${document.id}" title="Confirm you have read this">✔️</button>`
+                            : ''
+                        }
+                        <button class="favorite-btn ${isFavorite ? 'active' : ''}" 
                                 data-doc-id="${document.id}" 
-                                title="${document.isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
-                            ${document.isFavorite ? '★' : '☆'}
+                                title="${isFavorite ? 'Remove from favorites' : 'Add to favorites'}">
+                            ${isFavorite ? '★' : '☆'}
                         </button>
                         <button class="download-btn" data-doc-id="${document.id}" title="Download">
                             ⬇️
                         </button>
-                        ${userRole === 'admin' || userRole === 'transferz' 
+                        <button class="versions-btn" data-doc-id="${document.id}" title="Version history">
+                            🕘
+                        </button>
+                        ${canManageDocuments
+                            ? `<button class="details-btn" data-doc-id="${document.id}" title="Edit details">✏️</button>`
+                            : ''
+                        }
+                        ${canShareDocuments
+                            ? `<button class="share-btn" data-doc-id="${document.id}" title="Share">👥</button>`
+                            : ''
+                        }
+                        ${can(userRole, 'documents:manage')
                             ? `<button class="delete-btn" data-doc-id="${document.id}" title="Delete">🗑️</button>`
                             : ''
                         }
@@ -139,54 +487,169 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
         }).join('');
     };
 
-    const renderPage = async (folderName = null) => {
-        currentFolder = folderName;
-        const documents = await loadDocuments(folderName);
-        const folders = await loadFolders();
-        const favorites = documents.filter(doc => doc.isFavorite);
+    // Documents listed in the favorites and folder sections of the current folder, in the chosen order
+    const getSectionDocuments = (documents) => {
+        const folderDocuments = documents.filter(d => d.folderId === currentFolder);
+        const favorites = (currentFolder ? folderDocuments : documents).filter(doc => favoriteIds.has(doc.id));
+        return {
+            favorites: sortDocuments(favorites, sortOrder, pageStages),
+            folderDocuments: sortDocuments(folderDocuments, sortOrder, pageStages)
+        };
+    };
+
+    const renderPage = async (folderId = null) => {
+        const [loadedDocuments, folders, stages] = await Promise.all([
+            loadDocuments(),
+            loadFolders(db, partnerAudience),
+            loadOnboardingStages(db)
+        ]);
+        pageStages = stages;
+        // Fall back to the root when the folder was deleted meanwhile
+        currentFolder = folders.some(f => f.id === folderId) ? folderId : null;
+        // Documents in folders the user can't see are listed at the root
+        const documents = loadedDocuments.map(d => {
+            const documentFolderId = getDocumentFolderId(d, folders);
+            return { ...d, folderId: folders.some(f => f.id === documentFolderId) ? documentFolderId : null };
+        });
+        pageFolders = folders;
+        pageDocuments = documents;
+        documentTexts = null;
+        // Forget selected documents that were deleted or are no longer visible
+        [...selectedIds].forEach(id => {
+            if (!documents.some(d => d.id === id)) selectedIds.delete(id);
+        });
+        const folderPath = getFolderPath(folders, currentFolder);
+        const folderName = folderPath.length ? folderPath[folderPath.length - 1].name : null;
+        favoriteIds = await loadFavoriteDocumentIds(db, currentUser?.uid);
+        if (!seesAllDocuments && partnerId) {
+            acknowledgments = new Map((await loadPartnerAcknowledgments(db, partnerId).catch(error => {
+                console.warn('Could not load acknowledgments:', error);
+                return [];
+            }))
+                .filter(acknowledgment => acknowledgment.itemType === 'document')
+                .map(acknowledgment => [acknowledgment.itemId, acknowledgment]));
+        }
+        const { favorites, folderDocuments } = getSectionDocuments(documents);
+        const tags = collectDocumentTags(documents);
+        const owners = new Map(documents
+            .filter(d => d.ownerId)
+            .map(d => [d.ownerId, d.ownerName || 'Unknown user']));
+        const childFolders = folders.filter(f => f.parentId === currentFolder);
+        const uploaders = new Map(documents
+            .filter(d => d.uploadedBy)
+            .map(d => [d.uploadedBy, d.uploadedByName || 'Unknown user']));
 
         // Render folder cards
-        const renderFolders = (foldersToRender) => {
-            if (folderName) return ''; // Don't show folders when inside a folder
-            
-            const defaultFolders = ['Presentations', 'Videos'];
-            const allFolders = [...new Set([...defaultFolders, ...foldersToRender.map(f => f.name)])];
-            
-            return allFolders.map(folderName => {
-                const folderDocs = documents.filter(d => d.folder === folderName);
-                const count = folderDocs.length;
-                return `
-                    <div class="folder-card" data-folder="${folderName}">
-                        <div class="folder-icon">📁</div>
-                        <div class="folder-info">
-                            <h3 class="folder-name">${folderName}</h3>
-                            <p class="folder-count">${count} ${count === 1 ? 'file' : 'files'}</p>
-                        </div>
+        const renderFolders = () => childFolders.map(folder => {
+            const subtreeIds = getFolderSubtreeIds(folders, folder.id);
+            const count = documents.filter(d => subtreeIds.has(d.folderId)).length;
+            return `
+                <div class="folder-card" data-folder-id="${folder.id}">
+                    <div class="folder-icon">📁</div>
+                    <div class="folder-info">
+                        <h3 class="folder-name">${escapeHtml(folder.name)}</h3>
+                        <p class="folder-count">${count} ${count === 1 ? 'file' : 'files'}</p>
                     </div>
-                `;
-            }).join('');
-        };
+                    ${canManageDocuments ? `
+                        <div class="folder-card-actions">
+                            <button class="folder-action-btn edit-folder-btn" data-folder-id="${folder.id}" title="Rename or move">✏️</button>
+                            ${canShareDocuments ? `<button class="folder-action-btn share-folder-btn" data-folder-id="${folder.id}" title="Share folder">👥</button>` : ''}
+                            <button class="folder-action-btn delete-folder-btn" data-folder-id="${folder.id}" title="Delete folder">🗑️</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
 
         contentRoot.innerHTML = `
             <section class="documents-page">
                 <header class="documents-header">
                     <div class="documents-header-row">
-                        <h1 class="documents-title">${folderName ? folderName : 'Onboarding documents'}</h1>
-                        <button class="add-btn" id="add-btn">+ ADD</button>
+                        <h1 class="documents-title">${folderName ? escapeHtml(folderName) : 'Onboarding documents'}</h1>
+                        ${can(userRole, 'documents:upload') ? '<button class="add-btn" id="add-btn">+ ADD</button>' : ''}
                     </div>
-                    ${folderName 
-                        ? `<button class="back-btn" id="back-btn">← Back to Documents</button>`
-                        : ''
-                    }
+                    ${currentFolder ? `
+                        <nav class="folder-breadcrumbs" aria-label="Folder path">
+                            <button class="breadcrumb-link" data-folder-id="">Onboarding documents</button>
+                            ${folderPath.map((folder, index) => index === folderPath.length - 1
+                                ? `<span class="breadcrumb-separator">/</span><span class="breadcrumb-current">${escapeHtml(folder.name)}</span>`
+                                : `<span class="breadcrumb-separator">/</span><button class="breadcrumb-link" data-folder-id="${folder.id}">${escapeHtml(folder.name)}</button>`
+                            ).join('')}
+                        </nav>
+                    ` : ''}
                     <input type="search" 
                            id="documents-search" 
                            class="documents-search" 
-                           placeholder="Search" />
+                           placeholder="Search names and file contents" />
+                    <div class="documents-filters">
+                        <select id="filter-folder" class="documents-filter" aria-label="Folder">
+                            <option value="">All folders</option>
+                            ${renderFolderOptions(folders, new Set(), null)}
+                        </select>
+                        <select id="filter-type" class="documents-filter" aria-label="Type">
+                            <option value="">All types</option>
+                            ${DOCUMENT_KIND_OPTIONS.map(option => `<option value="${option.value}">${option.label}</option>`).join('')}
+                        </select>
+                        <select id="filter-uploader" class="documents-filter" aria-label="Uploaded by">
+                            <option value="">Anyone</option>
+                            ${[...uploaders].sort((a, b) => a[1].localeCompare(b[1])).map(([uid, name]) => `
+                                <option value="${uid}">${escapeHtml(name)}</option>
+                            `).join('')}
+                        </select>
+                        <label class="documents-filter-date">From
+                            <input type="date" id="filter-from" class="documents-filter" />
+                        </label>
+                        <label class="documents-filter-date">To
+                            <input type="date" id="filter-to" class="documents-filter" />
+                        </label>
+                        ${tags.length ? `
+                            <select id="filter-tag" class="documents-filter" aria-label="Tag">
+                                <option value="">All tags</option>
+                                ${tags.map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`).join('')}
+                            </select>
+                        ` : ''}
+                        <select id="filter-stage" class="documents-filter" aria-label="Target stage">
+                            <option value="">Any stage</option>
+                            ${stages.map(stage => `<option value="${escapeHtml(stage)}">Read before ${escapeHtml(stage)}</option>`).join('')}
+                        </select>
+                        ${owners.size ? `
+                            <select id="filter-owner" class="documents-filter" aria-label="Owner">
+                                <option value="">Any owner</option>
+                                ${[...owners].sort((a, b) => a[1].localeCompare(b[1])).map(([uid, name]) => `
+                                    <option value="${uid}">${escapeHtml(name)}</option>
+                                `).join('')}
+                            </select>
+                        ` : ''}
+                        <select id="documents-sort" class="documents-filter documents-sort" aria-label="Sort by">
+                            ${DOCUMENT_SORT_OPTIONS.map(option => `
+                                <option value="${option.value}" ${option.value === sortOrder ? 'selected' : ''}>${option.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
                 </header>
 
-                ${!folderName ? `
+                <div class="bulk-actions-bar" id="bulk-actions-bar" style="display: none;">
+                    <span class="bulk-selection-count" id="bulk-selection-count"></span>
+                    <button type="button" class="link-btn" id="bulk-select-all-btn">Select all shown</button>
+                    <button type="button" class="link-btn" id="bulk-clear-btn">Clear selection</button>
+                    <div class="bulk-actions">
+                        ${canManageDocuments ? `
+                            <button type="button" class="secondary-btn" id="bulk-move-btn">Move</button>
+                            <button type="button" class="secondary-btn" id="bulk-tag-btn">Tag</button>
+                        ` : ''}
+                        <button type="button" class="secondary-btn" id="bulk-download-btn">Download ZIP</button>
+                        ${canManageDocuments ? '<button type="button" class="secondary-btn" id="bulk-delete-btn">Delete</button>' : ''}
+                    </div>
+                </div>
+
+                <div class="search-results-section" id="search-results-section" style="display: none;">
+                    <h2 class="section-title" id="search-results-title">Search results</h2>
+                    <div class="documents-list" id="search-results-list"></div>
+                </div>
+
+                ${childFolders.length ? `
                     <div class="folders-section">
-                        ${renderFolders(folders)}
+                        ${renderFolders()}
                     </div>
                 ` : ''}
 
@@ -199,16 +662,18 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
                     </div>
                 ` : ''}
 
-                ${folderName ? `
+                ${currentFolder || folderDocuments.length ? `
                     <div class="folder-documents-section">
-                        <h2 class="section-title">Documents in ${folderName}</h2>
+                        <h2 class="section-title">${folderName ? `Documents in ${escapeHtml(folderName)}` : 'Documents'}</h2>
                         <div class="documents-list" id="folder-documents-list">
-                            ${renderDocuments(documents.filter(d => d.folder === folderName))}
+                            ${renderDocuments(folderDocuments)}
                         </div>
                     </div>
                 ` : ''}
             </section>
 
+            <div class="upload-queue" id="upload-queue" style="display: none;"></div>
+
             <!-- Add Modal -->
             <div class="modal-backdrop" id="add-modal" aria-hidden="true">
                 <div class="modal-card">
@@ -220,9 +685,11 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
                         <button class="modal-action-btn" id="upload-file-btn">
                             📄 Upload File
                         </button>
-                        <button class="modal-action-btn" id="create-folder-btn">
-                            📁 Create Folder
-                        </button>
+                        ${can(userRole, 'documents:manage') ? `
+                            <button class="modal-action-btn" id="create-folder-btn">
+                                📁 Create Folder
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
             </div>
@@ -235,18 +702,17 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
                         <button class="modal-close" type="button" id="close-upload-modal" aria-label="Close">&times;</button>
                     </div>
                     <form id="upload-form">
+                        <p class="settings-description">You can select several files at once, or drop files anywhere on this page or onto a folder. Files can be up to ${MAX_UPLOAD_SIZE_MB} MB.</p>
                         <label>
                             <span>Select Folder</span>
-                            <select name="folder" id="upload-folder-select">
+                            <select name="folderId" id="upload-folder-select">
                                 <option value="">Root (No folder)</option>
-                                ${folders.map(f => `<option value="${f.name}" ${f.name === folderName ? 'selected' : ''}>${f.name}</option>`).join('')}
-                                ${!folders.find(f => f.name === 'Presentations') ? '<option value="Presentations">Presentations</option>' : ''}
-                                ${!folders.find(f => f.name === 'Videos') ? '<option value="Videos">Videos</option>' : ''}
+                                ${renderFolderOptions(folders, new Set(), currentFolder)}
                             </select>
                         </label>
                         <label>
-                            <span>File</span>
-                            <input type="file" name="file" id="upload-file-input" required />
+                            <span>Files</span>
+                            <input type="file" name="file" id="upload-file-input" multiple required />
                         </label>
                         <div class="form-actions">
                             <button type="button" class="secondary-btn" id="cancel-upload">Cancel</button>
@@ -256,6 +722,164 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
                 </div>
             </div>
 
+            <!-- Preview Modal -->
+            <div class="modal-backdrop" id="preview-modal" aria-hidden="true">
+                <div class="modal-card preview-card">
+                    <div class="modal-header">
+                        <h3 id="preview-title">Preview</h3>
+                        <button class="modal-close" type="button" id="close-preview-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <div id="preview-body" class="preview-body"></div>
+                    <div id="shared-with-panel" class="shared-with-panel"></div>
+                    <div id="preview-pdf-controls" class="preview-pdf-controls" style="display: none;">
+                        <button type="button" class="secondary-btn" id="pdf-prev-btn">← Previous</button>
+                        <span id="pdf-page-info"></span>
+                        <button type="button" class="secondary-btn" id="pdf-next-btn">Next →</button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Share Modal -->
+            <div class="modal-backdrop" id="share-modal" aria-hidden="true">
+                <div class="modal-card">
+                    <div class="modal-header">
+                        <h3 id="share-modal-title">Share</h3>
+                        <button class="modal-close" type="button" id="close-share-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <form id="share-form">
+                        <p class="settings-description" id="share-modal-description"></p>
+                        <label class="cs-guide-item">
+                            <input type="checkbox" name="everyone" id="share-everyone-checkbox" />
+                            <span>All partners</span>
+                        </label>
+                        <div id="share-targets">
+                            <h4 class="share-section-title">Integration types</h4>
+                            <div class="share-options" id="share-integration-options"></div>
+                            <h4 class="share-section-title">Partners</h4>
+                            <div class="share-options" id="share-partner-options"></div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="cancel-share">Cancel</button>
+                            <button type="submit" class="primary-btn" id="save-share-btn">Save Sharing</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+
+            <!-- Version History Modal -->
+            <div class="modal-backdrop" id="versions-modal" aria-hidden="true">
+                <div class="modal-card">
+                    <div class="modal-header">
+                        <h3 id="versions-modal-title">Version history</h3>
+                        <button class="modal-close" type="button" id="close-versions-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <div id="versions-list" class="versions-list"></div>
+                    ${can(userRole, 'documents:manage') ? `
+                        <form id="version-upload-form">
+                            <label>
+                                <span>Upload New Version</span>
+                                <input type="file" name="file" id="version-file-input" required />
+                            </label>
+                            <div class="form-actions">
+                                <button type="submit" class="primary-btn" id="version-upload-btn">Upload Version</button>
+                            </div>
+                        </form>
+                    ` : ''}
+                </div>
+            </div>
+
+            <!-- Document Details Modal -->
+            <div class="modal-backdrop" id="details-modal" aria-hidden="true">
+                <div class="modal-card">
+                    <div class="modal-header">
+                        <h3>Edit Details</h3>
+                        <button class="modal-close" type="button" id="close-details-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <form id="details-form">
+                        <label>
+                            <span>Display Name</span>
+                            <input type="text" name="displayName" id="details-display-name-input" />
+                        </label>
+                        <label>
+                            <span>Description</span>
+                            <textarea name="description" id="details-description-input" rows="3"></textarea>
+                        </label>
+                        <label>
+                            <span>Tags</span>
+                            <div class="tag-input" id="details-tags">
+                                <input type="text" id="details-tag-input" list="document-tag-suggestions" placeholder="Type a tag and press Enter" />
+                            </div>
+                        </label>
+                        <datalist id="document-tag-suggestions">
+                            ${tags.map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('')}
+                        </datalist>
+                        <label>
+                            <span>Read Before Stage</span>
+                            <select name="targetStage" id="details-stage-select">
+                                <option value="">No target stage</option>
+                                ${stages.map(stage => `<option value="${escapeHtml(stage)}">${escapeHtml(stage)}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>
+                            <span>Owner</span>
+                            <select name="ownerId" id="details-owner-select"></select>
+                        </label>
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="cancel-details">Cancel</button>
+                            <button type="submit" class="primary-btn" id="save-details-btn">Save</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+
+            <!-- Bulk Move Modal -->
+            <div class="modal-backdrop" id="bulk-move-modal" aria-hidden="true">
+                <div class="modal-card">
+                    <div class="modal-header">
+                        <h3 id="bulk-move-title">Move Documents</h3>
+                        <button class="modal-close" type="button" id="close-bulk-move-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <form id="bulk-move-form">
+                        <label>
+                            <span>Move To</span>
+                            <select name="folderId" id="bulk-move-folder-select">
+                                <option value="">Root (No folder)</option>
+                                ${renderFolderOptions(folders, new Set(), currentFolder)}
+                            </select>
+                        </label>
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="cancel-bulk-move">Cancel</button>
+                            <button type="submit" class="primary-btn" id="confirm-bulk-move-btn">Move</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+
+            <!-- Bulk Tag Modal -->
+            <div class="modal-backdrop" id="bulk-tag-modal" aria-hidden="true">
+                <div class="modal-card">
+                    <div class="modal-header">
+                        <h3 id="bulk-tag-title">Tag Documents</h3>
+                        <button class="modal-close" type="button" id="close-bulk-tag-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <form id="bulk-tag-form">
+                        <p class="settings-description">Separate several tags with commas. Other tags on the documents are kept.</p>
+                        <label>
+                            <span>Add Tags</span>
+                            <input type="text" name="addTags" list="document-tag-suggestions" />
+                        </label>
+                        <label>
+                            <span>Remove Tags</span>
+                            <input type="text" name="removeTags" list="document-tag-suggestions" />
+                        </label>
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="cancel-bulk-tag">Cancel</button>
+                            <button type="submit" class="primary-btn" id="confirm-bulk-tag-btn">Apply</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+
             <!-- Create Folder Modal -->
             <div class="modal-backdrop" id="folder-modal" aria-hidden="true">
                 <div class="modal-card">
@@ -275,6 +899,55 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
                     </form>
                 </div>
             </div>
+
+            <!-- Edit Folder Modal -->
+            <div class="modal-backdrop" id="edit-folder-modal" aria-hidden="true">
+                <div class="modal-card">
+                    <div class="modal-header">
+                        <h3>Rename or Move Folder</h3>
+                        <button class="modal-close" type="button" id="close-edit-folder-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <form id="edit-folder-form">
+                        <label>
+                            <span>Folder Name</span>
+                            <input type="text" name="folderName" id="edit-folder-name-input" required />
+                        </label>
+                        <label>
+                            <span>Parent Folder</span>
+                            <select name="parentId" id="edit-folder-parent-select"></select>
+                        </label>
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="cancel-edit-folder">Cancel</button>
+                            <button type="submit" class="primary-btn">Save</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+
+            <!-- Delete Folder Modal -->
+            <div class="modal-backdrop" id="delete-folder-modal" aria-hidden="true">
+                <div class="modal-card">
+                    <div class="modal-header">
+                        <h3 id="delete-folder-title">Delete Folder</h3>
+                        <button class="modal-close" type="button" id="close-delete-folder-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <form id="delete-folder-form">
+                        <p class="settings-description" id="delete-folder-summary"></p>
+                        <label class="cs-guide-item">
+                            <input type="radio" name="contents" value="keep" checked />
+                            <span id="delete-folder-keep-label">Move its documents and subfolders up one level</span>
+                        </label>
+                        <label class="cs-guide-item">
+                            <input type="radio" name="contents" value="delete" />
+                            <span>Delete its documents and subfolders too</span>
+                        </label>
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="cancel-delete-folder">Cancel</button>
+                            <button type="submit" class="primary-btn" id="confirm-delete-folder-btn">Delete Folder</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
         `;
 
         // Event listeners
@@ -282,126 +955,314 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
     };
 
     const setupEventListeners = (documents, folders) => {
-        // Search functionality
+        // Search across all folders; results replace the folder view while a term or filter is set
         const searchInput = contentRoot.querySelector('#documents-search');
-        if (searchInput) {
-            let searchTimeout;
-            searchInput.addEventListener('input', (e) => {
-                clearTimeout(searchTimeout);
-                searchTimeout = setTimeout(() => {
-                    const searchTerm = e.target.value.toLowerCase();
-                    const allDocs = [...documents];
-                    const filtered = filterDocuments(allDocs, searchTerm);
-                    
-                    // Update favorites list
-                    const favoritesList = contentRoot.querySelector('#favorites-list');
-                    if (favoritesList) {
-                        const favs = filtered.filter(d => d.isFavorite);
-                        favoritesList.innerHTML = renderDocuments(favs);
-                        attachDocumentListeners(favs);
-                    }
-                    
-                    // Update folder documents list
-                    const folderList = contentRoot.querySelector('#folder-documents-list');
-                    if (folderList && currentFolder) {
-                        const folderDocs = filtered.filter(d => d.folder === currentFolder);
-                        folderList.innerHTML = renderDocuments(folderDocs);
-                        attachDocumentListeners(folderDocs);
-                    }
-                }, 300);
-            });
-        }
+        const filterInputs = {
+            folderId: contentRoot.querySelector('#filter-folder'),
+            type: contentRoot.querySelector('#filter-type'),
+            uploader: contentRoot.querySelector('#filter-uploader'),
+            from: contentRoot.querySelector('#filter-from'),
+            to: contentRoot.querySelector('#filter-to'),
+            tag: contentRoot.querySelector('#filter-tag'),
+            stage: contentRoot.querySelector('#filter-stage'),
+            owner: contentRoot.querySelector('#filter-owner')
+        };
+        const runSearch = async () => {
+            const searchText = searchInput.value.trim();
+            // The tag and owner filters are only shown once some document has tags or an owner
+            const filters = Object.fromEntries(Object.entries(filterInputs).map(([key, input]) => [key, input?.value || '']));
+            const isSearching = Boolean(searchText) || Object.values(filters).some(Boolean);
+            const resultsSection = contentRoot.querySelector('#search-results-section');
+            contentRoot.querySelector('.documents-page').classList.toggle('searching', isSearching);
+            resultsSection.style.display = isSearching ? 'block' : 'none';
+            if (!isSearching) return;
+
+            const searchId = ++latestSearchId;
+            const searchTerms = getSearchTerms(searchText);
+            let contentMatches = new Map();
+            let contentTruncated = false;
+            try {
+                ({ matches: contentMatches, truncated: contentTruncated } = await findContentMatches(documents, searchTerms));
+            } catch (error) {
+                console.error('Error searching document contents:', error);
+            }
+            if (searchId !== latestSearchId) return;
 
-        // Folder click handlers
-        contentRoot.querySelectorAll('.folder-card').forEach(card => {
-            card.addEventListener('click', () => {
-                const folderName = card.getAttribute('data-folder');
-                renderPage(folderName);
+            const results = sortDocuments(filterDocuments(documents, searchText, filters, contentMatches), sortOrder, pageStages);
+            const snippets = {};
+            results.forEach(d => {
+                if (contentMatches.has(d.id)) {
+                    snippets[d.id] = buildSearchSnippet(contentMatches.get(d.id), searchTerms);
+                }
             });
+
+            const resultsList = contentRoot.querySelector('#search-results-list');
+            contentRoot.querySelector('#search-results-title').textContent =
+                `${results.length} ${results.length === 1 ? 'result' : 'results'}${contentTruncated
+                    ? ` · file contents searched in the ${MAX_SEARCHED_DOCUMENTS} most recent documents only`
+                    : ''}`;
+            resultsList.innerHTML = renderDocuments(results, snippets);
+            attachDocumentListeners(results, resultsList);
+        };
+
+        let searchTimeout;
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(runSearch, 300);
         });
+        Object.values(filterInputs).forEach(input => input?.addEventListener('change', runSearch));
 
-        // Back button
-        const backBtn = contentRoot.querySelector('#back-btn');
-        if (backBtn) {
-            backBtn.addEventListener('click', () => {
-                renderPage(null);
-            });
-        }
+        // Sorting re-renders the lists in place, so the search and filters are kept
+        contentRoot.querySelector('#documents-sort').addEventListener('change', (e) => {
+            sortOrder = e.target.value;
+            const { favorites, folderDocuments } = getSectionDocuments(documents);
+            const favoritesList = contentRoot.querySelector('#favorites-list');
+            if (favoritesList) {
+                favoritesList.innerHTML = renderDocuments(favorites);
+                attachDocumentListeners(favorites, favoritesList);
+            }
+            const folderList = contentRoot.querySelector('#folder-documents-list');
+            if (folderList) {
+                folderList.innerHTML = renderDocuments(folderDocuments);
+                attachDocumentListeners(folderDocuments, folderList);
+            }
+            runSearch();
+        });
 
-        // Add button
-        const addBtn = contentRoot.querySelector('#add-btn');
-        const addModal = contentRoot.querySelector('#add-modal');
-        const closeAddModal = contentRoot.querySelector('#close-add-modal');
-        
-        addBtn?.addEventListener('click', () => {
-            addModal?.setAttribute('aria-hidden', 'false');
-            addModal?.classList.add('visible');
+        // Folder and breadcrumb navigation
+        contentRoot.querySelectorAll('.folder-card, .breadcrumb-link').forEach(target => {
+            target.addEventListener('click', () => {
+                renderPage(target.getAttribute('data-folder-id') || null);
+            });
         });
 
-        closeAddModal?.addEventListener('click', () => closeModal(addModal));
+        // Drop documents on a folder card or breadcrumb to move them there, or files to upload them there
+        const canUploadDocuments = can(userRole, 'documents:upload');
+        if (canManageDocuments || canUploadDocuments) {
+            contentRoot.querySelectorAll('.folder-card, .breadcrumb-link').forEach(target => {
+                target.addEventListener('dragover', (e) => {
+                    const isFileDrag = e.dataTransfer.types.includes('Files');
+                    const isDocumentDrag = !isFileDrag && e.dataTransfer.types.includes('text/plain');
+                    if ((isFileDrag && canUploadDocuments) || (isDocumentDrag && canManageDocuments)) {
+                        e.preventDefault();
+                        target.classList.add('drag-over');
+                    }
+                });
+                target.addEventListener('dragleave', () => target.classList.remove('drag-over'));
+                target.addEventListener('drop', async (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    target.classList.remove('drag-over');
+                    contentRoot.querySelector('.documents-page')?.classList.remove('file-drag-over');
+                    const targetFolderId = target.getAttribute('data-folder-id') || null;
 
-        // Upload file button
-        const uploadFileBtn = contentRoot.querySelector('#upload-file-btn');
-        const uploadModal = contentRoot.querySelector('#upload-modal');
-        const closeUploadModal = contentRoot.querySelector('#close-upload-modal');
-        const cancelUpload = contentRoot.querySelector('#cancel-upload');
-        const uploadForm = contentRoot.querySelector('#upload-form');
+                    if (e.dataTransfer.files.length) {
+                        enqueueUploads(e.dataTransfer.files, targetFolderId);
+                        return;
+                    }
 
-        uploadFileBtn?.addEventListener('click', () => {
-            addModal?.setAttribute('aria-hidden', 'true');
-            addModal?.classList.remove('visible');
-            uploadModal?.setAttribute('aria-hidden', 'false');
-            uploadModal?.classList.add('visible');
+                    const docId = e.dataTransfer.getData('text/plain');
+                    const docItem = documents.find(d => d.id === docId);
+                    if (!docItem) return;
+
+                    try {
+                        // Dragging one of the selected documents moves the whole selection
+                        if (selectedIds.has(docId) && selectedIds.size > 1) {
+                            await moveDocumentsToFolder(db, [...selectedIds], targetFolderId);
+                            selectedIds.clear();
+                        } else if (docItem.folderId !== targetFolderId) {
+                            await moveDocumentToFolder(db, docId, targetFolderId);
+                        } else {
+                            return;
+                        }
+                        await renderPage(currentFolder);
+                    } catch (error) {
+                        console.error('Error moving document:', error);
+                        alert('Failed to move the document.');
+                    }
+                });
+            });
+        }
+
+        // Folder rename/move
+        const editFolderModal = contentRoot.querySelector('#edit-folder-modal');
+        const editFolderForm = contentRoot.querySelector('#edit-folder-form');
+
+        contentRoot.querySelectorAll('.edit-folder-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                activeFolderId = btn.getAttribute('data-folder-id');
+                const folder = folders.find(f => f.id === activeFolderId);
+                contentRoot.querySelector('#edit-folder-name-input').value = folder?.name || '';
+                // A folder can't move into itself or its own subfolders
+                contentRoot.querySelector('#edit-folder-parent-select').innerHTML = `
+                    <option value="">Root (No folder)</option>
+                    ${renderFolderOptions(folders, getFolderSubtreeIds(folders, activeFolderId), folder?.parentId || null)}
+                `;
+                editFolderModal?.setAttribute('aria-hidden', 'false');
+                editFolderModal?.classList.add('visible');
+            });
         });
 
-        closeUploadModal?.addEventListener('click', () => closeModal(uploadModal));
-        cancelUpload?.addEventListener('click', () => closeModal(uploadModal));
+        contentRoot.querySelector('#close-edit-folder-modal')?.addEventListener('click', () => closeModal(editFolderModal));
+        contentRoot.querySelector('#cancel-edit-folder')?.addEventListener('click', () => closeModal(editFolderModal));
 
-        uploadForm?.addEventListener('submit', async (e) => {
+        editFolderForm?.addEventListener('submit', async (e) => {
             e.preventDefault();
-            const formData = new FormData(uploadForm);
-            const file = formData.get('file');
-            const folderName = formData.get('folder') || null;
+            const formData = new FormData(editFolderForm);
+            const name = formData.get('folderName')?.toString().trim();
+            const parentId = formData.get('parentId') || null;
 
-            if (!file || !file.name) {
-                alert('Please select a file.');
+            if (!name) {
+                alert('Please enter a folder name.');
+                return;
+            }
+            if (isFolderNameTaken(folders, name, parentId, activeFolderId)) {
+                alert('A folder with this name already exists there.');
                 return;
             }
 
             try {
-                // Upload to Firebase Storage
-                const fileRef = ref(storage, `documents/${Date.now()}_${file.name}`);
-                await uploadBytes(fileRef, file);
-                const downloadURL = await getDownloadURL(fileRef);
-
-                // Determine file type
-                const isVideo = file.type.startsWith('video/') || 
-                               file.name.toLowerCase().match(/\.(mp4|avi|mov|wmv|flv|webm)$/i);
-                const type = isVideo ? 'video' : 'document';
-
-                // Save metadata to Firestore
-                const docData = {
-                    name: file.name,
-                    type: type,
-                    url: downloadURL,
-                    storagePath: fileRef.fullPath,
-                    folder: folderName,
-                    isFavorite: false,
-                    partnerId: userRole === 'partner' ? partnerId : null,
-                    createdAt: serverTimestamp(),
-                    updatedAt: serverTimestamp()
-                };
-
-                await addDoc(documentsCol, docData);
-                closeModal(uploadModal);
-                uploadForm.reset();
+                await updateFolder(db, folders, activeFolderId, { name, parentId });
+                closeModal(editFolderModal);
                 await renderPage(currentFolder);
             } catch (error) {
-                console.error('Error uploading file:', error);
-                alert('Failed to upload file. Please try again.');
+                console.error('Error updating folder:', error);
+                alert(error.message || 'Failed to update the folder.');
+            }
+        });
+
+        // Folder delete
+        const deleteFolderModal = contentRoot.querySelector('#delete-folder-modal');
+        const deleteFolderForm = contentRoot.querySelector('#delete-folder-form');
+
+        contentRoot.querySelectorAll('.delete-folder-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                activeFolderId = btn.getAttribute('data-folder-id');
+                const folder = folders.find(f => f.id === activeFolderId);
+                const subtreeIds = getFolderSubtreeIds(folders, activeFolderId);
+                const documentCount = documents.filter(d => subtreeIds.has(d.folderId)).length;
+                const subfolderCount = subtreeIds.size - 1;
+                const parentName = folders.find(f => f.id === folder?.parentId)?.name || 'Onboarding documents';
+
+                contentRoot.querySelector('#delete-folder-title').textContent = `Delete "${folder?.name || 'folder'}"`;
+                contentRoot.querySelector('#delete-folder-summary').textContent =
+                    `This folder contains ${documentCount} ${documentCount === 1 ? 'document' : 'documents'} and ${subfolderCount} ${subfolderCount === 1 ? 'subfolder' : 'subfolders'}.`;
+                contentRoot.querySelector('#delete-folder-keep-label').textContent =
+                    `Move its documents and subfolders to "${parentName}"`;
+                deleteFolderForm.reset();
+                deleteFolderModal?.setAttribute('aria-hidden', 'false');
+                deleteFolderModal?.classList.add('visible');
+            });
+        });
+
+        contentRoot.querySelector('#close-delete-folder-modal')?.addEventListener('click', () => closeModal(deleteFolderModal));
+        contentRoot.querySelector('#cancel-delete-folder')?.addEventListener('click', () => closeModal(deleteFolderModal));
+
+        deleteFolderForm?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const deleteContents = new FormData(deleteFolderForm).get('contents') === 'delete';
+            const confirmBtn = deleteFolderForm.querySelector('#confirm-delete-folder-btn');
+
+            if (deleteContents && !confirm('Delete this folder, its subfolders and every document in them? This cannot be undone.')) {
+                return;
+            }
+
+            try {
+                confirmBtn.disabled = true;
+                if (deleteContents) {
+                    const subtreeIds = getFolderSubtreeIds(folders, activeFolderId);
+                    for (const docItem of documents.filter(d => subtreeIds.has(d.folderId))) {
+                        await deleteDocumentAndFiles(docItem);
+                    }
+                    await deleteFolders(db, subtreeIds);
+                } else {
+                    const directDocuments = documents.filter(d => d.folderId === activeFolderId);
+                    await deleteFolderKeepingContents(db, folders, directDocuments, activeFolderId);
+                }
+                closeModal(deleteFolderModal);
+                await renderPage(currentFolder);
+            } catch (error) {
+                console.error('Error deleting folder:', error);
+                alert('Failed to delete the folder.');
+            } finally {
+                confirmBtn.disabled = false;
+            }
+        });
+
+        // Add button
+        const addBtn = contentRoot.querySelector('#add-btn');
+        const addModal = contentRoot.querySelector('#add-modal');
+        const closeAddModal = contentRoot.querySelector('#close-add-modal');
+        
+        addBtn?.addEventListener('click', () => {
+            addModal?.setAttribute('aria-hidden', 'false');
+            addModal?.classList.add('visible');
+        });
+
+        closeAddModal?.addEventListener('click', () => closeModal(addModal));
+
+        // Upload file button
+        const uploadFileBtn = contentRoot.querySelector('#upload-file-btn');
+        const uploadModal = contentRoot.querySelector('#upload-modal');
+        const closeUploadModal = contentRoot.querySelector('#close-upload-modal');
+        const cancelUpload = contentRoot.querySelector('#cancel-upload');
+        const uploadForm = contentRoot.querySelector('#upload-form');
+
+        uploadFileBtn?.addEventListener('click', () => {
+            addModal?.setAttribute('aria-hidden', 'true');
+            addModal?.classList.remove('visible');
+            uploadModal?.setAttribute('aria-hidden', 'false');
+            uploadModal?.classList.add('visible');
+        });
+
+        closeUploadModal?.addEventListener('click', () => closeModal(uploadModal));
+        cancelUpload?.addEventListener('click', () => closeModal(uploadModal));
+
+        uploadForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const files = contentRoot.querySelector('#upload-file-input').files;
+            const targetFolderId = new FormData(uploadForm).get('folderId') || null;
+
+            if (!files.length) {
+                alert('Please select a file.');
+                return;
             }
+
+            // Uploads continue in the upload panel
+            enqueueUploads(files, targetFolderId);
+            closeModal(uploadModal);
+            uploadForm.reset();
         });
 
+        // Upload panel
+        renderUploadQueue();
+        contentRoot.querySelector('#upload-queue')?.addEventListener('click', handleUploadAction);
+
+        // Drop files anywhere on the page to upload them into the current folder
+        const documentsPage = contentRoot.querySelector('.documents-page');
+        if (can(userRole, 'documents:upload') && documentsPage) {
+            documentsPage.addEventListener('dragover', (e) => {
+                if (e.dataTransfer.types.includes('Files')) {
+                    e.preventDefault();
+                    documentsPage.classList.add('file-drag-over');
+                }
+            });
+            documentsPage.addEventListener('dragleave', (e) => {
+                if (!documentsPage.contains(e.relatedTarget)) {
+                    documentsPage.classList.remove('file-drag-over');
+                }
+            });
+            documentsPage.addEventListener('drop', (e) => {
+                documentsPage.classList.remove('file-drag-over');
+                if (e.dataTransfer.files.length) {
+                    e.preventDefault();
+                    enqueueUploads(e.dataTransfer.files, currentFolder);
+                }
+            });
+        }
+
         // Create folder button
         const createFolderBtn = contentRoot.querySelector('#create-folder-btn');
         const folderModal = contentRoot.querySelector('#folder-modal');
@@ -431,18 +1292,14 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
 
             try {
                 // Check if folder already exists
-                const existingFolders = await getDocs(foldersCol);
-                const folderExists = existingFolders.docs.some(doc => doc.data().name === folderName);
-
-                if (folderExists) {
-                    alert('A folder with this name already exists.');
+                const existingFolders = await loadFolders(db);
+                if (isFolderNameTaken(existingFolders, folderName, currentFolder)) {
+                    alert('A folder with this name already exists here.');
                     return;
                 }
 
-                await addDoc(foldersCol, {
-                    name: folderName,
-                    createdAt: serverTimestamp()
-                });
+                const parentFolder = existingFolders.find(f => f.id === currentFolder);
+                await createFolder(db, folderName, currentFolder, parentFolder?.audience || []);
 
                 closeModal(folderModal);
                 folderForm.reset();
@@ -453,13 +1310,732 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
             }
         });
 
+        // Folder sharing
+        contentRoot.querySelectorAll('.share-folder-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const folder = folders.find(f => f.id === btn.getAttribute('data-folder-id'));
+                if (folder) {
+                    openShareModal('folder', folder);
+                }
+            });
+        });
+
+        // Share modal
+        const shareModal = contentRoot.querySelector('#share-modal');
+        const shareForm = contentRoot.querySelector('#share-form');
+        const shareEveryoneCheckbox = contentRoot.querySelector('#share-everyone-checkbox');
+
+        contentRoot.querySelector('#close-share-modal')?.addEventListener('click', () => closeModal(shareModal));
+        contentRoot.querySelector('#cancel-share')?.addEventListener('click', () => closeModal(shareModal));
+        shareEveryoneCheckbox?.addEventListener('change', () => {
+            contentRoot.querySelector('#share-targets').classList.toggle('disabled', shareEveryoneCheckbox.checked);
+        });
+
+        shareForm?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!shareTarget) return;
+
+            const audience = buildAudience({
+                everyone: shareEveryoneCheckbox.checked,
+                partnerIds: [...shareForm.querySelectorAll('input[name="sharePartner"]:checked')].map(input => input.value),
+                integrationTypes: [...shareForm.querySelectorAll('input[name="shareIntegration"]:checked')].map(input => input.value)
+            });
+            const saveBtn = shareForm.querySelector('#save-share-btn');
+
+            try {
+                saveBtn.disabled = true;
+                if (shareTarget.type === 'folder') {
+                    await shareFolder(db, pageFolders, pageDocuments, shareTarget.item.id, audience);
+                } else {
+                    await shareDocument(db, shareTarget.item.id, audience);
+                }
+                closeModal(shareModal);
+                closePreview();
+                await renderPage(currentFolder);
+            } catch (error) {
+                console.error('Error saving sharing:', error);
+                alert('Failed to save sharing settings.');
+            } finally {
+                saveBtn.disabled = false;
+            }
+        });
+
+        // Preview
+        const previewModal = contentRoot.querySelector('#preview-modal');
+        contentRoot.querySelector('#close-preview-modal')?.addEventListener('click', closePreview);
+        previewModal?.addEventListener('click', (e) => {
+            if (e.target === previewModal) {
+                closePreview();
+            }
+        });
+
+        // Version history
+        const versionsModal = contentRoot.querySelector('#versions-modal');
+        const versionUploadForm = contentRoot.querySelector('#version-upload-form');
+
+        contentRoot.querySelector('#close-versions-modal')?.addEventListener('click', () => closeModal(versionsModal));
+
+        versionUploadForm?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const file = new FormData(versionUploadForm).get('file');
+            if (!versionsDocument || !file || !file.name) {
+                alert('Please select a file.');
+                return;
+            }
+            const uploadError = getUploadError(file);
+            if (uploadError) {
+                alert(uploadError);
+                return;
+            }
+
+            const uploadBtn = versionUploadForm.querySelector('#version-upload-btn');
+            try {
+                uploadBtn.disabled = true;
+                uploadBtn.textContent = 'Uploading...';
+                const uploadedFile = await uploadFile(file, versionsDocument.id, {
+                    onProgress: (progress) => {
+                        uploadBtn.textContent = `Uploading... ${Math.round(progress * 100)}%`;
+                    }
+                });
+                const version = await removeFileOnFailure(uploadedFile, addDocumentVersion(db, versionsDocument, uploadedFile));
+                uploadBtn.textContent = 'Indexing text...';
+                await indexDocumentFile(db, versionsDocument.id, version, file);
+                closeModal(versionsModal);
+                versionUploadForm.reset();
+                await renderPage(currentFolder);
+            } catch (error) {
+                console.error('Error uploading new version:', error);
+                alert('Failed to upload the new version. Please try again.');
+            } finally {
+                uploadBtn.disabled = false;
+                uploadBtn.textContent = 'Upload Version';
+            }
+        });
+
+        // Document details
+        const detailsModal = contentRoot.querySelector('#details-modal');
+        const detailsForm = contentRoot.querySelector('#details-form');
+        const tagInput = contentRoot.querySelector('#details-tag-input');
+
+        // Adds whatever is typed in the tag input (commas separate several tags)
+        const addPendingTags = () => {
+            if (!tagInput.value.trim()) return;
+            detailsTags = normalizeTags([...detailsTags, ...tagInput.value.split(',')]);
+            tagInput.value = '';
+            renderDetailsTags();
+        };
+
+        tagInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                addPendingTags();
+            } else if (e.key === 'Backspace' && !tagInput.value && detailsTags.length) {
+                detailsTags = detailsTags.slice(0, -1);
+                renderDetailsTags();
+            }
+        });
+        // Picking a suggestion from the autocomplete list adds it straight away
+        tagInput.addEventListener('input', (e) => {
+            const isSuggestion = [...contentRoot.querySelectorAll('#document-tag-suggestions option')]
+                .some(option => option.value === tagInput.value);
+            if ((!e.inputType || e.inputType === 'insertReplacementText') && isSuggestion) {
+                addPendingTags();
+            }
+        });
+        contentRoot.querySelector('#details-tags').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.tag-chip-remove');
+            if (removeBtn) {
+                e.preventDefault();
+                detailsTags = detailsTags.filter((_, index) => index !== Number(removeBtn.getAttribute('data-tag-index')));
+                renderDetailsTags();
+            }
+        });
+
+        contentRoot.querySelector('#close-details-modal').addEventListener('click', () => closeModal(detailsModal));
+        contentRoot.querySelector('#cancel-details').addEventListener('click', () => closeModal(detailsModal));
+
+        detailsForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!detailsDocument) return;
+            addPendingTags();
+
+            const formData = new FormData(detailsForm);
+            const ownerId = formData.get('ownerId');
+            const ownerOption = detailsForm.querySelector('#details-owner-select').selectedOptions[0];
+            const saveBtn = detailsForm.querySelector('#save-details-btn');
+            try {
+                saveBtn.disabled = true;
+                await updateDocumentDetails(db, detailsDocument.id, {
+                    displayName: formData.get('displayName'),
+                    description: formData.get('description'),
+                    tags: detailsTags,
+                    targetStage: formData.get('targetStage'),
+                    owner: ownerId ? { uid: ownerId, displayName: ownerOption.textContent.trim() } : null
+                });
+                closeModal(detailsModal);
+                await renderPage(currentFolder);
+            } catch (error) {
+                console.error('Error saving document details:', error);
+                alert('Failed to save the document details. Please try again.');
+            } finally {
+                saveBtn.disabled = false;
+            }
+        });
+
+        // Bulk actions on the selected documents
+        const getSelectedDocuments = () => documents.filter(d => selectedIds.has(d.id));
+        const bulkMoveModal = contentRoot.querySelector('#bulk-move-modal');
+        const bulkTagModal = contentRoot.querySelector('#bulk-tag-modal');
+        const openBulkModal = (modal, title) => {
+            const count = selectedIds.size;
+            modal.querySelector('h3').textContent = `${title} ${count} ${count === 1 ? 'Document' : 'Documents'}`;
+            modal.setAttribute('aria-hidden', 'false');
+            modal.classList.add('visible');
+        };
+
+        contentRoot.querySelector('#bulk-select-all-btn').addEventListener('click', () => {
+            // Only rows on screen: search results while searching, otherwise the folder view
+            contentRoot.querySelectorAll('.document-select').forEach(checkbox => {
+                if (checkbox.offsetParent !== null) {
+                    selectedIds.add(checkbox.getAttribute('data-doc-id'));
+                }
+            });
+            syncSelectionCheckboxes();
+        });
+        contentRoot.querySelector('#bulk-clear-btn').addEventListener('click', () => {
+            selectedIds.clear();
+            syncSelectionCheckboxes();
+        });
+
+        contentRoot.querySelector('#bulk-move-btn')?.addEventListener('click', () => openBulkModal(bulkMoveModal, 'Move'));
+        contentRoot.querySelector('#close-bulk-move-modal').addEventListener('click', () => closeModal(bulkMoveModal));
+        contentRoot.querySelector('#cancel-bulk-move').addEventListener('click', () => closeModal(bulkMoveModal));
+        contentRoot.querySelector('#bulk-move-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const folderId = new FormData(e.target).get('folderId') || null;
+            const moveBtn = e.target.querySelector('#confirm-bulk-move-btn');
+            try {
+                moveBtn.disabled = true;
+                await moveDocumentsToFolder(db, getSelectedDocuments().map(d => d.id), folderId);
+                selectedIds.clear();
+                closeModal(bulkMoveModal);
+                await renderPage(currentFolder);
+            } catch (error) {
+                console.error('Error moving documents:', error);
+                alert('Failed to move the documents.');
+            } finally {
+                moveBtn.disabled = false;
+            }
+        });
+
+        contentRoot.querySelector('#bulk-tag-btn')?.addEventListener('click', () => openBulkModal(bulkTagModal, 'Tag'));
+        contentRoot.querySelector('#close-bulk-tag-modal').addEventListener('click', () => closeModal(bulkTagModal));
+        contentRoot.querySelector('#cancel-bulk-tag').addEventListener('click', () => closeModal(bulkTagModal));
+        contentRoot.querySelector('#bulk-tag-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const add = normalizeTags(formData.get('addTags').split(','));
+            const remove = normalizeTags(formData.get('removeTags').split(','));
+            if (!add.length && !remove.length) {
+                alert('Please enter tags to add or remove.');
+                return;
+            }
+
+            const tagBtn = e.target.querySelector('#confirm-bulk-tag-btn');
+            try {
+                tagBtn.disabled = true;
+                await updateDocumentsTags(db, getSelectedDocuments(), { add, remove });
+                e.target.reset();
+                closeModal(bulkTagModal);
+                await renderPage(currentFolder);
+            } catch (error) {
+                console.error('Error tagging documents:', error);
+                alert('Failed to update the tags.');
+            } finally {
+                tagBtn.disabled = false;
+            }
+        });
+
+        contentRoot.querySelector('#bulk-download-btn').addEventListener('click', async (e) => {
+            const downloadBtn = e.target;
+            try {
+                downloadBtn.disabled = true;
+                await downloadDocumentsAsZip(getSelectedDocuments(), (done, total) => {
+                    downloadBtn.textContent = `Zipping ${done} of ${total}...`;
+                });
+            } catch (error) {
+                console.error('Error building ZIP:', error);
+                alert(error.message || 'Failed to download the documents.');
+            } finally {
+                downloadBtn.disabled = false;
+                downloadBtn.textContent = 'Download ZIP';
+            }
+        });
+
+        contentRoot.querySelector('#bulk-delete-btn')?.addEventListener('click', async (e) => {
+            const selectedDocuments = getSelectedDocuments();
+            const count = selectedDocuments.length;
+            if (!confirm(`Are you sure you want to delete ${count} ${count === 1 ? 'document' : 'documents'} and all of their versions?`)) {
+                return;
+            }
+
+            const deleteBtn = e.target;
+            const failed = [];
+            deleteBtn.disabled = true;
+            for (const [index, docItem] of selectedDocuments.entries()) {
+                deleteBtn.textContent = `Deleting ${index + 1} of ${count}...`;
+                try {
+                    await deleteDocumentAndFiles(docItem);
+                    selectedIds.delete(docItem.id);
+                } catch (error) {
+                    console.error('Error deleting document:', error);
+                    failed.push(getDocumentTitle(docItem));
+                }
+            }
+            if (failed.length) {
+                alert(`These documents could not be deleted:\n${failed.join('\n')}`);
+            }
+            await renderPage(currentFolder);
+        });
+
         // Attach document action listeners
         attachDocumentListeners(documents);
+        updateBulkActionsBar();
     };
 
-    const attachDocumentListeners = (docs) => {
+    const updateBulkActionsBar = () => {
+        const bar = contentRoot.querySelector('#bulk-actions-bar');
+        if (!bar) return;
+        bar.style.display = selectedIds.size ? 'flex' : 'none';
+        contentRoot.querySelector('#bulk-selection-count').textContent = `${selectedIds.size} selected`;
+    };
+
+    // Ticks the checkboxes of every selected document (a document can be listed twice, e.g. in favorites)
+    const syncSelectionCheckboxes = () => {
+        contentRoot.querySelectorAll('.document-select').forEach(checkbox => {
+            checkbox.checked = selectedIds.has(checkbox.getAttribute('data-doc-id'));
+        });
+        updateBulkActionsBar();
+    };
+
+    // Downloads every document's current file and saves them as one ZIP.
+    // `onProgress` receives the number of files fetched so far and the total.
+    const downloadDocumentsAsZip = async (docs, onProgress) => {
+        const files = [];
+        const usedNames = new Set();
+        let totalSize = 0;
+
+        for (const [index, docItem] of docs.entries()) {
+            onProgress(index, docs.length);
+            if (!getDocumentFilePath(docItem)) continue;
+
+            let data;
+            try {
+                data = new Uint8Array(await (await loadDocumentFile(storage, docItem)).arrayBuffer());
+            } catch (error) {
+                console.error(`Error downloading ${docItem.name}:`, error);
+                throw new Error(`"${getDocumentTitle(docItem)}" could not be downloaded.`);
+            }
+            totalSize += data.length;
+            if (totalSize > MAX_ZIP_SIZE_MB * 1024 * 1024) {
+                throw new Error(`The selected files are larger than ${MAX_ZIP_SIZE_MB} MB together. Please select fewer files.`);
+            }
+            files.push({
+                name: getUniqueFileName(docItem.name || 'document', usedNames),
+                data,
+                lastModified: new Date(getMillis(docItem.updatedAt || docItem.createdAt) || Date.now())
+            });
+        }
+        onProgress(docs.length, docs.length);
+        docs.forEach(docItem => recordContentActivity(db, 'document', docItem, 'download'));
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(createZip(files));
+        link.download = `documents-${new Date().toISOString().slice(0, 10)}.zip`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Give the browser time to start the download before the data is released
+        setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+    };
+
+    const renderDetailsTags = () => {
+        const container = contentRoot.querySelector('#details-tags');
+        container.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+        container.querySelector('#details-tag-input').insertAdjacentHTML('beforebegin', detailsTags.map((tag, index) => `
+            <span class="tag-chip">
+                ${escapeHtml(tag)}
+                <button type="button" class="tag-chip-remove" data-tag-index="${index}" aria-label="Remove ${escapeHtml(tag)}">&times;</button>
+            </span>
+        `).join(''));
+    };
+
+    const openDetailsModal = async (docItem) => {
+        detailsDocument = docItem;
+        detailsTags = normalizeTags(docItem.tags);
+        const detailsModal = contentRoot.querySelector('#details-modal');
+        const displayNameInput = contentRoot.querySelector('#details-display-name-input');
+        const ownerSelect = contentRoot.querySelector('#details-owner-select');
+
+        displayNameInput.value = docItem.displayName || '';
+        displayNameInput.placeholder = docItem.name || 'Untitled Document';
+        contentRoot.querySelector('#details-description-input').value = docItem.description || '';
+        contentRoot.querySelector('#details-tag-input').value = '';
+        contentRoot.querySelector('#details-stage-select').value = docItem.targetStage || '';
+        renderDetailsTags();
+
+        ownerSelect.innerHTML = '<option value="">No owner</option>';
+        try {
+            documentOwners = documentOwners || await loadDocumentOwners(db);
+        } catch (error) {
+            console.warn('Could not load document owners:', error);
+        }
+        // Keep the current owner selectable, e.g. after their account was deactivated
+        const ownerOptions = [...(documentOwners || [])];
+        if (docItem.ownerId && !ownerOptions.some(owner => owner.uid === docItem.ownerId)) {
+            ownerOptions.push({ uid: docItem.ownerId, displayName: docItem.ownerName || 'Unknown user' });
+        }
+        ownerSelect.innerHTML += ownerOptions.map(owner => `
+            <option value="${owner.uid}" ${owner.uid === docItem.ownerId ? 'selected' : ''}>${escapeHtml(owner.displayName)}</option>
+        `).join('');
+
+        detailsModal.setAttribute('aria-hidden', 'false');
+        detailsModal.classList.add('visible');
+        displayNameInput.focus();
+    };
+
+    const openShareModal = async (type, item) => {
+        shareTarget = { type, item };
+        const shareModal = contentRoot.querySelector('#share-modal');
+        const shareForm = contentRoot.querySelector('#share-form');
+
+        contentRoot.querySelector('#share-modal-title').textContent = `Share "${type === 'folder' ? item.name : getDocumentTitle(item)}"`;
+        contentRoot.querySelector('#share-modal-description').textContent = type === 'folder'
+            ? 'Partners see this folder, its subfolders and every document inside them. Files added to the folder later are shared the same way.'
+            : 'Choose which partners can see this document. transferz staff always see every document.';
+
+        try {
+            sharingOptions = sharingOptions || await loadSharingOptions(db);
+        } catch (error) {
+            console.error('Error loading partners:', error);
+            alert('Could not load the partner list.');
+            return;
+        }
+
+        const { everyone, partnerIds, integrationTypes } = parseAudience(item.audience);
+        contentRoot.querySelector('#share-everyone-checkbox').checked = everyone;
+        contentRoot.querySelector('#share-targets').classList.toggle('disabled', everyone);
+        contentRoot.querySelector('#share-integration-options').innerHTML = sharingOptions.integrationTypes.length
+            ? sharingOptions.integrationTypes.map(integrationType => `
+                <label class="cs-guide-item">
+                    <input type="checkbox" name="shareIntegration" value="${escapeHtml(integrationType)}" ${integrationTypes.includes(integrationType) ? 'checked' : ''} />
+                    <span>All ${escapeHtml(integrationType)} partners</span>
+                </label>
+            `).join('')
+            : '<p class="no-comments">No integration types yet.</p>';
+        contentRoot.querySelector('#share-partner-options').innerHTML = sharingOptions.partners.length
+            ? sharingOptions.partners.map(partner => `
+                <label class="cs-guide-item">
+                    <input type="checkbox" name="sharePartner" value="${escapeHtml(partner.partnerId)}" ${partnerIds.includes(partner.partnerId) ? 'checked' : ''} />
+                    <span>${escapeHtml(partner.name)} (${escapeHtml(partner.partnerId)})</span>
+                </label>
+            `).join('')
+            : '<p class="no-comments">No partners yet.</p>';
+
+        shareForm.querySelector('#save-share-btn').disabled = false;
+        shareModal?.setAttribute('aria-hidden', 'false');
+        shareModal?.classList.add('visible');
+    };
+
+    // "Shared with" panel in the preview; partners only learn whether a file is theirs or shared with them
+    const renderSharedWithPanel = async (docItem) => {
+        const panel = contentRoot.querySelector('#shared-with-panel');
+        if (!seesAllDocuments) {
+            panel.innerHTML = `
+                <p class="stage-timeline-meta">${docItem.partnerId === partnerId ? 'Uploaded by your team' : 'Shared with you by transferz'}</p>
+            `;
+            return;
+        }
+
+        let labels = describeAudience(docItem.audience, sharingOptions?.partners || []);
+        if (canShareDocuments && !sharingOptions) {
+            try {
+                sharingOptions = await loadSharingOptions(db);
+                labels = describeAudience(docItem.audience, sharingOptions.partners);
+            } catch (error) {
+                console.warn('Could not load partner names:', error);
+            }
+        }
+        const ownerLabel = docItem.partnerId
+            ? [`${sharingOptions?.partners.find(p => p.partnerId === docItem.partnerId)?.name || docItem.partnerId} (uploader)`]
+            : [];
+
+        panel.innerHTML = `
+            <div class="shared-with-header">
+                <h4 class="share-section-title">Shared with</h4>
+                ${canShareDocuments ? '<button type="button" class="secondary-btn" id="edit-sharing-btn">Edit Sharing</button>' : ''}
+            </div>
+            <div class="shared-with-list">
+                ${[...ownerLabel, ...labels].length
+                    ? [...ownerLabel, ...labels].map(label => `<span class="shared-with-chip">${escapeHtml(label)}</span>`).join('')
+                    : '<span class="stage-timeline-meta">transferz staff only</span>'
+                }
+            </div>
+        `;
+        panel.querySelector('#edit-sharing-btn')?.addEventListener('click', () => openShareModal('document', docItem));
+    };
+
+    const openPreview = async (docItem) => {
+        const previewModal = contentRoot.querySelector('#preview-modal');
+        const previewBody = contentRoot.querySelector('#preview-body');
+        const pdfControls = contentRoot.querySelector('#preview-pdf-controls');
+        const kind = getPreviewKind(docItem);
+        renderSharedWithPanel(docItem);
+
+        contentRoot.querySelector('#preview-title').textContent = getDocumentTitle(docItem);
+        pdfControls.style.display = 'none';
+        previewModal?.setAttribute('aria-hidden', 'false');
+        previewModal?.classList.add('visible');
+        recordContentActivity(db, 'document', docItem, 'view');
+
+        const hasFile = Boolean(getDocumentFilePath(docItem));
+        const attachPreviewDownload = () => {
+            previewBody.querySelector('.preview-download-btn')?.addEventListener('click', async () => {
+                recordContentActivity(db, 'document', docItem, 'download');
+                try {
+                    await downloadDocumentFile(storage, docItem);
+                } catch (error) {
+                    console.error('Error downloading file:', error);
+                    alert('Failed to download file.');
+                }
+            });
+        };
+
+        if (!hasFile || !kind) {
+            previewBody.innerHTML = `
+                <p class="empty-state">No preview is available for this file type.</p>
+                ${hasFile ? '<button type="button" class="primary-btn preview-download-btn">Download instead</button>' : ''}
+            `;
+            attachPreviewDownload();
+            return;
+        }
+
+        previewBody.innerHTML = '<p class="no-comments">Loading preview...</p>';
+        try {
+            // Files are read through the Storage SDK so storage.rules apply to the preview too
+            const blob = await loadDocumentFile(storage, docItem);
+            if (kind === 'pdf') {
+                await showPdfPreview(new Uint8Array(await blob.arrayBuffer()), previewBody, pdfControls);
+                return;
+            }
+            if (kind === 'image' || kind === 'video') {
+                if (previewObjectUrl) URL.revokeObjectURL(previewObjectUrl);
+                previewObjectUrl = URL.createObjectURL(blob);
+                previewBody.innerHTML = kind === 'image'
+                    ? `<img class="preview-image" src="${previewObjectUrl}" alt="${escapeHtml(docItem.name)}" />`
+                    : `<video class="preview-video" src="${previewObjectUrl}" controls autoplay></video>`;
+                return;
+            }
+
+            const text = await blob.text();
+            previewBody.innerHTML = kind === 'markdown'
+                ? `<div class="preview-markdown">${renderMarkdown(text)}</div>`
+                : `<pre class="preview-text">${escapeHtml(text)}</pre>`;
+        } catch (error) {
+            console.error('Error loading preview:', error);
+            previewBody.innerHTML = `
+                <p class="empty-state">The preview could not be loaded.</p>
+                <button type="button" class="primary-btn preview-download-btn">Download instead</button>
+            `;
+            attachPreviewDownload();
+        }
+    };
+
+    // Renders a PDF one page at a time with previous/next controls
+    const showPdfPreview = async (data, previewBody, pdfControls) => {
+        const pdfjsLib = await loadPdfJs();
+        const pdf = await pdfjsLib.getDocument({ data }).promise;
+        previewPdf = pdf;
+
+        const pageInfo = pdfControls.querySelector('#pdf-page-info');
+        const prevBtn = pdfControls.querySelector('#pdf-prev-btn');
+        const nextBtn = pdfControls.querySelector('#pdf-next-btn');
+        let pageNumber = 1;
+
+        const renderPdfPage = async () => {
+            const page = await pdf.getPage(pageNumber);
+            if (previewPdf !== pdf) return; // Preview was closed or replaced meanwhile
+
+            const canvas = document.createElement('canvas');
+            canvas.className = 'preview-pdf-page';
+            const unscaledViewport = page.getViewport({ scale: 1 });
+            const scale = Math.max(previewBody.clientWidth - 20, 300) / unscaledViewport.width;
+            const outputScale = window.devicePixelRatio || 1;
+            const viewport = page.getViewport({ scale: scale * outputScale });
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            canvas.style.width = `${Math.floor(viewport.width / outputScale)}px`;
+
+            await page.render({ canvas, viewport }).promise;
+            previewBody.innerHTML = '';
+            previewBody.appendChild(canvas);
+            previewBody.scrollTop = 0;
+
+            pageInfo.textContent = `Page ${pageNumber} of ${pdf.numPages}`;
+            prevBtn.disabled = pageNumber <= 1;
+            nextBtn.disabled = pageNumber >= pdf.numPages;
+        };
+
+        prevBtn.onclick = () => {
+            if (pageNumber > 1) {
+                pageNumber -= 1;
+                renderPdfPage();
+            }
+        };
+        nextBtn.onclick = () => {
+            if (pageNumber < pdf.numPages) {
+                pageNumber += 1;
+                renderPdfPage();
+            }
+        };
+
+        pdfControls.style.display = 'flex';
+        await renderPdfPage();
+    };
+
+    const closePreview = () => {
+        const previewModal = contentRoot.querySelector('#preview-modal');
+        // Clearing the body also stops a playing video
+        contentRoot.querySelector('#preview-body').innerHTML = '';
+        previewPdf?.destroy();
+        previewPdf = null;
+        if (previewObjectUrl) {
+            URL.revokeObjectURL(previewObjectUrl);
+            previewObjectUrl = null;
+        }
+        closeModal(previewModal);
+    };
+
+    const openVersionsModal = async (docItem) => {
+        versionsDocument = docItem;
+        const versionsModal = contentRoot.querySelector('#versions-modal');
+        const versionsList = contentRoot.querySelector('#versions-list');
+        contentRoot.querySelector('#versions-modal-title').textContent = `Version history: ${getDocumentTitle(docItem)}`;
+        versionsList.innerHTML = '<p class="no-comments">Loading versions...</p>';
+        versionsModal?.setAttribute('aria-hidden', 'false');
+        versionsModal?.classList.add('visible');
+
+        try {
+            let versions = await loadDocumentVersions(db, docItem.id);
+            // Documents uploaded before versioning only have their current file
+            if (!versions.length) {
+                versions = [{
+                    version: 1,
+                    name: docItem.name,
+                    url: docItem.url,
+                    storagePath: docItem.storagePath,
+                    uploadedByName: docItem.uploadedByName,
+                    uploadedAt: docItem.createdAt
+                }];
+            }
+            const currentVersion = docItem.version || docItem.versionCount || 1;
+
+            versionsList.innerHTML = versions.map(entry => `
+                <div class="version-item ${entry.version === currentVersion ? 'current' : ''}">
+                    <div class="version-info">
+                        <p class="version-title">
+                            v${entry.version} · ${escapeHtml(entry.name || 'Untitled Document')}
+                            ${entry.version === currentVersion ? '<span class="version-current-badge">Current</span>' : ''}
+                        </p>
+                        <p class="stage-timeline-meta">
+                            ${escapeHtml(entry.uploadedByName || 'Unknown user')} · ${formatDate(entry.uploadedAt)}
+                        </p>
+                    </div>
+                    <div class="version-actions">
+                        ${getDocumentFilePath(entry) ? `<button class="secondary-btn download-version-btn" data-version="${entry.version}">Download</button>` : ''}
+                        ${can(userRole, 'documents:restore-version') && entry.version !== currentVersion && docItem.versionCount
+                            ? `<button class="primary-btn restore-version-btn" data-version="${entry.version}">Restore</button>`
+                            : ''
+                        }
+                    </div>
+                </div>
+            `).join('');
+
+            versionsList.querySelectorAll('.download-version-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const entry = versions.find(v => v.version === Number(btn.getAttribute('data-version')));
+                    try {
+                        await downloadDocumentFile(storage, entry);
+                    } catch (error) {
+                        console.error('Error downloading version:', error);
+                        alert('Failed to download this version.');
+                    }
+                });
+            });
+
+            versionsList.querySelectorAll('.restore-version-btn').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    const versionNumber = Number(btn.getAttribute('data-version'));
+                    const entry = versions.find(v => v.version === versionNumber);
+                    if (!entry || !confirm(`Restore version ${versionNumber} as the current file?`)) {
+                        return;
+                    }
+
+                    try {
+                        btn.disabled = true;
+                        await restoreDocumentVersion(db, docItem.id, entry);
+                        closeModal(versionsModal);
+                        await renderPage(currentFolder);
+                    } catch (error) {
+                        console.error('Error restoring version:', error);
+                        alert('Failed to restore this version.');
+                        btn.disabled = false;
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Error loading versions:', error);
+            versionsList.innerHTML = '<p class="no-comments">Could not load the version history.</p>';
+        }
+    };
+
+    // Listeners for the document rows inside `root` (the whole page, or a re-rendered list)
+    const attachDocumentListeners = (docs, root = contentRoot) => {
+        // Selection for bulk actions
+        root.querySelectorAll('.document-select').forEach(checkbox => {
+            checkbox.addEventListener('click', (e) => e.stopPropagation());
+            checkbox.addEventListener('change', () => {
+                const docId = checkbox.getAttribute('data-doc-id');
+                if (checkbox.checked) {
+                    selectedIds.add(docId);
+                } else {
+                    selectedIds.delete(docId);
+                }
+                syncSelectionCheckboxes();
+            });
+        });
+
+        // Preview on row click (action buttons stop propagation)
+        root.querySelectorAll('.document-item').forEach(item => {
+            item.addEventListener('click', () => {
+                const docItem = docs.find(d => d.id === item.getAttribute('data-doc-id'));
+                if (docItem) {
+                    openPreview(docItem);
+                }
+            });
+
+            // Dragging onto a folder card or breadcrumb moves the document
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('text/plain', item.getAttribute('data-doc-id'));
+                e.dataTransfer.effectAllowed = 'move';
+                item.classList.add('dragging');
+            });
+            item.addEventListener('dragend', () => item.classList.remove('dragging'));
+        });
+
         // Favorite toggle
-        contentRoot.querySelectorAll('.favorite-btn').forEach(btn => {
+        root.querySelectorAll('.favorite-btn').forEach(btn => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const docId = btn.getAttribute('data-doc-id');
@@ -467,11 +2043,7 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
                 if (!docItem) return;
 
                 try {
-                    const docRef = doc(documentsCol, docId);
-                    await updateDoc(docRef, {
-                        isFavorite: !docItem.isFavorite,
-                        updatedAt: serverTimestamp()
-                    });
+                    await setDocumentFavorite(db, currentUser.uid, docId, !favoriteIds.has(docId));
                     await renderPage(currentFolder);
                 } catch (error) {
                     console.error('Error updating favorite:', error);
@@ -481,21 +2053,16 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
         });
 
         // Download
-        contentRoot.querySelectorAll('.download-btn').forEach(btn => {
+        root.querySelectorAll('.download-btn').forEach(btn => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const docId = btn.getAttribute('data-doc-id');
                 const docItem = docs.find(d => d.id === docId);
-                if (!docItem || !docItem.url) return;
+                if (!docItem || !getDocumentFilePath(docItem)) return;
 
+                recordContentActivity(db, 'document', docItem, 'download');
                 try {
-                    const link = document.createElement('a');
-                    link.href = docItem.url;
-                    link.download = docItem.name || 'download';
-                    link.target = '_blank';
-                    document.body.appendChild(link);
-                    link.click();
-                    document.body.removeChild(link);
+                    await downloadDocumentFile(storage, docItem);
                 } catch (error) {
                     console.error('Error downloading file:', error);
                     alert('Failed to download file.');
@@ -503,30 +2070,71 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
             });
         });
 
+        // Confirm a document the partner was asked to read
+        root.querySelectorAll('.acknowledge-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                const docId = btn.getAttribute('data-doc-id');
+                try {
+                    btn.disabled = true;
+                    await acknowledgeItem(db, getAcknowledgmentId('document', docId, partnerId));
+                    await renderPage(currentFolder);
+                } catch (error) {
+                    console.error('Error confirming document:', error);
+                    alert('Could not confirm the document. Please try again.');
+                    btn.disabled = false;
+                }
+            });
+        });
+
+        // Edit details
+        root.querySelectorAll('.details-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const docItem = docs.find(d => d.id === btn.getAttribute('data-doc-id'));
+                if (docItem) {
+                    openDetailsModal(docItem);
+                }
+            });
+        });
+
+        // Share
+        root.querySelectorAll('.share-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const docItem = docs.find(d => d.id === btn.getAttribute('data-doc-id'));
+                if (docItem) {
+                    openShareModal('document', docItem);
+                }
+            });
+        });
+
+        // Version history
+        root.querySelectorAll('.versions-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const docId = btn.getAttribute('data-doc-id');
+                const docItem = docs.find(d => d.id === docId);
+                if (docItem) {
+                    openVersionsModal(docItem);
+                }
+            });
+        });
+
         // Delete
-        contentRoot.querySelectorAll('.delete-btn').forEach(btn => {
+        root.querySelectorAll('.delete-btn').forEach(btn => {
             btn.addEventListener('click', async (e) => {
                 e.stopPropagation();
                 const docId = btn.getAttribute('data-doc-id');
                 const docItem = docs.find(d => d.id === docId);
                 if (!docItem) return;
 
-                if (!confirm(`Are you sure you want to delete "${docItem.name}"?`)) {
+                if (!confirm(`Are you sure you want to delete "${getDocumentTitle(docItem)}" and all of its versions?`)) {
                     return;
                 }
 
                 try {
-                    // Delete from Storage
-                    if (docItem.storagePath) {
-                        const fileRef = ref(storage, docItem.storagePath);
-                        await deleteObject(fileRef).catch(err => {
-                            console.warn('Error deleting file from storage:', err);
-                        });
-                    }
-
-                    // Delete from Firestore
-                    const docRef = doc(documentsCol, docId);
-                    await deleteDoc(docRef);
+                    await deleteDocumentAndFiles(docItem);
                     await renderPage(currentFolder);
                 } catch (error) {
                     console.error('Error deleting document:', error);
@@ -536,6 +2144,20 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
         });
     };
 
+    // Deletes a document, its version entries and every version's file in Storage.
+    // The document is kept when a file can't be deleted, so the file doesn't become an orphan.
+    const deleteDocumentAndFiles = async (docItem) => {
+        const versions = await loadDocumentVersions(db, docItem.id);
+        const storagePaths = new Set([docItem.storagePath, ...versions.map(v => v.storagePath)].filter(Boolean));
+        for (const storagePath of storagePaths) {
+            await deleteObject(ref(storage, storagePath)).catch(err => {
+                if (err.code !== 'storage/object-not-found') throw err;
+            });
+        }
+
+        await deleteDocumentWithVersions(db, docItem.id, versions);
+    };
+
     const closeModal = (modal) => {
         modal?.setAttribute('aria-hidden', 'true');
         modal?.classList.remove('visible');
@@ -553,3 +2175,157 @@ export async function renderDocumentsPage(contentRoot, db, storage, userRole, pa
     // Initial render
     await renderPage(null);
 }
+
+/**
+ * Renders `<option>`s for the folder tree, indented by depth.
+ * @param {object[]} folders - All folders
+ * @param {Set<string>} excludedIds - Folders to leave out (with their subfolders)
+ * @param {string|null} selectedId - The folder to preselect
+ * @returns {string}
+ */
+function renderFolderOptions(folders, excludedIds, selectedId) {
+    return getFolderTreeOptions(folders, excludedIds)
+        .map(({ folder, depth }) => `
+            <option value="${folder.id}" ${folder.id === selectedId ? 'selected' : ''}>${'— '.repeat(depth)}${escapeHtml(folder.name)}</option>
+        `).join('');
+}
+
+/**
+ * Groups a document into one of the type filter options by its type and file extension.
+ * @param {object} document - The document
+ * @returns {string} - One of the DOCUMENT_KIND_OPTIONS values
+ */
+function getDocumentKind(document) {
+    const name = (document.name || '').toLowerCase();
+    if (document.type === 'video' || /\.(mp4|avi|mov|wmv|flv|webm)$/.test(name)) return 'video';
+    if (/\.pdf$/.test(name)) return 'pdf';
+    if (/\.docx?$/.test(name)) return 'word';
+    if (/\.(xlsx?|csv)$/.test(name)) return 'spreadsheet';
+    if (/\.pptx?$/.test(name)) return 'presentation';
+    if (/\.(png|jpe?g|gif|webp|svg|bmp)$/.test(name)) return 'image';
+    if (/\.(txt|md|markdown|log|json)$/.test(name)) return 'text';
+    return 'other';
+}
+
+/**
+ * Sorts documents for the lists. The loaded order (newest first) breaks ties.
+ * @param {object[]} documents - The documents to sort
+ * @param {string} sortOrder - One of the DOCUMENT_SORT_OPTIONS values
+ * @param {string[]} stages - Onboarding stages in order, for sorting by target stage
+ * @returns {object[]} - A sorted copy
+ */
+function sortDocuments(documents, sortOrder, stages) {
+    const byTitle = (a, b) => getDocumentTitle(a).localeCompare(getDocumentTitle(b));
+    // Documents without a target stage or owner go last
+    const stageIndex = (document) => {
+        if (!document.targetStage) return Infinity;
+        const index = stages.indexOf(document.targetStage);
+        return index === -1 ? stages.length : index;
+    };
+
+    const sorted = [...documents];
+    switch (sortOrder) {
+        case 'oldest':
+            return sorted.sort((a, b) => getMillis(a.createdAt) - getMillis(b.createdAt));
+        case 'updated':
+            return sorted.sort((a, b) => getMillis(b.updatedAt || b.createdAt) - getMillis(a.updatedAt || a.createdAt));
+        case 'name':
+            return sorted.sort(byTitle);
+        case 'stage':
+            return sorted.sort((a, b) => (stageIndex(a) - stageIndex(b)) || byTitle(a, b));
+        case 'owner':
+            return sorted.sort((a, b) => (!a.ownerName - !b.ownerName)
+                || (a.ownerName || '').localeCompare(b.ownerName || '')
+                || byTitle(a, b));
+        default:
+            return sorted;
+    }
+}
+
+/**
+ * Acknowledgment status, target stage, tags and owner of a document as small badges under its name.
+ * @param {object} document - The document
+ * @param {object|null} [acknowledgment] - The partner's acknowledgment request for it, if any
+ * @returns {string}
+ */
+function renderDocumentBadges(document, acknowledgment = null) {
+    const badges = [
+        ...(acknowledgment
+            ? [`<span class="document-badge ${acknowledgment.acknowledgedAt ? 'confirmed' : 'pending'}">${acknowledgment.acknowledgedAt ? 'Confirmed' : 'Please confirm you have read this'}</span>`]
+            : []),
+        ...(document.targetStage ? [`<span class="document-badge stage">Read before ${escapeHtml(document.targetStage)}</span>`] : []),
+        ...(document.tags || []).map(tag => `<span class="document-badge">${escapeHtml(tag)}</span>`),
+        ...(document.ownerName ? [`<span class="document-badge owner">Owner: ${escapeHtml(document.ownerName)}</span>`] : [])
+    ];
+    return badges.length ? `<div class="document-badges">${badges.join('')}</div>` : '';
+}
+
+/**
+ * Works out how a document can be previewed from its type and file extension.
+ * @param {object} document - The document
+ * @returns {'pdf'|'image'|'video'|'markdown'|'text'|null}
+ */
+function getPreviewKind(document) {
+    const name = (document.name || '').toLowerCase();
+    if (document.type === 'video' || /\.(mp4|avi|mov|wmv|flv|webm)$/.test(name)) return 'video';
+    if (/\.pdf$/.test(name)) return 'pdf';
+    if (/\.(png|jpe?g|gif|webp|svg|bmp)$/.test(name)) return 'image';
+    if (/\.(md|markdown)$/.test(name)) return 'markdown';
+    if (/\.(txt|csv|log|json)$/.test(name)) return 'text';
+    return null;
+}
+
+/**
+ * Makes a file name unique within a ZIP by numbering repeats, e.g. "guide (2).pdf".
+ * @param {string} name - The file name
+ * @param {Set<string>} usedNames - Names already in the ZIP (lowercased); the result is added
+ * @returns {string}
+ */
+function getUniqueFileName(name, usedNames) {
+    const dotIndex = name.lastIndexOf('.');
+    const base = dotIndex > 0 ? name.slice(0, dotIndex) : name;
+    const extension = dotIndex > 0 ? name.slice(dotIndex) : '';
+    let candidate = name;
+    for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+        candidate = `${base} (${n})${extension}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function describeUploadStatus(item) {
+    switch (item.status) {
+        case 'queued': return 'Waiting...';
+        case 'uploading': return `${Math.round(item.progress * 100)}%`;
+        case 'paused': return `Paused at ${Math.round(item.progress * 100)}%`;
+        case 'indexing': return 'Indexing text...';
+        case 'done': return 'Uploaded';
+        case 'canceled': return 'Canceled';
+        default: return item.error || 'Upload failed';
+    }
+}
+
+function getMillis(value) {
+    if (!value) return 0;
+    if (value.toMillis) return value.toMillis();
+    if (value.seconds) return value.seconds * 1000;
+    return new Date(value).getTime() || 0;
+}
+
+function formatDate(value) {
+    if (!value) return 'Unknown';
+    if (value instanceof Date) return value.toLocaleDateString();
+    if (value.toDate) return value.toDate().toLocaleDateString();
+    if (value.seconds) return new Date(value.seconds * 1000).toLocaleDateString();
+    return 'Unknown';
+}
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
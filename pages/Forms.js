@@ -0,0 +1,909 @@
+// pages/Forms.js
+
+import { collection, getDocs } from "firebase/firestore";
+import { can } from "../constants/permissions.js";
+import { loadCsGuideTemplates } from "../constants/csGuideTemplates.js";
+import {
+    FORM_FIELD_TYPES,
+    DEFAULT_ASSIGN_CS_GUIDE_ITEMS,
+    DEFAULT_SUBMIT_CS_GUIDE_ITEMS,
+    ASSIGNMENT_STATUS_LABELS,
+    createFormItemId,
+    fieldHasOptions,
+    loadIntakeForms,
+    saveIntakeForm,
+    deleteIntakeForm,
+    getIntakeFormError,
+    isSectionVisible,
+    getVisibleAnswers,
+    getMissingRequiredFields,
+    formatAnswer,
+    assignIntakeForm,
+    loadPartnerAssignments,
+    loadAllAssignments,
+    loadAssignment,
+    saveAssignmentDraft,
+    submitAssignment,
+    reopenAssignment
+} from "../constants/intakeForms.js";
+
+// Field types a section can be made conditional on
+const CONDITION_FIELD_TYPES = ['select', 'multiselect', 'checkbox'];
+
+/**
+ * Renders the Forms page. Staff with `forms:manage` build intake forms and assign them to
+ * partners; partner users see the forms assigned to their partner.
+ * @param {HTMLElement} contentRoot Element where the page content is injected.
+ * @param {object} db Firestore database instance.
+ * @param {string} userRole Current user's role.
+ * @param {string|null} partnerId Partner ID when the userRole is 'partner'.
+ */
+export async function renderFormsPage(contentRoot, db, userRole, partnerId) {
+    contentRoot.innerHTML = `
+        <div class="content-card">
+            <p>Loading forms...</p>
+        </div>
+    `;
+
+    if (can(userRole, 'forms:manage')) {
+        await renderFormBuilderPage(contentRoot, db);
+        return;
+    }
+
+    if (!partnerId) {
+        contentRoot.innerHTML = `
+            <div class="content-card">
+                <p>Access denied or missing partner assignment.</p>
+            </div>
+        `;
+        return;
+    }
+
+    let assignments = [];
+    try {
+        assignments = await loadPartnerAssignments(db, partnerId);
+    } catch (error) {
+        console.error("Error loading forms:", error);
+        contentRoot.innerHTML = `
+            <div class="content-card">
+                <p>Unable to load forms. Please check console and Firestore rules.</p>
+            </div>
+        `;
+        return;
+    }
+
+    contentRoot.innerHTML = `
+        <section class="intake-page">
+            <header class="documents-header">
+                <h1 class="documents-title">Forms</h1>
+                <p class="settings-description">Forms transferz has asked you to fill in. You can save a draft and come back to it before submitting.</p>
+            </header>
+            <div class="intake-list">
+                ${assignments.length
+                    ? assignments.map((assignment) => `
+                        <div class="intake-item">
+                            <div>
+                                <h3 class="intake-title">${escapeHtml(assignment.title)}</h3>
+                                ${assignment.description ? `<p class="intake-description">${escapeHtml(assignment.description)}</p>` : ''}
+                                <p class="intake-meta">
+                                    <span class="intake-status intake-status-${assignment.status}">${ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}</span>
+                                    Sent on ${formatDate(assignment.assignedAt)}
+                                    ${assignment.submittedAt && assignment.status === 'submitted' ? ` · Submitted on ${formatDate(assignment.submittedAt)}` : ''}
+                                </p>
+                            </div>
+                            <button class="${assignment.status === 'submitted' ? 'secondary-btn' : 'primary-btn'} open-intake-btn" data-assignment-id="${assignment.id}">
+                                ${assignment.status === 'submitted' ? 'View' : assignment.status === 'draft' ? 'Continue' : 'Start'}
+                            </button>
+                        </div>
+                    `).join('')
+                    : '<p class="empty-state">No forms have been sent to you yet.</p>'
+                }
+            </div>
+        </section>
+    `;
+
+    contentRoot.querySelectorAll('.open-intake-btn').forEach((btn) => {
+        btn.addEventListener('click', () => navigateTo(`/forms/${btn.getAttribute('data-assignment-id')}`));
+    });
+}
+
+/**
+ * Staff view of the Forms page: the form builder and every assigned form.
+ * @param {HTMLElement} contentRoot Element where the page content is injected.
+ * @param {object} db Firestore database instance.
+ */
+async function renderFormBuilderPage(contentRoot, db) {
+    let forms = [];
+    let assignments = [];
+    let partners = [];
+    let csGuideItems = [];
+    let draftForm = null; // Form open in the builder modal
+    let editingFormId = null; // null when building a new form
+    let assigningForm = null; // Form open in the assign modal
+
+    const renderPage = async () => {
+        try {
+            const [loadedForms, loadedAssignments, partnersSnapshot, csGuideTemplates] = await Promise.all([
+                loadIntakeForms(db),
+                loadAllAssignments(db),
+                getDocs(collection(db, "partners")),
+                loadCsGuideTemplates(db)
+            ]);
+            forms = loadedForms;
+            assignments = loadedAssignments;
+            partners = [];
+            partnersSnapshot.forEach((partnerDoc) => partners.push({ id: partnerDoc.id, ...partnerDoc.data() }));
+            partners.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+            csGuideItems = [...new Set(csGuideTemplates.flatMap((template) => template.items))];
+        } catch (error) {
+            console.error("Error loading forms:", error);
+            contentRoot.innerHTML = `
+                <div class="content-card">
+                    <p>Unable to load forms. Please check console and Firestore rules.</p>
+                </div>
+            `;
+            return;
+        }
+
+        contentRoot.innerHTML = `
+            <section class="intake-page">
+                <header class="documents-header">
+                    <div class="documents-header-row">
+                        <h1 class="documents-title">Forms</h1>
+                        <button class="add-btn" id="new-intake-form-btn">+ NEW FORM</button>
+                    </div>
+                    <p class="settings-description">Build intake forms and send them to partners. Partners fill them in inside the hub; submitting ticks the form's CS guide items.</p>
+                </header>
+
+                <div class="intake-list" id="intake-forms-list">
+                    ${forms.length
+                        ? forms.map((form) => `
+                            <div class="intake-item" data-form-id="${form.id}">
+                                <div>
+                                    <h3 class="intake-title">${escapeHtml(form.title)}</h3>
+                                    ${form.description ? `<p class="intake-description">${escapeHtml(form.description)}</p>` : ''}
+                                    <p class="intake-meta">
+                                        ${form.sections.length} ${form.sections.length === 1 ? 'section' : 'sections'}
+                                        · ${countFields(form)} ${countFields(form) === 1 ? 'field' : 'fields'}
+                                        · Updated ${formatDate(form.updatedAt)} by ${escapeHtml(form.updatedByName || 'Unknown user')}
+                                    </p>
+                                </div>
+                                <div class="intake-actions">
+                                    <button class="secondary-btn" data-action="assign">Assign</button>
+                                    <button class="template-action-btn" data-action="edit" title="Edit">✏️</button>
+                                    <button class="template-action-btn" data-action="delete" title="Delete">🗑️</button>
+                                </div>
+                            </div>
+                        `).join('')
+                        : '<p class="empty-state">No forms yet. Create one to send it to partners.</p>'
+                    }
+                </div>
+
+                <div class="stage-history-section">
+                    <h3 class="detail-card-title">ASSIGNED FORMS</h3>
+                    ${assignments.length ? `
+                        <table class="dashboard-table">
+                            <thead>
+                                <tr>
+                                    <th>Form</th>
+                                    <th>Partner</th>
+                                    <th>Status</th>
+                                    <th>Last update</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${assignments.map((assignment) => `
+                                    <tr>
+                                        <td>${escapeHtml(assignment.title)}</td>
+                                        <td><a href="/partners/${assignment.partnerDocId}" class="intake-partner-link" data-path="/partners/${assignment.partnerDocId}">${escapeHtml(assignment.partnerName)}</a></td>
+                                        <td><span class="intake-status intake-status-${assignment.status}">${ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}</span></td>
+                                        <td>${formatDate(assignment.updatedAt)}</td>
+                                        <td><a href="/forms/${assignment.id}" class="intake-partner-link" data-path="/forms/${assignment.id}">Open</a></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    ` : '<p class="no-comments">No forms assigned yet</p>'}
+                </div>
+            </section>
+
+            <!-- Form Builder Modal -->
+            <div class="modal-backdrop" id="intake-form-modal" aria-hidden="true">
+                <div class="modal-card intake-builder-card">
+                    <div class="modal-header">
+                        <h3 id="intake-form-modal-title">New Form</h3>
+                        <button class="modal-close" type="button" id="close-intake-form-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <form id="intake-form-builder">
+                        <label>
+                            <span>Title</span>
+                            <input type="text" name="title" id="intake-form-title" required />
+                        </label>
+                        <label>
+                            <span>Description</span>
+                            <textarea name="description" id="intake-form-description" rows="2"></textarea>
+                        </label>
+                        <div class="intake-cs-items">
+                            <div>
+                                <span class="intake-builder-label">Tick in the CS guide when assigned</span>
+                                <div id="assign-cs-items"></div>
+                            </div>
+                            <div>
+                                <span class="intake-builder-label">Tick in the CS guide when submitted</span>
+                                <div id="submit-cs-items"></div>
+                            </div>
+                        </div>
+                        <div id="builder-sections" class="builder-sections"></div>
+                        <button type="button" class="add-stage-btn" id="add-section-btn">+ Add Section</button>
+                        <div class="save-message" id="intake-form-message" style="display: none;"></div>
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="cancel-intake-form">Cancel</button>
+                            <button type="submit" class="primary-btn" id="save-intake-form-btn">Save Form</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+
+            <!-- Assign Modal -->
+            <div class="modal-backdrop" id="assign-form-modal" aria-hidden="true">
+                <div class="modal-card">
+                    <div class="modal-header">
+                        <h3 id="assign-form-modal-title">Assign Form</h3>
+                        <button class="modal-close" type="button" id="close-assign-form-modal" aria-label="Close">&times;</button>
+                    </div>
+                    <form id="assign-form">
+                        <label>
+                            <span>Partner</span>
+                            <select name="partnerDocId" required>
+                                <option value="">Choose a partner</option>
+                                ${partners.map((partner) => `
+                                    <option value="${partner.id}">${escapeHtml(partner.name || 'Untitled Partner')} (${escapeHtml(partner.partnerId)})</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="cancel-assign-form">Cancel</button>
+                            <button type="submit" class="primary-btn" id="assign-form-btn">Assign</button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        setupEventListeners();
+    };
+
+    const renderCsGuideItemChoices = () => {
+        const renderChoices = (key) => csGuideItems.map((item) => `
+            <label class="intake-choice">
+                <input type="checkbox" class="cs-item-choice" data-key="${key}" value="${escapeHtml(item)}" ${draftForm[key].includes(item) ? 'checked' : ''} />
+                ${escapeHtml(item)}
+            </label>
+        `).join('') || '<p class="no-comments">No CS guide items configured</p>';
+
+        contentRoot.querySelector('#assign-cs-items').innerHTML = renderChoices('assignCsGuideItems');
+        contentRoot.querySelector('#submit-cs-items').innerHTML = renderChoices('submitCsGuideItems');
+    };
+
+    // Builder markup for a section's condition value: the field's choices, or yes/no
+    const renderConditionValue = (condition, sectionIndex) => {
+        const field = findField(draftForm, condition.fieldId);
+        const choices = field?.type === 'checkbox'
+            ? [{ value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }]
+            : (field?.options || []).map((option) => ({ value: option, label: option }));
+        return `
+            <select class="stage-input builder-condition-value" data-section-index="${sectionIndex}">
+                ${choices.map((choice) => `
+                    <option value="${escapeHtml(choice.value)}" ${choice.value === condition.value ? 'selected' : ''}>${escapeHtml(choice.label)}</option>
+                `).join('')}
+            </select>
+        `;
+    };
+
+    const renderBuilderSections = () => {
+        const container = contentRoot.querySelector('#builder-sections');
+        container.innerHTML = draftForm.sections.map((section, sectionIndex) => {
+            // Only fields in earlier sections can decide whether this one is shown
+            const conditionFields = draftForm.sections
+                .slice(0, sectionIndex)
+                .flatMap((earlierSection) => earlierSection.fields)
+                .filter((field) => CONDITION_FIELD_TYPES.includes(field.type));
+
+            return `
+                <div class="builder-section" data-section-index="${sectionIndex}">
+                    <div class="builder-row">
+                        <span class="stage-number">${sectionIndex + 1}</span>
+                        <input type="text" class="stage-input builder-section-title" data-section-index="${sectionIndex}" value="${escapeHtml(section.title)}" placeholder="Section title" />
+                        <button type="button" class="stage-btn" data-action="move-section" data-direction="-1" data-section-index="${sectionIndex}" ${sectionIndex === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                        <button type="button" class="stage-btn" data-action="move-section" data-direction="1" data-section-index="${sectionIndex}" ${sectionIndex === draftForm.sections.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                        <button type="button" class="stage-btn delete-btn" data-action="delete-section" data-section-index="${sectionIndex}" title="Delete section">×</button>
+                    </div>
+                    ${sectionIndex > 0 ? `
+                        <div class="builder-row builder-condition">
+                            <span>Show</span>
+                            <select class="stage-input builder-condition-field" data-section-index="${sectionIndex}">
+                                <option value="">Always</option>
+                                ${conditionFields.map((field) => `
+                                    <option value="${field.id}" ${section.condition?.fieldId === field.id ? 'selected' : ''}>When "${escapeHtml(field.label || 'Untitled field')}" is</option>
+                                `).join('')}
+                            </select>
+                            ${section.condition ? renderConditionValue(section.condition, sectionIndex) : ''}
+                        </div>
+                    ` : ''}
+                    <div class="builder-fields">
+                        ${section.fields.map((field, fieldIndex) => `
+                            <div class="builder-field">
+                                <div class="builder-row">
+                                    <input type="text" class="stage-input builder-field-label" data-section-index="${sectionIndex}" data-field-index="${fieldIndex}" value="${escapeHtml(field.label)}" placeholder="Question" />
+                                    <select class="stage-input builder-field-type" data-section-index="${sectionIndex}" data-field-index="${fieldIndex}">
+                                        ${FORM_FIELD_TYPES.map((fieldType) => `
+                                            <option value="${fieldType.value}" ${fieldType.value === field.type ? 'selected' : ''}>${fieldType.label}</option>
+                                        `).join('')}
+                                    </select>
+                                    <label class="intake-choice">
+                                        <input type="checkbox" class="builder-field-required" data-section-index="${sectionIndex}" data-field-index="${fieldIndex}" ${field.required ? 'checked' : ''} />
+                                        Required
+                                    </label>
+                                    <button type="button" class="stage-btn delete-btn" data-action="delete-field" data-section-index="${sectionIndex}" data-field-index="${fieldIndex}" title="Remove field">×</button>
+                                </div>
+                                ${fieldHasOptions(field.type) ? `
+                                    <input type="text" class="stage-input builder-field-options" data-section-index="${sectionIndex}" data-field-index="${fieldIndex}" value="${escapeHtml(field.options.join(', '))}" placeholder="Choices, separated by commas" />
+                                ` : ''}
+                            </div>
+                        `).join('')}
+                        <button type="button" class="secondary-btn" data-action="add-field" data-section-index="${sectionIndex}">+ Add Field</button>
+                    </div>
+                </div>
+            `;
+        }).join('') || '<p class="no-comments">Add a section to start building the form</p>';
+    };
+
+    const openBuilder = (form) => {
+        editingFormId = form?.id || null;
+        draftForm = form
+            ? JSON.parse(JSON.stringify({
+                title: form.title,
+                description: form.description || '',
+                sections: form.sections,
+                assignCsGuideItems: form.assignCsGuideItems || [],
+                submitCsGuideItems: form.submitCsGuideItems || []
+            }))
+            : {
+                title: '',
+                description: '',
+                sections: [createSection()],
+                assignCsGuideItems: DEFAULT_ASSIGN_CS_GUIDE_ITEMS.filter((item) => csGuideItems.includes(item)),
+                submitCsGuideItems: DEFAULT_SUBMIT_CS_GUIDE_ITEMS.filter((item) => csGuideItems.includes(item))
+            };
+
+        contentRoot.querySelector('#intake-form-modal-title').textContent = form ? 'Edit Form' : 'New Form';
+        contentRoot.querySelector('#intake-form-title').value = draftForm.title;
+        contentRoot.querySelector('#intake-form-description').value = draftForm.description;
+        contentRoot.querySelector('#intake-form-message').style.display = 'none';
+        renderCsGuideItemChoices();
+        renderBuilderSections();
+        openModal(contentRoot.querySelector('#intake-form-modal'));
+    };
+
+    const setupEventListeners = () => {
+        const builderModal = contentRoot.querySelector('#intake-form-modal');
+        const builderForm = contentRoot.querySelector('#intake-form-builder');
+        const sectionsContainer = contentRoot.querySelector('#builder-sections');
+        const assignModal = contentRoot.querySelector('#assign-form-modal');
+        const assignForm = contentRoot.querySelector('#assign-form');
+
+        contentRoot.querySelector('#new-intake-form-btn').addEventListener('click', () => openBuilder(null));
+        contentRoot.querySelectorAll('.intake-partner-link').forEach((link) => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                navigateTo(link.getAttribute('data-path'));
+            });
+        });
+
+        contentRoot.querySelector('#intake-forms-list').addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const formId = button.closest('[data-form-id]').getAttribute('data-form-id');
+            const form = forms.find((f) => f.id === formId);
+            if (!form) return;
+
+            const action = button.getAttribute('data-action');
+            if (action === 'edit') {
+                openBuilder(form);
+            } else if (action === 'assign') {
+                assigningForm = form;
+                assignForm.reset();
+                contentRoot.querySelector('#assign-form-modal-title').textContent = `Assign "${form.title}"`;
+                openModal(assignModal);
+            } else if (action === 'delete') {
+                if (!confirm(`Are you sure you want to delete the form "${form.title}"? Forms already sent to partners are kept.`)) {
+                    return;
+                }
+                try {
+                    await deleteIntakeForm(db, form.id);
+                    await renderPage();
+                } catch (error) {
+                    console.error('Error deleting form:', error);
+                    alert('Failed to delete the form.');
+                }
+            }
+        });
+
+        // Builder fields write straight into draftForm; structural changes re-render the sections
+        contentRoot.querySelector('#intake-form-title').addEventListener('input', (e) => {
+            draftForm.title = e.target.value;
+        });
+        contentRoot.querySelector('#intake-form-description').addEventListener('input', (e) => {
+            draftForm.description = e.target.value;
+        });
+        builderForm.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('cs-item-choice')) return;
+            const key = e.target.getAttribute('data-key');
+            draftForm[key] = e.target.checked
+                ? [...draftForm[key], e.target.value]
+                : draftForm[key].filter((item) => item !== e.target.value);
+        });
+
+        sectionsContainer.addEventListener('input', (e) => {
+            const section = draftForm.sections[parseInt(e.target.getAttribute('data-section-index'))];
+            const field = section?.fields[parseInt(e.target.getAttribute('data-field-index'))];
+            if (e.target.classList.contains('builder-section-title')) {
+                section.title = e.target.value;
+            } else if (e.target.classList.contains('builder-field-label')) {
+                field.label = e.target.value;
+            } else if (e.target.classList.contains('builder-field-options')) {
+                field.options = e.target.value.split(',').map((option) => option.trim()).filter(Boolean);
+            }
+        });
+
+        sectionsContainer.addEventListener('change', (e) => {
+            const sectionIndex = parseInt(e.target.getAttribute('data-section-index'));
+            const section = draftForm.sections[sectionIndex];
+            const field = section?.fields[parseInt(e.target.getAttribute('data-field-index'))];
+
+            if (e.target.classList.contains('builder-field-required')) {
+                field.required = e.target.checked;
+            } else if (e.target.classList.contains('builder-field-type')) {
+                field.type = e.target.value;
+                if (!fieldHasOptions(field.type)) field.options = [];
+                clearConditionsOn(field.id);
+                renderBuilderSections();
+            } else if (e.target.classList.contains('builder-field-options')) {
+                // Conditions on a choice that no longer exists fall back to the first choice
+                draftForm.sections.forEach((otherSection) => {
+                    if (otherSection.condition?.fieldId === field.id && !field.options.includes(otherSection.condition.value)) {
+                        otherSection.condition.value = field.options[0] || '';
+                    }
+                });
+                renderBuilderSections();
+            } else if (e.target.classList.contains('builder-condition-field')) {
+                const conditionField = findField(draftForm, e.target.value);
+                section.condition = conditionField
+                    ? { fieldId: conditionField.id, value: conditionField.type === 'checkbox' ? 'yes' : conditionField.options[0] || '' }
+                    : null;
+                renderBuilderSections();
+            } else if (e.target.classList.contains('builder-condition-value')) {
+                section.condition.value = e.target.value;
+            }
+        });
+
+        sectionsContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const sectionIndex = parseInt(button.getAttribute('data-section-index'));
+            const section = draftForm.sections[sectionIndex];
+            const action = button.getAttribute('data-action');
+
+            if (action === 'add-field') {
+                section.fields.push(createField());
+            } else if (action === 'delete-field') {
+                const [field] = section.fields.splice(parseInt(button.getAttribute('data-field-index')), 1);
+                clearConditionsOn(field.id);
+            } else if (action === 'delete-section') {
+                if (!confirm(`Delete the section "${section.title || 'Untitled section'}" and its fields?`)) return;
+                draftForm.sections.splice(sectionIndex, 1);
+                section.fields.forEach((field) => clearConditionsOn(field.id));
+            } else if (action === 'move-section') {
+                const targetIndex = sectionIndex + parseInt(button.getAttribute('data-direction'));
+                draftForm.sections.splice(sectionIndex, 1);
+                draftForm.sections.splice(targetIndex, 0, section);
+            }
+            renderBuilderSections();
+        });
+
+        contentRoot.querySelector('#add-section-btn').addEventListener('click', () => {
+            draftForm.sections.push(createSection());
+            renderBuilderSections();
+        });
+
+        builderForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formMessage = contentRoot.querySelector('#intake-form-message');
+            const error = getIntakeFormError(draftForm);
+            if (error) {
+                formMessage.textContent = error;
+                formMessage.className = 'save-message error';
+                formMessage.style.display = 'block';
+                return;
+            }
+
+            const saveBtn = contentRoot.querySelector('#save-intake-form-btn');
+            try {
+                saveBtn.disabled = true;
+                saveBtn.textContent = 'Saving...';
+                await saveIntakeForm(db, editingFormId, {
+                    ...draftForm,
+                    sections: draftForm.sections.map((section) => ({
+                        ...section,
+                        title: section.title.trim(),
+                        fields: section.fields.map((field) => ({ ...field, label: field.label.trim() }))
+                    }))
+                });
+                closeModal(builderModal);
+                await renderPage();
+            } catch (saveError) {
+                console.error('Error saving form:', saveError);
+                alert('Failed to save the form. Please try again.');
+            } finally {
+                saveBtn.disabled = false;
+                saveBtn.textContent = 'Save Form';
+            }
+        });
+
+        assignForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const partner = partners.find((p) => p.id === new FormData(assignForm).get('partnerDocId'));
+            if (!partner || !assigningForm) return;
+
+            const alreadyOpen = assignments.some((assignment) => assignment.formId === assigningForm.id
+                && assignment.partnerId === partner.partnerId
+                && assignment.status !== 'submitted');
+            if (alreadyOpen && !confirm(`${partner.name} hasn't submitted this form yet. Send it again anyway?`)) {
+                return;
+            }
+
+            const assignBtn = contentRoot.querySelector('#assign-form-btn');
+            try {
+                assignBtn.disabled = true;
+                assignBtn.textContent = 'Assigning...';
+                await assignIntakeForm(db, assigningForm, partner);
+                closeModal(assignModal);
+                await renderPage();
+            } catch (error) {
+                console.error('Error assigning form:', error);
+                alert('Failed to assign the form. Please try again.');
+            } finally {
+                assignBtn.disabled = false;
+                assignBtn.textContent = 'Assign';
+            }
+        });
+
+        [
+            [builderModal, '#close-intake-form-modal', '#cancel-intake-form'],
+            [assignModal, '#close-assign-form-modal', '#cancel-assign-form']
+        ].forEach(([modal, closeSelector, cancelSelector]) => {
+            contentRoot.querySelector(closeSelector).addEventListener('click', () => closeModal(modal));
+            contentRoot.querySelector(cancelSelector).addEventListener('click', () => closeModal(modal));
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal) closeModal(modal);
+            });
+        });
+    };
+
+    // Sections shown only for a removed or changed field become unconditional
+    const clearConditionsOn = (fieldId) => {
+        draftForm.sections.forEach((section) => {
+            if (section.condition?.fieldId === fieldId) section.condition = null;
+        });
+    };
+
+    await renderPage();
+}
+
+/**
+ * Renders an assigned intake form. Partner users fill it in, save drafts and submit it;
+ * staff see the answers and can reopen a submitted form.
+ * @param {HTMLElement} contentRoot Element where the page content is injected.
+ * @param {object} db Firestore database instance.
+ * @param {string} assignmentId ID of the `intakeAssignments` doc.
+ * @param {string} userRole Current user's role.
+ * @param {string|null} partnerId Partner ID when the userRole is 'partner'.
+ */
+export async function renderIntakeFormPage(contentRoot, db, assignmentId, userRole, partnerId) {
+    contentRoot.innerHTML = `
+        <div class="content-card">
+            <p>Loading form...</p>
+        </div>
+    `;
+
+    let assignment = null;
+    try {
+        assignment = await loadAssignment(db, assignmentId);
+    } catch (error) {
+        console.error("Error loading form:", error);
+    }
+
+    if (!assignment || !(can(userRole, 'forms:manage') || assignment.partnerId === partnerId)) {
+        contentRoot.innerHTML = `
+            <div class="content-card">
+                <p>Form not found.</p>
+                <a href="/forms" class="intake-back-link" style="color: var(--color-sidebar-bg);">← Back to Forms</a>
+            </div>
+        `;
+        contentRoot.querySelector('.intake-back-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            navigateTo('/forms');
+        });
+        return;
+    }
+
+    const canFill = can(userRole, 'forms:fill') && assignment.status !== 'submitted';
+    let answers = { ...(assignment.answers || {}) };
+
+    contentRoot.innerHTML = `
+        <section class="intake-page">
+            <div class="partner-detail-header">
+                <nav class="breadcrumb">
+                    <a href="/forms" class="intake-back-link">Forms</a>
+                    <span> > </span>
+                    <span>${escapeHtml(assignment.title)}</span>
+                </nav>
+                <h1 class="partner-detail-title">${escapeHtml(assignment.title)}</h1>
+                ${assignment.description ? `<p class="intake-description">${escapeHtml(assignment.description)}</p>` : ''}
+                <p class="intake-meta">
+                    <span class="intake-status intake-status-${assignment.status}">${ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}</span>
+                    ${escapeHtml(assignment.partnerName)} · Sent by ${escapeHtml(assignment.assignedByName)} on ${formatDate(assignment.assignedAt)}
+                    ${assignment.status === 'submitted' ? ` · Submitted by ${escapeHtml(assignment.submittedByName)} on ${formatDate(assignment.submittedAt)}` : ''}
+                </p>
+            </div>
+
+            ${canFill ? `
+                <form id="intake-fill-form" class="intake-fill-form" novalidate>
+                    ${assignment.sections.map((section, sectionIndex) => `
+                        <fieldset class="stage-history-section intake-section" data-section-index="${sectionIndex}" ${isSectionVisible(section, answers) ? '' : 'hidden'}>
+                            <h3 class="detail-card-title">${escapeHtml(section.title)}</h3>
+                            ${section.fields.map((field) => renderFieldInput(field, answers[field.id])).join('')}
+                        </fieldset>
+                    `).join('')}
+                    <div class="save-message" id="intake-fill-message" style="display: none;"></div>
+                    <div class="form-actions">
+                        <button type="button" class="secondary-btn" id="save-intake-draft-btn">Save Draft</button>
+                        <button type="submit" class="primary-btn" id="submit-intake-btn">Submit</button>
+                    </div>
+                </form>
+            ` : `
+                <div class="stage-history-section">
+                    ${renderIntakeAnswers(assignment)}
+                    ${can(userRole, 'forms:manage') && assignment.status === 'submitted' ? `
+                        <div class="form-actions">
+                            <button type="button" class="secondary-btn" id="reopen-intake-btn">Reopen for Changes</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `}
+        </section>
+    `;
+
+    contentRoot.querySelector('.intake-back-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        navigateTo('/forms');
+    });
+
+    contentRoot.querySelector('#reopen-intake-btn')?.addEventListener('click', async () => {
+        if (!confirm('Let the partner change their answers and submit the form again?')) return;
+        try {
+            await reopenAssignment(db, assignment.id);
+            await renderIntakeFormPage(contentRoot, db, assignmentId, userRole, partnerId);
+        } catch (error) {
+            console.error('Error reopening form:', error);
+            alert('Failed to reopen the form.');
+        }
+    });
+
+    const fillForm = contentRoot.querySelector('#intake-fill-form');
+    if (!fillForm) return;
+    const fillMessage = contentRoot.querySelector('#intake-fill-message');
+
+    const showMessage = (text, type) => {
+        fillMessage.textContent = text;
+        fillMessage.className = `save-message ${type}`;
+        fillMessage.style.display = 'block';
+    };
+
+    // Reads every field's current value into `answers` and shows the sections that now apply
+    const readAnswers = () => {
+        assignment.sections.forEach((section) => {
+            section.fields.forEach((field) => {
+                const inputs = [...fillForm.querySelectorAll(`[name="${field.id}"]`)];
+                if (field.type === 'multiselect') {
+                    answers[field.id] = inputs.filter((input) => input.checked).map((input) => input.value);
+                } else if (field.type === 'checkbox') {
+                    const checked = inputs.find((input) => input.checked);
+                    answers[field.id] = checked ? checked.value === 'yes' : null;
+                } else if (field.type === 'number') {
+                    answers[field.id] = inputs[0].value === '' ? null : Number(inputs[0].value);
+                } else {
+                    answers[field.id] = inputs[0].value;
+                }
+            });
+        });
+
+        const visibleAnswers = getVisibleAnswers(assignment, answers);
+        fillForm.querySelectorAll('.intake-section').forEach((sectionElement) => {
+            const section = assignment.sections[parseInt(sectionElement.getAttribute('data-section-index'))];
+            sectionElement.hidden = !isSectionVisible(section, visibleAnswers);
+        });
+    };
+
+    fillForm.addEventListener('change', readAnswers);
+    fillForm.addEventListener('input', readAnswers);
+
+    const saveDraftBtn = contentRoot.querySelector('#save-intake-draft-btn');
+    saveDraftBtn.addEventListener('click', async () => {
+        readAnswers();
+        try {
+            saveDraftBtn.disabled = true;
+            saveDraftBtn.textContent = 'Saving...';
+            await saveAssignmentDraft(db, assignment.id, answers);
+            showMessage('Draft saved. You can come back to finish it later.', 'success');
+        } catch (error) {
+            console.error('Error saving draft:', error);
+            showMessage('Could not save the draft. Please try again.', 'error');
+        } finally {
+            saveDraftBtn.disabled = false;
+            saveDraftBtn.textContent = 'Save Draft';
+        }
+    });
+
+    fillForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        readAnswers();
+
+        fillForm.querySelectorAll('.intake-field.missing').forEach((element) => element.classList.remove('missing'));
+        const missingFields = getMissingRequiredFields(assignment, answers);
+        if (missingFields.length) {
+            missingFields.forEach((field) => {
+                fillForm.querySelector(`.intake-field[data-field-id="${field.id}"]`)?.classList.add('missing');
+            });
+            showMessage(`Please answer the required ${missingFields.length === 1 ? 'question' : 'questions'}: ${missingFields.map((field) => field.label).join(', ')}.`, 'error');
+            return;
+        }
+        if (!confirm('Submit the form? You cannot change your answers afterwards unless transferz reopens it.')) {
+            return;
+        }
+
+        const submitBtn = contentRoot.querySelector('#submit-intake-btn');
+        try {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Submitting...';
+            await submitAssignment(db, assignment, answers);
+            await renderIntakeFormPage(contentRoot, db, assignmentId, userRole, partnerId);
+        } catch (error) {
+            console.error('Error submitting form:', error);
+            showMessage('Could not submit the form. Please try again.', 'error');
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Submit';
+        }
+    });
+}
+
+/**
+ * Renders the answers of an assigned form, section by section. Sections that don't apply
+ * to the answers are left out.
+ * @param {object} assignment The assigned form.
+ * @returns {string} HTML
+ */
+export function renderIntakeAnswers(assignment) {
+    const answers = getVisibleAnswers(assignment, assignment.answers || {});
+    const sections = assignment.sections.filter((section) => isSectionVisible(section, answers));
+
+    return sections.map((section) => `
+        <div class="intake-answers-section">
+            <h4 class="intake-answers-title">${escapeHtml(section.title)}</h4>
+            <dl class="intake-answers">
+                ${section.fields.map((field) => `
+                    <dt>${escapeHtml(field.label)}</dt>
+                    <dd>${escapeHtml(formatAnswer(field, answers[field.id])) || '<em>No answer</em>'}</dd>
+                `).join('')}
+            </dl>
+        </div>
+    `).join('');
+}
+
+// Markup for one field of the fill-in form
+function renderFieldInput(field, answer) {
+    const label = `${escapeHtml(field.label)}${field.required ? ' <span class="intake-required">*</span>' : ''}`;
+    let input;
+
+    if (field.type === 'textarea') {
+        input = `<textarea name="${field.id}" rows="4">${escapeHtml(answer)}</textarea>`;
+    } else if (field.type === 'select') {
+        input = `
+            <select name="${field.id}">
+                <option value="">Choose...</option>
+                ${field.options.map((option) => `
+                    <option value="${escapeHtml(option)}" ${option === answer ? 'selected' : ''}>${escapeHtml(option)}</option>
+                `).join('')}
+            </select>
+        `;
+    } else if (field.type === 'multiselect' || field.type === 'checkbox') {
+        const choices = field.type === 'checkbox'
+            ? [{ value: 'yes', label: 'Yes', checked: answer === true }, { value: 'no', label: 'No', checked: answer === false }]
+            : field.options.map((option) => ({ value: option, label: option, checked: Array.isArray(answer) && answer.includes(option) }));
+        return `
+            <div class="intake-field" data-field-id="${field.id}">
+                <span class="intake-field-label">${label}</span>
+                <div class="intake-choices">
+                    ${choices.map((choice) => `
+                        <label class="intake-choice">
+                            <input type="${field.type === 'checkbox' ? 'radio' : 'checkbox'}" name="${field.id}" value="${escapeHtml(choice.value)}" ${choice.checked ? 'checked' : ''} />
+                            ${escapeHtml(choice.label)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    } else {
+        input = `<input type="${field.type}" name="${field.id}" value="${escapeHtml(answer)}" />`;
+    }
+
+    return `
+        <label class="intake-field" data-field-id="${field.id}">
+            <span class="intake-field-label">${label}</span>
+            ${input}
+        </label>
+    `;
+}
+
+function createSection() {
+    return { id: createFormItemId('section'), title: '', condition: null, fields: [createField()] };
+}
+
+function createField() {
+    return { id: createFormItemId('field'), label: '', type: 'text', required: false, options: [] };
+}
+
+function findField(form, fieldId) {
+    for (const section of form.sections) {
+        const field = section.fields.find((f) => f.id === fieldId);
+        if (field) return field;
+    }
+    return null;
+}
+
+function countFields(form) {
+    return form.sections.reduce((count, section) => count + section.fields.length, 0);
+}
+
+function navigateTo(path) {
+    window.history.pushState({}, '', path);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+}
+
+function openModal(modal) {
+    modal.setAttribute('aria-hidden', 'false');
+    modal.classList.add('visible');
+}
+
+function closeModal(modal) {
+    modal.setAttribute('aria-hidden', 'true');
+    modal.classList.remove('visible');
+}
+
+function formatDate(value) {
+    if (!value) return 'Unknown';
+    if (value.toDate) return value.toDate().toLocaleDateString();
+    if (value.seconds) return new Date(value.seconds * 1000).toLocaleDateString();
+    return 'Unknown';
+}
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -1,13 +1,30 @@
 // pages/Login.js
 
-import { signInWithEmailAndPassword, createUserWithEmailAndPassword } from "firebase/auth";
+import {
+    signInWithEmailAndPassword,
+    createUserWithEmailAndPassword,
+    sendPasswordResetEmail,
+    sendEmailVerification,
+    signInWithPopup,
+    signOut,
+    GoogleAuthProvider
+} from "firebase/auth";
+import { PENDING_INVITE_KEY, getInviteStatus, isOpenSignUpEnabled, loadInvite } from "../constants/invites.js";
+import { getAuthErrorMessage } from "../constants/authErrors.js";
+
+/**
+ * Google Workspace domain of transferz staff, used as a hint in the Google account picker.
+ */
+const WORKSPACE_DOMAIN = 'transferz.com';
 
 /**
  * Renders the Login/Sign-up form into the root element.
  * @param {HTMLElement} rootElement The element where the login form will be rendered.
  * @param {object} auth The Firebase Auth instance.
+ * @param {object} db The Firestore database instance.
+ * @param {string|null} inviteToken The token from an /invite/:token link, if any.
  */
-export function renderLoginPage(rootElement, auth) {
+export async function renderLoginPage(rootElement, auth, db, inviteToken = null) {
     rootElement.innerHTML = `
         <style>
             .login-container {
@@ -53,18 +70,57 @@ export function renderLoginPage(rootElement, auth) {
                 color: red;
                 margin-top: 10px;
             }
+            #info-message {
+                color: #004d40;
+                margin-top: 10px;
+            }
+            #google-btn {
+                background-color: white;
+                color: #333;
+                border: 1px solid #ccc;
+            }
+            .login-link-btn {
+                background: none;
+                color: #004d40;
+                font-weight: normal;
+                text-decoration: underline;
+                margin-top: 10px;
+                padding: 0;
+            }
+            .login-divider {
+                margin: 20px 0 5px;
+                color: #999;
+                font-size: 0.85rem;
+            }
+            .invite-banner {
+                background-color: #e8f5e9;
+                color: #004d40;
+                border-radius: 4px;
+                padding: 10px;
+                margin-bottom: 10px;
+                font-size: 0.9rem;
+            }
+            .invite-banner.invalid {
+                background-color: #fdecea;
+                color: #b71c1c;
+            }
         </style>
 
         <div class="login-container">
             <div class="login-card">
                 <h2>Transferz Hub Access</h2>
+                <div id="invite-banner" class="invite-banner" style="display: none;"></div>
                 <form id="auth-form">
                     <input type="email" id="email" placeholder="Email" required>
                     <input type="password" id="password" placeholder="Password" required>
                     <div id="error-message"></div>
+                    <div id="info-message"></div>
                     <button type="submit" id="login-btn">Log In</button>
-                    <button type="button" id="signup-btn">Sign Up (New Account)</button>
+                    <button type="button" id="signup-btn" style="display: none;">Sign Up (New Account)</button>
+                    <button type="button" id="forgot-password-btn" class="login-link-btn">Forgot password?</button>
                 </form>
+                <p class="login-divider">transferz staff</p>
+                <button type="button" id="google-btn">Sign in with Google Workspace</button>
             </div>
         </div>
     `;
@@ -74,11 +130,46 @@ export function renderLoginPage(rootElement, auth) {
     const passwordInput = document.getElementById('password');
     const errorMessage = document.getElementById('error-message');
     const signupBtn = document.getElementById('signup-btn');
+    const inviteBanner = document.getElementById('invite-banner');
+    const infoMessage = document.getElementById('info-message');
+    const forgotPasswordBtn = document.getElementById('forgot-password-btn');
+    const googleBtn = document.getElementById('google-btn');
+
+    const clearMessages = () => {
+        errorMessage.textContent = '';
+        infoMessage.textContent = '';
+    };
+
+    // Invite links pre-fill the email and always allow sign-up; otherwise sign-up depends on the admin setting
+    if (inviteToken) {
+        let invite = null;
+        try {
+            invite = await loadInvite(db, inviteToken);
+        } catch (error) {
+            console.error("Error loading invite:", error);
+        }
+
+        inviteBanner.style.display = 'block';
+        if (invite && getInviteStatus(invite) === 'pending') {
+            sessionStorage.setItem(PENDING_INVITE_KEY, inviteToken);
+            inviteBanner.textContent = `You have been invited to join the hub for ${invite.partnerName}. Choose a password to create your account.`;
+            emailInput.value = invite.email;
+            emailInput.readOnly = true;
+            signupBtn.textContent = 'Create Account';
+            signupBtn.style.display = 'block';
+        } else {
+            sessionStorage.removeItem(PENDING_INVITE_KEY);
+            inviteBanner.classList.add('invalid');
+            inviteBanner.textContent = 'This invite link is invalid or has expired. Please ask your transferz contact for a new one.';
+        }
+    } else if (await isOpenSignUpEnabled(db)) {
+        signupBtn.style.display = 'block';
+    }
 
     // Handle Login (Form Submission)
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
-        errorMessage.textContent = '';
+        clearMessages();
         const email = emailInput.value;
         const password = passwordInput.value;
 
@@ -86,32 +177,254 @@ export function renderLoginPage(rootElement, auth) {
             await signInWithEmailAndPassword(auth, email, password);
             // Success: Firebase's onAuthStateChanged listener in main.js will automatically refresh the page
         } catch (error) {
-            console.error("Login Failed:", error);
-            errorMessage.textContent = `Login failed: ${error.code.replace('auth/', '').split('-').join(' ')}`;
+            errorMessage.textContent = getAuthErrorMessage(error);
+        }
+    });
+
+    // Handle Forgot Password
+    forgotPasswordBtn.addEventListener('click', async () => {
+        clearMessages();
+        const email = emailInput.value.trim();
+        if (!email) {
+            errorMessage.textContent = 'Enter your email address above, then click "Forgot password?" again.';
+            return;
+        }
+
+        try {
+            await sendPasswordResetEmail(auth, email);
+        } catch (error) {
+            // Unknown accounts get the same confirmation so the form doesn't reveal which emails exist
+            if (error.code !== 'auth/user-not-found') {
+                errorMessage.textContent = getAuthErrorMessage(error);
+                return;
+            }
+        }
+        infoMessage.textContent = `If an account exists for ${email}, a password reset link is on its way.`;
+    });
+
+    // Handle Google Workspace Sign-In
+    googleBtn.addEventListener('click', async () => {
+        clearMessages();
+        const provider = new GoogleAuthProvider();
+        provider.setCustomParameters({ hd: WORKSPACE_DOMAIN, prompt: 'select_account' });
+
+        try {
+            await signInWithPopup(auth, provider);
+            // Success: onAuthStateChanged in main.js takes over
+        } catch (error) {
+            errorMessage.textContent = getAuthErrorMessage(error);
         }
     });
     
     // Handle Sign-Up (New Account)
     signupBtn.addEventListener('click', async () => {
-        errorMessage.textContent = '';
+        clearMessages();
         const email = emailInput.value;
         const password = passwordInput.value;
 
         try {
             const userCredential = await createUserWithEmailAndPassword(auth, email, password);
-            console.log("Account created. New user UID:", userCredential.user.uid);
+            await sendEmailVerification(userCredential.user);
             
             // Success: The user is automatically logged in. 
-            // The onAuthStateChanged listener will refresh the page and render the main app.
+            // The onAuthStateChanged listener shows the verification gate until the email is confirmed.
 
-            // IMPORTANT: After sign-up, you must manually set this user's role 
-            // (admin, transferz, or partner) in the Firestore 'users' collection 
-            // using the UID: userCredential.user.uid
-            alert('Account created! Please check the console for the UID to set the role in Firestore.');
+            // main.js creates the 'users' doc on first sign-in, either from the pending
+            // invite or without a role for an admin to assign from the Users page.
+            if (!inviteToken) {
+                alert('Account created! An admin will assign your role shortly.');
+            }
 
         } catch (error) {
-            console.error("Sign Up Failed:", error);
-            errorMessage.textContent = `Sign up failed: ${error.code.replace('auth/', '').split('-').join(' ')}`;
+            errorMessage.textContent = getAuthErrorMessage(error);
         }
     });
-}
\ No newline at end of file
+}
+
+/**
+ * Renders the email verification gate shown to password accounts that haven't confirmed their email.
+ * @param {HTMLElement} rootElement The element where the page will be rendered.
+ * @param {object} auth The Firebase Auth instance.
+ * @param {object} user The signed-in Firebase user.
+ */
+export function renderVerifyEmailPage(rootElement, auth, user) {
+    rootElement.innerHTML = `
+        <style>
+            .login-container {
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                height: 100vh;
+                background-color: #f0f0f0;
+            }
+            .login-card {
+                background-color: white;
+                padding: 40px;
+                border-radius: 8px;
+                box-shadow: 0 4px 10px rgba(0, 0, 0, 0.1);
+                width: 350px;
+                text-align: center;
+            }
+            .login-card p {
+                margin-top: 10px;
+                color: #555;
+            }
+            .login-card button {
+                width: 100%;
+                padding: 10px;
+                margin-top: 15px;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-weight: bold;
+            }
+            #verified-btn {
+                background-color: #004d40;
+                color: white;
+            }
+            #resend-verification-btn,
+            #verify-logout-btn {
+                background-color: #e0e0e0;
+                color: #004d40;
+            }
+            #error-message {
+                color: red;
+                margin-top: 10px;
+            }
+            #info-message {
+                color: #004d40;
+                margin-top: 10px;
+            }
+        </style>
+
+        <div class="login-container">
+            <div class="login-card">
+                <h2>Verify your email</h2>
+                <p>We sent a verification link to <strong id="verify-email"></strong>. Open it, then come back here.</p>
+                <div id="error-message"></div>
+                <div id="info-message"></div>
+                <button type="button" id="verified-btn">I've verified my email</button>
+                <button type="button" id="resend-verification-btn">Resend verification email</button>
+                <button type="button" id="verify-logout-btn">Log out</button>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('verify-email').textContent = user.email;
+    const errorMessage = document.getElementById('error-message');
+    const infoMessage = document.getElementById('info-message');
+
+    document.getElementById('verified-btn').addEventListener('click', async () => {
+        errorMessage.textContent = '';
+        infoMessage.textContent = '';
+        try {
+            await user.reload();
+            if (auth.currentUser?.emailVerified) {
+                // The cached ID token still says unverified, and security rules check the token
+                await auth.currentUser.getIdToken(true);
+                // Restart the app so main.js runs the signed-in flow with the verified account
+                window.location.reload();
+            } else {
+                errorMessage.textContent = 'Your email is not verified yet. Please open the link in the email we sent.';
+            }
+        } catch (error) {
+            errorMessage.textContent = getAuthErrorMessage(error);
+        }
+    });
+
+    document.getElementById('resend-verification-btn').addEventListener('click', async () => {
+        errorMessage.textContent = '';
+        infoMessage.textContent = '';
+        try {
+            await sendEmailVerification(user);
+            infoMessage.textContent = 'Verification email sent.';
+        } catch (error) {
+            errorMessage.textContent = getAuthErrorMessage(error);
+        }
+    });
+
+    document.getElementById('verify-logout-btn').addEventListener('click', () => {
+        signOut(auth).catch((error) => {
+            errorMessage.textContent = getAuthErrorMessage(error);
+        });
+    });
+}
+
+/**
+ * Shown when a pending invite could not be redeemed on first sign-in. The invite token is kept so
+ * the user can retry; logging out drops it.
+ * @param {HTMLElement} rootElement The element where the page will be rendered.
+ * @param {object} auth The Firebase Auth instance.
+ * @param {string} message Why the invite could not be accepted.
+ */
+export function renderInviteErrorPage(rootElement, auth, message) {
+    rootElement.innerHTML = `
+        <style>
+            .login-container {
+                display: flex;
+                justify-content: center;
+                align-items: center;
+                height: 100vh;
+                background-color: #f0f0f0;
+            }
+            .login-card {
+                background-color: white;
+                padding: 40px;
+                border-radius: 8px;
+                box-shadow: 0 4px 10px rgba(0, 0, 0, 0.1);
+                width: 350px;
+                text-align: center;
+            }
+            .login-card p {
+                margin-top: 10px;
+                color: #555;
+            }
+            .login-card button {
+                width: 100%;
+                padding: 10px;
+                margin-top: 15px;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-weight: bold;
+            }
+            #retry-invite-btn {
+                background-color: #004d40;
+                color: white;
+            }
+            #invite-logout-btn {
+                background-color: #e0e0e0;
+                color: #004d40;
+            }
+            #error-message {
+                color: red;
+                margin-top: 10px;
+            }
+        </style>
+
+        <div class="login-container">
+            <div class="login-card">
+                <h2>Could not accept the invite</h2>
+                <div id="error-message"></div>
+                <p>Try again, or log out and ask the person who invited you for a new link.</p>
+                <button type="button" id="retry-invite-btn">Try again</button>
+                <button type="button" id="invite-logout-btn">Log out</button>
+            </div>
+        </div>
+    `;
+
+    const errorMessage = document.getElementById('error-message');
+    errorMessage.textContent = message;
+
+    document.getElementById('retry-invite-btn').addEventListener('click', () => {
+        // main.js redeems the pending invite again on start-up
+        window.location.reload();
+    });
+
+    document.getElementById('invite-logout-btn').addEventListener('click', () => {
+        sessionStorage.removeItem(PENDING_INVITE_KEY);
+        signOut(auth).catch((error) => {
+            errorMessage.textContent = getAuthErrorMessage(error);
+        });
+    });
+}
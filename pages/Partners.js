@@ -1,7 +1,46 @@
 // pages/Partners.js
 
-import { collection, query, where, getDocs, addDoc, serverTimestamp, doc, getDoc, updateDoc } from "firebase/firestore";
-import { getNextStage, getFirstStage, getStages, loadOnboardingStages } from "../constants/onboardingStages.js";
+import { collection, query, where, getDocs, serverTimestamp, doc, getDoc, updateDoc, addDoc, deleteDoc, onSnapshot, orderBy } from "firebase/firestore";
+import { DEFAULT_STAGE_COLOR, getNextStage, getFirstStage, getStages, getStageDefinition, loadStageDefinitions } from "../constants/onboardingStages.js";
+import { addPartnerWithStageHistory, updatePartnerStage, loadStageHistory } from "../constants/stageHistory.js";
+import { getCurrentUserProfile } from "../constants/currentUser.js";
+import { loadCsGuideTemplates, getMatchingCsGuideTemplate, buildCsGuideStatus } from "../constants/csGuideTemplates.js";
+import { daysBetween, daysSince, loadAverageStageDurations, loadPartnerContentCounts, projectGoLiveDate, toDate } from "../constants/metrics.js";
+import { parseCsv, toCsv, downloadCsv } from "../constants/csv.js";
+import { can } from "../constants/permissions.js";
+import { createInvite, getInviteLink, getInviteStatus, loadPartnerInvites, resendInvite, revokeInvite } from "../constants/invites.js";
+import { syncPartnerDirectory } from "../constants/sharing.js";
+import { loadTemplates, getMergeTemplates } from "../constants/templates.js";
+import { MERGE_OUTPUT_FORMATS, fillPlaceholders, buildMergedFile, buildMergedHtml, saveMergedDocument } from "../constants/mailMerge.js";
+import { renderMarkdown } from "../constants/markdown.js";
+import { storage } from "../firebase-init.js";
+import { onPageCleanup, runPageCleanup } from "../constants/pageCleanup.js";
+import { ASSIGNMENT_STATUS_LABELS, loadIntakeForms, loadPartnerAssignments, assignIntakeForm, deleteAssignment } from "../constants/intakeForms.js";
+import { renderIntakeAnswers } from "./Forms.js";
+import {
+    ACTIVITY_ITEM_TYPES,
+    loadPartnerActivity,
+    loadPartnerAcknowledgments,
+    loadPartnerDocuments,
+    summarizePartnerActivity,
+    requireAcknowledgment,
+    acknowledgeItem,
+    removeAcknowledgment
+} from "../constants/contentActivity.js";
+
+/**
+ * Partner fields that can be imported from and exported to CSV.
+ * `aliases` are normalized header names (lowercase, letters and digits only) matched automatically.
+ */
+const PARTNER_CSV_FIELDS = [
+    { key: 'name', label: 'Partner Name', aliases: ['name', 'partner', 'partnername'], required: true },
+    { key: 'partnerId', label: 'Partner ID', aliases: ['partnerid', 'id'], required: true },
+    { key: 'onboardingStatus', label: 'Onboarding Stage', aliases: ['onboardingstatus', 'onboardingstage', 'stage', 'status'] },
+    { key: 'psm', label: 'PSM', aliases: ['psm'] },
+    { key: 'integrationType', label: 'Integration Type', aliases: ['integrationtype', 'integration'] },
+    { key: 'contactEmail', label: 'Contact Email', aliases: ['contactemail', 'email', 'contact'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'comments'] },
+];
 
 /**
  * Renders the Partners page content, filtering data based on the user's role.
@@ -25,10 +64,10 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
     const partnersCol = collection(db, "partners");
     let partnersQuery;
 
-    if (userRole === 'admin' || userRole === 'transferz') {
+    if (can(userRole, 'partners:view-all')) {
         partnersQuery = query(partnersCol); 
         console.log("Fetching ALL partner data (Admin/Transferz User).");
-    } else if (userRole === 'partner' && partnerId) {
+    } else if (can(userRole, 'partners:view-own') && partnerId) {
         partnersQuery = query(partnersCol, where("partnerId", "==", partnerId));
         console.log(`Fetching specific partner data for ID: ${partnerId}.`);
     } else {
@@ -43,16 +82,25 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
             partners.push({ id: doc.id, ...doc.data() });
         });
 
-        // Load predefined stages from Firestore
-        const predefinedStages = await loadOnboardingStages(db);
-        
-        // Also get unique stages from partners (for backward compatibility)
-        const partnerStages = Array.from(
-            new Set(partners.map((partner) => partner.onboardingStatus).filter(Boolean))
-        );
-        
-        // Combine predefined stages with any additional stages found in partners
-        const stages = Array.from(new Set([...predefinedStages, ...partnerStages]));
+        // Load stage definitions from Firestore
+        const stageDefinitions = await loadStageDefinitions(db);
+        const stages = stageDefinitions.map((stage) => stage.name);
+
+        // Partners can hold a stage name that is not configured (a stage saved without migrating,
+        // or one set by an import). They get columns and filter options of their own, which
+        // can't be dropped onto, so they stay visible until someone moves them.
+        const unconfiguredStages = Array.from(
+            new Set(partners.map((partner) => partner.onboardingStatus || '').filter((stage) => !stages.includes(stage)))
+        ).map((stage) => ({
+            id: null,
+            name: stage,
+            description: 'Not a configured stage',
+            color: DEFAULT_STAGE_COLOR,
+            targetDays: null,
+            isTerminal: false,
+            isUnconfigured: true
+        }));
+        const boardStages = [...stageDefinitions, ...unconfiguredStages];
         const psms = Array.from(
             new Set(partners.map((partner) => partner.psm).filter(Boolean))
         );
@@ -96,12 +144,56 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
                 .join('');
         };
 
+        const canEditPartners = can(userRole, 'partners:edit');
+        let currentView = localStorage.getItem('partnersView') === 'board' ? 'board' : 'list';
+
+        const renderBoardCard = (partner, targetDays) => {
+            const daysInStage = daysSince(partner.stageSince || partner.createdAt);
+            const overdue = targetDays && daysInStage !== null && daysInStage > targetDays;
+            return `
+                <div class="board-card ${overdue ? 'overdue' : ''}" data-partner-id="${partner.id}" ${canEditPartners ? 'draggable="true"' : ''}>
+                    <p class="board-card-name">${partner.name || 'Untitled Partner'}</p>
+                    <p class="board-card-meta">${partner.psm || 'Unassigned'} · ${partner.integrationType || 'Unknown'}</p>
+                    <p class="board-card-meta">${daysInStage === null ? 'Unknown' : `${daysInStage} ${daysInStage === 1 ? 'day' : 'days'}`} in stage</p>
+                </div>
+            `;
+        };
+
+        const renderBoard = (partnersToRender) => {
+            return boardStages
+                .map((stage) => {
+                    const stagePartners = partnersToRender.filter((partner) => (partner.onboardingStatus || '') === stage.name);
+                    if (stage.isUnconfigured && !stagePartners.length) return '';
+                    const averageDays = getAverageDaysInStage(stagePartners);
+                    return `
+                        <div class="board-column ${stage.isUnconfigured ? 'unconfigured' : ''}" data-stage="${escapeHtml(stage.name)}" style="border-top-color: ${escapeHtml(stage.color)};" title="${escapeHtml(stage.description)}">
+                            <div class="board-column-header">
+                                <h3 class="board-column-title">${escapeHtml(stage.name || 'No stage')}</h3>
+                                <span class="board-column-count" style="background-color: ${escapeHtml(stage.color)};">${stagePartners.length}</span>
+                            </div>
+                            <p class="board-column-meta">
+                                Avg. in stage: ${averageDays === null ? 'N/A' : `${averageDays} days`}
+                                ${stage.targetDays ? ` · Target: ${stage.targetDays} days` : ''}
+                            </p>
+                            <div class="board-column-cards">
+                                ${stagePartners.map((partner) => renderBoardCard(partner, stage.isTerminal ? null : stage.targetDays)).join('')}
+                            </div>
+                        </div>
+                    `;
+                })
+                .join('');
+        };
+
         contentRoot.innerHTML = `
             <section class="partners-page">
                 <header class="partners-header">
                     <div class="partners-header-row">
                         <p class="eyebrow">Onboarding progress</p>
-                        <button class="add-partner-btn" id="open-add-partner-modal">+ ADD</button>
+                        <div class="partners-header-actions">
+                            ${canEditPartners ? '<button class="secondary-btn" id="open-import-partners-modal">IMPORT CSV</button>' : ''}
+                            <button class="secondary-btn" id="export-partners-btn">EXPORT CSV</button>
+                            ${canEditPartners ? '<button class="add-partner-btn" id="open-add-partner-modal">+ ADD</button>' : ''}
+                        </div>
                     </div>
                     <h2>Your Partners Dashboard</h2>
                 </header>
@@ -111,7 +203,10 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
                         <input type="search" id="partners-search" placeholder="Search partners..." />
                         <select id="filter-stage">
                             <option value="">Stage</option>
-                            ${stages.map((stage) => `<option value="${stage}">${stage}</option>`).join('')}
+                            ${boardStages
+                                .filter((stage) => stage.name)
+                                .map((stage) => `<option value="${escapeHtml(stage.name)}">${escapeHtml(stage.name)}${stage.isUnconfigured ? ' (not configured)' : ''}</option>`)
+                                .join('')}
                         </select>
                         <select id="filter-psm">
                             <option value="">PSM</option>
@@ -123,15 +218,23 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
                                 .map((integration) => `<option value="${integration}">${integration}</option>`)
                                 .join('')}
                         </select>
+                        <div class="view-toggle">
+                            <button type="button" class="view-toggle-btn ${currentView === 'list' ? 'active' : ''}" data-view="list">List</button>
+                            <button type="button" class="view-toggle-btn ${currentView === 'board' ? 'active' : ''}" data-view="board">Board</button>
+                        </div>
                     </div>
                 </div>
 
-                <div class="content-card partners-list-card">
+                <div class="content-card partners-list-card" ${currentView === 'board' ? 'style="display: none;"' : ''}>
                     <div id="partners-list">
                         ${renderList(partners)}
                     </div>
                 </div>
 
+                <div class="partners-board" id="partners-board" ${currentView === 'list' ? 'style="display: none;"' : ''}>
+                    ${renderBoard(partners)}
+                </div>
+
                 <div class="modal-backdrop" id="add-partner-modal" aria-hidden="true">
                     <div class="modal-card">
                         <div class="modal-header">
@@ -151,8 +254,8 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
                                 <label>
                                     <span>Onboarding Stage</span>
                                     <select name="onboardingStatus" required>
-                                        ${predefinedStages.map((stage) => 
-                                            `<option value="${stage}" ${stage === getFirstStage(predefinedStages) ? 'selected' : ''}>${stage}</option>`
+                                        ${stages.map((stage) => 
+                                            `<option value="${stage}" ${stage === getFirstStage(stages) ? 'selected' : ''}>${stage}</option>`
                                         ).join('')}
                                     </select>
                                 </label>
@@ -180,6 +283,28 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
                         </form>
                     </div>
                 </div>
+
+                <div class="modal-backdrop" id="import-partners-modal" aria-hidden="true">
+                    <div class="modal-card import-modal-card">
+                        <div class="modal-header">
+                            <h3>Import Partners</h3>
+                            <button class="modal-close" type="button" id="close-import-partners-modal" aria-label="Close">&times;</button>
+                        </div>
+                        <form id="import-partners-form">
+                            <label>
+                                <span>CSV File</span>
+                                <input type="file" name="file" id="import-file-input" accept=".csv,text/csv" required />
+                            </label>
+                            <p class="settings-description">Only CSV files are supported. Save Excel sheets as CSV before importing.</p>
+                            <div id="import-mapping" class="import-mapping"></div>
+                            <div id="import-preview" class="import-preview"></div>
+                            <div class="form-actions">
+                                <button type="button" class="secondary-btn" id="cancel-import-partners">Cancel</button>
+                                <button type="submit" class="primary-btn" id="import-partners-submit" disabled>Import</button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
             </section>
         `;
 
@@ -188,19 +313,23 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
         const psmSelect = contentRoot.querySelector('#filter-psm');
         const integrationSelect = contentRoot.querySelector('#filter-integration');
         const partnersList = contentRoot.querySelector('#partners-list');
+        const partnersListCard = contentRoot.querySelector('.partners-list-card');
+        const partnersBoard = contentRoot.querySelector('#partners-board');
         const addPartnerModal = contentRoot.querySelector('#add-partner-modal');
         const openModalBtn = contentRoot.querySelector('#open-add-partner-modal');
         const closeModalBtn = contentRoot.querySelector('#close-add-partner-modal');
         const cancelModalBtn = contentRoot.querySelector('#cancel-add-partner');
         const addPartnerForm = contentRoot.querySelector('#add-partner-form');
 
+        let filteredPartners = partners;
+
         const applyFilters = () => {
             const searchTerm = (searchInput.value || '').toLowerCase().trim();
             const stageFilter = stageSelect.value;
             const psmFilter = psmSelect.value;
             const integrationFilter = integrationSelect.value;
 
-            const filteredPartners = partners.filter((partner) => {
+            filteredPartners = partners.filter((partner) => {
                 const nameMatch =
                     partner.name?.toLowerCase().includes(searchTerm) ||
                     partner.partnerId?.toLowerCase().includes(searchTerm) ||
@@ -215,7 +344,9 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
             });
 
             partnersList.innerHTML = renderList(filteredPartners);
+            partnersBoard.innerHTML = renderBoard(filteredPartners);
             attachRowClickHandlers();
+            attachBoardDragHandlers();
         };
 
         [searchInput, stageSelect, psmSelect, integrationSelect].forEach((el) => {
@@ -233,7 +364,7 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
         };
 
         const attachRowClickHandlers = () => {
-            contentRoot.querySelectorAll('.partner-row').forEach((row) => {
+            contentRoot.querySelectorAll('.partner-row, .board-card').forEach((row) => {
                 row.onclick = () => handlePartnerRowClick(row);
             });
         };
@@ -241,6 +372,70 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
         // Attach click handlers to existing rows
         attachRowClickHandlers();
 
+        // Switch between the list and the board view
+        contentRoot.querySelectorAll('.view-toggle-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                currentView = btn.getAttribute('data-view');
+                localStorage.setItem('partnersView', currentView);
+                contentRoot.querySelectorAll('.view-toggle-btn').forEach((other) => {
+                    other.classList.toggle('active', other === btn);
+                });
+                partnersListCard.style.display = currentView === 'list' ? '' : 'none';
+                partnersBoard.style.display = currentView === 'board' ? '' : 'none';
+            });
+        });
+
+        // Dragging a card to another column moves the partner to that stage
+        const attachBoardDragHandlers = () => {
+            if (!canEditPartners) return;
+
+            partnersBoard.querySelectorAll('.board-card').forEach((card) => {
+                card.ondragstart = (event) => {
+                    event.dataTransfer.setData('text/plain', card.getAttribute('data-partner-id'));
+                    event.dataTransfer.effectAllowed = 'move';
+                    card.classList.add('dragging');
+                };
+                card.ondragend = () => card.classList.remove('dragging');
+            });
+
+            partnersBoard.querySelectorAll('.board-column:not(.unconfigured)').forEach((column) => {
+                column.ondragover = (event) => {
+                    event.preventDefault();
+                    column.classList.add('drag-over');
+                };
+                column.ondragleave = (event) => {
+                    if (!column.contains(event.relatedTarget)) {
+                        column.classList.remove('drag-over');
+                    }
+                };
+                column.ondrop = async (event) => {
+                    event.preventDefault();
+                    column.classList.remove('drag-over');
+
+                    const partnerDocId = event.dataTransfer.getData('text/plain');
+                    const targetStage = column.getAttribute('data-stage');
+                    const movedPartner = partners.find((partner) => partner.id === partnerDocId);
+                    if (!movedPartner || movedPartner.onboardingStatus === targetStage) {
+                        return;
+                    }
+
+                    try {
+                        await updatePartnerStage(db, partnerDocId, movedPartner.onboardingStatus, targetStage);
+
+                        movedPartner.onboardingStatus = targetStage;
+                        movedPartner.stageSince = new Date();
+                        movedPartner.lastUpdated = new Date();
+                        applyFilters();
+                    } catch (error) {
+                        console.error('Error updating partner stage:', error);
+                        alert('Could not update stage. Please try again.');
+                    }
+                };
+            });
+        };
+
+        attachBoardDragHandlers();
+
         const openModal = () => {
             addPartnerModal?.setAttribute('aria-hidden', 'false');
             addPartnerModal?.classList.add('visible');
@@ -265,26 +460,24 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
             event.preventDefault();
             const formData = new FormData(addPartnerForm);
 
-            const newPartner = {
+            const fields = {
                 name: formData.get('partnerName')?.toString().trim(),
                 partnerId: formData.get('partnerId')?.toString().trim(),
                 onboardingStatus: formData.get('onboardingStatus')?.toString().trim() || getFirstStage(),
-                psm: formData.get('psm')?.toString().trim() || null,
-                integrationType: formData.get('integrationType')?.toString().trim() || null,
-                contactEmail: formData.get('contactEmail')?.toString().trim() || null,
-                notes: formData.get('notes')?.toString().trim() || '',
-                createdAt: serverTimestamp(),
-                stageSince: serverTimestamp(),
-                lastUpdated: serverTimestamp(),
+                psm: formData.get('psm')?.toString().trim(),
+                integrationType: formData.get('integrationType')?.toString().trim(),
+                contactEmail: formData.get('contactEmail')?.toString().trim(),
+                notes: formData.get('notes')?.toString().trim(),
             };
 
-            if (!newPartner.name || !newPartner.partnerId || !newPartner.onboardingStatus) {
+            if (!fields.name || !fields.partnerId || !fields.onboardingStatus) {
                 alert('Please complete the required fields.');
                 return;
             }
 
             try {
-                await addDoc(partnersCol, newPartner);
+                const csGuideTemplates = await loadCsGuideTemplates(db);
+                await addPartnerWithStageHistory(db, buildPartnerRecord(fields, csGuideTemplates));
                 closeModal();
                 renderPartnersPage(contentRoot, db, userRole, partnerId);
             } catch (err) {
@@ -292,6 +485,27 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
                 alert('Could not save partner. Please try again.');
             }
         });
+
+        // Export the currently filtered partners
+        contentRoot.querySelector('#export-partners-btn')?.addEventListener('click', () => {
+            const formatExportDate = (value) => toDate(value)?.toISOString() || '';
+            const rows = [
+                [...PARTNER_CSV_FIELDS.map((field) => field.key), 'createdAt', 'stageSince', 'lastUpdated'],
+                ...filteredPartners.map((partner) => [
+                    ...PARTNER_CSV_FIELDS.map((field) => partner[field.key]),
+                    formatExportDate(partner.createdAt),
+                    formatExportDate(partner.stageSince),
+                    formatExportDate(partner.lastUpdated),
+                ]),
+            ];
+            downloadCsv(`partners-${new Date().toISOString().slice(0, 10)}.csv`, toCsv(rows));
+        });
+
+        if (canEditPartners) {
+            attachPartnerImport(contentRoot, db, partners, stages, () => {
+                renderPartnersPage(contentRoot, db, userRole, partnerId);
+            });
+        }
     } catch (error) {
         console.error("Error fetching partners:", error);
         contentRoot.innerHTML = `
@@ -304,6 +518,7 @@ export async function renderPartnersPage(contentRoot, db, userRole, partnerId) {
 
 function formatDate(value) {
     if (!value) return 'Unknown';
+    if (value instanceof Date) return value.toLocaleDateString();
     if (typeof value === 'string' || typeof value === 'number') {
         const date = new Date(value);
         return Number.isNaN(date.getTime()) ? 'Unknown' : date.toLocaleDateString();
@@ -321,6 +536,285 @@ function formatDate(value) {
     return 'Unknown';
 }
 
+function getAverageDaysInStage(partners) {
+    const durations = partners
+        .map((partner) => daysSince(partner.stageSince || partner.createdAt))
+        .filter((days) => days !== null);
+    if (!durations.length) return null;
+    return Math.round(durations.reduce((sum, days) => sum + days, 0) / durations.length);
+}
+
+/**
+ * Builds the Firestore record for a new partner, including its CS guide checklist.
+ * @param {object} fields The partner fields (name, partnerId, onboardingStatus, psm, integrationType, contactEmail, notes).
+ * @param {object[]} csGuideTemplates The configured CS guide templates.
+ * @returns {object}
+ */
+function buildPartnerRecord(fields, csGuideTemplates) {
+    const onboardingStatus = fields.onboardingStatus || getFirstStage();
+    const integrationType = fields.integrationType || null;
+    return {
+        name: fields.name,
+        partnerId: fields.partnerId,
+        onboardingStatus,
+        psm: fields.psm || null,
+        integrationType,
+        contactEmail: fields.contactEmail || null,
+        notes: fields.notes || '',
+        csGuideStatus: buildCsGuideStatus(getMatchingCsGuideTemplate(csGuideTemplates, integrationType, onboardingStatus)),
+        createdAt: serverTimestamp(),
+        stageSince: serverTimestamp(),
+        lastUpdated: serverTimestamp(),
+    };
+}
+
+/**
+ * Wires up the CSV import modal: column mapping, validation preview and the import itself.
+ * @param {HTMLElement} contentRoot The element holding the partners page.
+ * @param {object} db The Firestore database instance.
+ * @param {object[]} existingPartners Partners already in Firestore, used to flag duplicate partner IDs.
+ * @param {string[]} stages The configured onboarding stages.
+ * @param {Function} onImported Called once the import has finished.
+ */
+function attachPartnerImport(contentRoot, db, existingPartners, stages, onImported) {
+    const importModal = contentRoot.querySelector('#import-partners-modal');
+    const importForm = contentRoot.querySelector('#import-partners-form');
+    const fileInput = contentRoot.querySelector('#import-file-input');
+    const mappingContainer = contentRoot.querySelector('#import-mapping');
+    const previewContainer = contentRoot.querySelector('#import-preview');
+    const submitBtn = contentRoot.querySelector('#import-partners-submit');
+    const existingPartnerIds = new Set(existingPartners.map((partner) => partner.partnerId).filter(Boolean));
+    const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    let headers = [];
+    let dataRows = [];
+    let mapping = {};
+    let validatedRows = [];
+
+    const resetImport = () => {
+        importForm.reset();
+        headers = [];
+        dataRows = [];
+        mapping = {};
+        validatedRows = [];
+        mappingContainer.innerHTML = '';
+        previewContainer.innerHTML = '';
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Import';
+    };
+
+    const openImportModal = () => {
+        resetImport();
+        importModal?.setAttribute('aria-hidden', 'false');
+        importModal?.classList.add('visible');
+    };
+
+    const closeImportModal = () => {
+        importModal?.setAttribute('aria-hidden', 'true');
+        importModal?.classList.remove('visible');
+    };
+
+    const validateRows = () => {
+        const seenIds = new Map();
+        dataRows.forEach((cells) => {
+            const id = mapping.partnerId !== undefined ? (cells[mapping.partnerId] || '').trim() : '';
+            if (id) seenIds.set(id, (seenIds.get(id) || 0) + 1);
+        });
+
+        validatedRows = dataRows.map((cells, index) => {
+            const fields = {};
+            PARTNER_CSV_FIELDS.forEach((field) => {
+                fields[field.key] = mapping[field.key] !== undefined ? (cells[mapping[field.key]] || '').trim() : '';
+            });
+
+            const errors = [];
+            if (!fields.name) errors.push('Missing name');
+            if (!fields.partnerId) errors.push('Missing partner ID');
+            if (fields.partnerId && seenIds.get(fields.partnerId) > 1) errors.push('Duplicate partner ID in file');
+            if (fields.partnerId && existingPartnerIds.has(fields.partnerId)) errors.push('Partner ID already exists');
+            if (fields.onboardingStatus && !stages.includes(fields.onboardingStatus)) {
+                errors.push(`Unknown stage "${fields.onboardingStatus}"`);
+            }
+
+            return { rowNumber: index + 2, fields, errors };
+        });
+    };
+
+    const renderPreview = () => {
+        validateRows();
+        const validCount = validatedRows.filter((row) => !row.errors.length).length;
+        const invalidCount = validatedRows.length - validCount;
+
+        previewContainer.innerHTML = `
+            <p class="import-summary">
+                ${validCount} ${validCount === 1 ? 'partner' : 'partners'} ready to import${invalidCount ? `, ${invalidCount} with errors will be skipped` : ''}.
+                Rows without a stage start in "${escapeHtml(getFirstStage(stages))}".
+            </p>
+            <div class="import-preview-table-wrapper">
+                <table class="dashboard-table import-preview-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Name</th>
+                            <th>Partner ID</th>
+                            <th>Stage</th>
+                            <th>PSM</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${validatedRows.map((row) => `
+                            <tr class="${row.errors.length ? 'import-row-error' : ''}">
+                                <td>${row.rowNumber}</td>
+                                <td>${escapeHtml(row.fields.name)}</td>
+                                <td>${escapeHtml(row.fields.partnerId)}</td>
+                                <td>${escapeHtml(row.fields.onboardingStatus)}</td>
+                                <td>${escapeHtml(row.fields.psm)}</td>
+                                <td>${row.errors.length ? escapeHtml(row.errors.join(', ')) : 'OK'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+        submitBtn.disabled = validCount === 0;
+    };
+
+    const renderMapping = () => {
+        mappingContainer.innerHTML = `
+            <p class="settings-description">Match the CSV columns to partner fields.</p>
+            <div class="form-grid">
+                ${PARTNER_CSV_FIELDS.map((field) => `
+                    <label>
+                        <span>${field.label}${field.required ? ' *' : ''}</span>
+                        <select class="import-mapping-select" data-field="${field.key}">
+                            <option value="">Not mapped</option>
+                            ${headers.map((header, index) => `
+                                <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${escapeHtml(header)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+
+        mappingContainer.querySelectorAll('.import-mapping-select').forEach((select) => {
+            select.addEventListener('change', () => {
+                const fieldKey = select.getAttribute('data-field');
+                if (select.value === '') {
+                    delete mapping[fieldKey];
+                } else {
+                    mapping[fieldKey] = Number(select.value);
+                }
+                renderPreview();
+            });
+        });
+    };
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const rows = parseCsv(await file.text());
+            if (rows.length < 2) {
+                previewContainer.innerHTML = '<p class="empty-state">The file needs a header row and at least one partner.</p>';
+                submitBtn.disabled = true;
+                return;
+            }
+
+            headers = rows[0].map((header) => header.trim());
+            dataRows = rows.slice(1);
+            mapping = {};
+            PARTNER_CSV_FIELDS.forEach((field) => {
+                const index = headers.findIndex((header) => field.aliases.includes(normalizeHeader(header)));
+                if (index !== -1) mapping[field.key] = index;
+            });
+
+            renderMapping();
+            renderPreview();
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            previewContainer.innerHTML = '<p class="empty-state">Could not read this file. Only CSV files are supported.</p>';
+            submitBtn.disabled = true;
+        }
+    });
+
+    importForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const rowsToImport = validatedRows.filter((row) => !row.errors.length);
+        if (!rowsToImport.length) return;
+
+        submitBtn.disabled = true;
+        let importedCount = 0;
+        try {
+            const csGuideTemplates = await loadCsGuideTemplates(db);
+            for (const row of rowsToImport) {
+                submitBtn.textContent = `Importing ${importedCount + 1}/${rowsToImport.length}...`;
+                await addPartnerWithStageHistory(db, buildPartnerRecord(row.fields, csGuideTemplates));
+                importedCount++;
+            }
+            alert(`Imported ${importedCount} ${importedCount === 1 ? 'partner' : 'partners'}.`);
+        } catch (error) {
+            console.error('Error importing partners:', error);
+            alert(`Import stopped after ${importedCount} ${importedCount === 1 ? 'partner' : 'partners'}. Please check the remaining rows and try again.`);
+        } finally {
+            closeImportModal();
+            if (importedCount > 0) onImported();
+        }
+    });
+
+    contentRoot.querySelector('#open-import-partners-modal')?.addEventListener('click', openImportModal);
+    contentRoot.querySelector('#close-import-partners-modal')?.addEventListener('click', closeImportModal);
+    contentRoot.querySelector('#cancel-import-partners')?.addEventListener('click', closeImportModal);
+    importModal?.addEventListener('click', (e) => {
+        if (e.target === importModal) {
+            closeImportModal();
+        }
+    });
+}
+
+function formatMetric(value) {
+    return value === null || value === undefined ? 'N/A' : value;
+}
+
+function getCompletionPercentage(csGuideStatus) {
+    if (!csGuideStatus.length) return 0;
+    return Math.round((csGuideStatus.filter((item) => item.completed).length / csGuideStatus.length) * 100);
+}
+
+function formatDuration(start, end) {
+    const days = daysBetween(start, end);
+    if (days === null) return 'Unknown duration';
+    if (days === 0) return 'Less than a day';
+    return `${days} ${days === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Turns a partner's stage history into consecutive stage segments with start and end dates.
+ * Partners created before stage history existed get a leading segment starting at `createdAt`.
+ */
+function buildStageTimeline(partner, history) {
+    const segments = [];
+
+    if (!history.length || history[0].fromStage) {
+        segments.push({
+            stage: history[0]?.fromStage || partner.onboardingStatus,
+            start: partner.createdAt,
+            entry: null,
+        });
+    }
+
+    history.forEach((entry) => {
+        segments.push({ stage: entry.toStage, start: entry.changedAt, entry });
+    });
+
+    return segments.map((segment, index) => ({
+        ...segment,
+        end: segments[index + 1]?.start || null,
+    }));
+}
+
 function escapeHtml(value) {
     if (value === null || value === undefined) return '';
     return String(value)
@@ -337,8 +831,11 @@ function escapeHtml(value) {
  * @param {object} db The Firestore database instance.
  * @param {string} partnerDocId The Firestore document ID of the partner.
  * @param {string} userRole The role of the current user.
+ * @param {string|null} partnerId The ID of the partner if the user is a 'partner' user.
  */
-export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole) {
+export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole, partnerId = null) {
+    // The page re-renders itself after edits; drop the listeners of the previous render
+    runPageCleanup();
     contentRoot.innerHTML = `
         <div class="content-card">
             <p>Loading partner details...</p>
@@ -354,7 +851,9 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
         const partnerDocRef = doc(db, "partners", partnerDocId);
         const partnerDocSnap = await getDoc(partnerDocRef);
 
-        if (!partnerDocSnap.exists()) {
+        // Partner users may only open their own partner
+        const isOwnPartner = partnerDocSnap.exists() && partnerDocSnap.data().partnerId === partnerId;
+        if (!partnerDocSnap.exists() || !(can(userRole, 'partners:view-all') || isOwnPartner)) {
             contentRoot.innerHTML = `
                 <div class="content-card">
                     <p>Partner not found.</p>
@@ -370,24 +869,35 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
         const stageSinceDate = formatDate(partner.stageSince || partner.createdAt);
         
         // Load stages and calculate the next stage based on current stage
-        const stages = await loadOnboardingStages(db);
+        const stageDefinitions = await loadStageDefinitions(db);
+        const stages = stageDefinitions.map((stage) => stage.name);
         const currentStage = partner.onboardingStatus || null;
+        const currentStageDefinition = getStageDefinition(currentStage, stageDefinitions);
         const calculatedNextStage = getNextStage(currentStage, stages);
+        const canEditPartner = can(userRole, 'partners:edit');
 
-        // Mock data for CS Guide Status - in real app, this would come from Firestore
-        const defaultCsGuideStatus = [
-            { label: 'Form sent', completed: false },
-            { label: 'Form answered by partner', completed: false },
-            { label: 'Awaiting PSM', completed: false },
-            { label: 'Ready for draft', completed: false },
-            { label: 'Created', completed: false },
-        ];
+        let stageHistory = [];
+        try {
+            stageHistory = await loadStageHistory(db, partnerDocId);
+        } catch (historyError) {
+            console.warn("Could not load stage history:", historyError);
+        }
+        const stageTimeline = buildStageTimeline(partner, stageHistory);
+
+        let averageStageDurations = {};
+        try {
+            averageStageDurations = await loadAverageStageDurations(db);
+        } catch (durationsError) {
+            console.warn("Could not load stage durations:", durationsError);
+        }
+        const contentCounts = await loadPartnerContentCounts(db, partner.partnerId);
+        const goLiveProjection = projectGoLiveDate(partner, stages, averageStageDurations);
+
+        // Partners without a stored checklist get the template matching their integration type and stage
+        const csGuideTemplates = await loadCsGuideTemplates(db);
         let csGuideStatus = Array.isArray(partner.csGuideStatus) && partner.csGuideStatus.length
             ? partner.csGuideStatus
-            : defaultCsGuideStatus.map((item) => ({ ...item }));
-
-        // Mock comments - in real app, this would come from Firestore
-        const comments = partner.comments || [];
+            : buildCsGuideStatus(getMatchingCsGuideTemplate(csGuideTemplates, partner.integrationType, currentStage));
 
         contentRoot.innerHTML = `
             <section class="partner-detail-page">
@@ -404,7 +914,7 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
                     <div class="detail-card info-card">
                         <div class="detail-card-header">
                             <h3 class="detail-card-title">INFORMATION</h3>
-                            <button class="edit-partner-btn" id="edit-partner-btn">Edit</button>
+                            ${canEditPartner ? '<button class="edit-partner-btn" id="edit-partner-btn">Edit</button>' : ''}
                         </div>
                         <div class="detail-info-list">
                             <div class="detail-info-item">
@@ -432,8 +942,33 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
 
                     <div class="detail-card">
                         <h3 class="detail-card-title">METRICS</h3>
-                        <div class="metrics-placeholder">
-                            <p>Metrics coming soon</p>
+                        <div class="metrics-grid">
+                            <div class="metric-item">
+                                <span class="metric-value">${formatMetric(daysSince(partner.createdAt))}</span>
+                                <span class="detail-label">Days since added</span>
+                            </div>
+                            <div class="metric-item">
+                                <span class="metric-value">${formatMetric(daysSince(partner.stageSince || partner.createdAt))}</span>
+                                <span class="detail-label">Days in current stage</span>
+                            </div>
+                            <div class="metric-item">
+                                <span class="metric-value" id="cs-guide-completion">${getCompletionPercentage(csGuideStatus)}%</span>
+                                <span class="detail-label">CS guide completed</span>
+                            </div>
+                            <div class="metric-item">
+                                <span class="metric-value">${formatMetric(contentCounts.documents)}</span>
+                                <span class="detail-label">Documents</span>
+                            </div>
+                            <div class="metric-item">
+                                <span class="metric-value">${formatMetric(contentCounts.templates)}</span>
+                                <span class="detail-label">Templates</span>
+                            </div>
+                            <div class="metric-item">
+                                <span class="metric-value">${goLiveProjection.isLive
+                                    ? 'Live'
+                                    : goLiveProjection.date ? formatDate(goLiveProjection.date) : 'N/A'}</span>
+                                <span class="detail-label">Projected go-live</span>
+                            </div>
                         </div>
                     </div>
 
@@ -441,11 +976,16 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
                         <h3 class="detail-card-title">CURRENT STAGE</h3>
                         <div class="stage-content">
                             <p class="stage-name">${partner.onboardingStatus || 'N/A'}</p>
+                            ${currentStageDefinition?.description ? `<p class="stage-meta">${escapeHtml(currentStageDefinition.description)}</p>` : ''}
                             <p class="stage-meta">On this stage since: ${stageSinceDate}</p>
+                            ${currentStageDefinition?.targetDays && !currentStageDefinition.isTerminal ? `<p class="stage-meta">Target: ${currentStageDefinition.targetDays} days in this stage</p>` : ''}
                             <p class="stage-meta">Next stage: ${calculatedNextStage || 'Complete'}</p>
                             <div class="stage-actions">
-                                <a href="#" class="see-notes-link">See notes</a>
-                                <button class="next-stage-btn" ${calculatedNextStage ? '' : 'disabled style="opacity: 0.5; cursor: not-allowed;"'}>NEXT STAGE</button>
+                                <a href="#stage-history" class="see-notes-link">See notes</a>
+                                ${canEditPartner
+                                    ? `<button class="next-stage-btn" ${calculatedNextStage ? '' : 'disabled style="opacity: 0.5; cursor: not-allowed;"'}>NEXT STAGE</button>`
+                                    : ''
+                                }
                             </div>
                         </div>
                     </div>
@@ -453,6 +993,7 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
                     <div class="detail-card">
                         <h3 class="detail-card-title">CS GUIDE STATUS</h3>
                         <div class="cs-guide-list">
+                            ${csGuideStatus.length ? '' : '<p class="no-comments">No checklist items for this partner</p>'}
                             ${csGuideStatus.map((item, index) => `
                                 <label class="cs-guide-item">
                                     <input 
@@ -460,6 +1001,7 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
                                         class="cs-guide-checkbox" 
                                         data-index="${index}"
                                         ${item.completed ? 'checked' : ''}
+                                        ${canEditPartner ? '' : 'disabled'}
                                     />
                                     <span class="cs-guide-label ${item.completed ? 'completed' : ''}">
                                         ${item.label}
@@ -470,21 +1012,108 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
                     </div>
                 </div>
 
+                <div class="stage-history-section" id="stage-history">
+                    <h3 class="detail-card-title">STAGE HISTORY</h3>
+                    ${stageTimeline.length > 0
+                        ? `<ol class="stage-timeline">
+                            ${stageTimeline.map((segment) => `
+                                <li class="stage-timeline-item ${segment.end ? '' : 'current'}">
+                                    <div class="stage-timeline-header">
+                                        <span class="stage-timeline-stage">${segment.stage || 'N/A'}</span>
+                                        <span class="stage-timeline-duration">${formatDuration(segment.start, segment.end)}${segment.end ? '' : ' (current)'}</span>
+                                    </div>
+                                    <p class="stage-timeline-meta">
+                                        ${segment.entry
+                                            ? `${segment.entry.fromStage ? `Moved from ${segment.entry.fromStage}` : 'Started'} by ${escapeHtml(segment.entry.changedByName)} on ${formatDate(segment.start)}`
+                                            : `Since ${formatDate(segment.start)}`
+                                        }
+                                    </p>
+                                    ${segment.entry?.note ? `<p class="stage-timeline-note">${escapeHtml(segment.entry.note)}</p>` : ''}
+                                </li>
+                            `).join('')}
+                        </ol>`
+                        : '<p class="no-comments">No stage changes recorded yet</p>'
+                    }
+                </div>
+
+                ${canEditPartner ? `
+                    <div class="stage-history-section" id="partner-invites">
+                        <h3 class="detail-card-title">INVITES</h3>
+                        <p class="settings-description">Invite a partner contact to the hub. The link creates an account linked to this partner with the partner role.</p>
+                        <form id="invite-form" class="invite-form">
+                            <input type="email" name="email" class="display-name-input" placeholder="contact@email.com" value="${escapeHtml(partner.contactEmail)}" required />
+                            <button type="submit" class="primary-btn">Send Invite</button>
+                        </form>
+                        <div class="invites-list"></div>
+                    </div>
+                ` : ''}
+
+                <div class="stage-history-section" id="partner-intake-forms">
+                    <h3 class="detail-card-title">INTAKE FORMS</h3>
+                    ${can(userRole, 'forms:manage') ? `
+                        <div class="merge-controls">
+                            <select id="intake-assign-select" class="documents-filter" aria-label="Form">
+                                <option value="">Loading forms...</option>
+                            </select>
+                            <button type="button" class="primary-btn" id="intake-assign-btn" disabled>Assign Form</button>
+                        </div>
+                    ` : ''}
+                    <div class="intake-list" id="partner-intake-list">
+                        <p class="no-comments">Loading forms...</p>
+                    </div>
+                </div>
+
+                <div class="stage-history-section" id="partner-activity">
+                    <h3 class="detail-card-title">${can(userRole, 'templates:manage') ? 'CONTENT ACTIVITY' : 'PLEASE CONFIRM'}</h3>
+                    ${can(userRole, 'templates:manage') ? `
+                        <p class="settings-description">What this partner's users have viewed and downloaded. Ask them to confirm they have read a template or document.</p>
+                        <div class="merge-controls">
+                            <select id="acknowledgment-item-select" class="documents-filter" aria-label="Item to confirm">
+                                <option value="">Loading items...</option>
+                            </select>
+                            <button type="button" class="primary-btn" id="acknowledgment-require-btn" disabled>Require Confirmation</button>
+                        </div>
+                    ` : ''}
+                    <div class="activity-list" id="partner-activity-list">
+                        <p class="no-comments">Loading activity...</p>
+                    </div>
+                </div>
+
+                ${can(userRole, 'templates:manage') ? `
+                    <div class="stage-history-section" id="partner-merge">
+                        <h3 class="detail-card-title">PERSONALIZED DOCUMENTS</h3>
+                        <p class="settings-description">Fill a template's placeholders with this partner's details, then download the copy or save it to the partner's documents.</p>
+                        <div class="merge-controls">
+                            <select id="merge-template-select" class="documents-filter" aria-label="Template">
+                                <option value="">Loading templates...</option>
+                            </select>
+                            <select id="merge-format-select" class="documents-filter" aria-label="Format">
+                                ${Object.entries(MERGE_OUTPUT_FORMATS).map(([format, output]) => `
+                                    <option value="${format}">${output.label}</option>
+                                `).join('')}
+                            </select>
+                            <button type="button" class="secondary-btn" id="merge-copy-html-btn" disabled>Copy HTML</button>
+                            <button type="button" class="secondary-btn" id="merge-download-btn" disabled>Download</button>
+                            <button type="button" class="primary-btn" id="merge-save-btn" disabled>Save to Documents</button>
+                        </div>
+                        <div class="save-message" id="merge-message" style="display: none;"></div>
+                        <div class="merge-preview" id="merge-preview" hidden></div>
+                    </div>
+                ` : ''}
+
                 <div class="comments-section">
                     <h3 class="detail-card-title">COMMENTS</h3>
+                    <form id="comment-form" class="comment-form" ${can(userRole, 'comments:write') ? '' : 'hidden'}>
+                        <div class="comment-input-wrapper">
+                            <textarea id="comment-input" name="comment" rows="3" placeholder="Write a comment... Use @ to mention someone"></textarea>
+                            <div id="mention-suggestions" class="mention-suggestions" style="display: none;"></div>
+                        </div>
+                        <div class="form-actions">
+                            <button type="submit" class="primary-btn">Post Comment</button>
+                        </div>
+                    </form>
                     <div class="comments-list">
-                        ${comments.length > 0
-                            ? comments.map((comment) => `
-                                <div class="comment-item">
-                                    <div class="comment-header">
-                                        <span class="comment-author">${comment.author || 'USER NAME'}</span>
-                                        <span class="comment-date">${formatDate(comment.date)}</span>
-                                    </div>
-                                    <p class="comment-text">${comment.text || 'No comment text'}</p>
-                                </div>
-                            `).join('')
-                            : '<p class="no-comments">No comments yet</p>'
-                        }
+                        <p class="no-comments">Loading comments...</p>
                     </div>
                 </div>
 
@@ -507,11 +1136,15 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
                                 <label>
                                     <span>Onboarding Stage</span>
                                     <select name="onboardingStatus" required>
-                                        ${stages.map((stage) => 
-                                            `<option value="${stage}" ${stage === partner.onboardingStatus ? 'selected' : ''}>${stage}</option>`
+                                        ${(stages.includes(partner.onboardingStatus) || !partner.onboardingStatus ? stages : [...stages, partner.onboardingStatus]).map((stage) => 
+                                            `<option value="${stage}" ${stage === partner.onboardingStatus ? 'selected' : ''}>${stage}${stages.includes(stage) ? '' : ' (not configured)'}</option>`
                                         ).join('')}
                                     </select>
                                 </label>
+                                <label>
+                                    <span>Stage Change Note</span>
+                                    <input type="text" name="stageNote" placeholder="Optional, saved if the stage changes" />
+                                </label>
                                 <label>
                                     <span>PSM</span>
                                     <input type="text" name="psm" value="${escapeHtml(partner.psm)}" />
@@ -539,6 +1172,12 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
             </section>
         `;
 
+        // "See notes" scrolls to the stage history timeline
+        contentRoot.querySelector('.see-notes-link')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            contentRoot.querySelector('#stage-history')?.scrollIntoView({ behavior: 'smooth' });
+        });
+
         // Handle breadcrumb navigation
         const breadcrumbLink = contentRoot.querySelector('.breadcrumb a');
         if (breadcrumbLink) {
@@ -595,9 +1234,18 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
             }
 
             try {
-                await updateDoc(partnerDocRef, updatedPartner);
+                if (updatedPartner.onboardingStatus !== currentStage) {
+                    const { onboardingStatus, ...otherFields } = updatedPartner;
+                    await updatePartnerStage(db, partnerDocId, currentStage, onboardingStatus, {
+                        note: formData.get('stageNote')?.toString().trim() || '',
+                        updates: otherFields,
+                    });
+                } else {
+                    await updateDoc(partnerDocRef, updatedPartner);
+                }
+                await syncPartnerDirectory(db, partnerDocId, updatedPartner, partner.partnerId);
                 closeEditModal();
-                renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole);
+                renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole, partnerId);
             } catch (error) {
                 console.error('Error updating partner:', error);
                 alert('Could not update partner. Please try again.');
@@ -619,6 +1267,8 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
                         lastUpdated: serverTimestamp(),
                     });
                     csGuideStatus = updatedStatus;
+                    const completion = contentRoot.querySelector('#cs-guide-completion');
+                    if (completion) completion.textContent = `${getCompletionPercentage(csGuideStatus)}%`;
                     const label = event.target.closest('.cs-guide-item')?.querySelector('.cs-guide-label');
                     label?.classList.toggle('completed', event.target.checked);
                 } catch (error) {
@@ -629,6 +1279,20 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
             });
         });
 
+        attachCommentsThread(contentRoot, db, partnerDocId, userRole)
+            .then((unsubscribe) => onPageCleanup(unsubscribe))
+            .catch((error) => console.error('Error loading comments:', error));
+        if (canEditPartner) {
+            attachPartnerInvites(contentRoot, db, partner);
+        }
+        if (can(userRole, 'templates:manage')) {
+            attachPartnerMerge(contentRoot, db, partner);
+        }
+        attachPartnerIntakeForms(contentRoot, db, partner, userRole, () => {
+            renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole, partnerId);
+        });
+        attachPartnerActivity(contentRoot, db, partner, userRole);
+
         // Next Stage button click handler
         const nextStageBtn = contentRoot.querySelector('.next-stage-btn');
         if (nextStageBtn && calculatedNextStage) {
@@ -638,22 +1302,20 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
                     return;
                 }
 
-                // Confirm the action
-                const confirmed = confirm(`Move partner to "${calculatedNextStage}" stage?`);
-                if (!confirmed) {
+                // Confirm the action, optionally with a note for the stage history
+                const note = prompt(`Move partner to "${calculatedNextStage}" stage? Add an optional note:`);
+                if (note === null) {
                     return;
                 }
 
                 try {
                     // Update the partner's onboarding status to the next stage
-                    await updateDoc(partnerDocRef, {
-                        onboardingStatus: calculatedNextStage,
-                        stageSince: serverTimestamp(),
-                        lastUpdated: serverTimestamp(),
+                    await updatePartnerStage(db, partnerDocId, currentStage, calculatedNextStage, {
+                        note: note.trim(),
                     });
 
                     // Reload the page to show updated stage
-                    renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole);
+                    renderPartnerDetailPage(contentRoot, db, partnerDocId, userRole, partnerId);
                 } catch (error) {
                     console.error('Error updating partner stage:', error);
                     alert('Could not update stage. Please try again.');
@@ -670,4 +1332,771 @@ export async function renderPartnerDetailPage(contentRoot, db, partnerDocId, use
             </div>
         `;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Wires up the intake forms card: the forms sent to the partner with their status and answers.
+ * Staff can assign another form or withdraw one.
+ * @param {HTMLElement} contentRoot The element holding the partner detail page.
+ * @param {object} db The Firestore database instance.
+ * @param {object} partner The partner record.
+ * @param {string} userRole The role of the current user.
+ * @param {Function} onAssigned Called after a form is assigned, since that can tick CS guide items.
+ */
+async function attachPartnerIntakeForms(contentRoot, db, partner, userRole, onAssigned) {
+    const intakeList = contentRoot.querySelector('#partner-intake-list');
+    const assignSelect = contentRoot.querySelector('#intake-assign-select');
+    const assignBtn = contentRoot.querySelector('#intake-assign-btn');
+    if (!intakeList) return;
+
+    const openForm = (assignmentId) => {
+        window.history.pushState({}, '', `/forms/${assignmentId}`);
+        window.dispatchEvent(new PopStateEvent('popstate'));
+    };
+
+    const renderAssignments = async () => {
+        let assignments = [];
+        try {
+            assignments = await loadPartnerAssignments(db, partner.partnerId);
+        } catch (error) {
+            console.error('Error loading intake forms:', error);
+            intakeList.innerHTML = '<p class="no-comments">Could not load forms.</p>';
+            return;
+        }
+
+        if (!assignments.length) {
+            intakeList.innerHTML = '<p class="no-comments">No forms sent yet</p>';
+            return;
+        }
+
+        intakeList.innerHTML = assignments.map((assignment) => `
+            <div class="intake-item" data-assignment-id="${assignment.id}">
+                <div class="intake-item-body">
+                    <h4 class="intake-title">${escapeHtml(assignment.title)}</h4>
+                    <p class="intake-meta">
+                        <span class="intake-status intake-status-${assignment.status}">${ASSIGNMENT_STATUS_LABELS[assignment.status] || assignment.status}</span>
+                        Sent by ${escapeHtml(assignment.assignedByName)} on ${formatDate(assignment.assignedAt)}
+                        ${assignment.status === 'submitted' ? ` · Submitted by ${escapeHtml(assignment.submittedByName)} on ${formatDate(assignment.submittedAt)}` : ''}
+                    </p>
+                    ${Object.keys(assignment.answers || {}).length ? `
+                        <details class="intake-answers-details">
+                            <summary>${assignment.status === 'submitted' ? 'Answers' : 'Draft answers'}</summary>
+                            ${renderIntakeAnswers(assignment)}
+                        </details>
+                    ` : ''}
+                </div>
+                <div class="comment-actions">
+                    <button type="button" class="comment-action-btn open-intake-btn">Open</button>
+                    ${can(userRole, 'forms:manage') ? '<button type="button" class="comment-action-btn withdraw-intake-btn">Withdraw</button>' : ''}
+                </div>
+            </div>
+        `).join('');
+
+        intakeList.querySelectorAll('.open-intake-btn').forEach((btn) => {
+            btn.addEventListener('click', () => openForm(btn.closest('[data-assignment-id]').getAttribute('data-assignment-id')));
+        });
+
+        intakeList.querySelectorAll('.withdraw-intake-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                const assignment = assignments.find((a) => a.id === btn.closest('[data-assignment-id]').getAttribute('data-assignment-id'));
+                if (!confirm(`Withdraw "${assignment.title}"? The partner's answers are deleted.`)) return;
+                try {
+                    await deleteAssignment(db, assignment.id);
+                    await renderAssignments();
+                } catch (error) {
+                    console.error('Error withdrawing form:', error);
+                    alert('Could not withdraw the form. Please try again.');
+                }
+            });
+        });
+    };
+
+    await renderAssignments();
+
+    if (!assignSelect) return;
+
+    let forms = [];
+    try {
+        forms = await loadIntakeForms(db);
+    } catch (error) {
+        console.error('Error loading forms:', error);
+    }
+    assignSelect.innerHTML = forms.length
+        ? `<option value="">Choose a form</option>${forms.map((form) => `
+            <option value="${form.id}">${escapeHtml(form.title)}</option>
+        `).join('')}`
+        : '<option value="">No forms yet</option>';
+
+    assignSelect.addEventListener('change', () => {
+        assignBtn.disabled = !assignSelect.value;
+    });
+
+    assignBtn.addEventListener('click', async () => {
+        const form = forms.find((f) => f.id === assignSelect.value);
+        if (!form) return;
+        try {
+            assignBtn.disabled = true;
+            assignBtn.textContent = 'Assigning...';
+            await assignIntakeForm(db, form, partner);
+            onAssigned();
+        } catch (error) {
+            console.error('Error assigning form:', error);
+            alert('Could not assign the form. Please try again.');
+            assignBtn.disabled = false;
+            assignBtn.textContent = 'Assign Form';
+        }
+    });
+}
+
+/**
+ * Wires up the content activity card. Staff see which templates and documents the partner's users
+ * viewed and downloaded, and which confirmations are outstanding, and can ask for new ones.
+ * Partner users see the items they are asked to confirm.
+ * @param {HTMLElement} contentRoot The element holding the partner detail page.
+ * @param {object} db The Firestore database instance.
+ * @param {object} partner The partner record.
+ * @param {string} userRole The role of the current user.
+ */
+async function attachPartnerActivity(contentRoot, db, partner, userRole) {
+    const activityList = contentRoot.querySelector('#partner-activity-list');
+    const itemSelect = contentRoot.querySelector('#acknowledgment-item-select');
+    const requireBtn = contentRoot.querySelector('#acknowledgment-require-btn');
+    if (!activityList) return;
+
+    const isStaffView = can(userRole, 'templates:manage');
+
+    const renderAcknowledgmentStatus = (acknowledgment) => {
+        if (!acknowledgment) return '<span class="no-comments">Not required</span>';
+        if (acknowledgment.acknowledgedAt) {
+            return `<span class="template-badge confirmed">Confirmed</span> ${escapeHtml(acknowledgment.acknowledgedByName)}, ${formatDate(acknowledgment.acknowledgedAt)}`;
+        }
+        return `<span class="template-badge pending">Pending</span> since ${formatDate(acknowledgment.requiredAt)}`;
+    };
+
+    const renderUse = (count, lastAt, users) => (count
+        ? `${count}× · last ${formatDate(lastAt)}<br><span class="activity-users">${escapeHtml([...new Set(users)].join(', '))}</span>`
+        : '—');
+
+    const renderActivity = async () => {
+        let acknowledgments = [];
+        let activity = [];
+        try {
+            [acknowledgments, activity] = await Promise.all([
+                loadPartnerAcknowledgments(db, partner.partnerId),
+                isStaffView ? loadPartnerActivity(db, partner.partnerId) : []
+            ]);
+        } catch (error) {
+            console.error('Error loading content activity:', error);
+            activityList.innerHTML = '<p class="no-comments">Could not load activity.</p>';
+            return;
+        }
+
+        if (!isStaffView) {
+            const pending = acknowledgments.filter((acknowledgment) => !acknowledgment.acknowledgedAt);
+            activityList.innerHTML = pending.length
+                ? pending.map((acknowledgment) => `
+                    <div class="intake-item" data-acknowledgment-id="${acknowledgment.id}">
+                        <div class="intake-item-body">
+                            <h4 class="intake-title">${escapeHtml(acknowledgment.itemTitle)}</h4>
+                            <p class="intake-meta">${ACTIVITY_ITEM_TYPES[acknowledgment.itemType] || acknowledgment.itemType} · Requested by ${escapeHtml(acknowledgment.requiredByName)} on ${formatDate(acknowledgment.requiredAt)}</p>
+                        </div>
+                        <div class="comment-actions">
+                            <button type="button" class="comment-action-btn open-activity-item-btn">Open</button>
+                            <button type="button" class="comment-action-btn confirm-acknowledgment-btn">Confirm Read</button>
+                        </div>
+                    </div>
+                `).join('')
+                : '<p class="no-comments">Nothing to confirm</p>';
+        } else {
+            const rows = summarizePartnerActivity(activity, acknowledgments);
+            activityList.innerHTML = rows.length ? `
+                <table class="dashboard-table activity-table">
+                    <thead>
+                        <tr>
+                            <th>Item</th>
+                            <th>Viewed</th>
+                            <th>Downloaded</th>
+                            <th>Confirmation</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map((row) => `
+                            <tr data-acknowledgment-id="${row.acknowledgment?.id || ''}">
+                                <td>
+                                    ${escapeHtml(row.itemTitle)}
+                                    <span class="activity-users">${ACTIVITY_ITEM_TYPES[row.itemType] || row.itemType}</span>
+                                </td>
+                                <td>${renderUse(row.viewCount, row.lastViewedAt, row.viewers)}</td>
+                                <td>${renderUse(row.downloadCount, row.lastDownloadedAt, row.downloaders)}</td>
+                                <td>${renderAcknowledgmentStatus(row.acknowledgment)}</td>
+                                <td>${row.acknowledgment ? '<button type="button" class="comment-action-btn remove-acknowledgment-btn">Remove</button>' : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : '<p class="no-comments">No views or downloads yet</p>';
+        }
+
+        activityList.querySelectorAll('.open-activity-item-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const acknowledgment = acknowledgments.find((a) => a.id === btn.closest('[data-acknowledgment-id]').getAttribute('data-acknowledgment-id'));
+                const path = acknowledgment.itemType === 'template' ? '/templates' : '/documents';
+                window.history.pushState({}, '', path);
+                window.dispatchEvent(new PopStateEvent('popstate'));
+            });
+        });
+
+        activityList.querySelectorAll('.confirm-acknowledgment-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                try {
+                    btn.disabled = true;
+                    await acknowledgeItem(db, btn.closest('[data-acknowledgment-id]').getAttribute('data-acknowledgment-id'));
+                    await renderActivity();
+                } catch (error) {
+                    console.error('Error confirming item:', error);
+                    alert('Could not confirm the item. Please try again.');
+                    btn.disabled = false;
+                }
+            });
+        });
+
+        activityList.querySelectorAll('.remove-acknowledgment-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                if (!confirm('Stop asking the partner to confirm this item?')) return;
+                try {
+                    await removeAcknowledgment(db, btn.closest('[data-acknowledgment-id]').getAttribute('data-acknowledgment-id'));
+                    await renderActivity();
+                } catch (error) {
+                    console.error('Error removing confirmation request:', error);
+                    alert('Could not remove the request. Please try again.');
+                }
+            });
+        });
+    };
+
+    await renderActivity();
+
+    if (!itemSelect) return;
+
+    let items = [];
+    try {
+        const [templates, documents] = await Promise.all([
+            loadTemplates(db),
+            loadPartnerDocuments(db, partner.partnerId)
+        ]);
+        items = [
+            ...templates
+                .filter((template) => !template.archived && (!template.partnerId || template.partnerId === partner.partnerId))
+                .map((template) => ({ itemType: 'template', item: template, label: template.title || 'Untitled' })),
+            ...documents.map((document) => ({ itemType: 'document', item: document, label: document.displayName || document.name || 'Untitled' }))
+        ];
+    } catch (error) {
+        console.error('Error loading templates and documents:', error);
+    }
+
+    const renderGroup = (itemType) => {
+        const options = items
+            .map((entry, index) => ({ ...entry, index }))
+            .filter((entry) => entry.itemType === itemType);
+        return options.length ? `
+            <optgroup label="${ACTIVITY_ITEM_TYPES[itemType]}s">
+                ${options.map((entry) => `<option value="${entry.index}">${escapeHtml(entry.label)}</option>`).join('')}
+            </optgroup>
+        ` : '';
+    };
+    itemSelect.innerHTML = items.length
+        ? `<option value="">Choose a template or document</option>${renderGroup('template')}${renderGroup('document')}`
+        : '<option value="">No templates or documents yet</option>';
+
+    itemSelect.addEventListener('change', () => {
+        requireBtn.disabled = !itemSelect.value;
+    });
+
+    requireBtn.addEventListener('click', async () => {
+        const entry = items[Number(itemSelect.value)];
+        if (!itemSelect.value || !entry) return;
+        try {
+            requireBtn.disabled = true;
+            await requireAcknowledgment(db, entry.itemType, entry.item, partner.partnerId);
+            itemSelect.value = '';
+            await renderActivity();
+        } catch (error) {
+            console.error('Error requiring confirmation:', error);
+            alert('Could not ask for confirmation. Please try again.');
+            requireBtn.disabled = false;
+        }
+    });
+}
+
+/**
+ * Wires up the personalized documents card: picking a mail-merge template, previewing it filled
+ * with the partner's details, and downloading the copy or saving it to the partner's documents.
+ * @param {HTMLElement} contentRoot The element holding the partner detail page.
+ * @param {object} db The Firestore database instance.
+ * @param {object} partner The partner record.
+ */
+async function attachPartnerMerge(contentRoot, db, partner) {
+    const templateSelect = contentRoot.querySelector('#merge-template-select');
+    const formatSelect = contentRoot.querySelector('#merge-format-select');
+    const copyHtmlBtn = contentRoot.querySelector('#merge-copy-html-btn');
+    const downloadBtn = contentRoot.querySelector('#merge-download-btn');
+    const saveBtn = contentRoot.querySelector('#merge-save-btn');
+    const message = contentRoot.querySelector('#merge-message');
+    const preview = contentRoot.querySelector('#merge-preview');
+    if (!templateSelect) return;
+
+    let templates = [];
+    try {
+        templates = getMergeTemplates(await loadTemplates(db), partner.partnerId);
+    } catch (error) {
+        console.error('Error loading templates:', error);
+        templateSelect.innerHTML = '<option value="">Could not load templates</option>';
+        return;
+    }
+
+    templateSelect.innerHTML = templates.length
+        ? `<option value="">Choose a template</option>${templates.map((template) => `
+            <option value="${template.id}">${escapeHtml(template.title || 'Untitled Template')}</option>
+        `).join('')}`
+        : '<option value="">No templates with merge content</option>';
+
+    const showMessage = (text, type = '') => {
+        message.textContent = text;
+        message.className = `save-message ${type}`;
+        message.style.display = text ? 'block' : 'none';
+    };
+
+    const getSelectedTemplate = () => templates.find((template) => template.id === templateSelect.value) || null;
+
+    const renderPreview = () => {
+        const template = getSelectedTemplate();
+        [copyHtmlBtn, downloadBtn, saveBtn].forEach((btn) => { btn.disabled = !template; });
+        preview.hidden = !template;
+        if (!template) {
+            showMessage('');
+            return;
+        }
+
+        const { text, unknown, empty } = fillPlaceholders(template.content, partner);
+        preview.innerHTML = renderMarkdown(text);
+        const warnings = [];
+        if (unknown.length) warnings.push(`Unknown placeholders: ${unknown.map((key) => `{{${key}}}`).join(', ')}`);
+        if (empty.length) warnings.push(`No value on this partner for: ${empty.map((key) => `{{${key}}}`).join(', ')}`);
+        showMessage(warnings.join('. '), warnings.length ? 'warning' : '');
+    };
+
+    templateSelect.addEventListener('change', renderPreview);
+
+    copyHtmlBtn.addEventListener('click', async () => {
+        const template = getSelectedTemplate();
+        if (!template) return;
+        const { text } = fillPlaceholders(template.content, partner);
+        try {
+            await navigator.clipboard.writeText(buildMergedHtml(template.title || 'Untitled Template', text));
+            copyHtmlBtn.textContent = 'Copied!';
+            setTimeout(() => { copyHtmlBtn.textContent = 'Copy HTML'; }, 2000);
+        } catch (error) {
+            console.error('Error copying HTML:', error);
+            alert('Could not copy to the clipboard.');
+        }
+    });
+
+    downloadBtn.addEventListener('click', () => {
+        const template = getSelectedTemplate();
+        if (!template) return;
+        const { file } = buildMergedFile(template, partner, formatSelect.value);
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    saveBtn.addEventListener('click', async () => {
+        const template = getSelectedTemplate();
+        if (!template) return;
+        const merged = buildMergedFile(template, partner, formatSelect.value);
+        try {
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+            await saveMergedDocument(db, storage, partner, template, merged);
+            showMessage(`Saved "${merged.file.name}" to ${partner.name || partner.partnerId}'s documents.`, 'success');
+        } catch (error) {
+            console.error('Error saving personalized document:', error);
+            showMessage('Could not save the document. Please try again.', 'error');
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save to Documents';
+        }
+    });
+}
+
+/**
+ * Wires up the invites card: sending, listing, resending and revoking invite links for a partner.
+ * The hub has no mail backend, so sending opens a pre-filled email and copies the link.
+ * @param {HTMLElement} contentRoot The element holding the partner detail page.
+ * @param {object} db The Firestore database instance.
+ * @param {object} partner The partner record.
+ */
+async function attachPartnerInvites(contentRoot, db, partner) {
+    const invitesList = contentRoot.querySelector('.invites-list');
+    const inviteForm = contentRoot.querySelector('#invite-form');
+    if (!invitesList || !inviteForm) return;
+
+    const sendInviteEmail = async (email, token) => {
+        const link = getInviteLink(token);
+        try {
+            await navigator.clipboard.writeText(link);
+        } catch (error) {
+            console.warn('Could not copy invite link:', error);
+        }
+        const subject = encodeURIComponent(`Your invite to the transferz Onboarding Hub`);
+        const body = encodeURIComponent(`Hi,\n\nYou have been invited to the transferz Onboarding Hub for ${partner.name || partner.partnerId}.\nCreate your account here: ${link}\n\nThis link is valid for 7 days.`);
+        window.location.href = `mailto:${email}?subject=${subject}&body=${body}`;
+    };
+
+    const renderInvites = async () => {
+        let invites = [];
+        try {
+            invites = await loadPartnerInvites(db, partner.partnerId);
+        } catch (error) {
+            console.error('Error loading invites:', error);
+            invitesList.innerHTML = '<p class="no-comments">Could not load invites.</p>';
+            return;
+        }
+
+        if (!invites.length) {
+            invitesList.innerHTML = '<p class="no-comments">No invites sent yet</p>';
+            return;
+        }
+
+        invitesList.innerHTML = invites.map((invite) => {
+            const status = getInviteStatus(invite);
+            return `
+                <div class="invite-item">
+                    <div>
+                        <p class="invite-email">${escapeHtml(invite.email)}</p>
+                        <p class="stage-timeline-meta">
+                            Sent by ${escapeHtml(invite.createdByName)} on ${formatDate(invite.lastSentAt || invite.createdAt)}
+                            ${status === 'pending' ? ` · Expires ${formatDate(invite.expiresAt)}` : ''}
+                        </p>
+                    </div>
+                    <span class="invite-status invite-status-${status}">${status}</span>
+                    <div class="comment-actions">
+                        ${status === 'pending' ? `<button type="button" class="comment-action-btn copy-invite-btn" data-token="${invite.token}">Copy link</button>` : ''}
+                        ${status === 'pending' || status === 'expired' ? `<button type="button" class="comment-action-btn resend-invite-btn" data-token="${invite.token}" data-email="${escapeHtml(invite.email)}">Resend</button>` : ''}
+                        ${status === 'pending' ? `<button type="button" class="comment-action-btn revoke-invite-btn" data-token="${invite.token}">Revoke</button>` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        invitesList.querySelectorAll('.copy-invite-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await navigator.clipboard.writeText(getInviteLink(btn.getAttribute('data-token')));
+                    btn.textContent = 'Copied!';
+                } catch (error) {
+                    console.error('Error copying invite link:', error);
+                    prompt('Copy the invite link:', getInviteLink(btn.getAttribute('data-token')));
+                }
+            });
+        });
+
+        invitesList.querySelectorAll('.resend-invite-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                const token = btn.getAttribute('data-token');
+                try {
+                    await resendInvite(db, token);
+                    await renderInvites();
+                    await sendInviteEmail(btn.getAttribute('data-email'), token);
+                } catch (error) {
+                    console.error('Error resending invite:', error);
+                    alert('Could not resend the invite. Please try again.');
+                }
+            });
+        });
+
+        invitesList.querySelectorAll('.revoke-invite-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                if (!confirm('Revoke this invite? The link will stop working.')) {
+                    return;
+                }
+                try {
+                    await revokeInvite(db, btn.getAttribute('data-token'));
+                    await renderInvites();
+                } catch (error) {
+                    console.error('Error revoking invite:', error);
+                    alert('Could not revoke the invite. Please try again.');
+                }
+            });
+        });
+    };
+
+    inviteForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const email = new FormData(inviteForm).get('email')?.toString().trim();
+        if (!email) return;
+        if (!partner.partnerId) {
+            alert('Set a Partner ID before inviting contacts.');
+            return;
+        }
+
+        const submitBtn = inviteForm.querySelector('button[type="submit"]');
+        try {
+            submitBtn.disabled = true;
+            const token = await createInvite(db, partner, email);
+            await renderInvites();
+            await sendInviteEmail(email.toLowerCase(), token);
+        } catch (error) {
+            console.error('Error creating invite:', error);
+            alert('Could not create the invite. Please try again.');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+
+    await renderInvites();
+}
+
+/**
+ * Wires up the live comments thread stored in the partner's `comments` subcollection.
+ * @param {HTMLElement} contentRoot The element holding the partner detail page.
+ * @param {object} db The Firestore database instance.
+ * @param {string} partnerDocId The Firestore document ID of the partner.
+ * @param {string} userRole The role of the current user.
+ * @returns {Promise<Function>} Unsubscribes the snapshot listener; call it when leaving the page.
+ */
+async function attachCommentsThread(contentRoot, db, partnerDocId, userRole) {
+    const commentsList = contentRoot.querySelector('.comments-list');
+    const commentForm = contentRoot.querySelector('#comment-form');
+    const commentInput = contentRoot.querySelector('#comment-input');
+    const mentionSuggestions = contentRoot.querySelector('#mention-suggestions');
+    if (!commentsList || !commentForm) return () => {};
+
+    const commentsCol = collection(db, "partners", partnerDocId, "comments");
+    const profile = await getCurrentUserProfile(db);
+    let comments = [];
+    let editingCommentId = null;
+
+    // Hub users that can be @mentioned (partners may not be allowed to list users)
+    let hubUsers = [];
+    try {
+        const usersSnapshot = await getDocs(collection(db, "users"));
+        usersSnapshot.forEach((userDoc) => {
+            const userData = userDoc.data();
+            if (userData.displayName) {
+                hubUsers.push({ uid: userDoc.id, displayName: userData.displayName });
+            }
+        });
+    } catch (error) {
+        console.warn("Could not load users for mentions:", error);
+    }
+
+    const findMentions = (text) => {
+        return hubUsers
+            .filter((user) => text.includes(`@${user.displayName}`))
+            .map((user) => user.uid);
+    };
+
+    const renderCommentText = (comment) => {
+        let html = escapeHtml(comment.text);
+        hubUsers
+            .filter((user) => (comment.mentions || []).includes(user.uid))
+            .forEach((user) => {
+                const mention = escapeHtml(`@${user.displayName}`);
+                html = html.split(mention).join(`<span class="comment-mention">${mention}</span>`);
+            });
+        return html.replace(/\n/g, '<br>');
+    };
+
+    const renderComments = () => {
+        if (!comments.length) {
+            commentsList.innerHTML = '<p class="no-comments">No comments yet</p>';
+            return;
+        }
+
+        commentsList.innerHTML = comments.map((comment) => {
+            const isAuthor = profile && comment.authorUid === profile.uid;
+            const canDelete = isAuthor || can(userRole, 'comments:moderate');
+            const isEditing = editingCommentId === comment.id;
+            return `
+                <div class="comment-item" data-comment-id="${comment.id}">
+                    <div class="comment-header">
+                        <span class="comment-author">${escapeHtml(comment.authorName || 'Unknown user')}</span>
+                        <span class="comment-date">${formatDate(comment.createdAt)}${comment.editedAt ? ' (edited)' : ''}</span>
+                    </div>
+                    ${isEditing
+                        ? `<textarea class="comment-edit-input" rows="3">${escapeHtml(comment.text)}</textarea>
+                           <div class="comment-actions">
+                               <button type="button" class="comment-action-btn save-comment-btn" data-comment-id="${comment.id}">Save</button>
+                               <button type="button" class="comment-action-btn cancel-comment-btn">Cancel</button>
+                           </div>`
+                        : `<p class="comment-text">${renderCommentText(comment)}</p>
+                           ${isAuthor || canDelete ? `
+                               <div class="comment-actions">
+                                   ${isAuthor ? `<button type="button" class="comment-action-btn edit-comment-btn" data-comment-id="${comment.id}">Edit</button>` : ''}
+                                   ${canDelete ? `<button type="button" class="comment-action-btn delete-comment-btn" data-comment-id="${comment.id}">Delete</button>` : ''}
+                               </div>
+                           ` : ''}`
+                    }
+                </div>
+            `;
+        }).join('');
+
+        commentsList.querySelectorAll('.edit-comment-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                editingCommentId = btn.getAttribute('data-comment-id');
+                renderComments();
+                commentsList.querySelector('.comment-edit-input')?.focus();
+            });
+        });
+
+        commentsList.querySelectorAll('.cancel-comment-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                editingCommentId = null;
+                renderComments();
+            });
+        });
+
+        commentsList.querySelectorAll('.save-comment-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                const commentId = btn.getAttribute('data-comment-id');
+                const text = btn.closest('.comment-item')?.querySelector('.comment-edit-input')?.value.trim();
+                if (!text) {
+                    alert('Comment cannot be empty.');
+                    return;
+                }
+
+                try {
+                    btn.disabled = true;
+                    await updateDoc(doc(commentsCol, commentId), {
+                        text,
+                        mentions: findMentions(text),
+                        editedAt: serverTimestamp(),
+                    });
+                    editingCommentId = null;
+                    renderComments();
+                } catch (error) {
+                    console.error('Error updating comment:', error);
+                    alert('Could not update comment. Please try again.');
+                    btn.disabled = false;
+                }
+            });
+        });
+
+        commentsList.querySelectorAll('.delete-comment-btn').forEach((btn) => {
+            btn.addEventListener('click', async () => {
+                if (!confirm('Are you sure you want to delete this comment?')) {
+                    return;
+                }
+
+                try {
+                    await deleteDoc(doc(commentsCol, btn.getAttribute('data-comment-id')));
+                } catch (error) {
+                    console.error('Error deleting comment:', error);
+                    alert('Could not delete comment. Please try again.');
+                }
+            });
+        });
+    };
+
+    // The page may have been left while the profile and users were loading
+    if (!commentsList.isConnected) return () => {};
+
+    const unsubscribe = onSnapshot(
+        query(commentsCol, orderBy("createdAt", "asc")),
+        (snapshot) => {
+            comments = snapshot.docs.map((commentDoc) => ({
+                id: commentDoc.id,
+                ...commentDoc.data({ serverTimestamps: 'estimate' }),
+            }));
+            // Re-rendering would throw away an edit in progress; the list catches up when it ends
+            if (editingCommentId && comments.some((comment) => comment.id === editingCommentId)) {
+                return;
+            }
+            editingCommentId = null;
+            renderComments();
+        },
+        (error) => {
+            console.error('Error listening to comments:', error);
+            commentsList.innerHTML = '<p class="no-comments">Could not load comments.</p>';
+        }
+    );
+
+    commentForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const text = commentInput.value.trim();
+        if (!text) return;
+
+        const submitBtn = commentForm.querySelector('button[type="submit"]');
+        try {
+            submitBtn.disabled = true;
+            await addDoc(commentsCol, {
+                text,
+                mentions: findMentions(text),
+                authorUid: profile?.uid || null,
+                authorName: profile?.displayName || 'Unknown user',
+                createdAt: serverTimestamp(),
+                editedAt: null,
+            });
+            commentForm.reset();
+        } catch (error) {
+            console.error('Error posting comment:', error);
+            alert('Could not post comment. Please try again.');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    });
+
+    // @mention suggestions while typing
+    const hideSuggestions = () => {
+        mentionSuggestions.style.display = 'none';
+        mentionSuggestions.innerHTML = '';
+    };
+
+    commentInput.addEventListener('input', () => {
+        const textBeforeCaret = commentInput.value.slice(0, commentInput.selectionStart);
+        const mentionMatch = textBeforeCaret.match(/@([^@\n]*)$/);
+        if (!mentionMatch) {
+            hideSuggestions();
+            return;
+        }
+
+        const term = mentionMatch[1].toLowerCase();
+        const matches = hubUsers
+            .filter((user) => user.displayName.toLowerCase().startsWith(term))
+            .slice(0, 5);
+        if (!matches.length) {
+            hideSuggestions();
+            return;
+        }
+
+        mentionSuggestions.innerHTML = matches
+            .map((user) => `<button type="button" class="mention-suggestion" data-name="${escapeHtml(user.displayName)}">${escapeHtml(user.displayName)}</button>`)
+            .join('');
+        mentionSuggestions.style.display = 'block';
+
+        mentionSuggestions.querySelectorAll('.mention-suggestion').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const caret = commentInput.selectionStart;
+                const name = btn.getAttribute('data-name');
+                // A replacer function, so "$&" and the like in a display name are inserted as typed
+                const before = commentInput.value.slice(0, caret).replace(/@([^@\n]*)$/, () => `@${name} `);
+                commentInput.value = before + commentInput.value.slice(caret);
+                commentInput.focus();
+                commentInput.setSelectionRange(before.length, before.length);
+                hideSuggestions();
+            });
+        });
+    });
+
+    commentInput.addEventListener('blur', () => {
+        // Delay so a click on a suggestion still registers
+        setTimeout(hideSuggestions, 150);
+    });
+
+    return unsubscribe;
+}
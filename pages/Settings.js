@@ -1,7 +1,38 @@
 // pages/Settings.js
 
-import { loadOnboardingStages, saveOnboardingStages, clearStagesCache } from "../constants/onboardingStages.js";
-import { auth } from "../firebase-init.js";
+import {
+    DEFAULT_STAGE_COLOR,
+    loadStageDefinitions,
+    saveOnboardingStages,
+    clearStagesCache,
+    createStageId,
+    getDefaultStageDefinitions,
+    getStageChanges,
+    countPartnersByStage
+} from "../constants/onboardingStages.js";
+import { countStageHistoryEntries, migratePartnerStages, renameStagesInHistory } from "../constants/stageHistory.js";
+import { renameStagesInAverageDurations } from "../constants/metrics.js";
+import { clearCurrentUserProfileCache } from "../constants/currentUser.js";
+import {
+    loadCsGuideTemplates,
+    saveCsGuideTemplates,
+    clearCsGuideTemplatesCache,
+    getDefaultCsGuideTemplates,
+    migratePartnersCsGuide,
+    countCsGuideTemplatesByStage,
+    migrateCsGuideTemplateStages
+} from "../constants/csGuideTemplates.js";
+import { countDocumentsByTargetStage, migrateDocumentTargetStages } from "../constants/documentMetadata.js";
+import { can } from "../constants/permissions.js";
+import { isOpenSignUpEnabled, setOpenSignUpEnabled } from "../constants/invites.js";
+import { migrateDocumentFavorites } from "../constants/favorites.js";
+import { migrateLegacyFolders } from "../constants/folders.js";
+import { indexExistingDocuments } from "../constants/documentText.js";
+import { rebuildPartnerDirectory, loadSharingOptions } from "../constants/sharing.js";
+import { tagDocumentFiles } from "../constants/documentFiles.js";
+import { auditDocumentStorage, deleteOrphanedObjects, deleteDanglingDocuments } from "../constants/storageAudit.js";
+import { formatFileSize } from "../constants/uploadLimits.js";
+import { auth, storage } from "../firebase-init.js";
 import { doc, getDoc, updateDoc } from "firebase/firestore";
 
 /**
@@ -48,8 +79,11 @@ export async function renderSettingsPage(contentRoot, db, userRole) {
             // Continue with email as fallback
         }
 
-        // Load current stages
-        let stages = await loadOnboardingStages(db);
+        // Load current stages (stage and checklist configuration is admin-only)
+        const canManageSettings = can(userRole, 'settings:manage');
+        const stages = await loadStageDefinitions(db);
+        const csGuideTemplates = await loadCsGuideTemplates(db);
+        const openSignUp = canManageSettings ? await isOpenSignUpEnabled(db) : true;
 
         contentRoot.innerHTML = `
             <section class="settings-page">
@@ -77,36 +111,13 @@ export async function renderSettingsPage(contentRoot, db, userRole) {
                     </div>
                 </div>
 
+                ${canManageSettings ? `
                 <div class="detail-card">
                     <h3 class="detail-card-title">ONBOARDING STAGES</h3>
-                    <p class="settings-description">Configure the order of onboarding stages. Partners will progress through these stages in the order listed below.</p>
+                    <p class="settings-description">Configure the order of onboarding stages. Partners will progress through these stages in the order listed below. The target duration is how many days partners should spend in a stage.</p>
                     
                     <div id="stages-list" class="stages-list">
-                        ${stages.map((stage, index) => `
-                            <div class="stage-item" data-index="${index}">
-                                <div class="stage-item-content">
-                                    <span class="stage-number">${index + 1}</span>
-                                    <input 
-                                        type="text" 
-                                        class="stage-input" 
-                                        value="${escapeHtml(stage)}" 
-                                        data-original="${escapeHtml(stage)}"
-                                        data-index="${index}"
-                                    />
-                                </div>
-                                <div class="stage-item-actions">
-                                    <button class="stage-btn move-up-btn" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="Move up">
-                                        ↑
-                                    </button>
-                                    <button class="stage-btn move-down-btn" data-index="${index}" ${index === stages.length - 1 ? 'disabled' : ''} title="Move down">
-                                        ↓
-                                    </button>
-                                    <button class="stage-btn delete-btn" data-index="${index}" ${stages.length <= 1 ? 'disabled' : ''} title="Delete">
-                                        ×
-                                    </button>
-                                </div>
-                            </div>
-                        `).join('')}
+                        ${renderStageItems(stages)}
                     </div>
 
                     <div class="stages-actions">
@@ -117,14 +128,80 @@ export async function renderSettingsPage(contentRoot, db, userRole) {
                         </div>
                     </div>
 
+                    <div id="stage-migration" class="stage-migration" style="display: none;"></div>
                     <div id="save-message" class="save-message" style="display: none;"></div>
                 </div>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">CS GUIDE TEMPLATES</h3>
+                    <p class="settings-description">Define the CS guide checklist new partners receive. A template can be limited to an integration type and/or a stage; the most specific matching template is used.</p>
+
+                    <div id="cs-templates-list" class="cs-templates-list"></div>
+
+                    <div class="stages-actions">
+                        <button class="add-stage-btn" id="add-cs-template-btn">+ Add Template</button>
+                        <div class="stages-save-actions">
+                            <button class="secondary-btn" id="migrate-cs-templates-btn">Apply to Existing Partners</button>
+                            <button class="primary-btn" id="save-cs-templates-btn">Save Templates</button>
+                        </div>
+                    </div>
+
+                    <div id="cs-templates-message" class="save-message" style="display: none;"></div>
+                </div>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">SIGN-UP</h3>
+                    <p class="settings-description">Partner contacts can always join through an invite sent from their partner page. Turn off open sign-up to hide account creation on the login page for everyone else.</p>
+                    <label class="cs-guide-item">
+                        <input type="checkbox" id="open-signup-checkbox" ${openSignUp ? 'checked' : ''} />
+                        <span>Allow open sign-up on the login page</span>
+                    </label>
+                    <div id="signup-message" class="save-message" style="display: none;"></div>
+                </div>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">DOCUMENT MIGRATIONS</h3>
+                    <p class="settings-description">Favorites are now kept per user. Migrating copies each document that was starred with the old shared flag into the favorites of every user who can see it, then removes the flag.</p>
+                    <p class="settings-description">Folders are now stored by ID and can be nested. Migrating creates a folder for every old folder name (including the former Presentations and Videos defaults) and links each document to it.</p>
+                    <p class="settings-description">Documents shared with an integration type rely on a partner directory that is kept up to date when partners are saved. Rebuild it once for partners created before sharing existed.</p>
+                    <p class="settings-description">Partners can only open a shared file when it carries the ID of its document. Tag the files uploaded before sharing existed once.</p>
+                    <p class="settings-description">Document search looks inside PDF, Word and text files. Files uploaded before search existed are indexed by downloading each one, which can take a while.</p>
+                    <div class="stages-actions">
+                        <div class="stages-save-actions">
+                            <button class="secondary-btn" id="migrate-favorites-btn">Migrate Shared Favorites</button>
+                            <button class="secondary-btn" id="migrate-folders-btn">Migrate Folders</button>
+                            <button class="secondary-btn" id="rebuild-directory-btn">Rebuild Partner Directory</button>
+                            <button class="secondary-btn" id="tag-document-files-btn">Tag Document Files</button>
+                            <button class="secondary-btn" id="index-documents-btn">Index Existing Documents</button>
+                        </div>
+                    </div>
+                    <div id="document-migrations-message" class="save-message" style="display: none;"></div>
+                </div>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">DOCUMENT STORAGE</h3>
+                    <p class="settings-description">Compares the files in Storage with the documents and their version history, and shows how much space each folder and partner uses. It lists files no document points at and documents whose file is missing. Nothing is deleted until you confirm.</p>
+                    <div class="stages-actions">
+                        <div class="stages-save-actions">
+                            <button class="secondary-btn" id="storage-audit-btn">Check Storage</button>
+                        </div>
+                    </div>
+                    <div id="storage-audit-message" class="save-message" style="display: none;"></div>
+                    <div id="storage-audit-results"></div>
+                </div>
+                ` : ''}
             </section>
         `;
 
         // Attach event listeners
         attachDisplayNameEventListeners(contentRoot, db, user);
-        attachStageEventListeners(contentRoot, db, stages);
+        if (canManageSettings) {
+            attachStageEventListeners(contentRoot, db, stages, userRole);
+            attachCsGuideTemplateEventListeners(contentRoot, db, csGuideTemplates, stages.map((stage) => stage.name));
+            attachSignUpEventListeners(contentRoot, db);
+            attachDocumentMigrationEventListeners(contentRoot, db);
+            attachStorageAuditEventListeners(contentRoot, db);
+        }
 
     } catch (error) {
         console.error("Error loading settings:", error);
@@ -171,6 +248,7 @@ function attachDisplayNameEventListeners(contentRoot, db, user) {
             await updateDoc(userDocRef, {
                 displayName: newDisplayName
             });
+            clearCurrentUserProfileCache();
             
             showDisplayNameMessage('Display name saved successfully! Updating UI...', 'success');
             
@@ -216,41 +294,317 @@ function attachDisplayNameEventListeners(contentRoot, db, user) {
     }
 }
 
-function attachStageEventListeners(contentRoot, db, initialStages) {
-    let stages = [...initialStages];
+function attachSignUpEventListeners(contentRoot, db) {
+    const openSignUpCheckbox = contentRoot.querySelector('#open-signup-checkbox');
+    const signUpMessage = contentRoot.querySelector('#signup-message');
+
+    openSignUpCheckbox.addEventListener('change', async (e) => {
+        try {
+            openSignUpCheckbox.disabled = true;
+            await setOpenSignUpEnabled(db, e.target.checked);
+            showMessage(e.target.checked ? 'Open sign-up enabled.' : 'Open sign-up disabled. New partners join through invites.', 'success');
+        } catch (error) {
+            console.error('Error saving sign-up setting:', error);
+            e.target.checked = !e.target.checked;
+            showMessage('Error saving the sign-up setting. Please try again.', 'error');
+        } finally {
+            openSignUpCheckbox.disabled = false;
+        }
+    });
+
+    function showMessage(text, type) {
+        signUpMessage.textContent = text;
+        signUpMessage.className = `save-message ${type}`;
+        signUpMessage.style.display = 'block';
+        
+        setTimeout(() => {
+            signUpMessage.style.display = 'none';
+        }, 3000);
+    }
+}
+
+function attachDocumentMigrationEventListeners(contentRoot, db) {
+    const migrateFavoritesBtn = contentRoot.querySelector('#migrate-favorites-btn');
+    const migrateFoldersBtn = contentRoot.querySelector('#migrate-folders-btn');
+    const rebuildDirectoryBtn = contentRoot.querySelector('#rebuild-directory-btn');
+    const tagDocumentFilesBtn = contentRoot.querySelector('#tag-document-files-btn');
+    const indexDocumentsBtn = contentRoot.querySelector('#index-documents-btn');
+    const migrationsMessage = contentRoot.querySelector('#document-migrations-message');
+
+    migrateFavoritesBtn.addEventListener('click', async () => {
+        if (!confirm('Copy the shared document favorites to every user who can see those documents?')) {
+            return;
+        }
+
+        try {
+            migrateFavoritesBtn.disabled = true;
+            migrateFavoritesBtn.textContent = 'Migrating...';
+
+            const migratedCount = await migrateDocumentFavorites(db);
+            showMessage(migratedCount
+                ? `Migrated ${migratedCount} starred ${migratedCount === 1 ? 'document' : 'documents'}.`
+                : 'No shared favorites left to migrate.', 'success');
+        } catch (error) {
+            console.error('Error migrating document favorites:', error);
+            showMessage('Error migrating favorites. Please try again.', 'error');
+        } finally {
+            migrateFavoritesBtn.disabled = false;
+            migrateFavoritesBtn.textContent = 'Migrate Shared Favorites';
+        }
+    });
+
+    migrateFoldersBtn.addEventListener('click', async () => {
+        if (!confirm('Convert the old name-based folders to nested folders? Documents keep their folder.')) {
+            return;
+        }
+
+        try {
+            migrateFoldersBtn.disabled = true;
+            migrateFoldersBtn.textContent = 'Migrating...';
+
+            const migratedCount = await migrateLegacyFolders(db);
+            showMessage(`Folders migrated. Linked ${migratedCount} ${migratedCount === 1 ? 'document' : 'documents'} to their folder.`, 'success');
+        } catch (error) {
+            console.error('Error migrating folders:', error);
+            showMessage('Error migrating folders. Please try again.', 'error');
+        } finally {
+            migrateFoldersBtn.disabled = false;
+            migrateFoldersBtn.textContent = 'Migrate Folders';
+        }
+    });
+
+    rebuildDirectoryBtn.addEventListener('click', async () => {
+        try {
+            rebuildDirectoryBtn.disabled = true;
+            rebuildDirectoryBtn.textContent = 'Rebuilding...';
+
+            const entryCount = await rebuildPartnerDirectory(db);
+            showMessage(`Partner directory rebuilt for ${entryCount} ${entryCount === 1 ? 'partner' : 'partners'}.`, 'success');
+        } catch (error) {
+            console.error('Error rebuilding partner directory:', error);
+            showMessage('Error rebuilding the partner directory. Please try again.', 'error');
+        } finally {
+            rebuildDirectoryBtn.disabled = false;
+            rebuildDirectoryBtn.textContent = 'Rebuild Partner Directory';
+        }
+    });
+
+    tagDocumentFilesBtn.addEventListener('click', async () => {
+        try {
+            tagDocumentFilesBtn.disabled = true;
+            tagDocumentFilesBtn.textContent = 'Tagging...';
+
+            const { tagged, failed } = await tagDocumentFiles(db, storage);
+            showMessage(failed
+                ? `Tagged ${tagged} ${tagged === 1 ? 'file' : 'files'}; ${failed} could not be updated. Run it again to retry them.`
+                : `Tagged ${tagged} ${tagged === 1 ? 'file' : 'files'}.`, failed ? 'error' : 'success');
+        } catch (error) {
+            console.error('Error tagging document files:', error);
+            showMessage('Error tagging document files. Please try again.', 'error');
+        } finally {
+            tagDocumentFilesBtn.disabled = false;
+            tagDocumentFilesBtn.textContent = 'Tag Document Files';
+        }
+    });
+
+    indexDocumentsBtn.addEventListener('click', async () => {
+        try {
+            indexDocumentsBtn.disabled = true;
+            indexDocumentsBtn.textContent = 'Indexing...';
+
+            const { indexed, failed } = await indexExistingDocuments(db);
+            showMessage(failed
+                ? `Indexed ${indexed} ${indexed === 1 ? 'document' : 'documents'}; ${failed} could not be read. Run it again to retry them.`
+                : `Indexed ${indexed} ${indexed === 1 ? 'document' : 'documents'}.`, failed ? 'error' : 'success');
+        } catch (error) {
+            console.error('Error indexing documents:', error);
+            showMessage('Error indexing documents. Please try again.', 'error');
+        } finally {
+            indexDocumentsBtn.disabled = false;
+            indexDocumentsBtn.textContent = 'Index Existing Documents';
+        }
+    });
+
+    function showMessage(text, type) {
+        migrationsMessage.textContent = text;
+        migrationsMessage.className = `save-message ${type}`;
+        migrationsMessage.style.display = 'block';
+        
+        setTimeout(() => {
+            migrationsMessage.style.display = 'none';
+        }, 3000);
+    }
+}
+
+function attachStorageAuditEventListeners(contentRoot, db) {
+    const auditBtn = contentRoot.querySelector('#storage-audit-btn');
+    const auditMessage = contentRoot.querySelector('#storage-audit-message');
+    const resultsContainer = contentRoot.querySelector('#storage-audit-results');
+    let audit = null;
+
+    const runAudit = async () => {
+        try {
+            auditBtn.disabled = true;
+            const [auditResult, sharingOptions] = await Promise.all([
+                auditDocumentStorage(db, storage, (status) => {
+                    auditBtn.textContent = status;
+                }),
+                loadSharingOptions(db).catch(() => ({ partners: [] }))
+            ]);
+            audit = auditResult;
+            const partnerNames = new Map(sharingOptions.partners.map(p => [p.partnerId, p.name]));
+            resultsContainer.innerHTML = renderStorageAudit(audit, partnerNames);
+        } catch (error) {
+            console.error('Error checking document storage:', error);
+            showMessage('Error checking storage. Please try again.', 'error');
+        } finally {
+            auditBtn.disabled = false;
+            auditBtn.textContent = 'Check Storage';
+        }
+    };
+
+    auditBtn.addEventListener('click', runAudit);
+
+    resultsContainer.addEventListener('click', async (e) => {
+        const button = e.target.closest('button');
+        if (!button || !audit) return;
+
+        if (button.id === 'delete-orphaned-btn') {
+            const count = audit.orphanedObjects.length;
+            if (!confirm(`Delete ${count} orphaned ${count === 1 ? 'file' : 'files'} (${formatFileSize(audit.orphanedSize)}) from Storage? This cannot be undone.`)) {
+                return;
+            }
+            button.disabled = true;
+            button.textContent = 'Deleting...';
+            const { deleted, failed } = await deleteOrphanedObjects(storage, audit.orphanedObjects.map(object => object.path));
+            showMessage(`Deleted ${deleted} ${deleted === 1 ? 'file' : 'files'}${failed ? `; ${failed} could not be deleted` : ''}.`, failed ? 'error' : 'success');
+            await runAudit();
+        }
+
+        if (button.id === 'delete-dangling-btn') {
+            const count = audit.danglingDocuments.length;
+            if (!confirm(`Delete ${count} ${count === 1 ? 'document' : 'documents'} whose file is missing, with their version history? This cannot be undone.`)) {
+                return;
+            }
+            button.disabled = true;
+            button.textContent = 'Deleting...';
+            const { deleted, failed } = await deleteDanglingDocuments(db, storage, audit.danglingDocuments);
+            showMessage(`Deleted ${deleted} ${deleted === 1 ? 'document' : 'documents'}${failed ? `; ${failed} could not be deleted` : ''}.`, failed ? 'error' : 'success');
+            await runAudit();
+        }
+    });
+
+    function showMessage(text, type) {
+        auditMessage.textContent = text;
+        auditMessage.className = `save-message ${type}`;
+        auditMessage.style.display = 'block';
+        
+        setTimeout(() => {
+            auditMessage.style.display = 'none';
+        }, 3000);
+    }
+}
+
+/**
+ * Renders the result of a storage check: totals, usage tables and the problems found.
+ * @param {object} audit - Result of auditDocumentStorage
+ * @param {Map<string, string>} partnerNames - Partner ID to partner name
+ * @returns {string}
+ */
+function renderStorageAudit(audit, partnerNames) {
+    const renderUsageTable = (title, rows) => `
+        <h4 class="share-section-title">${title}</h4>
+        <div class="dashboard-table-wrapper">
+            <table class="dashboard-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Files</th>
+                        <th>Size</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.length ? rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.label)}</td>
+                            <td>${row.fileCount}</td>
+                            <td>${formatFileSize(row.size)}</td>
+                        </tr>
+                    `).join('') : '<tr><td colspan="3">No files</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    const partnerRows = audit.usageByPartner.map(row => ({
+        ...row,
+        label: row.key ? `${partnerNames.get(row.key) || row.key} (${row.key})` : 'transferz'
+    }));
+
+    return `
+        <div class="storage-audit-summary">
+            <p class="settings-description">${audit.objectCount} ${audit.objectCount === 1 ? 'file' : 'files'} in Storage, ${formatFileSize(audit.totalSize)} in total.</p>
+        </div>
+
+        ${renderUsageTable('Usage per folder', audit.usageByFolder)}
+        ${renderUsageTable('Usage per partner', partnerRows)}
+
+        <h4 class="share-section-title">Orphaned files (${audit.orphanedObjects.length}, ${formatFileSize(audit.orphanedSize)})</h4>
+        ${audit.orphanedObjects.length ? `
+            <ul class="storage-audit-list">
+                ${audit.orphanedObjects.map(object => `
+                    <li>
+                        <span>${escapeHtml(object.path)}</span>
+                        <span class="stage-timeline-meta">${formatFileSize(object.size)}${object.timeCreated ? ` · uploaded ${new Date(object.timeCreated).toLocaleString()}` : ''}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <button type="button" class="secondary-btn" id="delete-orphaned-btn">Delete Orphaned Files</button>
+        ` : '<p class="stage-timeline-meta">Every file belongs to a document.</p>'}
+        ${audit.recentUnreferencedObjects.length ? `
+            <p class="stage-timeline-meta">${audit.recentUnreferencedObjects.length} ${audit.recentUnreferencedObjects.length === 1 ? 'file was' : 'files were'} uploaded in the last hour without a document yet. ${audit.recentUnreferencedObjects.length === 1 ? 'It may still be uploading and is' : 'They may still be uploading and are'} not listed.</p>
+        ` : ''}
+
+        <h4 class="share-section-title">Documents with a missing file (${audit.danglingDocuments.length})</h4>
+        ${audit.danglingDocuments.length ? `
+            <ul class="storage-audit-list">
+                ${audit.danglingDocuments.map(documentItem => `
+                    <li>
+                        <span>${escapeHtml(documentItem.name)}</span>
+                        <span class="stage-timeline-meta">${escapeHtml(documentItem.storagePath || 'No file recorded')}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <button type="button" class="secondary-btn" id="delete-dangling-btn">Delete These Documents</button>
+        ` : '<p class="stage-timeline-meta">Every document has its file.</p>'}
+
+        ${audit.missingVersionFiles.length ? `
+            <h4 class="share-section-title">Older versions with a missing file (${audit.missingVersionFiles.length})</h4>
+            <p class="settings-description">These documents still work, but the listed versions can't be downloaded or restored.</p>
+            <ul class="storage-audit-list">
+                ${audit.missingVersionFiles.map(entry => `
+                    <li>
+                        <span>${escapeHtml(entry.name)} · v${entry.version}</span>
+                        <span class="stage-timeline-meta">${escapeHtml(entry.storagePath || 'No file recorded')}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+    `;
+}
+
+function attachStageEventListeners(contentRoot, db, savedStages, userRole) {
+    let stages = savedStages.map((stage) => ({ ...stage }));
     const stagesList = contentRoot.querySelector('#stages-list');
     const addStageBtn = contentRoot.querySelector('#add-stage-btn');
     const saveStagesBtn = contentRoot.querySelector('#save-stages-btn');
     const resetStagesBtn = contentRoot.querySelector('#reset-stages-btn');
     const saveMessage = contentRoot.querySelector('#save-message');
+    const migrationPanel = contentRoot.querySelector('#stage-migration');
 
     // Function to render the stages list
     function renderStagesList() {
-        stagesList.innerHTML = stages.map((stage, index) => `
-            <div class="stage-item" data-index="${index}">
-                <div class="stage-item-content">
-                    <span class="stage-number">${index + 1}</span>
-                    <input 
-                        type="text" 
-                        class="stage-input" 
-                        value="${escapeHtml(stage)}" 
-                        data-original="${escapeHtml(stage)}"
-                        data-index="${index}"
-                    />
-                </div>
-                <div class="stage-item-actions">
-                    <button class="stage-btn move-up-btn" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="Move up">
-                        ↑
-                    </button>
-                    <button class="stage-btn move-down-btn" data-index="${index}" ${index === stages.length - 1 ? 'disabled' : ''} title="Move down">
-                        ↓
-                    </button>
-                    <button class="stage-btn delete-btn" data-index="${index}" ${stages.length <= 1 ? 'disabled' : ''} title="Delete">
-                        ×
-                    </button>
-                </div>
-            </div>
-        `).join('');
+        stagesList.innerHTML = renderStageItems(stages);
 
         // Reattach event listeners after re-rendering
         attachItemEventListeners();
@@ -285,7 +639,7 @@ function attachStageEventListeners(contentRoot, db, initialStages) {
             btn.addEventListener('click', (e) => {
                 const index = parseInt(e.target.getAttribute('data-index'));
                 if (stages.length > 1) {
-                    if (confirm(`Are you sure you want to delete the stage "${stages[index]}"?`)) {
+                    if (confirm(`Are you sure you want to delete the stage "${stages[index].name}"? You can move its partners to another stage when you save.`)) {
                         stages.splice(index, 1);
                         renderStagesList();
                     }
@@ -294,15 +648,15 @@ function attachStageEventListeners(contentRoot, db, initialStages) {
         });
 
         // Input change handlers
-        contentRoot.querySelectorAll('.stage-input').forEach(input => {
+        contentRoot.querySelectorAll('.stage-name-input').forEach(input => {
             input.addEventListener('blur', (e) => {
                 const index = parseInt(e.target.getAttribute('data-index'));
                 const newValue = e.target.value.trim();
-                if (newValue && newValue !== stages[index]) {
-                    stages[index] = newValue;
+                if (newValue && newValue !== stages[index].name) {
+                    stages[index].name = newValue;
                 } else if (!newValue) {
                     // Restore original value if empty
-                    e.target.value = stages[index];
+                    e.target.value = stages[index].name;
                 }
             });
 
@@ -312,6 +666,24 @@ function attachStageEventListeners(contentRoot, db, initialStages) {
                 }
             });
         });
+
+        // Description, color, target duration and final stage
+        contentRoot.querySelectorAll('.stage-field').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const stage = stages[parseInt(e.target.getAttribute('data-index'))];
+                const field = e.target.getAttribute('data-field');
+                if (field === 'isTerminal') {
+                    stage.isTerminal = e.target.checked;
+                } else if (field === 'targetDays') {
+                    stage.targetDays = parseInt(e.target.value) > 0 ? parseInt(e.target.value) : null;
+                } else {
+                    stage[field] = e.target.value.trim();
+                }
+                if (field === 'color') {
+                    e.target.closest('.stage-item').querySelector('.stage-number').style.backgroundColor = stage.color;
+                }
+            });
+        });
     }
 
     // Initial attachment
@@ -321,7 +693,14 @@ function attachStageEventListeners(contentRoot, db, initialStages) {
     addStageBtn.addEventListener('click', () => {
         const newStageName = prompt('Enter the name of the new stage:');
         if (newStageName && newStageName.trim()) {
-            stages.push(newStageName.trim());
+            stages.push({
+                id: createStageId(),
+                name: newStageName.trim(),
+                description: '',
+                color: DEFAULT_STAGE_COLOR,
+                targetDays: null,
+                isTerminal: false
+            });
             renderStagesList();
         }
     });
@@ -329,7 +708,7 @@ function attachStageEventListeners(contentRoot, db, initialStages) {
     // Save stages button
     saveStagesBtn.addEventListener('click', async () => {
         // Validate all stages have names
-        const emptyStages = stages.filter(s => !s || !s.trim());
+        const emptyStages = stages.filter(s => !s.name || !s.name.trim());
         if (emptyStages.length > 0) {
             showMessage('Please ensure all stages have names.', 'error');
             return;
@@ -339,10 +718,10 @@ function attachStageEventListeners(contentRoot, db, initialStages) {
         const uniqueStages = [];
         const seen = new Set();
         for (const stage of stages) {
-            const trimmed = stage.trim();
+            const trimmed = stage.name.trim();
             if (trimmed && !seen.has(trimmed)) {
                 seen.add(trimmed);
-                uniqueStages.push(trimmed);
+                uniqueStages.push({ ...stage, name: trimmed });
             }
         }
 
@@ -354,61 +733,166 @@ function attachStageEventListeners(contentRoot, db, initialStages) {
             renderStagesList();
         }
 
+        await saveWithMigrationPreview();
+    });
+
+    // Reset to default button
+    resetStagesBtn.addEventListener('click', async () => {
+        if (confirm('Are you sure you want to reset to default stages? This will overwrite your current configuration.')) {
+            stages = getDefaultStageDefinitions();
+            renderStagesList();
+            await saveWithMigrationPreview();
+        }
+    });
+
+    /**
+     * Saves straight away when no partner, CS guide template or document uses a renamed or deleted
+     * stage. Otherwise shows how many each change affects and lets the admin migrate them along with the save.
+     */
+    async function saveWithMigrationPreview() {
+        const changes = getStageChanges(savedStages, stages);
+        if (!changes.renamed.length && !changes.deleted.length) {
+            await saveStages({}, {});
+            return;
+        }
+
+        let counts;
         try {
             saveStagesBtn.disabled = true;
-            saveStagesBtn.textContent = 'Saving...';
-            
-            await saveOnboardingStages(db, stages);
-            clearStagesCache();
-            
-            showMessage('Stages saved successfully!', 'success');
-            
-            // Reload the page to reflect changes
-            setTimeout(() => {
-                renderSettingsPage(contentRoot, db, 'admin');
-            }, 1500);
+            saveStagesBtn.textContent = 'Checking partners...';
+            // Stage history only follows renames; a deleted stage stays where the partner was at the time
+            const [partners, templates, documents, history] = await Promise.all([
+                countPartnersByStage(db),
+                countCsGuideTemplatesByStage(db),
+                countDocumentsByTargetStage(db),
+                countStageHistoryEntries(db, changes.renamed.map(change => change.from))
+            ]);
+            counts = { partners, templates, documents, history };
         } catch (error) {
-            console.error('Error saving stages:', error);
-            showMessage('Error saving stages. Please try again.', 'error');
+            console.error('Error counting stage references:', error);
+            showMessage('Could not check which partners, templates and documents are affected. Please try again.', 'error');
+            return;
         } finally {
             saveStagesBtn.disabled = false;
             saveStagesBtn.textContent = 'Save Changes';
         }
-    });
 
-    // Reset to default button
-    resetStagesBtn.addEventListener('click', async () => {
-        if (confirm('Are you sure you want to reset to default stages? This will overwrite your current configuration.')) {
+        const countsFor = (stage) => ({
+            partners: counts.partners.get(stage) || 0,
+            templates: counts.templates.get(stage) || 0,
+            documents: counts.documents.get(stage) || 0,
+            history: counts.history.get(stage) || 0
+        });
+        const isUsed = (stage) => Object.values(countsFor(stage)).some(Boolean);
+        const renamed = changes.renamed.filter(change => isUsed(change.from));
+        const deleted = changes.deleted.filter(change => isUsed(change.name));
+        if (!renamed.length && !deleted.length) {
+            await saveStages({}, {});
+            return;
+        }
+
+        const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+        const describeCounts = (stage) => {
+            const { partners, templates, documents, history } = countsFor(stage);
+            return [
+                partners ? plural(partners, 'partner') : null,
+                templates ? plural(templates, 'CS guide template') : null,
+                documents ? plural(documents, 'document') : null,
+                history ? plural(history, 'stage history record') : null
+            ].filter(Boolean).join(', ');
+        };
+
+        migrationPanel.innerHTML = `
+            <h4 class="share-section-title">Partners, templates and documents affected by these changes</h4>
+            <ul class="storage-audit-list">
+                ${renamed.map(change => `
+                    <li>
+                        <span>"${escapeHtml(change.from)}" renamed to "${escapeHtml(change.to)}"</span>
+                        <span class="stage-timeline-meta">${describeCounts(change.from)}</span>
+                    </li>
+                `).join('')}
+                ${deleted.map(change => `
+                    <li>
+                        <span>"${escapeHtml(change.name)}" deleted · move ${describeCounts(change.name)} to</span>
+                        <select class="documents-filter stage-replacement-select" data-stage="${escapeHtml(change.name)}" aria-label="Stage for partners of ${escapeHtml(change.name)}">
+                            ${stages.map(stage => `<option value="${escapeHtml(stage.name)}">${escapeHtml(stage.name)}</option>`).join('')}
+                        </select>
+                    </li>
+                `).join('')}
+            </ul>
+            <p class="settings-description">Partners, templates, documents and stage history that are not migrated keep the old stage name, which no longer matches a configured stage.</p>
+            <div class="stages-save-actions">
+                <button class="secondary-btn" id="cancel-stage-migration-btn">Cancel</button>
+                <button class="secondary-btn" id="save-without-migration-btn">Save Without Migrating</button>
+                <button class="primary-btn" id="save-with-migration-btn">Save and Migrate</button>
+            </div>
+        `;
+        migrationPanel.style.display = 'block';
+
+        migrationPanel.querySelector('#cancel-stage-migration-btn').addEventListener('click', () => {
+            migrationPanel.style.display = 'none';
+        });
+        migrationPanel.querySelector('#save-without-migration-btn').addEventListener('click', () => saveStages({}, {}));
+        migrationPanel.querySelector('#save-with-migration-btn').addEventListener('click', () => {
+            const renames = Object.fromEntries(renamed.map(change => [change.from, change.to]));
+            const replacements = Object.fromEntries(
+                [...migrationPanel.querySelectorAll('.stage-replacement-select')]
+                    .map(select => [select.getAttribute('data-stage'), select.value])
+            );
+            saveStages(renames, replacements);
+        });
+    }
+
+    /**
+     * Migrates before saving, so after a failure the changes are still unsaved and saving again
+     * migrates whatever still uses the old names.
+     */
+    async function saveStages(renames, replacements) {
+        const buttons = [saveStagesBtn, resetStagesBtn, ...migrationPanel.querySelectorAll('button')];
+        const enableButtons = () => {
+            buttons.forEach(btn => { btn.disabled = false; });
+            saveStagesBtn.textContent = 'Save Changes';
+        };
+        buttons.forEach(btn => { btn.disabled = true; });
+        saveStagesBtn.textContent = 'Saving...';
+
+        let migrated = null;
+        if (Object.keys(renames).length || Object.keys(replacements).length) {
             try {
-                resetStagesBtn.disabled = true;
-                resetStagesBtn.textContent = 'Resetting...';
-                
-                const defaultStages = [
-                    'Intake',
-                    'Testing',
-                    'Integration',
-                    'Go Live',
-                    'Complete'
-                ];
-                
-                await saveOnboardingStages(db, defaultStages);
-                clearStagesCache();
-                
-                showMessage('Stages reset to default!', 'success');
-                
-                // Reload the page
-                setTimeout(() => {
-                    renderSettingsPage(contentRoot, db, 'admin');
-                }, 1500);
+                migrated = {
+                    partners: await migratePartnerStages(db, renames, replacements),
+                    templates: await migrateCsGuideTemplateStages(db, renames, replacements),
+                    documents: await migrateDocumentTargetStages(db, renames, replacements),
+                    history: await renameStagesInHistory(db, renames)
+                };
+                await renameStagesInAverageDurations(db, renames);
             } catch (error) {
-                console.error('Error resetting stages:', error);
-                showMessage('Error resetting stages. Please try again.', 'error');
-            } finally {
-                resetStagesBtn.disabled = false;
-                resetStagesBtn.textContent = 'Reset to Default';
+                console.error('Error migrating stages:', error);
+                showMessage('Not everything could be migrated and the stages were not saved. Please try again.', 'error');
+                enableButtons();
+                return;
             }
         }
-    });
+
+        try {
+            await saveOnboardingStages(db, stages);
+            clearStagesCache();
+        } catch (error) {
+            console.error('Error saving stages:', error);
+            showMessage('Error saving stages. Please try again.', 'error');
+            enableButtons();
+            return;
+        }
+
+        showMessage(migrated
+            ? `Stages saved and ${migrated.partners} partner(s), ${migrated.templates} template(s), ${migrated.documents} document(s) and ${migrated.history} stage history record(s) migrated!`
+            : 'Stages saved successfully!', 'success');
+
+        // Reload the page to reflect changes
+        setTimeout(() => {
+            renderSettingsPage(contentRoot, db, userRole);
+        }, 1500);
+    }
 
     function showMessage(text, type) {
         saveMessage.textContent = text;
@@ -421,3 +905,276 @@ function attachStageEventListeners(contentRoot, db, initialStages) {
     }
 }
 
+/**
+ * Stage rows for the onboarding stages card: name, description, color, target duration and
+ * whether the stage ends onboarding.
+ * @param {object[]} stages - Stage definitions in order
+ * @returns {string}
+ */
+function renderStageItems(stages) {
+    return stages.map((stage, index) => `
+        <div class="stage-item" data-index="${index}">
+            <div class="stage-item-content">
+                <span class="stage-number" style="background-color: ${escapeHtml(stage.color)};">${index + 1}</span>
+                <div class="stage-fields">
+                    <input 
+                        type="text" 
+                        class="stage-input stage-name-input" 
+                        value="${escapeHtml(stage.name)}" 
+                        data-index="${index}"
+                        aria-label="Stage name"
+                    />
+                    <input 
+                        type="text" 
+                        class="stage-input stage-description-input stage-field" 
+                        value="${escapeHtml(stage.description)}" 
+                        placeholder="Description (optional)"
+                        data-index="${index}"
+                        data-field="description"
+                        aria-label="Stage description"
+                    />
+                    <div class="stage-options">
+                        <label>
+                            Color
+                            <input type="color" class="stage-field" value="${escapeHtml(stage.color)}" data-index="${index}" data-field="color" />
+                        </label>
+                        <label>
+                            Target days
+                            <input type="number" min="1" class="stage-field stage-target-input" value="${stage.targetDays || ''}" data-index="${index}" data-field="targetDays" />
+                        </label>
+                        <label>
+                            <input type="checkbox" class="stage-field" ${stage.isTerminal ? 'checked' : ''} data-index="${index}" data-field="isTerminal" />
+                            Onboarding is complete at this stage
+                        </label>
+                    </div>
+                </div>
+            </div>
+            <div class="stage-item-actions">
+                <button class="stage-btn move-up-btn" data-index="${index}" ${index === 0 ? 'disabled' : ''} title="Move up">
+                    ↑
+                </button>
+                <button class="stage-btn move-down-btn" data-index="${index}" ${index === stages.length - 1 ? 'disabled' : ''} title="Move down">
+                    ↓
+                </button>
+                <button class="stage-btn delete-btn" data-index="${index}" ${stages.length <= 1 ? 'disabled' : ''} title="Delete">
+                    ×
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function attachCsGuideTemplateEventListeners(contentRoot, db, initialTemplates, stages) {
+    let templates = initialTemplates.map((template) => ({ ...template, items: [...template.items] }));
+    const templatesList = contentRoot.querySelector('#cs-templates-list');
+    const addTemplateBtn = contentRoot.querySelector('#add-cs-template-btn');
+    const saveTemplatesBtn = contentRoot.querySelector('#save-cs-templates-btn');
+    const migrateTemplatesBtn = contentRoot.querySelector('#migrate-cs-templates-btn');
+    const templatesMessage = contentRoot.querySelector('#cs-templates-message');
+
+    // Function to render the templates list
+    function renderTemplatesList() {
+        templatesList.innerHTML = templates.map((template, index) => `
+            <div class="cs-template-item" data-index="${index}">
+                <div class="cs-template-fields">
+                    <input 
+                        type="text" 
+                        class="stage-input cs-template-name" 
+                        value="${escapeHtml(template.name)}" 
+                        placeholder="Template name"
+                        data-index="${index}"
+                    />
+                    <input 
+                        type="text" 
+                        class="stage-input cs-template-integration" 
+                        value="${escapeHtml(template.integrationType)}" 
+                        placeholder="Any integration type"
+                        data-index="${index}"
+                    />
+                    <select class="stage-input cs-template-stage" data-index="${index}">
+                        <option value="">Any stage</option>
+                        ${stages.map((stage) => `<option value="${escapeHtml(stage)}" ${stage === template.stage ? 'selected' : ''}>${escapeHtml(stage)}</option>`).join('')}
+                    </select>
+                    <button class="stage-btn delete-btn delete-cs-template-btn" data-index="${index}" ${templates.length <= 1 ? 'disabled' : ''} title="Delete template">
+                        ×
+                    </button>
+                </div>
+                <div class="cs-template-items">
+                    ${template.items.map((item, itemIndex) => `
+                        <div class="cs-template-checklist-item">
+                            <span class="stage-number">${itemIndex + 1}</span>
+                            <input 
+                                type="text" 
+                                class="stage-input cs-template-item-input" 
+                                value="${escapeHtml(item)}" 
+                                data-index="${index}"
+                                data-item-index="${itemIndex}"
+                            />
+                            <button class="stage-btn delete-btn delete-cs-item-btn" data-index="${index}" data-item-index="${itemIndex}" title="Remove item">
+                                ×
+                            </button>
+                        </div>
+                    `).join('')}
+                    <button class="secondary-btn add-cs-item-btn" data-index="${index}">+ Add Item</button>
+                </div>
+            </div>
+        `).join('');
+
+        // Reattach event listeners after re-rendering
+        attachItemEventListeners();
+    }
+
+    // Function to attach event listeners to template fields
+    function attachItemEventListeners() {
+        templatesList.querySelectorAll('.cs-template-name').forEach(input => {
+            input.addEventListener('input', (e) => {
+                templates[parseInt(e.target.getAttribute('data-index'))].name = e.target.value;
+            });
+        });
+
+        templatesList.querySelectorAll('.cs-template-integration').forEach(input => {
+            input.addEventListener('input', (e) => {
+                templates[parseInt(e.target.getAttribute('data-index'))].integrationType = e.target.value.trim() || null;
+            });
+        });
+
+        templatesList.querySelectorAll('.cs-template-stage').forEach(select => {
+            select.addEventListener('change', (e) => {
+                templates[parseInt(e.target.getAttribute('data-index'))].stage = e.target.value || null;
+            });
+        });
+
+        templatesList.querySelectorAll('.cs-template-item-input').forEach(input => {
+            input.addEventListener('input', (e) => {
+                const index = parseInt(e.target.getAttribute('data-index'));
+                const itemIndex = parseInt(e.target.getAttribute('data-item-index'));
+                templates[index].items[itemIndex] = e.target.value;
+            });
+        });
+
+        templatesList.querySelectorAll('.delete-cs-template-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const index = parseInt(e.target.getAttribute('data-index'));
+                if (templates.length > 1 && confirm(`Are you sure you want to delete the template "${templates[index].name}"?`)) {
+                    templates.splice(index, 1);
+                    renderTemplatesList();
+                }
+            });
+        });
+
+        templatesList.querySelectorAll('.delete-cs-item-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const index = parseInt(e.target.getAttribute('data-index'));
+                const itemIndex = parseInt(e.target.getAttribute('data-item-index'));
+                templates[index].items.splice(itemIndex, 1);
+                renderTemplatesList();
+            });
+        });
+
+        templatesList.querySelectorAll('.add-cs-item-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const index = parseInt(e.target.getAttribute('data-index'));
+                const newItem = prompt('Enter the checklist item:');
+                if (newItem && newItem.trim()) {
+                    templates[index].items.push(newItem.trim());
+                    renderTemplatesList();
+                }
+            });
+        });
+    }
+
+    // Initial render
+    renderTemplatesList();
+
+    // Add template button
+    addTemplateBtn.addEventListener('click', () => {
+        const newTemplateName = prompt('Enter the name of the new template:');
+        if (newTemplateName && newTemplateName.trim()) {
+            templates.push({
+                id: `template_${Date.now()}`,
+                name: newTemplateName.trim(),
+                integrationType: null,
+                stage: null,
+                items: getDefaultCsGuideTemplates()[0].items
+            });
+            renderTemplatesList();
+        }
+    });
+
+    // Returns the templates with trimmed names and items, or null if they are invalid
+    function getValidatedTemplates() {
+        const cleaned = templates.map((template) => ({
+            ...template,
+            name: (template.name || '').trim(),
+            items: template.items.map((item) => item.trim()).filter(Boolean)
+        }));
+
+        if (cleaned.some((template) => !template.name)) {
+            showMessage('Please ensure all templates have names.', 'error');
+            return null;
+        }
+        if (cleaned.some((template) => template.items.length === 0)) {
+            showMessage('Please ensure every template has at least one item.', 'error');
+            return null;
+        }
+        return cleaned;
+    }
+
+    // Save templates button
+    saveTemplatesBtn.addEventListener('click', async () => {
+        const validTemplates = getValidatedTemplates();
+        if (!validTemplates) return;
+
+        try {
+            saveTemplatesBtn.disabled = true;
+            saveTemplatesBtn.textContent = 'Saving...';
+
+            await saveCsGuideTemplates(db, validTemplates);
+            clearCsGuideTemplatesCache();
+            templates = validTemplates.map((template) => ({ ...template, items: [...template.items] }));
+            renderTemplatesList();
+
+            showMessage('Templates saved successfully!', 'success');
+        } catch (error) {
+            console.error('Error saving CS guide templates:', error);
+            showMessage('Error saving templates. Please try again.', 'error');
+        } finally {
+            saveTemplatesBtn.disabled = false;
+            saveTemplatesBtn.textContent = 'Save Templates';
+        }
+    });
+
+    // Apply the saved templates to existing partners
+    migrateTemplatesBtn.addEventListener('click', async () => {
+        if (!confirm('Apply the saved templates to all existing partners? Items already checked are kept.')) {
+            return;
+        }
+
+        try {
+            migrateTemplatesBtn.disabled = true;
+            migrateTemplatesBtn.textContent = 'Applying...';
+
+            clearCsGuideTemplatesCache();
+            const savedTemplates = await loadCsGuideTemplates(db);
+            const updatedCount = await migratePartnersCsGuide(db, savedTemplates);
+
+            showMessage(`Updated the checklist of ${updatedCount} ${updatedCount === 1 ? 'partner' : 'partners'}.`, 'success');
+        } catch (error) {
+            console.error('Error applying CS guide templates:', error);
+            showMessage('Error applying templates. Please try again.', 'error');
+        } finally {
+            migrateTemplatesBtn.disabled = false;
+            migrateTemplatesBtn.textContent = 'Apply to Existing Partners';
+        }
+    });
+
+    function showMessage(text, type) {
+        templatesMessage.textContent = text;
+        templatesMessage.className = `save-message ${type}`;
+        templatesMessage.style.display = 'block';
+        
+        setTimeout(() => {
+            templatesMessage.style.display = 'none';
+        }, 3000);
+    }
+}
@@ -1,35 +1,40 @@
 // pages/Templates.js
 
-import { collection, query, where, getDocs, orderBy } from "firebase/firestore";
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from "firebase/storage";
+import { can } from "../constants/permissions.js";
+import {
+    loadTemplates,
+    collectTemplateCategories,
+    createTemplateId,
+    saveTemplate,
+    setTemplateArchived,
+    deleteTemplate
+} from "../constants/templates.js";
+import { loadSharingOptions } from "../constants/sharing.js";
+import { MAX_UPLOAD_SIZE_MB, getUploadContentType, getUploadError } from "../constants/uploadLimits.js";
+import { MERGE_PLACEHOLDERS } from "../constants/mailMerge.js";
+import { recordContentActivity, loadPartnerAcknowledgments, acknowledgeItem, getAcknowledgmentId } from "../constants/contentActivity.js";
 
 /**
  * Renders the Templates page content, showing available templates based on role.
+ * Staff with `templates:manage` can create, edit, archive and delete templates.
  * @param {HTMLElement} contentRoot Element where the page content is injected.
  * @param {object} db Firestore database instance.
+ * @param {object} storage Firebase Storage instance.
  * @param {string} userRole Current user's role.
  * @param {string|null} partnerId Partner ID when the userRole is 'partner'.
  */
-export async function renderTemplatesPage(contentRoot, db, userRole, partnerId) {
+export async function renderTemplatesPage(contentRoot, db, storage, userRole, partnerId) {
     contentRoot.innerHTML = `
         <div class="content-card">
             <p>Loading templates...</p>
         </div>
     `;
 
-    const templatesCol = collection(db, "templates");
-    let templatesQuery;
-
-    if (userRole === 'admin' || userRole === 'transferz') {
-        templatesQuery = query(templatesCol, orderBy("updatedAt", "desc"));
-        console.log("Loading all templates (Admin/Transferz view).");
-    } else if (userRole === 'partner' && partnerId) {
-        templatesQuery = query(
-            templatesCol,
-            where("partnerId", "==", partnerId),
-            orderBy("updatedAt", "desc")
-        );
-        console.log(`Loading templates for partner ${partnerId}.`);
-    } else {
+    const seesAllTemplates = can(userRole, 'partners:view-all');
+    const canManageTemplates = can(userRole, 'templates:manage');
+
+    if (!seesAllTemplates && !(can(userRole, 'templates:view') && partnerId)) {
         contentRoot.innerHTML = `
             <div class="content-card">
                 <p>Access denied or missing partner assignment.</p>
@@ -38,45 +43,458 @@ export async function renderTemplatesPage(contentRoot, db, userRole, partnerId)
         return;
     }
 
-    try {
-        const snapshot = await getDocs(templatesQuery);
-        const templates = [];
+    let templates = [];
+    let partners = []; // Partners a template can be targeted at (staff only)
+    let acknowledgments = new Map(); // Template ID to the partner's acknowledgment request (partner users only)
+    let editingTemplate = null; // Template open in the template modal; null when creating one
+    // Filters survive re-renders of the page
+    let searchTerm = '';
+    let categoryFilter = '';
+    let showArchived = false;
 
-        snapshot.forEach(doc => {
-            templates.push({ id: doc.id, ...doc.data() });
-        });
+    const renderPage = async () => {
+        try {
+            [templates, partners] = await Promise.all([
+                loadTemplates(db, seesAllTemplates ? null : partnerId),
+                canManageTemplates
+                    ? loadSharingOptions(db).then(options => options.partners).catch(error => {
+                        console.warn('Could not load partners:', error);
+                        return [];
+                    })
+                    : []
+            ]);
+            acknowledgments = new Map(seesAllTemplates ? [] : (await loadPartnerAcknowledgments(db, partnerId))
+                .filter(acknowledgment => acknowledgment.itemType === 'template')
+                .map(acknowledgment => [acknowledgment.itemId, acknowledgment]));
+        } catch (error) {
+            console.error("Error loading templates:", error);
+            contentRoot.innerHTML = `
+                <div class="content-card">
+                    <p>Unable to load templates. Please check console and Firestore rules.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const categories = collectTemplateCategories(templates);
 
         contentRoot.innerHTML = `
-            <div class="content-card">
-                <h2>Templates</h2>
-                <p>Status: ${userRole.toUpperCase()} View</p>
-                <div id="templates-list">
-                    ${templates.length > 0
-                        ? templates.map(template => `
-                            <div class="template-item">
-                                <h3>${template.title || 'Untitled Template'}</h3>
-                                <p>Category: ${template.category || 'General'}</p>
-                                <p>Partner ID: ${template.partnerId || 'All'}</p>
-                                <p>Last Updated: ${template.updatedAt ? new Date(template.updatedAt.seconds * 1000).toLocaleDateString() : 'Unknown'}</p>
-                                ${template.url
-                                    ? `<a href="${template.url}" target="_blank" rel="noopener noreferrer">Download template</a>`
-                                    : '<em>No file attached</em>'
-                                }
+            <section class="templates-page">
+                <header class="documents-header">
+                    <div class="documents-header-row">
+                        <h1 class="documents-title">Templates</h1>
+                        ${canManageTemplates ? '<button class="add-btn" id="new-template-btn">+ NEW TEMPLATE</button>' : ''}
+                    </div>
+                    <input type="search"
+                           id="templates-search"
+                           class="documents-search"
+                           placeholder="Search templates"
+                           value="${escapeHtml(searchTerm)}" />
+                    <div class="documents-filters">
+                        <select id="templates-category-filter" class="documents-filter" aria-label="Category">
+                            <option value="">All categories</option>
+                            ${categories.map(category => `
+                                <option value="${escapeHtml(category)}" ${category === categoryFilter ? 'selected' : ''}>${escapeHtml(category)}</option>
+                            `).join('')}
+                        </select>
+                        ${canManageTemplates ? `
+                            <label class="documents-filter-date">
+                                <input type="checkbox" id="templates-show-archived" ${showArchived ? 'checked' : ''} />
+                                Show archived
+                            </label>
+                        ` : ''}
+                    </div>
+                </header>
+
+                <div class="templates-list" id="templates-list"></div>
+            </section>
+
+            ${canManageTemplates ? `
+                <!-- Template Modal -->
+                <div class="modal-backdrop" id="template-modal" aria-hidden="true">
+                    <div class="modal-card">
+                        <div class="modal-header">
+                            <h3 id="template-modal-title">New Template</h3>
+                            <button class="modal-close" type="button" id="close-template-modal" aria-label="Close">&times;</button>
+                        </div>
+                        <form id="template-form">
+                            <label>
+                                <span>Title</span>
+                                <input type="text" name="title" id="template-title-input" required />
+                            </label>
+                            <label>
+                                <span>Description</span>
+                                <textarea name="description" id="template-description-input" rows="3"></textarea>
+                            </label>
+                            <label>
+                                <span>Category</span>
+                                <input type="text" name="category" id="template-category-input" list="template-category-suggestions" placeholder="General" />
+                            </label>
+                            <datalist id="template-category-suggestions">
+                                ${categories.map(category => `<option value="${escapeHtml(category)}"></option>`).join('')}
+                            </datalist>
+                            <label>
+                                <span>Available To</span>
+                                <select name="partnerId" id="template-partner-select">
+                                    <option value="">All partners</option>
+                                    ${partners.map(partner => `
+                                        <option value="${escapeHtml(partner.partnerId)}">${escapeHtml(partner.name)} (${escapeHtml(partner.partnerId)})</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                            <label>
+                                <span>Merge Content</span>
+                                <textarea name="content" id="template-content-input" rows="8" placeholder="Markdown used for personalized copies from a partner's page"></textarea>
+                                <small class="stage-timeline-meta">
+                                    Placeholders: ${MERGE_PLACEHOLDERS.map(placeholder => `<code title="${escapeHtml(placeholder.label)}">{{${placeholder.key}}}</code>`).join(' ')}
+                                </small>
+                            </label>
+                            <label>
+                                <span>File</span>
+                                <input type="file" name="file" id="template-file-input" />
+                                <small class="stage-timeline-meta" id="template-file-hint">Files can be up to ${MAX_UPLOAD_SIZE_MB} MB.</small>
+                            </label>
+                            <div class="form-actions">
+                                <button type="button" class="secondary-btn" id="cancel-template">Cancel</button>
+                                <button type="submit" class="primary-btn" id="save-template-btn">Save</button>
                             </div>
-                            <hr style="margin: 10px 0;">
-                        `).join('')
-                        : '<p>No templates found for your access level.</p>'
+                        </form>
+                    </div>
+                </div>
+            ` : ''}
+        `;
+
+        renderTemplateList();
+        setupEventListeners();
+    };
+
+    // Templates matching the search, category and archived filters
+    const getVisibleTemplates = () => {
+        const term = searchTerm.trim().toLowerCase();
+        return templates.filter(template => {
+            if (template.archived && !showArchived) return false;
+            if (categoryFilter && (template.category || 'General') !== categoryFilter) return false;
+            if (!term) return true;
+            return [template.title, template.description, template.category, template.fileName]
+                .some(value => (value || '').toLowerCase().includes(term));
+        });
+    };
+
+    const describeTarget = (template) => {
+        if (!template.partnerId) return 'All partners';
+        const partner = partners.find(p => p.partnerId === template.partnerId);
+        return partner ? `${partner.name} (${partner.partnerId})` : `Partner ${template.partnerId}`;
+    };
+
+    const renderTemplateList = () => {
+        const list = contentRoot.querySelector('#templates-list');
+        const visibleTemplates = getVisibleTemplates();
+
+        if (!visibleTemplates.length) {
+            list.innerHTML = `<p class="empty-state">${templates.length ? 'No templates match your search.' : 'No templates found for your access level.'}</p>`;
+            return;
+        }
+
+        list.innerHTML = visibleTemplates.map(template => {
+            const acknowledgment = acknowledgments.get(template.id);
+            return `
+            <div class="template-item ${template.archived ? 'archived' : ''}" data-template-id="${template.id}">
+                <div class="template-info">
+                    <h3 class="template-title">
+                        ${escapeHtml(template.title || 'Untitled Template')}
+                        ${template.content ? '<span class="template-badge">Mail merge</span>' : ''}
+                        ${template.archived ? '<span class="template-badge">Archived</span>' : ''}
+                        ${acknowledgment
+                            ? `<span class="template-badge ${acknowledgment.acknowledgedAt ? 'confirmed' : 'pending'}">${acknowledgment.acknowledgedAt ? 'Confirmed' : 'Please confirm you have read this'}</span>`
+                            : ''
+                        }
+                    </h3>
+                    ${template.description ? `<p class="template-description">${escapeHtml(template.description)}</p>` : ''}
+                    <p class="template-meta">
+                        ${escapeHtml(template.category || 'General')}
+                        ${seesAllTemplates ? ` · ${escapeHtml(describeTarget(template))}` : ''}
+                        · Updated ${formatDate(template.updatedAt)}
+                    </p>
+                </div>
+                <div class="template-actions">
+                    ${template.url
+                        ? `
+                            <a class="secondary-btn template-view-link" href="${escapeHtml(template.url)}" target="_blank" rel="noopener noreferrer">View</a>
+                            <button class="secondary-btn" data-action="download">Download</button>
+                        `
+                        : '<em class="template-meta">No file attached</em>'
+                    }
+                    ${acknowledgment && !acknowledgment.acknowledgedAt
+                        ? '<button class="primary-btn" data-action="acknowledge">Confirm Read</button>'
+                        : ''
                     }
+                    ${canManageTemplates ? `
+                        <button class="template-action-btn" data-action="edit" title="Edit">✏️</button>
+                        <button class="template-action-btn" data-action="archive" title="${template.archived ? 'Restore' : 'Archive'}">${template.archived ? '♻️' : '📦'}</button>
+                        <button class="template-action-btn" data-action="delete" title="Delete">🗑️</button>
+                    ` : ''}
                 </div>
             </div>
         `;
+        }).join('');
+    };
+
+    const setupEventListeners = () => {
+        let searchTimeout;
+        contentRoot.querySelector('#templates-search').addEventListener('input', (e) => {
+            clearTimeout(searchTimeout);
+            searchTimeout = setTimeout(() => {
+                searchTerm = e.target.value;
+                renderTemplateList();
+            }, 300);
+        });
+        contentRoot.querySelector('#templates-category-filter').addEventListener('change', (e) => {
+            categoryFilter = e.target.value;
+            renderTemplateList();
+        });
+        contentRoot.querySelector('#templates-show-archived')?.addEventListener('change', (e) => {
+            showArchived = e.target.checked;
+            renderTemplateList();
+        });
+
+        // Viewing, downloading and confirming are tracked per user (see constants/contentActivity.js)
+        contentRoot.querySelector('#templates-list').addEventListener('click', async (e) => {
+            const viewLink = e.target.closest('.template-view-link');
+            const button = e.target.closest('[data-action="download"], [data-action="acknowledge"]');
+            if (!viewLink && !button) return;
+            const templateId = e.target.closest('[data-template-id]').getAttribute('data-template-id');
+            const template = templates.find(t => t.id === templateId);
+            if (!template) return;
+
+            if (viewLink) {
+                recordContentActivity(db, 'template', template, 'view');
+                return;
+            }
+
+            if (button.getAttribute('data-action') === 'download') {
+                recordContentActivity(db, 'template', template, 'download');
+                await downloadFile(template.url, template.fileName || template.title || 'template');
+                return;
+            }
+
+            try {
+                button.disabled = true;
+                await acknowledgeItem(db, getAcknowledgmentId('template', template.id, partnerId));
+                await renderPage();
+            } catch (error) {
+                console.error('Error confirming template:', error);
+                alert('Could not confirm the template. Please try again.');
+                button.disabled = false;
+            }
+        });
+
+        if (!canManageTemplates) return;
+
+        const templateModal = contentRoot.querySelector('#template-modal');
+        const templateForm = contentRoot.querySelector('#template-form');
+
+        contentRoot.querySelector('#new-template-btn').addEventListener('click', () => openTemplateModal(null));
+        contentRoot.querySelector('#close-template-modal').addEventListener('click', () => closeModal(templateModal));
+        contentRoot.querySelector('#cancel-template').addEventListener('click', () => closeModal(templateModal));
+        templateModal.addEventListener('click', (e) => {
+            if (e.target === templateModal) {
+                closeModal(templateModal);
+            }
+        });
+
+        templateForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(templateForm);
+            const title = formData.get('title').trim();
+            const file = formData.get('file');
+            const hasFile = file && file.name;
+            if (!title) {
+                alert('Please enter a title.');
+                return;
+            }
+            if (hasFile && getUploadError(file)) {
+                alert(getUploadError(file));
+                return;
+            }
+
+            const saveBtn = templateForm.querySelector('#save-template-btn');
+            const isNew = !editingTemplate;
+            const templateId = editingTemplate?.id || createTemplateId(db);
+            let uploadedFile = null;
+
+            try {
+                saveBtn.disabled = true;
+                saveBtn.textContent = 'Saving...';
+
+                if (hasFile) {
+                    uploadedFile = await uploadTemplateFile(file, templateId, (progress) => {
+                        saveBtn.textContent = `Uploading... ${Math.round(progress * 100)}%`;
+                    });
+                }
+
+                try {
+                    await saveTemplate(db, templateId, {
+                        title,
+                        description: formData.get('description'),
+                        category: formData.get('category'),
+                        partnerId: formData.get('partnerId') || null,
+                        content: formData.get('content'),
+                        ...(uploadedFile || {})
+                    }, isNew);
+                } catch (error) {
+                    // Don't leave the new file in Storage without a template
+                    if (uploadedFile) {
+                        await deleteObject(ref(storage, uploadedFile.storagePath)).catch(err => {
+                            console.warn('Error removing uploaded file:', err);
+                        });
+                    }
+                    throw error;
+                }
+
+                // The replaced file is no longer referenced by anything
+                if (uploadedFile && editingTemplate?.storagePath) {
+                    await deleteObject(ref(storage, editingTemplate.storagePath)).catch(err => {
+                        console.warn('Error deleting the replaced template file:', err);
+                    });
+                }
+
+                closeModal(templateModal);
+                await renderPage();
+            } catch (error) {
+                console.error('Error saving template:', error);
+                alert('Failed to save the template. Please try again.');
+            } finally {
+                saveBtn.disabled = false;
+                saveBtn.textContent = 'Save';
+            }
+        });
+
+        // Edit, archive and delete buttons on the template cards
+        contentRoot.querySelector('#templates-list').addEventListener('click', async (e) => {
+            const button = e.target.closest('.template-action-btn');
+            if (!button) return;
+            const templateId = button.closest('[data-template-id]').getAttribute('data-template-id');
+            const template = templates.find(t => t.id === templateId);
+            if (!template) return;
+
+            const action = button.getAttribute('data-action');
+            if (action === 'edit') {
+                openTemplateModal(template);
+                return;
+            }
+
+            if (action === 'archive') {
+                try {
+                    await setTemplateArchived(db, template.id, !template.archived);
+                    await renderPage();
+                } catch (error) {
+                    console.error('Error archiving template:', error);
+                    alert('Failed to update the template.');
+                }
+                return;
+            }
+
+            if (action === 'delete') {
+                if (!confirm(`Are you sure you want to delete "${template.title || 'Untitled Template'}"? Archive it instead to keep it for later.`)) {
+                    return;
+                }
+                try {
+                    if (template.storagePath) {
+                        await deleteObject(ref(storage, template.storagePath)).catch(err => {
+                            if (err.code !== 'storage/object-not-found') throw err;
+                        });
+                    }
+                    await deleteTemplate(db, template.id);
+                    await renderPage();
+                } catch (error) {
+                    console.error('Error deleting template:', error);
+                    alert('Failed to delete the template.');
+                }
+            }
+        });
+    };
+
+    // Upload a template file; the template ID is stored on the object so storage.rules can check access
+    const uploadTemplateFile = async (file, templateId, onProgress) => {
+        const fileRef = ref(storage, `templates/${Date.now()}_${file.name}`);
+        const contentType = getUploadContentType(file);
+        const task = uploadBytesResumable(fileRef, file, {
+            contentType,
+            customMetadata: { templateId }
+        });
+        task.on('state_changed', (snapshot) => {
+            onProgress(snapshot.totalBytes ? snapshot.bytesTransferred / snapshot.totalBytes : 0);
+        });
+        await task;
+
+        return {
+            url: await getDownloadURL(fileRef),
+            storagePath: fileRef.fullPath,
+            fileName: file.name,
+            contentType,
+            size: file.size
+        };
+    };
+
+    const openTemplateModal = (template) => {
+        editingTemplate = template;
+        const templateModal = contentRoot.querySelector('#template-modal');
+        const templateForm = contentRoot.querySelector('#template-form');
+
+        templateForm.reset();
+        contentRoot.querySelector('#template-modal-title').textContent = template ? 'Edit Template' : 'New Template';
+        contentRoot.querySelector('#template-title-input').value = template?.title || '';
+        contentRoot.querySelector('#template-description-input').value = template?.description || '';
+        contentRoot.querySelector('#template-category-input').value = template?.category || '';
+        contentRoot.querySelector('#template-partner-select').value = template?.partnerId || '';
+        contentRoot.querySelector('#template-content-input').value = template?.content || '';
+        contentRoot.querySelector('#template-file-hint').textContent = template?.url
+            ? `Current file: ${template.fileName || 'attached'}. Choose a file to replace it (up to ${MAX_UPLOAD_SIZE_MB} MB).`
+            : `Files can be up to ${MAX_UPLOAD_SIZE_MB} MB.`;
+
+        templateModal.setAttribute('aria-hidden', 'false');
+        templateModal.classList.add('visible');
+    };
+
+    const closeModal = (modal) => {
+        modal?.setAttribute('aria-hidden', 'true');
+        modal?.classList.remove('visible');
+    };
+
+    await renderPage();
+}
+
+// Saves a file under its own name; opens it in a new tab when it can't be fetched
+async function downloadFile(url, fileName) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(link.href), 60000);
     } catch (error) {
-        console.error("Error loading templates:", error);
-        contentRoot.innerHTML = `
-            <div class="content-card">
-                <p>Unable to load templates. Please check console and Firestore rules.</p>
-            </div>
-        `;
+        console.warn('Could not download the file directly:', error);
+        window.open(url, '_blank', 'noopener');
     }
 }
 
+function formatDate(value) {
+    if (!value) return 'Unknown';
+    if (value.toDate) return value.toDate().toLocaleDateString();
+    if (value.seconds) return new Date(value.seconds * 1000).toLocaleDateString();
+    return 'Unknown';
+}
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,251 @@
+// pages/Users.js
+
+import { collection, doc, getDocs, writeBatch } from "firebase/firestore";
+import { ROLES, can } from "../constants/permissions.js";
+import { addAuditEvent, loadRecentAuditEvents } from "../constants/auditLog.js";
+import { getCurrentUserProfile } from "../constants/currentUser.js";
+
+/**
+ * Renders the User Management page where admins assign roles, link partner users and deactivate accounts.
+ * @param {HTMLElement} contentRoot The element where the page content will be injected.
+ * @param {object} db The Firestore database instance.
+ * @param {string} userRole The role of the current user.
+ */
+export async function renderUsersPage(contentRoot, db, userRole) {
+    contentRoot.innerHTML = `
+        <div class="content-card">
+            <p>Loading users...</p>
+        </div>
+    `;
+
+    const greetingElement = document.getElementById('greeting');
+    if (greetingElement) {
+        greetingElement.style.display = 'none';
+    }
+
+    if (!can(userRole, 'users:manage')) {
+        contentRoot.innerHTML = `
+            <div class="content-card">
+                <p>Access denied. User management is only available to admins.</p>
+            </div>
+        `;
+        return;
+    }
+
+    try {
+        const [usersSnapshot, partnersSnapshot, auditEvents, currentProfile] = await Promise.all([
+            getDocs(collection(db, "users")),
+            getDocs(collection(db, "partners")),
+            loadRecentAuditEvents(db).catch((error) => {
+                console.warn("Could not load audit log:", error);
+                return [];
+            }),
+            getCurrentUserProfile(db)
+        ]);
+
+        const users = [];
+        usersSnapshot.forEach((userDoc) => {
+            users.push({ uid: userDoc.id, ...userDoc.data() });
+        });
+        users.sort((a, b) => (a.displayName || a.email || '').localeCompare(b.displayName || b.email || ''));
+
+        const partners = [];
+        partnersSnapshot.forEach((partnerDoc) => {
+            const partner = partnerDoc.data();
+            if (partner.partnerId) {
+                partners.push({ partnerId: partner.partnerId, name: partner.name || partner.partnerId });
+            }
+        });
+        partners.sort((a, b) => a.name.localeCompare(b.name));
+
+        contentRoot.innerHTML = `
+            <section class="settings-page">
+                <header class="settings-header">
+                    <h1>Users</h1>
+                    <p class="settings-subtitle">Manage roles, partner links and account access</p>
+                </header>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">HUB USERS</h3>
+                    ${users.length > 0 ? `
+                        <div class="dashboard-table-wrapper">
+                            <table class="dashboard-table users-table">
+                                <thead>
+                                    <tr>
+                                        <th>Name</th>
+                                        <th>Email</th>
+                                        <th>Role</th>
+                                        <th>Partner</th>
+                                        <th>Status</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${users.map((user) => {
+                                        const isSelf = user.uid === currentProfile?.uid;
+                                        const isActive = user.active !== false;
+                                        return `
+                                            <tr data-uid="${user.uid}" class="${isActive ? '' : 'user-inactive'}">
+                                                <td>${escapeHtml(user.displayName || 'No name')}${isSelf ? ' (you)' : ''}</td>
+                                                <td>${escapeHtml(user.email || 'N/A')}</td>
+                                                <td>
+                                                    <select class="user-role-select" data-uid="${user.uid}" ${isSelf ? 'disabled title="You cannot change your own role"' : ''}>
+                                                        ${ROLES.map((role) => `<option value="${role}" ${(user.role || 'default') === role ? 'selected' : ''}>${role}</option>`).join('')}
+                                                    </select>
+                                                </td>
+                                                <td>
+                                                    <select class="user-partner-select" data-uid="${user.uid}" ${user.role === 'partner' ? '' : 'disabled'}>
+                                                        <option value="">No partner</option>
+                                                        ${partners.map((partner) => `<option value="${escapeHtml(partner.partnerId)}" ${user.partnerId === partner.partnerId ? 'selected' : ''}>${escapeHtml(partner.name)} (${escapeHtml(partner.partnerId)})</option>`).join('')}
+                                                    </select>
+                                                </td>
+                                                <td>
+                                                    ${isSelf
+                                                        ? 'Active'
+                                                        : `<button class="secondary-btn user-active-btn" data-uid="${user.uid}">${isActive ? 'Deactivate' : 'Reactivate'}</button>`
+                                                    }
+                                                </td>
+                                            </tr>
+                                        `;
+                                    }).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : '<p class="empty-state">No users found.</p>'}
+                    <div id="users-message" class="save-message" style="display: none;"></div>
+                </div>
+
+                <div class="detail-card">
+                    <h3 class="detail-card-title">RECENT CHANGES</h3>
+                    ${auditEvents.length > 0 ? `
+                        <ul class="audit-list">
+                            ${auditEvents.map((event) => `
+                                <li class="audit-item">
+                                    <span class="audit-action">${escapeHtml(describeAuditEvent(event, users))}</span>
+                                    <span class="audit-meta">${escapeHtml(event.performedByName)} · ${formatDateTime(event.createdAt)}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : '<p class="empty-state">No changes recorded yet.</p>'}
+                </div>
+            </section>
+        `;
+
+        const usersMessage = contentRoot.querySelector('#users-message');
+        const showMessage = (text, type) => {
+            usersMessage.textContent = text;
+            usersMessage.className = `save-message ${type}`;
+            usersMessage.style.display = 'block';
+
+            setTimeout(() => {
+                usersMessage.style.display = 'none';
+            }, 3000);
+        };
+
+        // Writes the user change and its audit record in one batch, then reloads the page
+        const applyUserChange = async (user, updates, action) => {
+            const before = {};
+            Object.keys(updates).forEach((key) => {
+                before[key] = user[key] ?? null;
+            });
+
+            try {
+                const batch = writeBatch(db);
+                batch.update(doc(db, "users", user.uid), updates);
+                await addAuditEvent(db, batch, {
+                    action,
+                    targetType: 'user',
+                    targetId: user.uid,
+                    before,
+                    after: updates
+                });
+                await batch.commit();
+                renderUsersPage(contentRoot, db, userRole);
+            } catch (error) {
+                console.error('Error updating user:', error);
+                showMessage('Could not update the user. Please try again.', 'error');
+                renderUsersPage(contentRoot, db, userRole);
+            }
+        };
+
+        const findUser = (uid) => users.find((user) => user.uid === uid);
+
+        contentRoot.querySelectorAll('.user-role-select').forEach((select) => {
+            select.addEventListener('change', () => {
+                const user = findUser(select.getAttribute('data-uid'));
+                if (!user) return;
+
+                // Leaving the partner role also removes the partner link
+                const updates = { role: select.value };
+                if (select.value !== 'partner' && user.partnerId) {
+                    updates.partnerId = null;
+                }
+                applyUserChange(user, updates, 'user.role_changed');
+            });
+        });
+
+        contentRoot.querySelectorAll('.user-partner-select').forEach((select) => {
+            select.addEventListener('change', () => {
+                const user = findUser(select.getAttribute('data-uid'));
+                if (!user) return;
+                applyUserChange(user, { partnerId: select.value || null }, 'user.partner_linked');
+            });
+        });
+
+        contentRoot.querySelectorAll('.user-active-btn').forEach((btn) => {
+            btn.addEventListener('click', () => {
+                const user = findUser(btn.getAttribute('data-uid'));
+                if (!user) return;
+
+                const isActive = user.active !== false;
+                const name = user.displayName || user.email || 'this user';
+                if (!confirm(isActive ? `Deactivate ${name}? They will be signed out and lose access to the hub.` : `Reactivate ${name}?`)) {
+                    return;
+                }
+                applyUserChange(user, { active: !isActive }, isActive ? 'user.deactivated' : 'user.reactivated');
+            });
+        });
+    } catch (error) {
+        console.error("Error loading users:", error);
+        contentRoot.innerHTML = `
+            <div class="content-card">
+                <p>Error loading users. Check console and Firebase Security Rules.</p>
+            </div>
+        `;
+    }
+}
+
+function describeAuditEvent(event, users) {
+    const target = users.find((user) => user.uid === event.targetId);
+    const targetName = target?.displayName || target?.email || event.targetId;
+
+    switch (event.action) {
+        case 'user.role_changed':
+            return `Changed role of ${targetName} from ${event.before?.role || 'default'} to ${event.after?.role}`;
+        case 'user.partner_linked':
+            return event.after?.partnerId
+                ? `Linked ${targetName} to partner ${event.after.partnerId}`
+                : `Removed partner link of ${targetName}`;
+        case 'user.deactivated':
+            return `Deactivated ${targetName}`;
+        case 'user.reactivated':
+            return `Reactivated ${targetName}`;
+        default:
+            return `${event.action} on ${targetName}`;
+    }
+}
+
+function formatDateTime(value) {
+    if (!value) return 'Unknown';
+    const date = value.toDate ? value.toDate() : new Date(value.seconds ? value.seconds * 1000 : value);
+    return Number.isNaN(date.getTime()) ? 'Unknown' : date.toLocaleString();
+}
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
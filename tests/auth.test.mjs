@@ -0,0 +1,115 @@
+// tests/auth.test.mjs
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { deleteApp } from "firebase/app";
+import {
+    applyActionCode,
+    confirmPasswordReset,
+    createUserWithEmailAndPassword,
+    sendEmailVerification,
+    sendPasswordResetEmail,
+    signInWithEmailAndPassword,
+    signOut
+} from "firebase/auth";
+import { clearAuthAccounts, createEmulatorApp, findOobCode } from "./helpers.mjs";
+import { getAuthErrorMessage } from "../constants/authErrors.js";
+import { needsEmailVerification } from "../constants/emailVerification.js";
+
+const EMAIL = 'new.partner@example.com';
+const PASSWORD = 'correct-horse-battery';
+
+let app;
+let auth;
+
+/**
+ * The message the login page shows for the error a call is rejected with.
+ * @param {Promise<*>} promise - The Firebase Auth call
+ * @returns {Promise<string>}
+ */
+async function messageFor(promise) {
+    try {
+        await promise;
+    } catch (error) {
+        return getAuthErrorMessage(error);
+    }
+    assert.fail('Expected the call to be rejected');
+}
+
+before(async () => {
+    await clearAuthAccounts();
+    ({ app, auth } = createEmulatorApp('auth-test'));
+});
+
+after(async () => {
+    await deleteApp(app);
+});
+
+describe("the email verification gate", () => {
+    it("holds back a new password account until its email is verified", async () => {
+        const { user } = await createUserWithEmailAndPassword(auth, EMAIL, PASSWORD);
+        assert.equal(needsEmailVerification(user), true);
+
+        await sendEmailVerification(user);
+        const code = await findOobCode(EMAIL, 'VERIFY_EMAIL');
+        assert.ok(code, 'No verification email was sent');
+        await applyActionCode(auth, code);
+
+        // What the "I've verified my email" button does
+        await user.reload();
+        assert.equal(needsEmailVerification(auth.currentUser), false);
+    });
+});
+
+describe("password reset", () => {
+    it("sends a reset code that sets a new password", async () => {
+        await signOut(auth);
+        await sendPasswordResetEmail(auth, EMAIL);
+        const code = await findOobCode(EMAIL, 'PASSWORD_RESET');
+        assert.ok(code, 'No password reset email was sent');
+
+        await confirmPasswordReset(auth, code, 'new-horse-battery');
+        await assert.rejects(signInWithEmailAndPassword(auth, EMAIL, PASSWORD));
+        await signInWithEmailAndPassword(auth, EMAIL, 'new-horse-battery');
+        assert.equal(auth.currentUser.email, EMAIL);
+
+        assert.equal(
+            await messageFor(confirmPasswordReset(auth, code, 'another-horse-battery')),
+            'This link is invalid or has already been used.'
+        );
+    });
+
+    it("does not reveal whether an account exists", async () => {
+        // The login page shows the same confirmation when the account is unknown
+        await sendPasswordResetEmail(auth, 'nobody@example.com').catch((error) => {
+            assert.equal(error.code, 'auth/user-not-found');
+        });
+    });
+});
+
+describe("auth error messages", () => {
+    before(async () => {
+        await signOut(auth);
+    });
+
+    it("cover the errors the emulator returns for sign-in", async () => {
+        assert.equal(await messageFor(signInWithEmailAndPassword(auth, EMAIL, 'wrong-password')), 'Incorrect email or password.');
+        assert.equal(await messageFor(signInWithEmailAndPassword(auth, 'nobody@example.com', PASSWORD)), 'Incorrect email or password.');
+        assert.equal(await messageFor(signInWithEmailAndPassword(auth, 'not-an-email', PASSWORD)), 'Please enter a valid email address.');
+    });
+
+    it("cover the errors the emulator returns for sign-up", async () => {
+        assert.equal(
+            await messageFor(createUserWithEmailAndPassword(auth, EMAIL, PASSWORD)),
+            'An account with this email already exists. Try logging in or resetting your password.'
+        );
+        assert.equal(
+            await messageFor(createUserWithEmailAndPassword(auth, 'weak@example.com', '123')),
+            'Please choose a password with at least 6 characters.'
+        );
+    });
+
+    it("cover invalid verification links", async () => {
+        assert.equal(await messageFor(applyActionCode(auth, 'not-a-code')), 'This link is invalid or has already been used.');
+    });
+});
@@ -0,0 +1,369 @@
+// tests/firestore.rules.test.mjs
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import {
+    addDoc,
+    collection,
+    collectionGroup,
+    deleteDoc,
+    doc,
+    getDoc,
+    getDocs,
+    query,
+    serverTimestamp,
+    setDoc,
+    updateDoc,
+    where,
+    writeBatch
+} from "firebase/firestore";
+import { createTestEnvironment, firestoreAs, seedPartners } from "./helpers.mjs";
+import { loadPartnerAudience } from "../constants/sharing.js";
+import { computeAverageStageDurations, loadAverageStageDurations, saveAverageStageDurations } from "../constants/metrics.js";
+import { renameStagesInHistory } from "../constants/stageHistory.js";
+
+let testEnv;
+
+before(async () => {
+    testEnv = await createTestEnvironment();
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+describe("a partner user and another partner's data", () => {
+    let db;
+
+    before(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.clearStorage();
+        await seedPartners(testEnv);
+        db = firestoreAs(testEnv, 'acmeUser');
+    });
+
+    it("reads their own partner but not another partner", async () => {
+        await assertSucceeds(getDoc(doc(db, "partners", "partner-acme")));
+        await assertFails(getDoc(doc(db, "partners", "partner-globex")));
+        await assertSucceeds(getDocs(query(collection(db, "partners"), where("partnerId", "==", "acme"))));
+        await assertFails(getDocs(query(collection(db, "partners"), where("partnerId", "==", "globex"))));
+        await assertFails(getDocs(collection(db, "partners")));
+    });
+
+    it("cannot write another partner", async () => {
+        await assertFails(updateDoc(doc(db, "partners", "partner-globex"), { notes: 'changed' }));
+        await assertFails(updateDoc(doc(db, "partners", "partner-globex"), {
+            csGuideStatus: [{ label: 'Kick-off call', completed: true }],
+            lastIntakeAssignmentId: 'intake-globex'
+        }));
+        await assertFails(setDoc(doc(db, "partners", "partner-new"), { name: 'New', partnerId: 'acme' }));
+        await assertFails(deleteDoc(doc(db, "partners", "partner-globex")));
+    });
+
+    it("cannot read or write another partner's stage history", async () => {
+        await assertSucceeds(getDocs(collection(db, "partners", "partner-acme", "stageHistory")));
+        await assertFails(getDocs(collection(db, "partners", "partner-globex", "stageHistory")));
+        await assertFails(getDoc(doc(db, "partners", "partner-globex", "stageHistory", "created")));
+        await assertFails(getDocs(collectionGroup(db, "stageHistory")));
+        await assertFails(addDoc(collection(db, "partners", "partner-globex", "stageHistory"), {
+            fromStage: 'Intake',
+            toStage: 'Complete',
+            changedBy: 'acmeUser',
+            changedAt: serverTimestamp()
+        }));
+    });
+
+    it("cannot read or write another partner's comments", async () => {
+        await assertSucceeds(getDocs(collection(db, "partners", "partner-acme", "comments")));
+        await assertFails(getDocs(collection(db, "partners", "partner-globex", "comments")));
+        await assertFails(addDoc(collection(db, "partners", "partner-globex", "comments"), {
+            text: 'Hello',
+            authorUid: 'acmeUser',
+            createdAt: serverTimestamp()
+        }));
+        await assertFails(updateDoc(doc(db, "partners", "partner-globex", "comments", "welcome"), { text: 'Edited' }));
+        await assertFails(deleteDoc(doc(db, "partners", "partner-globex", "comments", "welcome")));
+    });
+
+    it("cannot read or write another partner's documents", async () => {
+        await assertSucceeds(getDoc(doc(db, "documents", "doc-acme")));
+        await assertFails(getDoc(doc(db, "documents", "doc-globex")));
+        await assertFails(getDoc(doc(db, "documents", "doc-globex-shared")));
+        await assertFails(getDocs(query(collection(db, "documents"), where("partnerId", "==", "globex"))));
+        await assertFails(getDocs(collection(db, "documents")));
+        await assertFails(setDoc(doc(db, "documents", "doc-new"), { name: 'new.pdf', partnerId: 'globex', audience: [] }));
+        await assertFails(updateDoc(doc(db, "documents", "doc-globex"), { name: 'renamed.pdf' }));
+        await assertFails(deleteDoc(doc(db, "documents", "doc-globex")));
+    });
+
+    it("cannot share a document it uploads", async () => {
+        await assertSucceeds(setDoc(doc(db, "documents", "doc-acme-upload"), { name: 'upload.pdf', partnerId: 'acme', audience: [] }));
+        await assertFails(setDoc(doc(db, "documents", "doc-acme-shared"), { name: 'shared.pdf', partnerId: 'acme', audience: ['all'] }));
+    });
+
+    it("cannot read or write another partner's document versions", async () => {
+        await assertSucceeds(getDocs(collection(db, "documents", "doc-acme", "versions")));
+        await assertFails(getDocs(collection(db, "documents", "doc-globex", "versions")));
+        await assertFails(getDoc(doc(db, "documents", "doc-globex", "versions", "v1")));
+        await assertFails(setDoc(doc(db, "documents", "doc-globex", "versions", "v2"), {
+            version: 2,
+            uploadedBy: 'acmeUser',
+            uploadedAt: serverTimestamp()
+        }));
+        await assertFails(deleteDoc(doc(db, "documents", "doc-globex", "versions", "v1")));
+    });
+
+    it("cannot read or write another partner's intake forms", async () => {
+        await assertSucceeds(getDoc(doc(db, "intakeAssignments", "intake-acme")));
+        await assertFails(getDoc(doc(db, "intakeAssignments", "intake-globex")));
+        await assertFails(getDocs(query(collection(db, "intakeAssignments"), where("partnerId", "==", "globex"))));
+        await assertFails(updateDoc(doc(db, "intakeAssignments", "intake-globex"), {
+            answers: { name: 'Acme' },
+            status: 'draft'
+        }));
+        await assertFails(deleteDoc(doc(db, "intakeAssignments", "intake-globex")));
+    });
+
+    it("cannot read or confirm another partner's acknowledgments", async () => {
+        await assertSucceeds(getDoc(doc(db, "acknowledgments", "document_doc-acme_acme")));
+        await assertFails(getDoc(doc(db, "acknowledgments", "document_doc-globex_globex")));
+        await assertFails(getDocs(query(collection(db, "acknowledgments"), where("partnerId", "==", "globex"))));
+        await assertFails(updateDoc(doc(db, "acknowledgments", "document_doc-globex_globex"), {
+            acknowledgedAt: serverTimestamp(),
+            acknowledgedBy: 'acmeUser',
+            acknowledgedByName: 'Acme User'
+        }));
+        await assertFails(setDoc(doc(db, "acknowledgments", "document_doc-globex_acme"), {
+            itemType: 'document',
+            itemId: 'doc-globex',
+            partnerId: 'acme'
+        }));
+    });
+
+    it("cannot change its own role or partner", async () => {
+        await assertFails(updateDoc(doc(db, "users", "acmeUser"), { role: 'admin' }));
+        await assertFails(updateDoc(doc(db, "users", "acmeUser"), { partnerId: 'globex' }));
+        await assertFails(getDoc(doc(db, "users", "globexUser")));
+    });
+});
+
+describe("a deactivated user", () => {
+    before(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.clearStorage();
+        await seedPartners(testEnv);
+    });
+
+    it("loses the access of its partner role", async () => {
+        const db = firestoreAs(testEnv, 'deactivatedAcmeUser');
+        await assertFails(getDoc(doc(db, "partners", "partner-acme")));
+        await assertFails(getDoc(doc(db, "documents", "doc-acme")));
+        await assertFails(getDoc(doc(db, "documents", "doc-everyone")));
+        await assertFails(getDocs(collection(db, "partners", "partner-acme", "comments")));
+        await assertFails(getDoc(doc(db, "intakeAssignments", "intake-acme")));
+        await assertFails(getDoc(doc(db, "acknowledgments", "document_doc-acme_acme")));
+        await assertFails(setDoc(doc(db, "documents", "doc-late-upload"), { name: 'late.pdf', partnerId: 'acme', audience: [] }));
+    });
+
+    it("loses the access of its staff role", async () => {
+        const db = firestoreAs(testEnv, 'deactivatedStaff');
+        await assertFails(getDocs(collection(db, "partners")));
+        await assertFails(getDoc(doc(db, "partners", "partner-globex")));
+        await assertFails(updateDoc(doc(db, "partners", "partner-globex"), { notes: 'changed' }));
+        await assertFails(getDocs(collectionGroup(db, "stageHistory")));
+    });
+
+    it("cannot reactivate itself", async () => {
+        const db = firestoreAs(testEnv, 'deactivatedAcmeUser');
+        await assertFails(updateDoc(doc(db, "users", "deactivatedAcmeUser"), { active: true }));
+    });
+});
+
+describe("a user with the default role", () => {
+    let db;
+
+    before(async () => {
+        await testEnv.clearFirestore();
+        await testEnv.clearStorage();
+        await seedPartners(testEnv);
+        db = firestoreAs(testEnv, 'defaultUser');
+    });
+
+    it("reads only its own profile", async () => {
+        await assertSucceeds(getDoc(doc(db, "users", "defaultUser")));
+        await assertFails(getDoc(doc(db, "users", "acmeUser")));
+    });
+
+    it("cannot read partners, documents or forms", async () => {
+        await assertFails(getDocs(collection(db, "partners")));
+        await assertFails(getDoc(doc(db, "partners", "partner-acme")));
+        await assertFails(getDoc(doc(db, "documents", "doc-everyone")));
+        await assertFails(getDocs(query(collection(db, "documents"), where("audience", "array-contains-any", ['all']))));
+        await assertFails(getDoc(doc(db, "intakeAssignments", "intake-acme")));
+        await assertFails(getDoc(doc(db, "acknowledgments", "document_doc-acme_acme")));
+    });
+
+    it("cannot give itself a role or a partner", async () => {
+        await assertFails(updateDoc(doc(db, "users", "defaultUser"), { role: 'partner', partnerId: 'acme' }));
+    });
+
+    it("starts without a role when it signs up", async () => {
+        const freshDb = firestoreAs(testEnv, 'freshUser');
+        await assertFails(setDoc(doc(freshDb, "users", "freshUser"), { email: 'freshUser@example.com', role: 'admin', active: true }));
+        await assertFails(setDoc(doc(freshDb, "users", "freshUser"), { email: 'freshUser@example.com', partnerId: 'acme', active: true }));
+        await assertSucceeds(setDoc(doc(freshDb, "users", "freshUser"), { email: 'freshUser@example.com', active: true }));
+    });
+
+    it("cannot upload documents", async () => {
+        await assertFails(setDoc(doc(db, "documents", "doc-default"), { name: 'default.pdf', partnerId: null, audience: [] }));
+    });
+});
+
+// Partners tick CS guide items only in the batch that submits an intake form (see submitAssignment
+// in constants/intakeForms.js), and only the items the form ticks on submit.
+describe("a partner user submitting an intake form", () => {
+    let db;
+
+    const submitWith = (csGuideStatus) => {
+        const batch = writeBatch(db);
+        batch.update(doc(db, "intakeAssignments", "intake-acme"), { status: 'submitted', submittedAt: serverTimestamp() });
+        batch.update(doc(db, "partners", "partner-acme"), {
+            csGuideStatus,
+            lastIntakeAssignmentId: 'intake-acme',
+            lastUpdated: serverTimestamp()
+        });
+        return batch.commit();
+    };
+
+    before(async () => {
+        await testEnv.clearFirestore();
+        await seedPartners(testEnv);
+        db = firestoreAs(testEnv, 'acmeUser');
+    });
+
+    it("cannot tick items the form does not tick on submit", async () => {
+        await assertFails(submitWith([
+            { label: 'Form answered by partner', completed: true },
+            { label: 'Kick-off call', completed: true }
+        ]));
+    });
+
+    it("cannot add, remove, rename or untick items", async () => {
+        await assertFails(submitWith([
+            { label: 'Form answered by partner', completed: true },
+            { label: 'Kick-off call', completed: false },
+            { label: 'Invented step', completed: true }
+        ]));
+        await assertFails(submitWith([{ label: 'Form answered by partner', completed: true }]));
+        await assertFails(submitWith([
+            { label: 'Form answered by partner', completed: true },
+            { label: 'Renamed call', completed: false }
+        ]));
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await updateDoc(doc(context.firestore(), "partners", "partner-acme"), {
+                csGuideStatus: [{ label: 'Form answered by partner', completed: false }, { label: 'Kick-off call', completed: true }]
+            });
+        });
+        await assertFails(submitWith([
+            { label: 'Form answered by partner', completed: true },
+            { label: 'Kick-off call', completed: false }
+        ]));
+    });
+
+    it("ticks the form's submit items", async () => {
+        await assertSucceeds(submitWith([
+            { label: 'Form answered by partner', completed: true },
+            { label: 'Kick-off call', completed: true }
+        ]));
+    });
+});
+
+// The client lists shared documents and folders with `audience array-contains-any`, using the
+// audience from loadPartnerAudience. The query is only allowed when it matches myAudience() in the rules.
+describe("listing what is shared with a partner", () => {
+    const listShared = async (db, collectionName) => {
+        const audience = await loadPartnerAudience(db, 'acme');
+        return getDocs(query(collection(db, collectionName), where("audience", "array-contains-any", audience)));
+    };
+
+    it("includes the integration type when the partner has a directory entry", async () => {
+        await testEnv.clearFirestore();
+        await seedPartners(testEnv, { directory: true });
+        const db = firestoreAs(testEnv, 'acmeUser');
+
+        const documents = await assertSucceeds(listShared(db, "documents"));
+        assert.deepEqual(documents.docs.map((snap) => snap.id).sort(), ['doc-api', 'doc-everyone']);
+        const folders = await assertSucceeds(listShared(db, "folders"));
+        assert.deepEqual(folders.docs.map((snap) => snap.id).sort(), ['folder-api', 'folder-everyone']);
+    });
+
+    it("works without a directory entry", async () => {
+        await testEnv.clearFirestore();
+        await seedPartners(testEnv, { directory: false });
+        const db = firestoreAs(testEnv, 'acmeUser');
+
+        const documents = await assertSucceeds(listShared(db, "documents"));
+        assert.deepEqual(documents.docs.map((snap) => snap.id), ['doc-everyone']);
+        const folders = await assertSucceeds(listShared(db, "folders"));
+        assert.deepEqual(folders.docs.map((snap) => snap.id), ['folder-everyone']);
+    });
+
+    it("rejects an audience wider than the partner's", async () => {
+        await testEnv.clearFirestore();
+        await seedPartners(testEnv, { directory: false });
+        const db = firestoreAs(testEnv, 'acmeUser');
+
+        await assertFails(getDocs(query(collection(db, "documents"), where("audience", "array-contains-any", ['all', 'partner:acme', 'integration:API']))));
+        await assertFails(getDocs(query(collection(db, "documents"), where("audience", "array-contains-any", ['partner:globex']))));
+    });
+});
+
+// The dashboard computes the averages from every stage history and stores them; the partner
+// detail page only reads the stored result.
+describe("average stage durations", () => {
+    before(async () => {
+        await testEnv.clearFirestore();
+        await seedPartners(testEnv);
+    });
+
+    it("are computed and stored by staff", async () => {
+        const db = firestoreAs(testEnv, 'staff');
+        const averages = await assertSucceeds(computeAverageStageDurations(db));
+        await assertSucceeds(saveAverageStageDurations(db, averages));
+    });
+
+    it("are read but not computed or stored by partner users", async () => {
+        const db = firestoreAs(testEnv, 'acmeUser');
+        await assertSucceeds(loadAverageStageDurations(db));
+        await assertFails(computeAverageStageDurations(db));
+        await assertFails(saveAverageStageDurations(db, { Intake: 0 }));
+    });
+
+    it("are not readable without a role", async () => {
+        await assertFails(loadAverageStageDurations(firestoreAs(testEnv, 'defaultUser')));
+    });
+});
+
+describe("renaming a stage in the stage history", () => {
+    before(async () => {
+        await testEnv.clearFirestore();
+        await seedPartners(testEnv);
+    });
+
+    it("is not allowed for staff or partner users", async () => {
+        const entry = ["partners", "partner-acme", "stageHistory", "created"];
+        await assertFails(updateDoc(doc(firestoreAs(testEnv, 'staff'), ...entry), { toStage: 'Kick-off' }));
+        await assertFails(updateDoc(doc(firestoreAs(testEnv, 'acmeUser'), ...entry), { toStage: 'Kick-off' }));
+    });
+
+    it("lets an admin change only the stage names", async () => {
+        const db = firestoreAs(testEnv, 'admin');
+        await assertFails(updateDoc(doc(db, "partners", "partner-acme", "stageHistory", "created"), { note: 'changed' }));
+
+        assert.equal(await assertSucceeds(renameStagesInHistory(db, { Intake: 'Kick-off' })), 2);
+        const entry = await getDoc(doc(db, "partners", "partner-acme", "stageHistory", "created"));
+        assert.equal(entry.data().toStage, 'Kick-off');
+        assert.equal(entry.data().changedBy, 'staff');
+    });
+});
@@ -0,0 +1,196 @@
+// tests/helpers.mjs
+
+import { readFileSync } from "node:fs";
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import { initializeApp } from "firebase/app";
+import { connectAuthEmulator, getAuth } from "firebase/auth";
+import { connectFirestoreEmulator, doc, getFirestore, setDoc, Timestamp } from "firebase/firestore";
+
+/**
+ * Project ID the emulators run under (see the `test` script in package.json).
+ */
+export const PROJECT_ID = 'demo-onboarding-hub';
+
+/**
+ * Signed-in users of the seeded data, by UID.
+ */
+export const USERS = {
+    admin: { role: 'admin', displayName: 'Admin' },
+    staff: { role: 'transferz', displayName: 'Staff' },
+    acmeUser: { role: 'partner', partnerId: 'acme', displayName: 'Acme User' },
+    globexUser: { role: 'partner', partnerId: 'globex', displayName: 'Globex User' },
+    deactivatedAcmeUser: { role: 'partner', partnerId: 'acme', displayName: 'Former Acme User', active: false },
+    deactivatedStaff: { role: 'transferz', displayName: 'Former Staff', active: false },
+    defaultUser: { displayName: 'New User' }
+};
+
+/**
+ * Starts a test environment for the Firestore and Storage rules of the repo.
+ * @returns {Promise<object>} - The RulesTestEnvironment
+ */
+export async function createTestEnvironment() {
+    return initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+        storage: { rules: readFileSync(new URL('../storage.rules', import.meta.url), 'utf8') }
+    });
+}
+
+/**
+ * A client app connected to the Auth and Firestore emulators, for tests that sign in real
+ * Auth emulator accounts instead of mocking the token.
+ * @param {string} name - Name of the Firebase app
+ * @returns {{app: object, auth: object, db: object}}
+ */
+export function createEmulatorApp(name) {
+    const [firestoreHost, firestorePort] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    const app = initializeApp({ projectId: PROJECT_ID, apiKey: 'demo-api-key' }, name);
+    const auth = getAuth(app);
+    connectAuthEmulator(auth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    const db = getFirestore(app);
+    connectFirestoreEmulator(db, firestoreHost, Number(firestorePort));
+    return { app, auth, db };
+}
+
+/**
+ * Deletes every account in the Auth emulator.
+ * @returns {Promise<void>}
+ */
+export async function clearAuthAccounts() {
+    await fetch(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+}
+
+/**
+ * The latest action code the Auth emulator "emailed" to an address.
+ * @param {string} email - The recipient
+ * @param {string} requestType - 'VERIFY_EMAIL' or 'PASSWORD_RESET'
+ * @returns {Promise<string|null>}
+ */
+export async function findOobCode(email, requestType) {
+    const response = await fetch(`http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/oobCodes`);
+    const { oobCodes } = await response.json();
+    const code = oobCodes.reverse().find((entry) => entry.email === email && entry.requestType === requestType);
+    return code ? code.oobCode : null;
+}
+
+/**
+ * Firestore of a signed-in user from USERS.
+ * @param {object} testEnv - The RulesTestEnvironment
+ * @param {string} uid - A key of USERS
+ * @returns {object}
+ */
+export function firestoreAs(testEnv, uid) {
+    return testEnv.authenticatedContext(uid, { email: `${uid}@example.com`, email_verified: true }).firestore();
+}
+
+/**
+ * Storage of a signed-in user from USERS.
+ * @param {object} testEnv - The RulesTestEnvironment
+ * @param {string} uid - A key of USERS
+ * @returns {object}
+ */
+export function storageAs(testEnv, uid) {
+    return testEnv.authenticatedContext(uid, { email: `${uid}@example.com`, email_verified: true }).storage();
+}
+
+/**
+ * Writes the users and two partners, Acme and Globex, each with a stage history entry, a comment,
+ * a document with a version, an intake assignment and an acknowledgment. Also uploads a file per
+ * document. Security rules are bypassed while seeding.
+ * @param {object} testEnv - The RulesTestEnvironment
+ * @param {object} options - `directory`: write partnerDirectory entries (Acme uses the API integration)
+ * @returns {Promise<void>}
+ */
+export async function seedPartners(testEnv, { directory = true } = {}) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        const storage = context.storage();
+        const now = Timestamp.now();
+
+        for (const [uid, user] of Object.entries(USERS)) {
+            await setDoc(doc(db, "users", uid), { email: `${uid}@example.com`, active: true, ...user });
+        }
+
+        for (const [partnerId, integrationType] of [['acme', 'API'], ['globex', 'Widget']]) {
+            const partnerDocId = `partner-${partnerId}`;
+            await setDoc(doc(db, "partners", partnerDocId), {
+                name: partnerId,
+                partnerId,
+                integrationType,
+                onboardingStatus: 'Intake',
+                csGuideStatus: [{ label: 'Form answered by partner', completed: false }, { label: 'Kick-off call', completed: false }],
+                createdAt: now
+            });
+            await setDoc(doc(db, "partners", partnerDocId, "stageHistory", "created"), {
+                fromStage: null,
+                toStage: 'Intake',
+                note: '',
+                changedBy: 'staff',
+                changedByName: 'Staff',
+                changedAt: now
+            });
+            await setDoc(doc(db, "partners", partnerDocId, "comments", "welcome"), {
+                text: 'Welcome!',
+                authorUid: `${partnerId}User`,
+                authorName: `${partnerId} user`,
+                createdAt: now
+            });
+            if (directory) {
+                await setDoc(doc(db, "partnerDirectory", partnerId), { partnerDocId, name: partnerId, integrationType });
+            }
+
+            const documentId = `doc-${partnerId}`;
+            await setDoc(doc(db, "documents", documentId), {
+                name: `${partnerId}.pdf`,
+                partnerId,
+                audience: [],
+                version: 1,
+                versionCount: 1,
+                storagePath: `documents/${partnerId}.pdf`,
+                uploadedAt: now
+            });
+            await setDoc(doc(db, "documents", documentId, "versions", "v1"), {
+                version: 1,
+                storagePath: `documents/${partnerId}.pdf`,
+                uploadedBy: `${partnerId}User`,
+                uploadedAt: now
+            });
+            await storage.ref(`documents/${partnerId}.pdf`).put(new Uint8Array([37, 80, 68, 70]), {
+                contentType: 'application/pdf',
+                customMetadata: { documentId }
+            });
+
+            await setDoc(doc(db, "intakeAssignments", `intake-${partnerId}`), {
+                formId: 'kickoff',
+                title: 'Kick-off questions',
+                partnerId,
+                partnerDocId,
+                sections: [],
+                answers: {},
+                submitCsGuideItems: ['Form answered by partner'],
+                status: 'assigned',
+                assignedAt: now
+            });
+
+            await setDoc(doc(db, "acknowledgments", `document_${documentId}_${partnerId}`), {
+                itemType: 'document',
+                itemId: documentId,
+                itemTitle: `${partnerId}.pdf`,
+                partnerId,
+                requiredBy: 'staff',
+                requiredByName: 'Staff',
+                requiredAt: now,
+                acknowledgedAt: null,
+                acknowledgedBy: null,
+                acknowledgedByName: null
+            });
+        }
+
+        // Documents shared instead of owned
+        await setDoc(doc(db, "documents", "doc-everyone"), { name: 'everyone.pdf', partnerId: null, audience: ['all'] });
+        await setDoc(doc(db, "documents", "doc-api"), { name: 'api.pdf', partnerId: null, audience: ['integration:API'] });
+        await setDoc(doc(db, "documents", "doc-globex-shared"), { name: 'globex-shared.pdf', partnerId: null, audience: ['partner:globex'] });
+        await setDoc(doc(db, "folders", "folder-everyone"), { name: 'Everyone', parentId: null, audience: ['all'] });
+        await setDoc(doc(db, "folders", "folder-api"), { name: 'API', parentId: null, audience: ['integration:API'] });
+    });
+}
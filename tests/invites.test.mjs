@@ -0,0 +1,84 @@
+// tests/invites.test.mjs
+
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { deleteApp } from "firebase/app";
+import { applyActionCode, createUserWithEmailAndPassword, sendEmailVerification } from "firebase/auth";
+import { doc, getDoc, setDoc, Timestamp } from "firebase/firestore";
+import { clearAuthAccounts, createEmulatorApp, createTestEnvironment, findOobCode } from "./helpers.mjs";
+import { redeemInvite } from "../constants/invites.js";
+
+const INVITE_TOKEN = 'invite-acme';
+const INVITEE_EMAIL = 'invitee@example.com';
+
+let testEnv;
+let app;
+let auth;
+let db;
+
+/**
+ * Opens the verification link the Auth emulator "sent" to an email address.
+ * @param {string} email
+ * @returns {Promise<void>}
+ */
+async function verifyEmail(email) {
+    const code = await findOobCode(email, 'VERIFY_EMAIL');
+    assert.ok(code, `No verification email for ${email}`);
+    await applyActionCode(auth, code);
+}
+
+before(async () => {
+    testEnv = await createTestEnvironment();
+    await testEnv.clearFirestore();
+    await clearAuthAccounts();
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        await setDoc(doc(context.firestore(), "invites", INVITE_TOKEN), {
+            email: INVITEE_EMAIL,
+            role: 'partner',
+            partnerId: 'acme',
+            status: 'pending',
+            expiresAt: Timestamp.fromDate(new Date(Date.now() + 24 * 60 * 60 * 1000)),
+            createdAt: Timestamp.now()
+        });
+    });
+
+    ({ app, auth, db } = createEmulatorApp('invites-test'));
+});
+
+after(async () => {
+    await deleteApp(app);
+    await testEnv.cleanup();
+});
+
+describe("redeeming an invite with an email/password account", () => {
+    it("is refused until the email is verified", async () => {
+        const { user } = await createUserWithEmailAndPassword(auth, INVITEE_EMAIL, 'correct-horse-battery');
+        await assert.rejects(redeemInvite(db, user, INVITE_TOKEN), { code: 'permission-denied' });
+    });
+
+    it("succeeds once the email is verified, although the token was issued before", async () => {
+        const user = auth.currentUser;
+        await sendEmailVerification(user);
+        await verifyEmail(INVITEE_EMAIL);
+
+        // What the verify page does before the app restarts
+        await user.reload();
+        assert.equal(user.emailVerified, true);
+
+        assert.deepEqual(await redeemInvite(db, user, INVITE_TOKEN), { role: 'partner', partnerId: 'acme' });
+
+        const profile = (await getDoc(doc(db, "users", user.uid))).data();
+        assert.equal(profile.role, 'partner');
+        assert.equal(profile.partnerId, 'acme');
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const invite = (await getDoc(doc(context.firestore(), "invites", INVITE_TOKEN))).data();
+            assert.equal(invite.status, 'accepted');
+            assert.equal(invite.acceptedBy, user.uid);
+        });
+    });
+
+    it("cannot be redeemed twice", async () => {
+        await assert.rejects(redeemInvite(db, auth.currentUser, INVITE_TOKEN), /no longer valid/);
+    });
+});
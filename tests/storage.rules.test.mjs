@@ -0,0 +1,94 @@
+// tests/storage.rules.test.mjs
+
+import { after, before, describe, it } from "node:test";
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { createTestEnvironment, seedPartners, storageAs } from "./helpers.mjs";
+
+const PDF = new Uint8Array([37, 80, 68, 70]);
+
+let testEnv;
+
+before(async () => {
+    testEnv = await createTestEnvironment();
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await seedPartners(testEnv);
+});
+
+after(async () => {
+    await testEnv.cleanup();
+});
+
+describe("a partner user and another partner's files", () => {
+    it("reads files of its own documents only", async () => {
+        const storage = storageAs(testEnv, 'acmeUser');
+        await assertSucceeds(storage.ref('documents/acme.pdf').getMetadata());
+        await assertFails(storage.ref('documents/globex.pdf').getMetadata());
+        await assertFails(storage.ref('documents/globex.pdf').getDownloadURL());
+    });
+
+    it("cannot replace, relabel or delete another partner's files", async () => {
+        const storage = storageAs(testEnv, 'acmeUser');
+        await assertFails(storage.ref('documents/globex.pdf').put(PDF, {
+            contentType: 'application/pdf',
+            customMetadata: { documentId: 'doc-acme' }
+        }));
+        await assertFails(storage.ref('documents/globex.pdf').updateMetadata({ customMetadata: { documentId: 'doc-acme' } }));
+        await assertFails(storage.ref('documents/globex.pdf').delete());
+    });
+});
+
+describe("a deactivated user", () => {
+    it("cannot read or upload files", async () => {
+        const storage = storageAs(testEnv, 'deactivatedAcmeUser');
+        await assertFails(storage.ref('documents/acme.pdf').getMetadata());
+        await assertFails(storage.ref('documents/late.pdf').put(PDF, {
+            contentType: 'application/pdf',
+            customMetadata: { documentId: 'doc-acme' }
+        }));
+    });
+
+    it("loses staff access", async () => {
+        const storage = storageAs(testEnv, 'deactivatedStaff');
+        await assertFails(storage.ref('documents/globex.pdf').getMetadata());
+        await assertFails(storage.ref('documents/globex.pdf').delete());
+    });
+});
+
+describe("a user with the default role", () => {
+    it("cannot read or upload files", async () => {
+        const storage = storageAs(testEnv, 'defaultUser');
+        await assertFails(storage.ref('documents/acme.pdf').getMetadata());
+        await assertFails(storage.ref('documents/default.pdf').put(PDF, {
+            contentType: 'application/pdf',
+            customMetadata: { documentId: 'doc-acme' }
+        }));
+    });
+});
+
+describe("staff", () => {
+    it("read every partner's files", async () => {
+        const storage = storageAs(testEnv, 'staff');
+        await assertSucceeds(storage.ref('documents/acme.pdf').getMetadata());
+        await assertSucceeds(storage.ref('documents/globex.pdf').getMetadata());
+    });
+});
+
+// Files uploaded before sharing existed have no `documentId` until "Tag Document Files" runs
+describe("a legacy file without a document ID", () => {
+    before(async () => {
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            await context.storage().ref('documents/legacy.pdf').put(PDF, { contentType: 'application/pdf' });
+        });
+    });
+
+    it("is readable by partners of its document only once staff tagged it", async () => {
+        const storage = storageAs(testEnv, 'acmeUser');
+        await assertFails(storage.ref('documents/legacy.pdf').getMetadata());
+        await assertFails(storage.ref('documents/legacy.pdf').updateMetadata({ customMetadata: { documentId: 'doc-acme' } }));
+
+        await assertSucceeds(storageAs(testEnv, 'staff').ref('documents/legacy.pdf').updateMetadata({ customMetadata: { documentId: 'doc-acme' } }));
+        await assertSucceeds(storage.ref('documents/legacy.pdf').getMetadata());
+        await assertFails(storageAs(testEnv, 'globexUser').ref('documents/legacy.pdf').getMetadata());
+    });
+});